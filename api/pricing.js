@@ -0,0 +1,320 @@
+// Off-chain copy of the `VendingMachineV2` pricing rules, used by `GET /quote` (see `api/server.js`) and by the relayer
+// to know what to pay for a signed purchase (see `relayer/server.js`), plus the contract reads a quote starts from.
+// Keep it in sync with `_calculatePrice`, `purchaseItem`/`_processPurchase`, `_processBulkPurchase` and the
+// `LoyaltyEngine`, `Promotions` and `PaymentTokens` libraries.
+
+// `id` is keccak256 of a UTF-8 string, how promotions identify categories
+const { ZeroHash, id: categoryHash } = require("ethers");
+
+// Names of the entries `initialize` pushes to `loyaltyTiers`, in order.
+const LOYALTY_TIER_NAMES = ["Bronze", "Silver", "Gold"];
+
+// `bulkPurchase` accepts at most this many lines.
+const MAX_BULK_ITEMS = 20;
+
+// A purchase earns one loyalty point per this much wei paid (0.001 ether), times the tier's multiplier.
+const WEI_PER_POINT = 10n ** 15n;
+
+// `MAX_DISCOUNT`: the loyalty discount and a promotion together take at most this percentage off.
+const MAX_DISCOUNT = 50n;
+
+/**
+ * Price of `quantity` units of an item for a buyer, exactly like `_calculatePrice`: the buyer's `discountRate`
+ * (a percentage, rounded down) plus the promotion's discount come off the base price, at most `MAX_DISCOUNT`
+ * percent together.
+ * @param {bigint} unitPrice
+ * @param {bigint} quantity
+ * @param {bigint} discountRate
+ * @param {bigint} [promotionDiscount] In wei, from `bestPromotion`.
+ * @returns {{ subtotal: bigint, discount: bigint, cost: bigint }}
+ */
+function calculatePrice(unitPrice, quantity, discountRate, promotionDiscount = 0n) {
+  const subtotal = unitPrice * quantity;
+  const discountCap = (subtotal * MAX_DISCOUNT) / 100n;
+  let discount = (subtotal * discountRate) / 100n + promotionDiscount;
+  if (discount > discountCap) discount = discountCap;
+  return { subtotal, discount, cost: subtotal - discount };
+}
+
+/**
+ * The promotion a purchase line gets, exactly like `Promotions.price`: of the promotions running at `now` that
+ * cover the item (by ID, or by the keccak256 of its category), the one worth the most, the first one on a tie.
+ * A capped promotion only covers the units the buyer has left under `maxPerUser`.
+ * @param {{ id: number, price: bigint, category: string }} item
+ * @param {bigint} quantity
+ * @param {object[]} promotions The live promotions (`getLivePromotions`), each a `promotions` entry with its `id`.
+ * @param {Map<number, bigint>} redeemed Units each promotion already sold the buyer (`promotionRedemptions`).
+ * @param {bigint} now Seconds.
+ * @returns {{ id: number, units: bigint, discount: bigint }|null} `discount` in wei, or null without a promotion.
+ */
+function bestPromotion(item, quantity, promotions, redeemed, now) {
+  const category = categoryHash(item.category);
+  let best = null;
+  for (const promotion of promotions) {
+    if (now < BigInt(promotion.startTime) || now >= BigInt(promotion.endTime)) continue;
+    const covered =
+      promotion.category === ZeroHash ? BigInt(promotion.itemId) === BigInt(item.id) : promotion.category === category;
+    if (!covered) continue;
+
+    let units = quantity;
+    const maxPerUser = BigInt(promotion.maxPerUser);
+    if (maxPerUser > 0n) {
+      const used = redeemed.get(promotion.id) || 0n;
+      units = used >= maxPerUser ? 0n : maxPerUser - used;
+      if (units > quantity) units = quantity;
+    }
+    const discount = promotion.isFixed
+      ? (promotion.discount < item.price ? promotion.discount : item.price) * units
+      : (item.price * units * promotion.discount) / 10000n;
+    if (discount > (best ? best.discount : 0n)) {
+      best = { id: promotion.id, units, discount };
+    }
+  }
+  return best;
+}
+
+/**
+ * What is left of a line's promotion under the `MAX_DISCOUNT` cap, exactly like `Promotions.price`: the discount
+ * that still comes off after the loyalty discount, and the units it covers (rounded up), which are the ones that
+ * count towards `maxPerUser`.
+ * @param {{ id: number, units: bigint, discount: bigint }|null} promotion From `bestPromotion`.
+ * @param {bigint} subtotal
+ * @param {bigint} discountRate
+ * @returns {{ id: number, units: bigint, discount: bigint }|null} Null when the loyalty discount alone reaches the cap.
+ */
+function capPromotion(promotion, subtotal, discountRate) {
+  if (!promotion) return null;
+  const discountCap = (subtotal * MAX_DISCOUNT) / 100n;
+  let loyaltyDiscount = (subtotal * discountRate) / 100n;
+  if (loyaltyDiscount > discountCap) loyaltyDiscount = discountCap;
+  let discount = discountCap - loyaltyDiscount;
+  if (promotion.discount < discount) discount = promotion.discount;
+  if (discount === 0n) return null;
+  const units = (promotion.units * discount + promotion.discount - 1n) / promotion.discount;
+  return { id: promotion.id, units, discount };
+}
+
+/**
+ * The loyalty tier a number of points falls in: the highest `loyaltyTiers` entry whose threshold is reached.
+ * @param {bigint} loyaltyPoints
+ * @param {{ threshold: bigint, discount: bigint, pointsMultiplier: bigint }[]} tiers `loyaltyTiers`, in order.
+ * @returns {object|null} The tier with its index and name, or null below the first threshold.
+ */
+function loyaltyTierFor(loyaltyPoints, tiers) {
+  let tier = null;
+  tiers.forEach((candidate, index) => {
+    if (loyaltyPoints >= candidate.threshold) {
+      // Field by field: an ethers `Result` (e.g. from `getLoyaltyTiers`) doesn't spread its named fields
+      const { threshold, discount, pointsMultiplier } = candidate;
+      tier = { index, name: LOYALTY_TIER_NAMES[index] || `Tier ${index}`, threshold, discount, pointsMultiplier };
+    }
+  });
+  return tier;
+}
+
+/**
+ * A buyer's loyalty standing as their next purchase will see it. The contract expires points and re-evaluates the
+ * tier at the start of every purchase (`LoyaltyEngine.refresh`), so the stored `discountRate` can be stale: points
+ * may have expired, or admins may have edited the tier table since the buyer's last purchase.
+ * @param {object} profile The buyer's `userProfiles` entry.
+ * @param {{ threshold: bigint, discount: bigint, pointsMultiplier: bigint }[]} tiers `loyaltyTiers`, in order.
+ * @param {bigint} now Seconds; the timestamp of the latest block is close enough to the next one's.
+ * @returns {{ loyaltyPoints: bigint, pointsExpired: boolean, tier: object|null, discountRate: bigint, pointsMultiplier: bigint }}
+ */
+function effectiveLoyalty(profile, tiers, now) {
+  const pointsExpiry = BigInt(profile.pointsExpiry);
+  const pointsExpired = pointsExpiry !== 0n && now > pointsExpiry && BigInt(profile.loyaltyPoints) > 0n;
+  const loyaltyPoints = pointsExpired ? 0n : BigInt(profile.loyaltyPoints);
+  const tier = loyaltyTierFor(loyaltyPoints, tiers);
+  return {
+    loyaltyPoints,
+    pointsExpired,
+    tier,
+    // `discount` is in basis points, `discountRate` the whole percentage `_calculatePrice` applies
+    discountRate: tier ? BigInt(tier.discount) / 100n : 0n,
+    pointsMultiplier: tier ? BigInt(tier.pointsMultiplier) : 1n,
+  };
+}
+
+/**
+ * Token amount that pays `value` wei, exactly like `PaymentTokens.quote`: rounded up, so it is never short.
+ * @param {bigint} value The price in wei.
+ * @param {object} paymentToken
+ * @param {bigint|number} paymentToken.decimals The token's decimals.
+ * @param {bigint|number} paymentToken.feedDecimals Decimals of `price`: the feed's, or 18 for a fixed rate.
+ * @param {bigint} paymentToken.price ETH per whole token: the feed's answer, or `fixedRate` (wei).
+ * @returns {bigint} In the token's smallest unit.
+ */
+function quoteTokenAmount(value, { decimals, feedDecimals, price }) {
+  const numerator = value * 10n ** (BigInt(decimals) + BigInt(feedDecimals));
+  const denominator = BigInt(price) * 10n ** 18n;
+  return (numerator + denominator - 1n) / denominator;
+}
+
+/**
+ * The price `PaymentTokens.quote` would use for a token, from its `paymentTokens` entry and, for a feed, the
+ * feed's `latestRoundData`. Doesn't throw when the contract would revert; it reports the revert message instead.
+ * @param {object} config The token's `paymentTokens` entry.
+ * @param {{ answer: bigint, updatedAt: bigint }|null} round The feed's latest round, or null for a fixed rate.
+ * @param {bigint} now Seconds.
+ * @returns {{ decimals: bigint, feedDecimals: bigint, price: bigint, issue: string|null }}
+ */
+function paymentTokenPrice(config, round, now) {
+  const { decimals, feedDecimals } = config;
+  let issue = null;
+  let price = config.fixedRate;
+  if (!config.accepted) {
+    issue = "VM: Token not accepted";
+  } else if (round) {
+    price = round.answer;
+    if (price <= 0n) issue = "VM: Invalid price";
+    else if (round.updatedAt + config.maxPriceAge < now) issue = "VM: Stale price";
+  }
+  return { decimals, feedDecimals, price, issue };
+}
+
+/**
+ * Quotes a purchase the way the contract would charge it. One line is a `purchaseItem`, several a `bulkPurchase`
+ * (which takes the fee once, on the total). Doesn't throw for purchases the contract would reject: those come back
+ * with `purchasable: false` and the reasons in `issues`, using the contract's revert messages.
+ * @param {object} input
+ * @param {{ id: number, price: bigint, supply: bigint, isActive: boolean, name: string }[]} input.items One per line.
+ * @param {bigint[]} input.quantities One per line.
+ * @param {object} input.profile The buyer's `userProfiles` entry.
+ * @param {object[]} input.tiers `loyaltyTiers`, in order (see `effectiveLoyalty`).
+ * @param {object} input.settings `transactionFee`, `minPurchaseAmount`, `maxPurchaseAmount`, `maxQuantity`,
+ *   `paused`, `emergencyState`, and `cooldownEnds`/`now` (seconds) for the buyer's rate limit.
+ * @param {object[]} [input.promotions] The live promotions (see `bestPromotion`), each with the units it already
+ *   sold the buyer as `redeemed`.
+ * @param {object} [input.paymentToken] To pay a single line with an ERC20 instead of ETH: its `address` and
+ *   the `paymentTokenPrice` result. Bulk purchases are paid in ETH only.
+ * @returns {object}
+ */
+function quotePurchase({ items, quantities, profile, tiers, settings, promotions = [], paymentToken }) {
+  const issues = [];
+  const { discountRate, pointsMultiplier, tier } = effectiveLoyalty(profile, tiers, settings.now);
+  // Lines use up capped promotions in order, like `_deliverBulkPurchase`
+  const redeemed = new Map(promotions.map((promotion) => [promotion.id, promotion.redeemed]));
+
+  const lines = items.map((item, i) => {
+    const quantity = quantities[i];
+    if (!item.isActive) issues.push(`VM: Item not active (item ${item.id})`);
+    if (quantity <= 0n || quantity > settings.maxQuantity) issues.push(`VM: Invalid quantity (item ${item.id})`);
+    if (item.supply < quantity) issues.push(`VM: Insufficient supply (item ${item.id})`);
+    const best = bestPromotion(item, quantity, promotions, redeemed, settings.now);
+    const promotion = capPromotion(best, item.price * quantity, discountRate);
+    if (promotion) redeemed.set(promotion.id, (redeemed.get(promotion.id) || 0n) + promotion.units);
+    const price = calculatePrice(item.price, quantity, discountRate, promotion ? promotion.discount : 0n);
+    const pointsEarned = (price.cost / WEI_PER_POINT) * pointsMultiplier;
+    return { itemId: item.id, name: item.name, quantity, unitPrice: item.price, ...price, promotion, pointsEarned };
+  });
+
+  const sum = (field) => lines.reduce((total, line) => total + line[field], 0n);
+  const total = sum("cost");
+  const fee = (total * settings.transactionFee) / 10000n;
+
+  if (lines.length > MAX_BULK_ITEMS) issues.push("VM: Invalid array length");
+  if (total < settings.minPurchaseAmount) issues.push(lines.length === 1 ? "VM: Amount too small" : "VM: Amount out of range");
+  if (total > settings.maxPurchaseAmount) issues.push(lines.length === 1 ? "VM: Amount too large" : "VM: Amount out of range");
+  if (settings.paused) issues.push("Pausable: paused");
+  if (settings.emergencyState !== 0n) issues.push("VM: Emergency stop active");
+  if (profile.isBlacklisted) issues.push("VM: User blacklisted");
+  if (settings.now < settings.cooldownEnds) issues.push("VM: Purchase too frequent");
+
+  // Token payments take the fee in the token too (`Treasury.credit`)
+  let token = null;
+  if (paymentToken) {
+    if (paymentToken.issue) issues.push(paymentToken.issue);
+    const amount = paymentToken.issue ? null : quoteTokenAmount(total, paymentToken);
+    token = {
+      address: paymentToken.address,
+      price: paymentToken.price,
+      // What to approve; nothing is sent as `value`
+      amount,
+      fee: amount === null ? null : (amount * settings.transactionFee) / 10000n,
+    };
+  }
+
+  return {
+    method: lines.length === 1 ? "purchaseItem" : "bulkPurchase",
+    lines,
+    discountRate,
+    loyaltyTier: tier,
+    subtotal: sum("subtotal"),
+    discount: sum("discount"),
+    // What to send as `value`. The fee is taken out of it, not added to it.
+    total,
+    transactionFee: settings.transactionFee,
+    fee,
+    netRevenue: total - fee,
+    pointsEarned: sum("pointsEarned"),
+    token,
+    purchasable: issues.length === 0,
+    issues,
+  };
+}
+
+/**
+ * Reads the live promotions for `quotePurchase`, with the units each one already sold `buyer` against its
+ * `maxPerUser` cap.
+ * @param {object} vendingMachine A `VendingMachineV2` contract.
+ * @param {string} buyer
+ * @param {number|string} [blockTag] Defaults to the latest block.
+ * @returns {Promise<object[]>}
+ */
+async function readPromotions(vendingMachine, buyer, blockTag = "latest") {
+  const ids = await vendingMachine.getLivePromotions({ blockTag });
+  return Promise.all(
+    ids.map(async (id) => {
+      const promotion = await vendingMachine.promotions(id, { blockTag });
+      return {
+        id: Number(id),
+        startTime: promotion.startTime,
+        endTime: promotion.endTime,
+        itemId: promotion.itemId,
+        maxPerUser: promotion.maxPerUser,
+        isFixed: promotion.isFixed,
+        discount: promotion.discount,
+        category: promotion.category,
+        redeemed: await vendingMachine.promotionRedemptions(id, buyer, { blockTag }),
+      };
+    })
+  );
+}
+
+/**
+ * Reads the `settings` of `quotePurchase` for a purchase by `buyer`.
+ * @param {object} vendingMachine A `VendingMachineV2` contract.
+ * @param {string} buyer
+ * @param {bigint} now Seconds, usually the timestamp of the block read.
+ * @param {number|string} [blockTag] Defaults to the latest block.
+ * @returns {Promise<object>}
+ */
+async function readPurchaseSettings(vendingMachine, buyer, now, blockTag = "latest") {
+  return {
+    transactionFee: await vendingMachine.transactionFee({ blockTag }),
+    minPurchaseAmount: await vendingMachine.minPurchaseAmount({ blockTag }),
+    maxPurchaseAmount: await vendingMachine.maxPurchaseAmount({ blockTag }),
+    maxQuantity: await vendingMachine.MAX_QUANTITY_PER_PURCHASE({ blockTag }),
+    paused: await vendingMachine.paused({ blockTag }),
+    emergencyState: await vendingMachine.emergencyState({ blockTag }),
+    cooldownEnds:
+      (await vendingMachine.lastPurchaseTime(buyer, { blockTag })) + (await vendingMachine.purchaseCooldown({ blockTag })),
+    now,
+  };
+}
+
+module.exports = {
+  LOYALTY_TIER_NAMES,
+  MAX_DISCOUNT,
+  bestPromotion,
+  calculatePrice,
+  capPromotion,
+  effectiveLoyalty,
+  loyaltyTierFor,
+  paymentTokenPrice,
+  quotePurchase,
+  quoteTokenAmount,
+  readPromotions,
+  readPurchaseSettings,
+};
@@ -0,0 +1,294 @@
+// Read-only JSON HTTP API over a deployed `VendingMachineV2`, for the storefront and other clients that shouldn't
+// have to decode the contract's structs themselves. Built on Node's `http` module, no framework needed.
+//
+//   GET /abi                          the contract ABI, shaped like a Hardhat artifact (`{ contractName, abi }`)
+//   GET /items[?category=A,B]         all items, or the items of some categories (via `getBulkCategoryItems`)
+//   GET /items/:id                    one item
+//   GET /users/:address/profile       a buyer's profile, with the loyalty tier their next purchase gets
+//   GET /quote?items=0,2&qty=1,3[&buyer=0x...][&token=0x...]
+//                                     what a purchase costs, computed like `_calculatePrice` (loyalty discount, running
+//                                     promotions and fee included); with `token`, also in that payment token (single
+//                                     items only)
+//
+// Amounts are wei, as decimal strings. Every response reads the chain at one block, reported in `X-Block-Number`,
+// and is cached until the next block.
+
+const http = require("http");
+const { Contract, isAddress, ZeroAddress } = require("ethers");
+
+const {
+  effectiveLoyalty,
+  paymentTokenPrice,
+  quotePurchase,
+  readPromotions,
+  readPurchaseSettings,
+} = require("./pricing");
+
+// The part of a Chainlink-style aggregator (contracts/interfaces/AggregatorV3Interface.sol) `PaymentTokens` reads.
+const PRICE_FEED_ABI = [
+  "function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
+];
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// BigInt isn't JSON-serializable; send it as a decimal string.
+function toJson(value) {
+  return JSON.stringify(value, (key, field) => (typeof field === "bigint" ? field.toString() : field));
+}
+
+function isRevert(error) {
+  return error.code === "CALL_EXCEPTION" || /revert/i.test(error.message);
+}
+
+function parseIdList(value, name) {
+  const parts = String(value).split(",").map((part) => part.trim());
+  if (parts.some((part) => !/^\d+$/.test(part))) {
+    throw new HttpError(400, `${name} must be a comma-separated list of whole numbers`);
+  }
+  return parts.map(BigInt);
+}
+
+/**
+ * Creates the API server. Call `listen(port)` on the result to start it.
+ * @param {object} options
+ * @param {object} options.provider An ethers provider.
+ * @param {string} options.address The VendingMachineV2 proxy address.
+ * @param {object[]} options.abi The VendingMachineV2 ABI (served at `/abi` too).
+ * @returns {http.Server}
+ */
+function createApiServer({ provider, address, abi }) {
+  const vendingMachine = new Contract(address, abi, provider);
+
+  // --- Per-block cache ---
+  // Responses only change when a new block arrives, so everything is cached until then.
+  let cachedBlock = -1;
+  const cache = new Map();
+
+  function cached(blockNumber, key, compute) {
+    if (blockNumber !== cachedBlock) {
+      cache.clear();
+      cachedBlock = blockNumber;
+    }
+    if (!cache.has(key)) {
+      cache.set(
+        key,
+        compute().catch((error) => {
+          cache.delete(key);
+          throw error;
+        })
+      );
+    }
+    return cache.get(key);
+  }
+
+  // --- Contract reads (all at one block) ---
+
+  // `items` has no length getter and `getAnalytics` is admin-only: find the length by probing the public getter.
+  async function itemExists(id, blockTag) {
+    try {
+      await vendingMachine.items(id, { blockTag });
+      return true;
+    } catch (error) {
+      if (isRevert(error)) return false;
+      throw error;
+    }
+  }
+
+  async function itemCount(blockTag) {
+    if (!(await itemExists(0, blockTag))) return 0;
+    // Double until an index is past the end, then binary search between the last index found and that one.
+    let low = 0;
+    let high = 1;
+    while (await itemExists(high, blockTag)) {
+      low = high;
+      high *= 2;
+    }
+    while (high - low > 1) {
+      const middle = Math.floor((low + high) / 2);
+      if (await itemExists(middle, blockTag)) low = middle;
+      else high = middle;
+    }
+    return high;
+  }
+
+  async function readItem(id, blockTag) {
+    let item;
+    try {
+      item = await vendingMachine.items(id, { blockTag });
+    } catch (error) {
+      if (isRevert(error)) throw new HttpError(404, `Item ${id} doesn't exist`);
+      throw error;
+    }
+    return {
+      id: Number(id),
+      name: item.name,
+      price: item.price,
+      supply: item.supply,
+      maxSupply: item.maxSupply,
+      lastRestocked: Number(item.lastRestocked),
+      salesCount: item.salesCount,
+      isActive: item.isActive,
+      imageURI: item.imageURI,
+      category: item.category,
+    };
+  }
+
+  // One `getLoyaltyTiers` call per block, shared by the profiles and quotes of that block
+  function readLoyaltyTiers(blockTag) {
+    return cached(blockTag, "loyaltyTiers", async () => {
+      const tiers = await vendingMachine.getLoyaltyTiers({ blockTag });
+      return tiers.map((tier) => ({
+        threshold: tier.threshold,
+        discount: tier.discount,
+        pointsMultiplier: tier.pointsMultiplier,
+      }));
+    });
+  }
+
+  async function readProfile(user, blockTag) {
+    const [profile, tiers, block] = await Promise.all([
+      vendingMachine.userProfiles(user, { blockTag }),
+      readLoyaltyTiers(blockTag),
+      provider.getBlock(blockTag),
+    ]);
+    const loyalty = effectiveLoyalty(profile, tiers, BigInt(block.timestamp));
+    return {
+      address: user,
+      totalPurchases: profile.totalPurchases,
+      totalSpent: profile.totalSpent,
+      lastPurchase: Number(profile.lastPurchase),
+      // What the next purchase sees: no points once they expired, and the tier they reach in the current table.
+      // The stored `loyaltyPoints`/`loyaltyTier`/`discountRate` only catch up at that purchase.
+      loyaltyPoints: loyalty.loyaltyPoints,
+      pointsExpiry: Number(profile.pointsExpiry),
+      pointsExpired: loyalty.pointsExpired,
+      // The percentage `_calculatePrice` takes off this buyer's purchases.
+      discountRate: loyalty.discountRate,
+      loyaltyTier: loyalty.tier,
+      isBlacklisted: profile.isBlacklisted,
+    };
+  }
+
+  // The price a token payment would use now, from the token's `paymentTokens` entry and its feed, if any.
+  async function readPaymentToken(token, blockTag, now) {
+    const config = await vendingMachine.paymentTokens(token, { blockTag });
+    let round = null;
+    if (config.accepted && config.priceFeed !== ZeroAddress) {
+      round = await new Contract(config.priceFeed, PRICE_FEED_ABI, provider).latestRoundData({ blockTag });
+    }
+    return { address: token, ...paymentTokenPrice(config, round, now) };
+  }
+
+  // --- Routes ---
+
+  async function listItems(blockNumber, query) {
+    if (query.has("category")) {
+      const categories = query.get("category").split(",").map((category) => category.trim());
+      const idsPerCategory = await vendingMachine.getBulkCategoryItems(categories, { blockTag: blockNumber });
+      // ethers' `Result` breaks `Array.prototype.flat`, so convert it to plain arrays first.
+      const ids = [...new Set(idsPerCategory.toArray(true).flat())].sort((a, b) => (a < b ? -1 : 1));
+      return Promise.all(ids.map((id) => readItem(id, blockNumber)));
+    }
+    const count = await itemCount(blockNumber);
+    return Promise.all(Array.from({ length: count }, (_, id) => readItem(id, blockNumber)));
+  }
+
+  async function getProfile(blockNumber, user) {
+    if (!isAddress(user)) {
+      throw new HttpError(400, `Not an address: ${user}`);
+    }
+    return readProfile(user, blockNumber);
+  }
+
+  async function getQuote(blockNumber, query) {
+    if (!query.has("items")) {
+      throw new HttpError(400, "items is required, e.g. /quote?items=0,2&qty=1,3");
+    }
+    const itemIds = parseIdList(query.get("items"), "items");
+    const quantities = query.has("qty") ? parseIdList(query.get("qty"), "qty") : itemIds.map(() => 1n);
+    if (quantities.length !== itemIds.length) {
+      throw new HttpError(400, `Got ${itemIds.length} items but ${quantities.length} quantities`);
+    }
+    const buyer = query.get("buyer") || ZeroAddress;
+    if (!isAddress(buyer)) {
+      throw new HttpError(400, `Not an address: ${buyer}`);
+    }
+    const token = query.get("token");
+    if (token !== null && !isAddress(token)) {
+      throw new HttpError(400, `Not an address: ${token}`);
+    }
+    if (token !== null && itemIds.length > 1) {
+      throw new HttpError(400, "Only single items can be paid with a token; bulk purchases are paid in ETH");
+    }
+
+    const blockTag = blockNumber;
+    const [items, profile, tiers, promotions, block] = await Promise.all([
+      Promise.all(itemIds.map((id) => readItem(id, blockTag))),
+      vendingMachine.userProfiles(buyer, { blockTag }),
+      readLoyaltyTiers(blockTag),
+      readPromotions(vendingMachine, buyer, blockTag),
+      provider.getBlock(blockNumber),
+    ]);
+    const settings = await readPurchaseSettings(vendingMachine, buyer, BigInt(block.timestamp), blockTag);
+
+    const paymentToken = token === null ? undefined : await readPaymentToken(token, blockTag, settings.now);
+
+    return { buyer, ...quotePurchase({ items, quantities, profile, tiers, settings, promotions, paymentToken }) };
+  }
+
+  async function route(method, url) {
+    if (method !== "GET") {
+      throw new HttpError(405, "Only GET is supported");
+    }
+    const { pathname, searchParams } = new URL(url, "http://localhost");
+    if (pathname === "/abi") {
+      return { block: false, body: { contractName: "VendingMachineV2", abi } };
+    }
+
+    const blockNumber = await provider.getBlockNumber();
+    const respond = (compute) =>
+      cached(blockNumber, `${pathname}?${searchParams}`, compute).then((body) => ({ block: blockNumber, body }));
+
+    if (pathname === "/items") {
+      return respond(() => listItems(blockNumber, searchParams));
+    }
+    let match = pathname.match(/^\/items\/(\d+)$/);
+    if (match) {
+      return respond(() => readItem(BigInt(match[1]), blockNumber));
+    }
+    match = pathname.match(/^\/users\/([^/]+)\/profile$/);
+    if (match) {
+      return respond(() => getProfile(blockNumber, match[1]));
+    }
+    if (pathname === "/quote") {
+      return respond(() => getQuote(blockNumber, searchParams));
+    }
+    throw new HttpError(404, `No route for ${pathname}`);
+  }
+
+  return http.createServer(async (request, response) => {
+    // The API is read-only and public, so any origin (e.g. the React storefront) may call it.
+    response.setHeader("Access-Control-Allow-Origin", "*");
+    response.setHeader("Content-Type", "application/json");
+    try {
+      const { block, body } = await route(request.method, request.url);
+      if (block !== false) {
+        response.setHeader("X-Block-Number", String(block));
+      }
+      response.end(toJson(body));
+    } catch (error) {
+      response.statusCode = error.status || 500;
+      response.end(toJson({ error: error.status ? error.message : "Internal error" }));
+      if (!error.status) {
+        console.error(error);
+      }
+    }
+  });
+}
+
+module.exports = { createApiServer };
@@ -1,12 +1,18 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
-import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/security/Pausable.sol";
-import "@openzeppelin/contracts/access/AccessControl.sol";
-import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
-import "@openzeppelin/contracts/proxy/utils/UUPSUpgradeable.sol";
-import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/AddressUpgradeable.sol";
+import {Catalog} from "./libraries/Catalog.sol";
+import {LoyaltyEngine} from "./libraries/LoyaltyEngine.sol";
+import {Promotions} from "./libraries/Promotions.sol";
+import {PaymentTokens} from "./libraries/PaymentTokens.sol";
+import {Signatures} from "./libraries/Signatures.sol";
+import {Treasury} from "./libraries/Treasury.sol";
 
 /**
  * @title VendingMachineV2
@@ -15,10 +21,10 @@ import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
  * @notice This contract implements a decentralized vending machine with comprehensive features
  */
 contract VendingMachineV2 is
-    ReentrancyGuard,
-    Pausable,
-    AccessControl,
     Initializable,
+    ReentrancyGuardUpgradeable,
+    PausableUpgradeable,
+    AccessControlUpgradeable,
     UUPSUpgradeable
 {
     // --- Constants ---
@@ -26,12 +32,18 @@ contract VendingMachineV2 is
     bytes32 public constant OPERATOR_ROLE = keccak256("OPERATOR_ROLE");
     bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
     
-    uint256 public constant MAX_ITEMS = 1000;
+    // Catalog limits, defined by the `Catalog` library that applies them
+    uint256 public constant MAX_ITEMS = Catalog.MAX_ITEMS;
     uint256 public constant MAX_QUANTITY_PER_PURCHASE = 100;
-    uint256 public constant MIN_PRICE = 0.0001 ether;
-    uint256 public constant MAX_PRICE = 10 ether;
+    uint256 public constant MIN_PRICE = Catalog.MIN_PRICE;
+    uint256 public constant MAX_PRICE = Catalog.MAX_PRICE;
     uint256 public constant MAX_DISCOUNT = 50; // 50%
     uint256 public constant LOYALTY_THRESHOLD = 5; // purchases needed for loyalty
+    // Loyalty limits, defined by the `LoyaltyEngine` library that applies them
+    uint256 public constant POINTS_VALIDITY = LoyaltyEngine.POINTS_VALIDITY;
+    uint256 public constant POINT_REDEMPTION_VALUE = LoyaltyEngine.POINT_REDEMPTION_VALUE;
+    uint256 public constant MAX_LOYALTY_TIERS = LoyaltyEngine.MAX_LOYALTY_TIERS;
+    uint256 public constant MAX_POINTS_MULTIPLIER = LoyaltyEngine.MAX_POINTS_MULTIPLIER;
     
     // --- State Variables ---
     
@@ -83,29 +95,34 @@ contract VendingMachineV2 is
     
     // New: Enhanced analytics
     mapping(string => uint256) public categorySales;
-    mapping(uint256 => uint256) public dailyRevenue; // day => revenue
-    mapping(uint256 => uint256) public monthlyRevenue; // month => revenue
+    mapping(uint256 => uint256) public dailyRevenue; // day => ETH paid, fees included
+    mapping(uint256 => uint256) public monthlyRevenue; // 30-day period => ETH paid, fees included
     
-    // New: Economic controls
-    uint256 public minPurchaseAmount = 0.0001 ether;
-    uint256 public maxPurchaseAmount = 5 ether;
-    uint256 public transactionFee = 0; // basis points (100 = 1%)
+    // New: Economic controls (defaults are set in `initialize`, proxies never run field initializers)
+    uint256 public minPurchaseAmount;
+    uint256 public maxPurchaseAmount;
+    uint256 public transactionFee; // basis points (100 = 1%)
     address public feeRecipient;
     
     // New: Emergency controls
     mapping(address => bool) public emergencyWithdrawers;
-    uint256 public maxDailyWithdrawal = 50 ether;
+    uint256 public maxDailyWithdrawal;
     mapping(uint256 => uint256) public dailyWithdrawn; // day => amount
     
     // New: Rate limiting
     mapping(address => uint256) public lastPurchaseTime;
-    uint256 public purchaseCooldown = 1 minutes;
+    uint256 public purchaseCooldown;
+    // The token of a buyer's last token `purchaseItem`, which the signed `bulkPurchase` used to charge again.
+    // No longer written or read (payments name their token): it keeps its storage slot and its getter, which
+    // returns what was recorded before the upgrade, or the zero address.
     mapping(address => address) public paymentToken;
 
+    // Ordered by threshold. A buyer is in the last tier whose threshold their (unexpired) points reach,
+    // recorded as `UserProfile.loyaltyTier` (1 = the first entry, 0 = no tier yet).
     struct LoyaltyTier {
-        uint256 threshold;
-        uint16 discount;
-        uint256 pointsMultiplier;
+        uint256 threshold; // loyalty points
+        uint16 discount; // basis points, a multiple of 100: applied as the whole percentage `discountRate`
+        uint256 pointsMultiplier; // points earned per 0.001 ether spent
     }
     LoyaltyTier[] public loyaltyTiers;
     
@@ -139,6 +156,11 @@ contract VendingMachineV2 is
         uint256 totalPoints
     );
     
+    event LoyaltyTierChanged(address indexed user, uint256 tier, uint256 discountRate);
+    event LoyaltyPointsExpired(address indexed user, uint256 points);
+    event LoyaltyPointsRedeemed(address indexed user, uint256 points, uint256 value);
+    event LoyaltyTiersUpdated(uint256 tierCount);
+    
     event UserBlacklisted(address indexed user, bool status);
     event EmergencyWithdrawal(address indexed withdrawer, uint256 amount);
     event FeeUpdated(uint256 newFee);
@@ -147,33 +169,23 @@ contract VendingMachineV2 is
     // --- Modifiers ---
     
     modifier validItem(uint256 _itemId) {
-        require(_itemId < items.length, "VM: Invalid item ID");
-        require(items[_itemId].isActive, "VM: Item not active");
+        _requireValidItem(_itemId);
         _;
     }
     
+    // Relayed purchases (`purchaseItemFor`/`bulkPurchaseFor`) run the same checks on the buyer instead of `msg.sender`
     modifier notBlacklisted() {
-        require(!userProfiles[msg.sender].isBlacklisted, "VM: User blacklisted");
+        _requireNotBlacklisted(msg.sender);
         _;
     }
     
     modifier rateLimited() {
-        require(
-            block.timestamp >= lastPurchaseTime[msg.sender] + purchaseCooldown,
-            "VM: Purchase too frequent"
-        );
+        _requireRateLimit(msg.sender);
         _;
     }
     
     modifier validQuantity(uint256 _quantity) {
-        require(_quantity > 0, "VM: Quantity must be positive");
-        require(_quantity <= MAX_QUANTITY_PER_PURCHASE, "VM: Quantity too large");
-        _;
-    }
-    
-    modifier withinPurchaseLimits(uint256 _amount) {
-        require(_amount >= minPurchaseAmount, "VM: Amount too small");
-        require(_amount <= maxPurchaseAmount, "VM: Amount too large");
+        _requireValidQuantity(_quantity);
         _;
     }
     
@@ -200,6 +212,11 @@ contract VendingMachineV2 is
         deploymentTimestamp = block.timestamp;
         feeRecipient = _owner;
         
+        minPurchaseAmount = 0.0001 ether;
+        maxPurchaseAmount = 5 ether;
+        maxDailyWithdrawal = 50 ether;
+        purchaseCooldown = 1 minutes;
+        
         // Initialize with sample items
         _addItem("Premium Coffee", 0.001 ether, 50, 100, "Beverages", "ipfs://QmCoffee");
         _addItem("Energy Drink", 0.0015 ether, 30, 50, "Beverages", "ipfs://QmEnergy");
@@ -216,13 +233,14 @@ contract VendingMachineV2 is
     
     // Add circuit breaker modifier
     modifier emergencyStopEnabled() {
-        require(emergencyState == EmergencyState.Operational, "VM: Emergency stop active");
+        _requireOperational();
         _;
     }
     
     // Update function signatures to include modifier
     function purchaseItem(uint256 _itemId, uint256 _quantity, address tokenAddress)
         external
+        payable
         nonReentrant
         whenNotPaused
         emergencyStopEnabled
@@ -231,77 +249,84 @@ contract VendingMachineV2 is
         rateLimited
         validQuantity(_quantity)
     {
+        _processPurchase(msg.sender, _itemId, _quantity, tokenAddress, 0);
+    }
+    
+    // Pays part of the price with loyalty points (`POINT_REDEMPTION_VALUE` each) and the rest in ETH.
+    // Points are only earned on the ETH part, and count towards `MAX_DISCOUNT` with the other discounts.
+    function purchaseItemWithPoints(uint256 _itemId, uint256 _quantity, uint256 _points)
+        external
+        payable
+        nonReentrant
+        whenNotPaused
+        emergencyStopEnabled
+        validItem(_itemId)
+        notBlacklisted
+        rateLimited
+        validQuantity(_quantity)
+    {
+        _processPurchase(msg.sender, _itemId, _quantity, address(0), _points);
+    }
+    
+    // The plain and the signed `purchaseItem` buy for the caller. (A separate overload because the signed one
+    // has no stack slot left for the extra arguments.)
+    function _processPurchase(uint256 _itemId, uint256 _quantity, address tokenAddress) internal {
+        _processPurchase(msg.sender, _itemId, _quantity, tokenAddress, 0);
+    }
+    
+    // Shared by every single-item purchase; callers apply the other modifiers.
+    // `buyer` gets the items, points and purchase record; `msg.sender` pays and gets the refund.
+    function _processPurchase(
+        address buyer,
+        uint256 _itemId,
+        uint256 _quantity,
+        address tokenAddress,
+        uint256 pointsToRedeem
+    ) internal {
+        // Expired points and tier changes apply before pricing, so the discount is the buyer's current one
+        uint256 multiplier = _refreshLoyalty(buyer);
+        uint256 totalPrice = _calculatePrice(_itemId, _quantity, buyer);
+        require(totalPrice >= minPurchaseAmount, "VM: Amount too small");
+        require(totalPrice <= maxPurchaseAmount, "VM: Amount too large");
+        
         Item storage item = items[_itemId];
         require(item.supply >= _quantity, "VM: Insufficient supply");
         
-        uint256 totalPrice = _calculatePrice(_itemId, _quantity, msg.sender);
+        // What is left to pay after the redeemed points
+        uint256 amountDue = totalPrice;
+        if (pointsToRedeem > 0) {
+            amountDue -= LoyaltyEngine.redeem(
+                userProfiles[buyer],
+                buyer,
+                pointsToRedeem,
+                totalPrice,
+                item.price * _quantity,
+                MAX_DISCOUNT
+            );
+        }
         
         if (tokenAddress == address(0)) {
-            require(msg.value >= totalPrice, "VM: Insufficient ETH");
+            require(msg.value >= amountDue, "VM: Insufficient ETH");
         } else {
-            IERC20 token = IERC20(tokenAddress);
-            require(token.allowance(msg.sender, address(this)) >= totalPrice, "VM: Insufficient allowance");
-            token.transferFrom(msg.sender, address(this), totalPrice);
-            paymentToken[msg.sender] = tokenAddress;
+            _collectToken(tokenAddress, amountDue);
         }
         
         // Update state
-        item.supply -= _quantity;
-        item.salesCount += _quantity;
+        item.supply -= uint128(_quantity);
+        item.salesCount += uint64(_quantity);
         totalItemsSold += _quantity;
         
-        // Update user profile and loyalty
-        UserProfile storage profile = userProfiles[msg.sender];
-        profile.totalPurchases += _quantity;
-        profile.totalSpent += totalPrice;
-        profile.lastPurchase = block.timestamp;
-        
-        // Calculate loyalty points (1 point per 0.001 ether spent)
-        uint256 pointsEarned = totalPrice / 0.001 ether;
-        profile.loyaltyPoints += pointsEarned;
-        
-        // Update loyalty discount based on points
-        if (profile.loyaltyPoints >= 100 && profile.discountRate < 10) {
-            profile.discountRate = 10; // 10% discount for 100+ points
-        } else if (profile.loyaltyPoints >= 50 && profile.discountRate < 5) {
-            profile.discountRate = 5; // 5% discount for 50+ points
-        }
+        // Loyalty points: 1 point per 0.001 ether paid, times the tier's multiplier
+        uint256 pointsEarned = (amountDue / 0.001 ether) * multiplier;
         
         // Record purchase
-        purchaseHistory[msg.sender].push(PurchaseRecord({
-            timestamp: block.timestamp,
-            itemId: _itemId,
-            quantity: _quantity,
-            amountPaid: totalPrice,
-            blockNumber: block.number
-        }));
+        _recordPurchase(buyer, _itemId, _quantity, amountDue);
         
-        // Update analytics
-        uint256 today = block.timestamp / 1 days;
-        uint256 month = block.timestamp / 30 days;
-        dailyRevenue[today] += totalPrice;
-        monthlyRevenue[month] += totalPrice;
         categorySales[item.category] += _quantity;
         
-        // Handle fees
-        uint256 fee = (totalPrice * transactionFee) / 10000;
-        uint256 netRevenue = totalPrice - fee;
-        totalRevenue += netRevenue;
-        
-        if (fee > 0 && feeRecipient != address(0)) {
-            payable(feeRecipient).transfer(fee);
-        }
-        
-        // Refund excess payment
-        if (msg.value > totalPrice) {
-            payable(msg.sender).transfer(msg.value - totalPrice);
-        }
-        
-        // Update rate limiting
-        lastPurchaseTime[msg.sender] = block.timestamp;
-        
-        emit ItemPurchased(msg.sender, _itemId, item.name, _quantity, totalPrice, pointsEarned);
-        emit LoyaltyPointsEarned(msg.sender, pointsEarned, profile.loyaltyPoints);
+        emit ItemPurchased(buyer, _itemId, item.name, _quantity, amountDue, pointsEarned);
+        _creditBuyer(buyer, _quantity, amountDue, pointsEarned);
+        _settlePurchase(buyer, amountDue, tokenAddress);
     }
     
     function bulkPurchase(uint256[] calldata _itemIds, uint256[] calldata _quantities)
@@ -313,92 +338,123 @@ contract VendingMachineV2 is
         notBlacklisted
         rateLimited
     {
+        _processBulkPurchase(_itemIds, _quantities);
+    }
+    
+    // The plain and the signed `bulkPurchase` buy for the caller (see the `_processPurchase` overload)
+    function _processBulkPurchase(uint256[] calldata _itemIds, uint256[] calldata _quantities) internal {
+        _processBulkPurchase(msg.sender, _itemIds, _quantities);
+    }
+    
+    // Shared by the plain, the signed and the relayed `bulkPurchase`; callers apply the modifiers.
+    // Bulk purchases are paid in ETH.
+    function _processBulkPurchase(
+        address buyer,
+        uint256[] calldata _itemIds,
+        uint256[] calldata _quantities
+    ) internal {
         require(_itemIds.length == _quantities.length, "VM: Array length mismatch");
         require(_itemIds.length > 0 && _itemIds.length <= 20, "VM: Invalid array length");
         
-        uint256 totalCost = 0;
-        uint256 totalQty = 0;
+        uint256 multiplier = _refreshLoyalty(buyer);
         
-        // Pre-validate all items and calculate total cost
-        for (uint256 i = 0; i < _itemIds.length; i++) {
-            require(_itemIds[i] < items.length, "VM: Invalid item ID");
-            require(items[_itemIds[i]].isActive, "VM: Item not active");
-            require(_quantities[i] > 0 && _quantities[i] <= MAX_QUANTITY_PER_PURCHASE, "VM: Invalid quantity");
-            require(items[_itemIds[i]].supply >= _quantities[i], "VM: Insufficient supply");
-            
-            totalCost += _calculatePrice(_itemIds[i], _quantities[i], msg.sender);
-            totalQty += _quantities[i];
-        }
+        // Pre-validate all items
+        uint256 totalQty = Catalog.checkOrder(items, _itemIds, _quantities, MAX_QUANTITY_PER_PURCHASE);
         
+        // Lines are priced once, as they are delivered: a capped promotion used by one line may not cover the next.
+        // Checking the total afterwards is safe, a revert undoes the delivery.
+        (uint256 totalCost, uint256 pointsEarned) = _deliverBulkPurchase(buyer, _itemIds, _quantities, multiplier);
         require(totalCost >= minPurchaseAmount && totalCost <= maxPurchaseAmount, "VM: Amount out of range");
         require(msg.value >= totalCost, "VM: Insufficient payment");
         
-        // Process all purchases
-        uint256 totalPointsEarned = 0;
+        _creditBuyer(buyer, totalQty, totalCost, pointsEarned);
+        
+        // Update global state
+        totalItemsSold += totalQty;
+        
+        _settlePurchase(buyer, totalCost, address(0));
+    }
+    
+    // The per-item part of a bulk purchase (prices, stock, records, events); returns the total cost and points earned
+    function _deliverBulkPurchase(
+        address buyer,
+        uint256[] calldata _itemIds,
+        uint256[] calldata _quantities,
+        uint256 multiplier
+    ) internal returns (uint256 totalCost, uint256 totalPointsEarned) {
         for (uint256 i = 0; i < _itemIds.length; i++) {
             uint256 itemId = _itemIds[i];
             uint256 quantity = _quantities[i];
-            uint256 itemCost = _calculatePrice(itemId, quantity, msg.sender);
+            uint256 itemCost = _calculatePrice(itemId, quantity, buyer);
+            totalCost += itemCost;
             
             // Update item state
-            items[itemId].supply -= quantity;
-            items[itemId].salesCount += quantity;
+            items[itemId].supply -= uint128(quantity);
+            items[itemId].salesCount += uint64(quantity);
             
             // Record individual purchase
-            purchaseHistory[msg.sender].push(PurchaseRecord({
-                timestamp: block.timestamp,
-                itemId: itemId,
-                quantity: quantity,
-                amountPaid: itemCost,
-                blockNumber: block.number
-            }));
+            _recordPurchase(buyer, itemId, quantity, itemCost);
             
             // Update category sales
             categorySales[items[itemId].category] += quantity;
             
-            uint256 pointsEarned = itemCost / 0.001 ether;
+            uint256 pointsEarned = (itemCost / 0.001 ether) * multiplier;
             totalPointsEarned += pointsEarned;
             
-            emit ItemPurchased(msg.sender, itemId, items[itemId].name, quantity, itemCost, pointsEarned);
-        }
-        
-        // Update user profile
-        UserProfile storage profile = userProfiles[msg.sender];
-        profile.totalPurchases += totalQty;
-        profile.totalSpent += totalCost;
-        profile.loyaltyPoints += totalPointsEarned;
-        profile.lastPurchase = block.timestamp;
-        
-        // Update global state
-        totalItemsSold += totalQty;
-        
-        // Update analytics
-        uint256 today = block.timestamp / 1 days;
-        uint256 month = block.timestamp / 30 days;
-        dailyRevenue[today] += totalCost;
-        monthlyRevenue[month] += totalCost;
-        
-        // Handle fees
-        uint256 fee = (totalCost * transactionFee) / 10000;
-        uint256 netRevenue = totalCost - fee;
-        totalRevenue += netRevenue;
-        
-        if (fee > 0 && feeRecipient != address(0)) {
-            payable(feeRecipient).transfer(fee);
+            emit ItemPurchased(buyer, itemId, items[itemId].name, quantity, itemCost, pointsEarned);
         }
-        
-        // Refund excess
-        if (msg.value > totalCost) {
-            payable(msg.sender).transfer(msg.value - totalCost);
+    }
+    
+    function _recordPurchase(address buyer, uint256 itemId, uint256 quantity, uint256 amountPaid) internal {
+        purchaseHistory[buyer].push(PurchaseRecord({
+            timestamp: uint64(block.timestamp),
+            itemId: uint32(itemId),
+            quantity: uint32(quantity),
+            amountPaid: uint128(amountPaid),
+            blockNumber: uint64(block.number)
+        }));
+    }
+    
+    // Revenue analytics, the treasury credit, the refund and the rate limit: the end of every purchase, single or
+    // bulk. `totalCost` is the price in wei, whatever it was paid with.
+    function _settlePurchase(address buyer, uint256 totalCost, address tokenAddress) internal {
+        // Token payments were credited in the token when they were collected (`_collectToken`)
+        if (tokenAddress == address(0)) {
+            // ETH only, like `totalRevenue`: the buckets add up to `totalRevenue` plus the ETH fees
+            dailyRevenue[block.timestamp / 1 days] += totalCost;
+            monthlyRevenue[block.timestamp / 30 days] += totalCost;
+            _creditRevenue(address(0), totalCost);
+            
+            // Refund excess payment, with a plain `call` like `Treasury`'s payouts: `transfer`'s 2300 gas isn't
+            // enough for a smart wallet, a multisig or a relayer contract
+            if (msg.value > totalCost) {
+                AddressUpgradeable.sendValue(payable(msg.sender), msg.value - totalCost);
+            }
         }
         
-        lastPurchaseTime[msg.sender] = block.timestamp;
-        
-        emit LoyaltyPointsEarned(msg.sender, totalPointsEarned, profile.loyaltyPoints);
+        // Update rate limiting
+        lastPurchaseTime[buyer] = block.timestamp;
+    }
+    
+    // --- Loyalty ---
+    // The engine itself is the `LoyaltyEngine` library (contracts/libraries/LoyaltyEngine.sol); these wrappers keep
+    // one call site per library function, since every external library call adds its ABI encoding to the bytecode.
+    
+    function _refreshLoyalty(address buyer) internal returns (uint256 multiplier) {
+        return LoyaltyEngine.refresh(userProfiles[buyer], loyaltyTiers, buyer);
+    }
+    
+    function _creditBuyer(address buyer, uint256 quantity, uint256 amountPaid, uint256 pointsEarned) internal {
+        LoyaltyEngine.credit(userProfiles[buyer], loyaltyTiers, buyer, quantity, amountPaid, pointsEarned);
     }
     
     // --- Admin Functions ---
     
+    // Replaces the whole tier table (see `LoyaltyEngine.setTiers` for the rules)
+    function setLoyaltyTiers(LoyaltyTier[] calldata _tiers) external onlyRole(ADMIN_ROLE) {
+        LoyaltyEngine.setTiers(loyaltyTiers, _tiers, MAX_DISCOUNT * 100);
+    }
+    
     function addItem(
         string calldata _name,
         uint256 _price,
@@ -407,18 +463,14 @@ contract VendingMachineV2 is
         string calldata _category,
         string calldata _imageURI
     ) external onlyRole(ADMIN_ROLE) {
-        require(items.length < MAX_ITEMS, "VM: Max items reached");
-        require(bytes(_name).length > 0, "VM: Empty name");
-        require(_price >= MIN_PRICE && _price <= MAX_PRICE, "VM: Price out of range");
-        require(_supply <= _maxSupply, "VM: Supply exceeds max");
-        
         _addItem(_name, _price, _supply, _maxSupply, _category, _imageURI);
     }
     
     // Add category tracking mapping
     mapping(bytes32 => uint256[]) private _categoryItems;
     
-    // Modified _addItem function
+    // Shared by `addItem` and `initialize`. Catalog management is the `Catalog` library
+    // (contracts/libraries/Catalog.sol), which also checks the limits.
     function _addItem(
         string memory _name,
         uint256 _price,
@@ -427,44 +479,20 @@ contract VendingMachineV2 is
         string memory _category,
         string memory _imageURI
     ) internal {
-        uint256 itemId = items.length;
-        bytes32 categoryHash = keccak256(bytes(_category));
-        
-        items.push(Item({
-            name: _name,
-            price: _price,
-            supply: _supply,
-            maxSupply: _maxSupply,
-            isActive: true,
-            imageURI: _imageURI,
-            category: _category,
-            lastRestocked: block.timestamp,
-            salesCount: 0
-        }));
-        
-        emit ItemAdded(items.length - 1, _name, _price, _supply, _category);
+        Catalog.add(items, _categoryItems, _name, _price, _supply, _maxSupply, _category, _imageURI);
     }
     
     // Update all struct references with casting where needed
-function restockItem(uint256 _itemId, uint256 _quantity) external onlyRole(OPERATOR_ROLE) {
-    Item storage item = items[_itemId];
-    item.supply = uint128(uint256(item.supply) + _quantity);
-    item.lastRestocked = uint64(block.timestamp);
-}
+    function restockItem(uint256 _itemId, uint256 _quantity) external onlyRole(OPERATOR_ROLE) {
+        Catalog.restock(items, _itemId, _quantity);
+    }
     
     // Batch price update
     function batchUpdatePrices(uint256[] calldata _itemIds, uint256[] calldata _newPrices) 
         external 
         onlyRole(ADMIN_ROLE)
     {
-        require(_itemIds.length == _newPrices.length, "VM: Array length mismatch");
-        require(_itemIds.length <= 50, "VM: Batch too large");
-        
-        for (uint256 i = 0; i < _itemIds.length; i++) {
-            require(_itemIds[i] < items.length, "VM: Invalid item ID");
-            require(_newPrices[i] >= MIN_PRICE && _newPrices[i] <= MAX_PRICE, "VM: Price out of range");
-            items[_itemIds[i]].price = _newPrices[i];
-        }
+        Catalog.updatePrices(items, _itemIds, _newPrices);
     }
     
     // Batch restock
@@ -472,15 +500,7 @@ function restockItem(uint256 _itemId, uint256 _quantity) external onlyRole(OPERA
         uint256[] calldata _itemIds,
         uint256[] calldata _quantities
     ) external onlyRole(OPERATOR_ROLE) {
-        require(_itemIds.length == _quantities.length, "VM: Array length mismatch");
-        require(_itemIds.length <= 100, "VM: Batch too large");
-    
-        for (uint256 i = 0; i < _itemIds.length; i++) {
-            Item storage item = items[_itemIds[i]];
-            require(item.supply + _quantities[i] <= item.maxSupply, "VM: Exceeds max supply");
-            item.supply += uint128(_quantities[i]);
-            item.lastRestocked = uint64(block.timestamp);
-        }
+        Catalog.restockBatch(items, _itemIds, _quantities);
     }
     
     // Batch toggle activation
@@ -488,12 +508,7 @@ function restockItem(uint256 _itemId, uint256 _quantity) external onlyRole(OPERA
         external
         onlyRole(OPERATOR_ROLE)
     {
-        require(_itemIds.length == _statuses.length, "VM: Array length mismatch");
-        
-        for (uint256 i = 0; i < _itemIds.length; i++) {
-            require(_itemIds[i] < items.length, "VM: Invalid item ID");
-            items[_itemIds[i]].isActive = _statuses[i];
-        }
+        Catalog.setActive(items, _itemIds, _statuses);
     }
     
     function blacklistUser(address _user, bool _status) 
@@ -529,19 +544,8 @@ function restockItem(uint256 _itemId, uint256 _quantity) external onlyRole(OPERA
         external 
         onlyRole(ADMIN_ROLE) 
     {
-        if(tokenAddress != address(0)) {
-            IERC20 token = IERC20(tokenAddress);
-            token.transfer(msg.sender, _amount);
-        } else {
-        uint256 today = block.timestamp / 1 days;
-        require(
-            dailyWithdrawn[today] + _amount <= maxDailyWithdrawal,
-            "VM: Daily limit exceeded"
-        );
-        
-        dailyWithdrawn[today] += _amount;
-        payable(msg.sender).transfer(_amount);
-        }
+        // Never what the payees are owed, and ETH at most `maxDailyWithdrawal` a day
+        Treasury.withdrawSurplus(treasury, dailyWithdrawn, maxDailyWithdrawal, tokenAddress, _amount);
         
         emit EmergencyWithdrawal(msg.sender, _amount);
     }
@@ -556,20 +560,50 @@ function restockItem(uint256 _itemId, uint256 _quantity) external onlyRole(OPERA
     
     // --- View Functions ---
     
+    // The loyalty `discountRate` plus the best running promotion, at most `MAX_DISCOUNT` together (see
+    // `Promotions.price`). Not a view: it records the promotional units against the buyer's cap, so call it once
+    // per purchased line.
     function _calculatePrice(uint256 _itemId, uint256 _quantity, address _buyer) 
         internal 
-        view 
         returns (uint256) 
     {
-        uint256 basePrice = items[_itemId].price * _quantity;
-        uint256 discount = userProfiles[_buyer].discountRate;
-        
-        if (discount > 0) {
-            uint256 discountAmount = (basePrice * discount) / 100;
-            return basePrice - discountAmount;
-        }
-        
-        return basePrice;
+        return Promotions.price(
+            promotions,
+            livePromotions,
+            promotionRedemptions,
+            items[_itemId],
+            _itemId,
+            _quantity,
+            _buyer,
+            userProfiles[_buyer].discountRate,
+            MAX_DISCOUNT
+        );
+    }
+    
+    // Functions rather than modifier bodies: modifier code is copied into every function that uses it
+    function _requireValidItem(uint256 _itemId) internal view {
+        require(_itemId < items.length, "VM: Invalid item ID");
+        require(items[_itemId].isActive, "VM: Item not active");
+    }
+    
+    function _requireValidQuantity(uint256 _quantity) internal pure {
+        require(_quantity > 0, "VM: Quantity must be positive");
+        require(_quantity <= MAX_QUANTITY_PER_PURCHASE, "VM: Quantity too large");
+    }
+    
+    function _requireOperational() internal view {
+        require(emergencyState == EmergencyState.Operational, "VM: Emergency stop active");
+    }
+    
+    function _requireNotBlacklisted(address _buyer) internal view {
+        require(!userProfiles[_buyer].isBlacklisted, "VM: User blacklisted");
+    }
+    
+    function _requireRateLimit(address _buyer) internal view {
+        require(
+            block.timestamp >= lastPurchaseTime[_buyer] + purchaseCooldown,
+            "VM: Purchase too frequent"
+        );
     }
     
     function getPurchaseHistory(address _user, uint256 _offset, uint256 _limit)
@@ -600,6 +634,10 @@ function restockItem(uint256 _itemId, uint256 _quantity) external onlyRole(OPERA
         return result;
     }
     
+    function getLoyaltyTiers() external view returns (LoyaltyTier[] memory) {
+        return loyaltyTiers;
+    }
+    
     // Optimized getItemsByCategory
     function getBulkCategoryItems(string[] calldata _categories)
         external
@@ -655,103 +693,272 @@ function restockItem(uint256 _itemId, uint256 _quantity) external onlyRole(OPERA
     receive() external payable {
         // Accept direct ETH deposits
     }
-}
-
-// Add emergency control functions
-function activateFullEmergencyStop() external onlyRole(ADMIN_ROLE) {
-    emergencyState = EmergencyState.FullPause;
-    _pause(); // Automatically pause contract
-    emit EmergencyStopActivated(msg.sender, EmergencyState.FullPause);
-}
-
-function activatePartialEmergency() external onlyRole(ADMIN_ROLE) {
-    emergencyState = EmergencyState.PartialPause;
-    emit EmergencyStopActivated(msg.sender, EmergencyState.PartialPause);
-}
-
-function resumeNormalOperations() external onlyRole(ADMIN_ROLE) {
-    emergencyState = EmergencyState.Operational;
-    _unpause();
-    emit EmergencyStopActivated(msg.sender, EmergencyState.Operational);
-}
-
-// Add nonce tracking
-mapping(address => uint256) public nonces;
-
-event NonceUsed(address indexed user, uint256 nonce);
-
-// Create modifier for signature verification
-modifier withSignature(
-    bytes32 hash,
-    uint8 v,
-    bytes32 r,
-    bytes32 s,
-    uint256 nonce
-) {
-    bytes32 ethSignedHash = keccak256(
-        abi.encodePacked("\x19Ethereum Signed Message:\n32", hash)
-    );
     
-    require(ecrecover(ethSignedHash, v, r, s) == msg.sender, "VM: Invalid signature");
-    require(nonces[msg.sender] < nonce, "VM: Replayed transaction");
-    nonces[msg.sender] = nonce;
-    emit NonceUsed(msg.sender, nonce);
-    _;
-}
-
-// Update purchase functions with signature verification
-function purchaseItem(uint256 _itemId, uint256 _quantity, uint256 nonce, bytes32 hash, uint8 v, bytes32 r, bytes32 s)
-    external
-    payable
-    withSignature(hash, v, r, s, nonce)
-    validItem(_itemId)
-    notBlacklisted
-    rateLimited
-    validQuantity(_quantity)
-{
-    require(
-        hash == keccak256(abi.encode(_itemId, _quantity, nonce)),
-        "VM: Hash mismatch"
-    );
+    // Add emergency control functions
+    function activateFullEmergencyStop() external onlyRole(ADMIN_ROLE) {
+        emergencyState = EmergencyState.FullPause;
+        _pause(); // Automatically pause contract
+        emit EmergencyStopActivated(msg.sender, EmergencyState.FullPause);
+    }
     
-    // Actual purchase execution happens here
-    _processPurchase(_itemId, _quantity); // Internal function call
-}
-
-function bulkPurchase(uint256[] calldata _itemIds, uint256[] calldata _quantities, uint256 nonce, bytes32 hash, uint8 v, bytes32 r, bytes32 s)
-    external
-    payable
-    withSignature(hash, v, r, s, nonce)
-    validItem(_itemId)
-    notBlacklisted
-    rateLimited
-{
-    require(
-        hash == keccak256(abi.encode(_itemIds, _quantities, nonce)),
-        "VM: Hash mismatch"
-    );
-    require(_itemIds.length == _quantities.length, "VM: Array length mismatch");
-        
-        uint256 totalPrice;
-        for (uint256 i = 0; i < _itemIds.length; i++) {
-            Item storage item = items[_itemIds[i]];
-            require(item.supply >= _quantities[i], "VM: Insufficient supply");
-            totalPrice += _calculatePrice(_itemIds[i], _quantities[i], msg.sender);
+    function activatePartialEmergency() external onlyRole(ADMIN_ROLE) {
+        emergencyState = EmergencyState.PartialPause;
+        emit EmergencyStopActivated(msg.sender, EmergencyState.PartialPause);
+    }
+    
+    function resumeNormalOperations() external onlyRole(ADMIN_ROLE) {
+        emergencyState = EmergencyState.Operational;
+        // A partial emergency doesn't pause the contract, so there may be nothing to unpause
+        if (paused()) {
+            _unpause();
         }
-
-        if (paymentToken[msg.sender] == address(0)) {
-            require(msg.value >= totalPrice, "VM: Insufficient ETH");
+        emit EmergencyStopActivated(msg.sender, EmergencyState.Operational);
+    }
+    
+    // Add nonce tracking
+    mapping(address => uint256) public nonces;
+    
+    event NonceUsed(address indexed user, uint256 nonce);
+    
+    // Create modifier for signature verification
+    modifier withSignature(
+        bytes32 hash,
+        uint8 v,
+        bytes32 r,
+        bytes32 s,
+        uint256 nonce
+    ) {
+        _useSignature(hash, v, r, s, nonce);
+        _;
+    }
+    
+    // Checks that the caller signed `hash` and consumes `nonce` (see `Signatures`)
+    function _useSignature(bytes32 hash, uint8 v, bytes32 r, bytes32 s, uint256 nonce) internal {
+        Signatures.useEthSign(nonces, hash, v, r, s, nonce);
+    }
+    
+    // Update purchase functions with signature verification
+    function purchaseItem(uint256 _itemId, uint256 _quantity, uint256 nonce, bytes32 hash, uint8 v, bytes32 r, bytes32 s)
+        external
+        payable
+        nonReentrant
+        whenNotPaused
+        emergencyStopEnabled
+        withSignature(hash, v, r, s, nonce)
+        validItem(_itemId)
+        notBlacklisted
+        rateLimited
+        validQuantity(_quantity)
+    {
+        require(
+            hash == keccak256(abi.encode(_itemId, _quantity, nonce)),
+            "VM: Hash mismatch"
+        );
+        
+        // Actual purchase execution happens here
+        _processPurchase(_itemId, _quantity, address(0)); // Internal function call
+    }
+    
+    function bulkPurchase(uint256[] calldata _itemIds, uint256[] calldata _quantities, uint256 nonce, bytes32 hash, uint8 v, bytes32 r, bytes32 s)
+        external
+        payable
+        nonReentrant
+        whenNotPaused
+        emergencyStopEnabled
+        withSignature(hash, v, r, s, nonce)
+        notBlacklisted
+        rateLimited
+    {
+        require(
+            hash == keccak256(abi.encode(_itemIds, _quantities, nonce)),
+            "VM: Hash mismatch"
+        );
+        
+        _processBulkPurchase(_itemIds, _quantities);
+    }
+    
+    // --- Relayed (EIP-712) Purchases ---
+    // The buyer signs typed data off-chain and anyone (usually a relayer) submits it, paying the ETH and the gas.
+    // Unlike the `eth_sign` overloads above, the signature is bound to this contract and chain by the domain.
+    // The checks are in the `Signatures` library (contracts/libraries/Signatures.sol); see `relayer/client.js` for
+    // the JS side.
+    
+    function purchaseItemFor(address buyer, uint256 _itemId, uint256 _quantity, uint256 nonce, uint256 deadline, uint8 v, bytes32 r, bytes32 s)
+        external
+        payable
+        nonReentrant
+        whenNotPaused
+        emergencyStopEnabled
+        validItem(_itemId)
+        validQuantity(_quantity)
+    {
+        _requireNotBlacklisted(buyer);
+        _requireRateLimit(buyer);
+        Signatures.usePurchase(nonces, buyer, _itemId, _quantity, nonce, deadline, v, r, s);
+        
+        _processPurchase(buyer, _itemId, _quantity, address(0), 0);
+    }
+    
+    function bulkPurchaseFor(address buyer, uint256[] calldata _itemIds, uint256[] calldata _quantities, uint256 nonce, uint256 deadline, uint8 v, bytes32 r, bytes32 s)
+        external
+        payable
+        nonReentrant
+        whenNotPaused
+        emergencyStopEnabled
+    {
+        _requireNotBlacklisted(buyer);
+        _requireRateLimit(buyer);
+        Signatures.useBulkPurchase(nonces, buyer, _itemIds, _quantities, nonce, deadline, v, r, s);
+        
+        _processBulkPurchase(buyer, _itemIds, _quantities);
+    }
+    
+    // --- Payment Tokens ---
+    // ERC20 tokens admins accept for `purchaseItem`. Prices stay in wei; a token payment is the token amount worth
+    // the price, from the token's fixed rate or price feed. The logic is in the `PaymentTokens` library
+    // (contracts/libraries/PaymentTokens.sol); `api/pricing.js` quotes token amounts off-chain.
+    
+    struct PaymentTokenConfig {
+        bool accepted;
+        uint8 decimals; // the token's
+        uint8 feedDecimals; // of the price: the feed's, or 18 for a fixed rate in wei
+        uint64 maxPriceAge; // seconds a feed answer stays usable
+        address priceFeed; // Chainlink-style `<token> / ETH` feed, or zero for `fixedRate`
+        uint256 fixedRate; // wei per whole token, without a feed
+    }
+    
+    mapping(address => PaymentTokenConfig) public paymentTokens;
+    // Net token revenue (after fees) per token, in the token's smallest unit; `totalRevenue` for tokens
+    mapping(address => uint256) public tokenRevenue;
+    
+    event PaymentTokenConfigured(address indexed token, address priceFeed, uint256 fixedRate, uint256 maxPriceAge);
+    event PaymentTokenRemoved(address indexed token);
+    event TokenPayment(address indexed payer, address indexed token, uint256 amount, uint256 value);
+    
+    // `value` wei worth of an accepted token, from the buyer (`msg.sender`)
+    function _collectToken(address tokenAddress, uint256 value) internal {
+        require(msg.value == 0, "VM: ETH sent with token payment");
+        _creditRevenue(tokenAddress, PaymentTokens.collect(paymentTokens[tokenAddress], tokenAddress, value));
+    }
+    
+    // Accepts a token, or changes its price source: a `priceFeed` with answers at most `maxPriceAge` seconds old,
+    // or a `fixedRate` in wei per whole token
+    function setPaymentToken(address token, address priceFeed, uint256 fixedRate, uint64 maxPriceAge)
+        external
+        onlyRole(ADMIN_ROLE)
+    {
+        PaymentTokens.configure(paymentTokens, token, priceFeed, fixedRate, maxPriceAge);
+    }
+    
+    function removePaymentToken(address token) external onlyRole(ADMIN_ROLE) {
+        PaymentTokens.remove(paymentTokens, token);
+    }
+    
+    // --- Treasury ---
+    // Purchases credit balances that payees withdraw themselves (`withdrawRevenue`): the fee to `feeRecipient`, the
+    // rest split between the payees by their shares. The logic is in the `Treasury` library
+    // (contracts/libraries/Treasury.sol); `scripts/payouts.js` reports what each payee is owed.
+    
+    struct Payee {
+        address account;
+        uint16 shares; // basis points of the net revenue; all payees together have 10000
+    }
+    
+    struct TreasuryState {
+        Payee[] payees;
+        mapping(address => mapping(address => uint256)) balances; // account => token (zero = ETH) => owed
+        mapping(address => uint256) totalOwed; // token => sum of `balances`
+        mapping(address => uint256) totalReleased; // token => withdrawn by payees
+        mapping(address => uint256) totalFees; // token => fees credited to `feeRecipient`
+    }
+    
+    TreasuryState private treasury;
+    
+    event PayeesUpdated(uint256 payeeCount);
+    event RevenueWithdrawn(address indexed payee, address indexed token, uint256 amount);
+    
+    // Payee limits, defined by the `Treasury` library that applies them
+    uint256 public constant MAX_PAYEES = Treasury.MAX_PAYEES;
+    
+    // Books `amount` paid in `token` (zero = ETH): balances for the fee recipient and payees, net revenue here
+    function _creditRevenue(address token, uint256 amount) internal {
+        uint256 netRevenue = Treasury.credit(treasury, token, amount, transactionFee, feeRecipient);
+        if (token == address(0)) {
+            totalRevenue += netRevenue;
         } else {
-            IERC20 token = IERC20(paymentToken[msg.sender]);
-            require(token.balanceOf(msg.sender) >= totalPrice, "VM: Insufficient balance");
-            token.transferFrom(msg.sender, address(this), totalPrice);
-        }
-
-        for (uint256 i = 0; i < _itemIds.length; i++) {
-            Item storage item = items[_itemIds[i]];
-            item.supply -= _quantities[i];
-            _updateLoyalty(msg.sender, _quantities[i], item.price);
+            tokenRevenue[token] += netRevenue;
         }
-
-        emit BulkPurchase(msg.sender, _itemIds, _quantities, totalPrice);
-}
\ No newline at end of file
+    }
+    
+    // Replaces the payees (see `Treasury.setPayees` for the rules); future revenue is split between the new ones
+    function setPayees(Payee[] calldata _payees) external onlyRole(ADMIN_ROLE) {
+        Treasury.setPayees(treasury, _payees);
+    }
+    
+    // Pays the caller their whole balance of `token` (zero = ETH). Works while paused, like any withdrawal of funds
+    // that are already owed.
+    function withdrawRevenue(address token) external nonReentrant {
+        Treasury.withdraw(treasury, token);
+    }
+    
+    function getPayees() external view returns (Payee[] memory) {
+        return treasury.payees;
+    }
+    
+    function payeeBalance(address account, address token) external view returns (uint256) {
+        return treasury.balances[account][token];
+    }
+    
+    // Treasury accounting for one token (zero = ETH), for reconciling against `totalRevenue`/`tokenRevenue`
+    function treasuryTotals(address token) external view returns (uint256 owed, uint256 released, uint256 fees) {
+        return (treasury.totalOwed[token], treasury.totalReleased[token], treasury.totalFees[token]);
+    }
+    
+    // --- Promotions ---
+    // Scheduled discounts on an item or a category, on top of the loyalty discount (see `_calculatePrice`). The
+    // logic is in the `Promotions` library (contracts/libraries/Promotions.sol); `api/pricing.js` quotes them.
+    
+    struct Promotion {
+        uint64 startTime; // first second it applies
+        uint64 endTime; // first second it no longer applies
+        uint32 itemId; // the item, for an item promotion
+        uint32 maxPerUser; // units each buyer gets at the promotional price; 0 = no cap
+        bool isFixed; // `discount` is wei off each unit, otherwise basis points off the price
+        uint128 discount;
+        bytes32 category; // keccak256 of the category for a category promotion, zero for an item promotion
+    }
+    
+    Promotion[] public promotions;
+    // Promotions not known to have ended, at most `MAX_LIVE_PROMOTIONS`; the ones pricing looks at
+    uint256[] private livePromotions;
+    mapping(uint256 => mapping(address => uint256)) public promotionRedemptions; // promotion => buyer => units
+    
+    event PromotionCreated(
+        uint256 indexed promotionId,
+        uint256 itemId,
+        bytes32 category,
+        uint256 startTime,
+        uint256 endTime,
+        bool isFixed,
+        uint256 discount,
+        uint256 maxPerUser
+    );
+    event PromotionEnded(uint256 indexed promotionId);
+    event PromotionApplied(uint256 indexed promotionId, address indexed buyer, uint256 indexed itemId, uint256 units, uint256 discount);
+    
+    // Promotion limits, defined by the `Promotions` library that applies them
+    uint256 public constant MAX_LIVE_PROMOTIONS = Promotions.MAX_LIVE_PROMOTIONS;
+    
+    // Schedules a promotion (see `Promotions.create` for the rules); prices don't change until `startTime`
+    function createPromotion(Promotion calldata _promotion) external onlyRole(ADMIN_ROLE) returns (uint256) {
+        return Promotions.create(promotions, livePromotions, items, _categoryItems, _promotion, MAX_DISCOUNT * 100);
+    }
+    
+    function endPromotion(uint256 _promotionId) external onlyRole(ADMIN_ROLE) {
+        Promotions.end(promotions, _promotionId);
+    }
+    
+    function getLivePromotions() external view returns (uint256[] memory) {
+        return livePromotions;
+    }
+}
@@ -0,0 +1,52 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import {VendingMachineV2} from "./VendingMachine.sol";
+
+/**
+ * @title VendingMachineSetup
+ * @dev Grants the operators and adds the catalog of a new `VendingMachineV2` in one call, for
+ * `ignition/modules/VendingMachine.js`. Ignition has to know every call of a module before it reads the
+ * parameters, so lists from the parameters file can't become one `grantRole`/`addItem` call per entry: they are
+ * passed to `configure` whole, as regular module parameters.
+ * @notice The deploying account grants it DEFAULT_ADMIN_ROLE (the admin of OPERATOR_ROLE) and ADMIN_ROLE (for
+ * `addItem`), then calls `configure`, which renounces both before returning. Only the account that deployed it
+ * can call `configure`, so nobody can use the roles in between.
+ */
+contract VendingMachineSetup {
+    // The arguments of `addItem`
+    struct CatalogItem {
+        string name;
+        uint256 price; // wei
+        uint256 supply;
+        uint256 maxSupply;
+        string category;
+        string imageURI;
+    }
+
+    address public immutable deployer;
+
+    constructor() {
+        deployer = msg.sender;
+    }
+
+    function configure(
+        VendingMachineV2 vendingMachine,
+        address[] calldata operators,
+        CatalogItem[] calldata catalog
+    ) external {
+        require(msg.sender == deployer, "VM: Not the setup deployer");
+
+        bytes32 operatorRole = vendingMachine.OPERATOR_ROLE();
+        for (uint256 i = 0; i < operators.length; i++) {
+            vendingMachine.grantRole(operatorRole, operators[i]);
+        }
+        for (uint256 i = 0; i < catalog.length; i++) {
+            CatalogItem calldata item = catalog[i];
+            vendingMachine.addItem(item.name, item.price, item.supply, item.maxSupply, item.category, item.imageURI);
+        }
+
+        vendingMachine.renounceRole(vendingMachine.ADMIN_ROLE(), address(this));
+        vendingMachine.renounceRole(vendingMachine.DEFAULT_ADMIN_ROLE(), address(this));
+    }
+}
@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title AggregatorV3Interface
+ * @dev The part of Chainlink's price feed interface `VendingMachineV2` reads, so payment tokens can be priced by a
+ * Chainlink `<token> / ETH` feed (or anything that answers like one) without depending on the Chainlink package.
+ * @notice `contracts/mocks/MockAggregator.sol` implements it for tests and local deployments.
+ */
+interface AggregatorV3Interface {
+    function decimals() external view returns (uint8);
+
+    function latestRoundData()
+        external
+        view
+        returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound);
+}
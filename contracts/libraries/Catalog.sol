@@ -0,0 +1,119 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import {VendingMachineV2} from "../VendingMachine.sol";
+
+/**
+ * @title Catalog
+ * @dev Catalog management of `VendingMachineV2`: adding items, restocking them, batch price and status updates, and
+ * the item checks of bulk purchases.
+ * @notice An external library like `LoyaltyEngine`, so its code doesn't count against the 24KB contract size limit.
+ * Access control stays in `VendingMachineV2`, which declares the same events so its ABI decodes them.
+ */
+library Catalog {
+    uint256 internal constant MAX_ITEMS = 1000;
+    uint256 internal constant MIN_PRICE = 0.0001 ether;
+    uint256 internal constant MAX_PRICE = 10 ether;
+
+    event ItemAdded(uint256 indexed itemId, string name, uint256 price, uint256 supply, string category);
+    event ItemRestocked(uint256 indexed itemId, uint256 addedQuantity, uint256 newSupply);
+
+    // Appends an item, active, and indexes it under its category for `getBulkCategoryItems`
+    function add(
+        VendingMachineV2.Item[] storage items,
+        mapping(bytes32 => uint256[]) storage categoryItems,
+        string calldata name,
+        uint256 price,
+        uint256 supply,
+        uint256 maxSupply,
+        string calldata category,
+        string calldata imageURI
+    ) external {
+        require(items.length < MAX_ITEMS, "VM: Max items reached");
+        require(bytes(name).length > 0, "VM: Empty name");
+        require(price >= MIN_PRICE && price <= MAX_PRICE, "VM: Price out of range");
+        require(supply <= maxSupply, "VM: Supply exceeds max");
+
+        uint256 itemId = items.length;
+        categoryItems[keccak256(bytes(category))].push(itemId);
+        items.push(VendingMachineV2.Item({
+            name: name,
+            price: price,
+            supply: uint128(supply),
+            maxSupply: uint128(maxSupply),
+            isActive: true,
+            imageURI: imageURI,
+            category: category,
+            lastRestocked: uint64(block.timestamp),
+            salesCount: 0
+        }));
+
+        emit ItemAdded(itemId, name, price, supply, category);
+    }
+
+    function restock(VendingMachineV2.Item[] storage items, uint256 itemId, uint256 quantity) external {
+        _restock(items, itemId, quantity);
+    }
+
+    function restockBatch(
+        VendingMachineV2.Item[] storage items,
+        uint256[] calldata itemIds,
+        uint256[] calldata quantities
+    ) external {
+        require(itemIds.length == quantities.length, "VM: Array length mismatch");
+        require(itemIds.length <= 100, "VM: Batch too large");
+        for (uint256 i = 0; i < itemIds.length; i++) {
+            _restock(items, itemIds[i], quantities[i]);
+        }
+    }
+
+    function updatePrices(
+        VendingMachineV2.Item[] storage items,
+        uint256[] calldata itemIds,
+        uint256[] calldata prices
+    ) external {
+        require(itemIds.length == prices.length, "VM: Array length mismatch");
+        require(itemIds.length <= 50, "VM: Batch too large");
+        for (uint256 i = 0; i < itemIds.length; i++) {
+            require(itemIds[i] < items.length, "VM: Invalid item ID");
+            require(prices[i] >= MIN_PRICE && prices[i] <= MAX_PRICE, "VM: Price out of range");
+            items[itemIds[i]].price = prices[i];
+        }
+    }
+
+    function setActive(VendingMachineV2.Item[] storage items, uint256[] calldata itemIds, bool[] calldata statuses)
+        external
+    {
+        require(itemIds.length == statuses.length, "VM: Array length mismatch");
+        for (uint256 i = 0; i < itemIds.length; i++) {
+            require(itemIds[i] < items.length, "VM: Invalid item ID");
+            items[itemIds[i]].isActive = statuses[i];
+        }
+    }
+
+    // Checks every line of a bulk purchase: the item exists, is active and has the stock; returns the total quantity
+    function checkOrder(
+        VendingMachineV2.Item[] storage items,
+        uint256[] calldata itemIds,
+        uint256[] calldata quantities,
+        uint256 maxQuantity
+    ) external view returns (uint256 totalQuantity) {
+        for (uint256 i = 0; i < itemIds.length; i++) {
+            require(itemIds[i] < items.length, "VM: Invalid item ID");
+            require(items[itemIds[i]].isActive, "VM: Item not active");
+            require(quantities[i] > 0 && quantities[i] <= maxQuantity, "VM: Invalid quantity");
+            require(items[itemIds[i]].supply >= quantities[i], "VM: Insufficient supply");
+            totalQuantity += quantities[i];
+        }
+    }
+
+    // Up to `maxSupply`, never above
+    function _restock(VendingMachineV2.Item[] storage items, uint256 itemId, uint256 quantity) private {
+        require(itemId < items.length, "VM: Invalid item ID");
+        VendingMachineV2.Item storage item = items[itemId];
+        require(item.supply + quantity <= item.maxSupply, "VM: Exceeds max supply");
+        item.supply += uint128(quantity);
+        item.lastRestocked = uint64(block.timestamp);
+        emit ItemRestocked(itemId, quantity, item.supply);
+    }
+}
@@ -0,0 +1,142 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import {VendingMachineV2} from "../VendingMachine.sol";
+
+/**
+ * @title LoyaltyEngine
+ * @dev Loyalty points and tiers of `VendingMachineV2`: tier progression from the `loyaltyTiers` table (discount and
+ * points multiplier), points expiry and redemption.
+ * @notice An external library: it is deployed once and `VendingMachineV2` DELEGATECALLs it, so its code doesn't
+ * count against the 24KB contract size limit and it works on the proxy's storage. `scripts/deploy.js` links it.
+ * Events are emitted by the proxy; `VendingMachineV2` declares the same events so its ABI decodes them.
+ */
+library LoyaltyEngine {
+    uint256 internal constant POINTS_VALIDITY = 365 days; // points expire this long after the last purchase that earned some
+    uint256 internal constant POINT_REDEMPTION_VALUE = 0.0001 ether; // what one redeemed point takes off a purchase
+    uint256 internal constant MAX_LOYALTY_TIERS = 10;
+    // A point per 0.001 ether paid, redeemed for 0.0001 ether, gives back 10% of the price per multiplier step:
+    // at most 30%, like the seeded Gold tier
+    uint256 internal constant MAX_POINTS_MULTIPLIER = 3;
+
+    event LoyaltyPointsEarned(address indexed user, uint256 points, uint256 totalPoints);
+    event LoyaltyTierChanged(address indexed user, uint256 tier, uint256 discountRate);
+    event LoyaltyPointsExpired(address indexed user, uint256 points);
+    event LoyaltyPointsRedeemed(address indexed user, uint256 points, uint256 value);
+    event LoyaltyTiersUpdated(uint256 tierCount);
+
+    /**
+     * @dev Expires the buyer's points when `pointsExpiry` has passed and moves them to the tier their points reach
+     * in the current table (which admins may have edited since their last purchase).
+     * @return multiplier Points earned per 0.001 ether in that tier (1 without a tier).
+     */
+    function refresh(
+        VendingMachineV2.UserProfile storage profile,
+        VendingMachineV2.LoyaltyTier[] storage tiers,
+        address buyer
+    ) external returns (uint256 multiplier) {
+        // Profiles from before points expired have no expiry yet; their next points set one
+        if (profile.pointsExpiry != 0 && block.timestamp > profile.pointsExpiry && profile.loyaltyPoints > 0) {
+            emit LoyaltyPointsExpired(buyer, profile.loyaltyPoints);
+            profile.loyaltyPoints = 0;
+        }
+        uint256 tier = _updateTier(profile, tiers, buyer);
+        return tier == 0 ? 1 : tiers[tier - 1].pointsMultiplier;
+    }
+
+    /**
+     * @dev Takes `points` off the buyer's balance to pay part of a purchase. Redeemed points count towards
+     * `MAX_DISCOUNT` with the loyalty and promotional discounts already in `price`: all of them together take at
+     * most `maxDiscount` percent off `subtotal`, like `Promotions.price` caps the first two.
+     * @param subtotal The undiscounted price.
+     * @param maxDiscount `MAX_DISCOUNT`, a whole percentage.
+     * @return value What the points are worth (`POINT_REDEMPTION_VALUE` each).
+     */
+    function redeem(
+        VendingMachineV2.UserProfile storage profile,
+        address buyer,
+        uint256 points,
+        uint256 price,
+        uint256 subtotal,
+        uint256 maxDiscount
+    ) external returns (uint256 value) {
+        require(points <= profile.loyaltyPoints, "VM: Not enough points");
+        value = points * POINT_REDEMPTION_VALUE;
+        uint256 minPrice = subtotal - (subtotal * maxDiscount) / 100;
+        require(value <= price - minPrice, "VM: Redemption exceeds discount cap");
+        profile.loyaltyPoints -= SafeCast.toUint32(points);
+        emit LoyaltyPointsRedeemed(buyer, points, value);
+    }
+
+    /**
+     * @dev Profile totals and points of a purchase, single or bulk. New points push the expiry of the whole balance
+     * back to `POINTS_VALIDITY` from now, and may move the buyer up a tier for their next purchase.
+     */
+    function credit(
+        VendingMachineV2.UserProfile storage profile,
+        VendingMachineV2.LoyaltyTier[] storage tiers,
+        address buyer,
+        uint256 quantity,
+        uint256 amountPaid,
+        uint256 pointsEarned
+    ) external {
+        profile.totalPurchases += uint128(quantity);
+        profile.totalSpent += uint128(amountPaid);
+        profile.lastPurchase = uint64(block.timestamp);
+        if (pointsEarned > 0) {
+            // A balance that would pass `uint32` reverts rather than wrap
+            profile.loyaltyPoints += SafeCast.toUint32(pointsEarned);
+            profile.pointsExpiry = uint32(block.timestamp + POINTS_VALIDITY);
+        }
+        _updateTier(profile, tiers, buyer);
+        emit LoyaltyPointsEarned(buyer, pointsEarned, profile.loyaltyPoints);
+    }
+
+    /**
+     * @dev Replaces the tier table. Thresholds must be strictly ascending, so a buyer's tier is the number of
+     * thresholds their points reach. Buyers move to their new tier on their next purchase. Discounts are in basis
+     * points but must be whole percentages (multiples of 100): buyers get the whole percentage `discountRate`.
+     * @param maxDiscount The highest tier discount allowed, in basis points (`MAX_DISCOUNT` of the machine).
+     */
+    function setTiers(
+        VendingMachineV2.LoyaltyTier[] storage tiers,
+        VendingMachineV2.LoyaltyTier[] calldata newTiers,
+        uint256 maxDiscount
+    ) external {
+        require(newTiers.length <= MAX_LOYALTY_TIERS, "VM: Too many tiers");
+        while (tiers.length > 0) {
+            tiers.pop();
+        }
+        for (uint256 i = 0; i < newTiers.length; i++) {
+            require(i == 0 || newTiers[i].threshold > newTiers[i - 1].threshold, "VM: Thresholds not ascending");
+            require(newTiers[i].discount <= maxDiscount, "VM: Discount too high");
+            require(newTiers[i].discount % 100 == 0, "VM: Discount not whole percent");
+            require(
+                newTiers[i].pointsMultiplier > 0 && newTiers[i].pointsMultiplier <= MAX_POINTS_MULTIPLIER,
+                "VM: Invalid multiplier"
+            );
+            tiers.push(newTiers[i]);
+        }
+        emit LoyaltyTiersUpdated(newTiers.length);
+    }
+
+    // Stores the tier the buyer's points reach (1 = the first entry, 0 = none) and its discount as the whole
+    // percentage `_calculatePrice` applies
+    function _updateTier(
+        VendingMachineV2.UserProfile storage profile,
+        VendingMachineV2.LoyaltyTier[] storage tiers,
+        address buyer
+    ) private returns (uint256 tier) {
+        uint256 tierCount = tiers.length;
+        while (tier < tierCount && profile.loyaltyPoints >= tiers[tier].threshold) {
+            tier++;
+        }
+        uint256 discountRate = tier == 0 ? 0 : tiers[tier - 1].discount / 100;
+        if (tier != profile.loyaltyTier || discountRate != profile.discountRate) {
+            profile.loyaltyTier = uint8(tier);
+            profile.discountRate = uint16(discountRate);
+            emit LoyaltyTierChanged(buyer, tier, discountRate);
+        }
+    }
+}
@@ -0,0 +1,96 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import {AggregatorV3Interface} from "../interfaces/AggregatorV3Interface.sol";
+import {VendingMachineV2} from "../VendingMachine.sol";
+
+/**
+ * @title PaymentTokens
+ * @dev ERC20 payments of `VendingMachineV2`: the allowlist of accepted tokens, the conversion of ETH prices to token
+ * amounts (from a fixed rate or a Chainlink-style `<token> / ETH` feed, across token decimals) and the transfers,
+ * which go through SafeERC20 so tokens that return `false` or nothing are handled.
+ * @notice An external library like `LoyaltyEngine`: `VendingMachineV2` DELEGATECALLs it, so it works on the proxy's
+ * storage and `msg.sender` is the buyer. `VendingMachineV2` declares the same events so its ABI decodes them.
+ */
+library PaymentTokens {
+    using SafeERC20 for IERC20;
+
+    // Token and feed decimals above this would overflow the conversion
+    uint256 internal constant MAX_DECIMALS = 36;
+
+    event PaymentTokenConfigured(address indexed token, address priceFeed, uint256 fixedRate, uint256 maxPriceAge);
+    event PaymentTokenRemoved(address indexed token);
+    event TokenPayment(address indexed payer, address indexed token, uint256 amount, uint256 value);
+
+    /**
+     * @dev Accepts `token` for payments, or changes its price source. Exactly one source: a `priceFeed` whose answers
+     * may be at most `maxPriceAge` seconds old, or a `fixedRate` in wei per whole token.
+     */
+    function configure(
+        mapping(address => VendingMachineV2.PaymentTokenConfig) storage configs,
+        address token,
+        address priceFeed,
+        uint256 fixedRate,
+        uint64 maxPriceAge
+    ) external {
+        require(token.code.length > 0, "VM: Invalid token");
+        require((priceFeed == address(0)) != (fixedRate == 0), "VM: Invalid price source");
+        uint8 decimals = IERC20Metadata(token).decimals();
+        // A fixed rate is in wei, so it has the 18 decimals of ETH
+        uint8 feedDecimals = 18;
+        if (priceFeed != address(0)) {
+            require(maxPriceAge > 0, "VM: Invalid price age");
+            feedDecimals = AggregatorV3Interface(priceFeed).decimals();
+        } else {
+            maxPriceAge = 0;
+        }
+        require(decimals <= MAX_DECIMALS && feedDecimals <= MAX_DECIMALS, "VM: Unsupported decimals");
+
+        configs[token] = VendingMachineV2.PaymentTokenConfig(true, decimals, feedDecimals, maxPriceAge, priceFeed, fixedRate);
+        // Fails now rather than at the first purchase if the feed has no usable answer
+        quote(configs[token], 1 ether);
+        emit PaymentTokenConfigured(token, priceFeed, fixedRate, maxPriceAge);
+    }
+
+    // Stops accepting `token`. Its revenue stays recorded and can still be withdrawn.
+    function remove(mapping(address => VendingMachineV2.PaymentTokenConfig) storage configs, address token) external {
+        require(configs[token].accepted, "VM: Token not accepted");
+        delete configs[token];
+        emit PaymentTokenRemoved(token);
+    }
+
+    /**
+     * @dev Converts an ETH price to the token amount that pays it, rounded up so the machine is never underpaid.
+     * `api/pricing.js` (`quoteTokenAmount`) does the same conversion off-chain.
+     * @param value The price in wei.
+     * @return amount In the token's smallest unit.
+     */
+    function quote(VendingMachineV2.PaymentTokenConfig storage config, uint256 value) internal view returns (uint256 amount) {
+        require(config.accepted, "VM: Token not accepted");
+        uint256 price = config.fixedRate;
+        if (config.priceFeed != address(0)) {
+            (, int256 answer, , uint256 updatedAt, ) = AggregatorV3Interface(config.priceFeed).latestRoundData();
+            require(answer > 0, "VM: Invalid price");
+            require(updatedAt + config.maxPriceAge >= block.timestamp, "VM: Stale price");
+            price = uint256(answer);
+        }
+        // `price` is ETH per whole token with `feedDecimals` decimals, so one whole token is worth
+        // `price * 1e18 / 10^feedDecimals` wei
+        return Math.mulDiv(value, 10 ** (config.decimals + config.feedDecimals), price * 1e18, Math.Rounding.Up);
+    }
+
+    // Takes the token amount worth `value` wei from the buyer; `Treasury.credit` books it
+    function collect(VendingMachineV2.PaymentTokenConfig storage config, address token, uint256 value)
+        external
+        returns (uint256 amount)
+    {
+        amount = quote(config, value);
+        require(IERC20(token).allowance(msg.sender, address(this)) >= amount, "VM: Insufficient allowance");
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        emit TokenPayment(msg.sender, token, amount, value);
+    }
+}
@@ -0,0 +1,173 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import {VendingMachineV2} from "../VendingMachine.sol";
+
+/**
+ * @title Promotions
+ * @dev Scheduled promotions of `VendingMachineV2`: a percentage or fixed discount on one item or on every item of a
+ * category, from `startTime` (inclusive) to `endTime` (exclusive), optionally capped per buyer.
+ * @notice An external library like `LoyaltyEngine`: `VendingMachineV2` DELEGATECALLs it, so it works on the proxy's
+ * storage. `api/pricing.js` (`bestPromotion`, `calculatePrice`) applies the same rules off-chain.
+ */
+library Promotions {
+    uint256 internal constant MAX_LIVE_PROMOTIONS = 20;
+
+    event PromotionCreated(
+        uint256 indexed promotionId,
+        uint256 itemId,
+        bytes32 category,
+        uint256 startTime,
+        uint256 endTime,
+        bool isFixed,
+        uint256 discount,
+        uint256 maxPerUser
+    );
+    event PromotionEnded(uint256 indexed promotionId);
+    event PromotionApplied(uint256 indexed promotionId, address indexed buyer, uint256 indexed itemId, uint256 units, uint256 discount);
+
+    /**
+     * @dev Schedules a promotion. Ended promotions are dropped from `live` first, so at most `MAX_LIVE_PROMOTIONS`
+     * are running or scheduled at a time and pricing never loops over old ones.
+     * @param maxDiscountBasisPoints A percentage promotion alone can't go above `MAX_DISCOUNT`.
+     */
+    function create(
+        VendingMachineV2.Promotion[] storage promotions,
+        uint256[] storage live,
+        VendingMachineV2.Item[] storage items,
+        mapping(bytes32 => uint256[]) storage categoryItems,
+        VendingMachineV2.Promotion calldata promotion,
+        uint256 maxDiscountBasisPoints
+    ) external returns (uint256 promotionId) {
+        if (promotion.category == bytes32(0)) {
+            require(promotion.itemId < items.length, "VM: Invalid item ID");
+        } else {
+            require(categoryItems[promotion.category].length > 0, "VM: Unknown category");
+        }
+        require(promotion.startTime < promotion.endTime && promotion.endTime > block.timestamp, "VM: Invalid schedule");
+        require(
+            promotion.discount > 0 && (promotion.isFixed || promotion.discount <= maxDiscountBasisPoints),
+            "VM: Invalid discount"
+        );
+
+        for (uint256 i = live.length; i > 0; i--) {
+            if (promotions[live[i - 1]].endTime <= block.timestamp) {
+                live[i - 1] = live[live.length - 1];
+                live.pop();
+            }
+        }
+        require(live.length < MAX_LIVE_PROMOTIONS, "VM: Too many promotions");
+
+        promotionId = promotions.length;
+        promotions.push(promotion);
+        live.push(promotionId);
+        emit PromotionCreated(
+            promotionId,
+            promotion.itemId,
+            promotion.category,
+            promotion.startTime,
+            promotion.endTime,
+            promotion.isFixed,
+            promotion.discount,
+            promotion.maxPerUser
+        );
+    }
+
+    // Ends a running promotion now, or cancels a scheduled one
+    function end(VendingMachineV2.Promotion[] storage promotions, uint256 promotionId) external {
+        require(promotionId < promotions.length, "VM: Invalid promotion");
+        VendingMachineV2.Promotion storage promotion = promotions[promotionId];
+        require(promotion.endTime > block.timestamp, "VM: Promotion ended");
+        promotion.endTime = uint64(block.timestamp);
+        emit PromotionEnded(promotionId);
+    }
+
+    /**
+     * @dev Prices `quantity` units of an item for `buyer` and records the promotion they used. Promotions don't
+     * stack with each other: of the running ones that cover the item (by ID or category), the one worth the most
+     * for this purchase applies. Its discount adds to the loyalty `discountRate`, and the two together take at
+     * most `maxDiscount` percent off the subtotal. Only the part of the promotion that fits under that cap is
+     * recorded: the units it covers, rounded up, count towards `maxPerUser`, and none do when the loyalty discount
+     * alone reaches the cap.
+     * @param discountRate The buyer's loyalty discount, a whole percentage.
+     * @param maxDiscount `MAX_DISCOUNT`, a whole percentage.
+     * @return cost What the buyer pays, in wei.
+     */
+    function price(
+        VendingMachineV2.Promotion[] storage promotions,
+        uint256[] storage live,
+        mapping(uint256 => mapping(address => uint256)) storage redeemed,
+        VendingMachineV2.Item storage item,
+        uint256 itemId,
+        uint256 quantity,
+        address buyer,
+        uint256 discountRate,
+        uint256 maxDiscount
+    ) external returns (uint256 cost) {
+        uint256 subtotal = item.price * quantity;
+        uint256 discountCap = (subtotal * maxDiscount) / 100;
+        uint256 loyaltyDiscount = (subtotal * discountRate) / 100;
+        if (loyaltyDiscount > discountCap) loyaltyDiscount = discountCap;
+        return
+            subtotal -
+            loyaltyDiscount -
+            _redeemBest(promotions, live, redeemed, item, itemId, quantity, buyer, discountCap - loyaltyDiscount);
+    }
+
+    // Applies the best promotion, up to `room` wei, and records the units that discount covers (rounded up).
+    // Returns the discount applied.
+    function _redeemBest(
+        VendingMachineV2.Promotion[] storage promotions,
+        uint256[] storage live,
+        mapping(uint256 => mapping(address => uint256)) storage redeemed,
+        VendingMachineV2.Item storage item,
+        uint256 itemId,
+        uint256 quantity,
+        address buyer,
+        uint256 room
+    ) private returns (uint256 applied) {
+        (uint256 promotionId, uint256 units, uint256 promotionDiscount) =
+            _best(promotions, live, redeemed, item, itemId, quantity, buyer);
+        applied = promotionDiscount < room ? promotionDiscount : room;
+        if (applied > 0) {
+            units = (units * applied + promotionDiscount - 1) / promotionDiscount;
+            redeemed[promotionId][buyer] += units;
+            emit PromotionApplied(promotionId, buyer, itemId, units, applied);
+        }
+    }
+
+    // The running promotion worth the most for this purchase (the first one on a tie); `units` is 0 without one.
+    // A capped promotion only covers the units the buyer has left under `maxPerUser`.
+    function _best(
+        VendingMachineV2.Promotion[] storage promotions,
+        uint256[] storage live,
+        mapping(uint256 => mapping(address => uint256)) storage redeemed,
+        VendingMachineV2.Item storage item,
+        uint256 itemId,
+        uint256 quantity,
+        address buyer
+    ) private view returns (uint256 bestId, uint256 bestUnits, uint256 bestDiscount) {
+        bytes32 category = keccak256(bytes(item.category));
+        for (uint256 i = 0; i < live.length; i++) {
+            VendingMachineV2.Promotion storage promotion = promotions[live[i]];
+            if (block.timestamp < promotion.startTime || block.timestamp >= promotion.endTime) continue;
+            if (promotion.category == bytes32(0) ? promotion.itemId != itemId : promotion.category != category) continue;
+
+            uint256 units = quantity;
+            if (promotion.maxPerUser > 0) {
+                uint256 used = redeemed[live[i]][buyer];
+                units = used >= promotion.maxPerUser ? 0 : promotion.maxPerUser - used;
+                if (units > quantity) units = quantity;
+            }
+            uint256 discount;
+            if (promotion.isFixed) {
+                discount = (promotion.discount < item.price ? promotion.discount : item.price) * units;
+            } else {
+                discount = (item.price * units * promotion.discount) / 10000;
+            }
+            if (discount > bestDiscount) {
+                (bestId, bestUnits, bestDiscount) = (live[i], units, discount);
+            }
+        }
+    }
+}
@@ -0,0 +1,102 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title Signatures
+ * @dev Signature checks of `VendingMachineV2`'s signed purchases: the `eth_sign` overloads of `purchaseItem` and
+ * `bulkPurchase`, and the relayed (EIP-712) `purchaseItemFor` and `bulkPurchaseFor`. Every signature consumes a nonce.
+ * @notice An external library like `LoyaltyEngine`: `VendingMachineV2` DELEGATECALLs it, so `address(this)` in the
+ * EIP-712 domain is the proxy and the nonces are the proxy's. `relayer/client.js` builds the same typed data.
+ */
+library Signatures {
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 private constant PURCHASE_TYPEHASH =
+        keccak256("Purchase(address buyer,uint256 itemId,uint256 quantity,uint256 nonce,uint256 deadline)");
+    bytes32 private constant BULK_PURCHASE_TYPEHASH =
+        keccak256("BulkPurchase(address buyer,uint256[] itemIds,uint256[] quantities,uint256 nonce,uint256 deadline)");
+
+    event NonceUsed(address indexed user, uint256 nonce);
+
+    // `hash` signed by the caller with `eth_sign` (the "\x19Ethereum Signed Message" prefix)
+    function useEthSign(
+        mapping(address => uint256) storage nonces,
+        bytes32 hash,
+        uint8 v,
+        bytes32 r,
+        bytes32 s,
+        uint256 nonce
+    ) external {
+        bytes32 digest = keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n32", hash));
+        _use(nonces, msg.sender, digest, v, r, s, nonce);
+    }
+
+    // A `Purchase` signed by `buyer` before `deadline`
+    function usePurchase(
+        mapping(address => uint256) storage nonces,
+        address buyer,
+        uint256 itemId,
+        uint256 quantity,
+        uint256 nonce,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        require(block.timestamp <= deadline, "VM: Signature expired");
+        bytes32 structHash = keccak256(abi.encode(PURCHASE_TYPEHASH, buyer, itemId, quantity, nonce, deadline));
+        _use(nonces, buyer, _hashTypedData(structHash), v, r, s, nonce);
+    }
+
+    // A `BulkPurchase` signed by `buyer` before `deadline`
+    function useBulkPurchase(
+        mapping(address => uint256) storage nonces,
+        address buyer,
+        uint256[] calldata itemIds,
+        uint256[] calldata quantities,
+        uint256 nonce,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        require(block.timestamp <= deadline, "VM: Signature expired");
+        bytes32 structHash = keccak256(abi.encode(
+            BULK_PURCHASE_TYPEHASH,
+            buyer,
+            keccak256(abi.encodePacked(itemIds)),
+            keccak256(abi.encodePacked(quantities)),
+            nonce,
+            deadline
+        ));
+        _use(nonces, buyer, _hashTypedData(structHash), v, r, s, nonce);
+    }
+
+    // Checks that `signer` signed `digest` and consumes `nonce` (any nonce above the last one used)
+    function _use(
+        mapping(address => uint256) storage nonces,
+        address signer,
+        bytes32 digest,
+        uint8 v,
+        bytes32 r,
+        bytes32 s,
+        uint256 nonce
+    ) private {
+        require(signer != address(0) && ecrecover(digest, v, r, s) == signer, "VM: Invalid signature");
+        require(nonces[signer] < nonce, "VM: Replayed transaction");
+        nonces[signer] = nonce;
+        emit NonceUsed(signer, nonce);
+    }
+
+    // Computed on every call rather than stored, so it follows the proxy address and adds no storage
+    function _hashTypedData(bytes32 structHash) private view returns (bytes32) {
+        bytes32 domainSeparator = keccak256(abi.encode(
+            DOMAIN_TYPEHASH,
+            keccak256("VendingMachineV2"),
+            keccak256("1"),
+            block.chainid,
+            address(this)
+        ));
+        return keccak256(abi.encodePacked("\x19\x01", domainSeparator, structHash));
+    }
+}
@@ -0,0 +1,132 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import {VendingMachineV2} from "../VendingMachine.sol";
+
+/**
+ * @title Treasury
+ * @dev Pull-based revenue payouts of `VendingMachineV2`. Every purchase credits the transaction fee to the fee
+ * recipient and splits the rest between the payees by their basis-point shares; payees withdraw their ETH and token
+ * balances themselves. Nothing is pushed during a purchase, so a payee that is a contract (a multisig, a splitter)
+ * can't make purchases fail, and ETH leaves with a plain `call` instead of `transfer`'s 2300 gas.
+ * @notice An external library like `LoyaltyEngine`: `VendingMachineV2` DELEGATECALLs it, so it works on the proxy's
+ * storage and balance. Token amounts are keyed by token address, ETH by the zero address.
+ */
+library Treasury {
+    using SafeERC20 for IERC20;
+
+    uint256 internal constant MAX_PAYEES = 10;
+    uint256 internal constant TOTAL_SHARES = 10000; // basis points
+
+    event PayeesUpdated(uint256 payeeCount);
+    event RevenueWithdrawn(address indexed payee, address indexed token, uint256 amount);
+
+    /**
+     * @dev Credits what a purchase paid: the fee (`feeBasisPoints` of `amount`) to `feeRecipient`, the rest to the
+     * payees. Without payees the rest stays unallocated in the machine, where only `emergencyWithdraw` can take it;
+     * the same goes for the fee without a fee recipient.
+     * @return netRevenue `amount` minus the fee, for `totalRevenue`/`tokenRevenue`.
+     */
+    function credit(
+        VendingMachineV2.TreasuryState storage treasury,
+        address token,
+        uint256 amount,
+        uint256 feeBasisPoints,
+        address feeRecipient
+    ) external returns (uint256 netRevenue) {
+        uint256 fee = (amount * feeBasisPoints) / 10000;
+        netRevenue = amount - fee;
+        if (fee > 0 && feeRecipient != address(0)) {
+            treasury.balances[feeRecipient][token] += fee;
+            treasury.totalOwed[token] += fee;
+            treasury.totalFees[token] += fee;
+        }
+
+        uint256 payeeCount = treasury.payees.length;
+        if (payeeCount == 0 || netRevenue == 0) {
+            return netRevenue;
+        }
+        // The last payee gets the rounding dust, so the shares add up to exactly `netRevenue`
+        uint256 remaining = netRevenue;
+        for (uint256 i = 0; i < payeeCount - 1; i++) {
+            uint256 share = (netRevenue * treasury.payees[i].shares) / TOTAL_SHARES;
+            treasury.balances[treasury.payees[i].account][token] += share;
+            remaining -= share;
+        }
+        treasury.balances[treasury.payees[payeeCount - 1].account][token] += remaining;
+        treasury.totalOwed[token] += netRevenue;
+    }
+
+    /**
+     * @dev Replaces the payees. Shares are basis points and must add up to 100%, or the list must be empty (revenue
+     * then stays unallocated). Balances already credited stay with their payees, who can still withdraw them.
+     */
+    function setPayees(VendingMachineV2.TreasuryState storage treasury, VendingMachineV2.Payee[] calldata newPayees)
+        external
+    {
+        require(newPayees.length <= MAX_PAYEES, "VM: Too many payees");
+        while (treasury.payees.length > 0) {
+            treasury.payees.pop();
+        }
+        uint256 totalShares = 0;
+        for (uint256 i = 0; i < newPayees.length; i++) {
+            require(newPayees[i].account != address(0), "VM: Invalid payee");
+            require(newPayees[i].shares > 0, "VM: Invalid shares");
+            for (uint256 j = 0; j < i; j++) {
+                require(newPayees[j].account != newPayees[i].account, "VM: Duplicate payee");
+            }
+            totalShares += newPayees[i].shares;
+            treasury.payees.push(newPayees[i]);
+        }
+        require(newPayees.length == 0 || totalShares == TOTAL_SHARES, "VM: Shares must total 100%");
+        emit PayeesUpdated(newPayees.length);
+    }
+
+    /**
+     * @dev Pays `msg.sender` their whole balance of `token`. Reconciled against what the machine holds first: it must
+     * still cover everything it owes, or a token that lost balance (fee-on-transfer, rebasing, seized) would pay the
+     * first payees to withdraw with what the others are owed.
+     */
+    function withdraw(VendingMachineV2.TreasuryState storage treasury, address token) external returns (uint256 amount) {
+        amount = treasury.balances[msg.sender][token];
+        require(amount > 0, "VM: Nothing to withdraw");
+        require(treasury.totalOwed[token] <= _held(token), "VM: Revenue mismatch");
+        treasury.balances[msg.sender][token] = 0;
+        treasury.totalOwed[token] -= amount;
+        treasury.totalReleased[token] += amount;
+        _send(token, msg.sender, amount);
+        emit RevenueWithdrawn(msg.sender, token, amount);
+    }
+
+    // Sends `msg.sender` funds the payees aren't owed (`emergencyWithdraw`), ETH at most `maxDailyWithdrawal` a day
+    function withdrawSurplus(
+        VendingMachineV2.TreasuryState storage treasury,
+        mapping(uint256 => uint256) storage dailyWithdrawn,
+        uint256 maxDailyWithdrawal,
+        address token,
+        uint256 amount
+    ) external {
+        if (token == address(0)) {
+            uint256 today = block.timestamp / 1 days;
+            require(dailyWithdrawn[today] + amount <= maxDailyWithdrawal, "VM: Daily limit exceeded");
+            dailyWithdrawn[today] += amount;
+        }
+        require(amount + treasury.totalOwed[token] <= _held(token), "VM: Funds owed to payees");
+        _send(token, msg.sender, amount);
+    }
+
+    function _held(address token) private view returns (uint256) {
+        return token == address(0) ? address(this).balance : IERC20(token).balanceOf(address(this));
+    }
+
+    function _send(address token, address to, uint256 amount) private {
+        if (token == address(0)) {
+            Address.sendValue(payable(to), amount);
+        } else {
+            IERC20(token).safeTransfer(to, amount);
+        }
+    }
+}
@@ -0,0 +1,42 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "../interfaces/AggregatorV3Interface.sol";
+
+/**
+ * @title MockAggregator
+ * @dev Test-only Chainlink-style price feed whose answer and update time anyone can set.
+ * @notice Used by the test suite to price ERC20 payment tokens of VendingMachineV2. Never deploy it to a real network.
+ */
+contract MockAggregator is AggregatorV3Interface {
+    uint8 public immutable override decimals;
+    int256 private _answer;
+    uint256 private _updatedAt;
+    uint80 private _roundId;
+
+    constructor(uint8 decimals_, int256 answer_) {
+        decimals = decimals_;
+        updateAnswer(answer_);
+    }
+
+    // A new round with `answer_`, updated now
+    function updateAnswer(int256 answer_) public {
+        _answer = answer_;
+        _updatedAt = block.timestamp;
+        _roundId++;
+    }
+
+    // Moves the last update back in time, to test stale answers
+    function setUpdatedAt(uint256 updatedAt_) external {
+        _updatedAt = updatedAt_;
+    }
+
+    function latestRoundData()
+        external
+        view
+        override
+        returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)
+    {
+        return (_roundId, _answer, _updatedAt, _updatedAt, _roundId);
+    }
+}
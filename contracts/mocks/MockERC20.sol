@@ -0,0 +1,30 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockERC20
+ * @dev Test-only ERC20 with configurable decimals and an unrestricted `mint` and `burn`.
+ * @notice Used by the test suite to exercise the ERC20 payment paths of VendingMachineV2. Never deploy it to a real network.
+ */
+contract MockERC20 is ERC20 {
+    uint8 private immutable _decimals;
+
+    constructor(string memory name_, string memory symbol_, uint8 decimals_) ERC20(name_, symbol_) {
+        _decimals = decimals_;
+    }
+
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+
+    // Takes tokens from anyone, like a rebasing token shrinking balances or an issuer seizing them
+    function burn(address from, uint256 amount) external {
+        _burn(from, amount);
+    }
+}
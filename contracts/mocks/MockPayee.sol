@@ -0,0 +1,35 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+interface IRevenueWithdrawer {
+    function withdrawRevenue(address token) external;
+}
+
+/**
+ * @title MockPayee
+ * @dev Test-only payee contract whose `receive` writes to storage, so it needs more than the 2300 gas `transfer`
+ * forwards, like a multisig or a splitter would.
+ * @notice Used by the test suite to check that VendingMachineV2 pays contract payees and refunds contract buyers.
+ * Never deploy it to a real network.
+ */
+contract MockPayee {
+    uint256 public received;
+
+    function withdrawFrom(address vendingMachine, address token) external {
+        IRevenueWithdrawer(vendingMachine).withdrawRevenue(token);
+    }
+
+    // Calls `target` with `data` and the ETH sent along, like a smart wallet executing a transaction
+    function execute(address target, bytes calldata data) external payable {
+        (bool success, bytes memory result) = target.call{value: msg.value}(data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+    }
+
+    receive() external payable {
+        received += msg.value;
+    }
+}
@@ -1,16 +1,68 @@
-// This line imports the Hardhat Ethers plugin, which provides integration with the ethers.js library.
-// Ethers.js is a popular JavaScript library for interacting with Ethereum and Ethereum-like blockchains.
-// This plugin allows you to deploy contracts, send transactions, and interact with contracts from your Hardhat scripts and tests using ethers.js.
-// This line imports the Hardhat Ethers plugin, which provides integration with the ethers.js library.
-// Ethers.js is a popular JavaScript library for interacting with Ethereum and Ethereum-like blockchains.
-// This plugin allows you to deploy contracts, send transactions, and interact with contracts from your Hardhat scripts and tests using ethers.js.
-require("@nomicfoundation/hardhat-ethers");
+// The Hardhat Toolbox bundles the plugins this project uses, so they are all loaded by this one line:
+// - hardhat-ethers: ethers.js integration (`ethers.getContractFactory`, `ethers.getSigners`, ...) for scripts and tests.
+// - hardhat-chai-matchers: `revertedWith`, `emit(...).withArgs(...)`, `changeEtherBalances`, ... used by the tests in `test/`.
+// - hardhat-ignition-ethers: the `npx hardhat ignition ...` tasks that run the modules in `ignition/modules/`.
+// - hardhat-network-helpers: `time.increase`, `loadFixture`, snapshots, ... for tests.
+// - hardhat-verify: `npx hardhat verify` (Arbiscan verification), also run at the end of `scripts/deploy.js`.
+// - hardhat-gas-reporter: gas usage per function when running the tests with `REPORT_GAS=true`.
+// - solidity-coverage: `npx hardhat coverage`.
+// - typechain: `npx hardhat typechain` generates TypeScript bindings in `typechain-types/` (not on every compile, this is a JS project).
+require("@nomicfoundation/hardhat-toolbox");
 
 // Import and configure dotenv to load environment variables from a .env file.
 // This is crucial for securely managing sensitive information like private keys and API keys.
 // Make sure you have a .env file in your project root and have installed the dotenv package (npm install dotenv or yarn add dotenv).
 require('dotenv').config();
 
+// Admin CLI for a deployed VendingMachineV2 (`npx hardhat vm:items:add ...`, `vm:prices:set`, `vm:emergency`, ...).
+// See `tasks/vendingMachine.js` for the list of tasks and examples.
+require("./tasks/vendingMachine");
+
+// Event indexer for sales analytics (`npx hardhat vm:indexer:sync ...`, `vm:indexer:report`). See `tasks/indexer.js`.
+require("./tasks/indexer");
+
+// Read-only JSON API for the storefront (`npx hardhat vm:api --contract ...`). See `tasks/api.js` and `api/server.js`.
+require("./tasks/api");
+
+// Relayer for EIP-712 signed purchases (`npx hardhat vm:relayer --contract ...`). See `tasks/relayer.js` and `relayer/`.
+require("./tasks/relayer");
+
+// Upgrades with a storage layout check (`npx hardhat vm:upgrade --contract ...`, `vm:storage:check`, `vm:storage:record`).
+// See `tasks/upgrades.js` and `upgrades/`.
+require("./tasks/upgrades");
+
+// Loyalty tiers (`npx hardhat vm:loyalty:tiers`, `vm:loyalty:tiers:set`) and a simulation of a customer's tier journey
+// on a local chain (`vm:loyalty:simulate`). See `tasks/loyalty.js`.
+require("./tasks/loyalty");
+
+// --- Networks ---
+// Every live network reads its RPC URL and deployer key from `.env` (see `.env.example`), named after the network:
+// `ARBITRUM_ONE_RPC_URL` / `ARBITRUM_ONE_PRIVATE_KEY`, `ARBITRUM_NOVA_...`, `ARBITRUM_SEPOLIA_...`.
+// The RPC URL falls back to the public endpoint, which is rate limited: use your own provider (Alchemy, Infura, ...)
+// for real deployments. Without a private key the network has no accounts, which is fine for read-only tasks.
+function liveNetwork(envPrefix, defaultUrl, chainId) {
+  const privateKey = process.env[`${envPrefix}_PRIVATE_KEY`];
+  return {
+    url: process.env[`${envPrefix}_RPC_URL`] || defaultUrl,
+    chainId,
+    accounts: privateKey ? [privateKey] : [],
+  };
+}
+
+// Forked-mainnet mode: when `FORK_URL` is set (e.g. to your Arbitrum One RPC URL), the in-process Hardhat Network
+// starts from a copy of that chain, so tests, scripts and `npx hardhat node` run against real state.
+// Pin `FORK_BLOCK_NUMBER` to make runs reproducible (and let Hardhat cache the forked state).
+const forking = process.env.FORK_URL
+  ? {
+      url: process.env.FORK_URL,
+      blockNumber: process.env.FORK_BLOCK_NUMBER ? Number(process.env.FORK_BLOCK_NUMBER) : undefined,
+    }
+  : undefined;
+
+// Hardhat only knows the hardfork history of Ethereum chains. Arbitrum has been Cancun-compatible since ArbOS 20,
+// and older blocks are never executed by this project, so Cancun is used for every forked Arbitrum block.
+const ARBITRUM_HARDFORKS = { hardforkHistory: { cancun: 0 } };
+
 /**
  * @type import('hardhat/config').HardhatUserConfig
  * This is the main configuration file for your Hardhat project.
@@ -20,55 +72,90 @@ require('dotenv').config();
  */
 module.exports = {
   // Specifies the version of the Solidity compiler to be used by Hardhat.
-  // It's important to use a version compatible with your smart contracts.
-  // "0.8.28" means Hardhat will use version 0.8.28 of the Solidity compiler.
-  solidity: "0.8.28",
+  // It's pinned to an exact version so every machine (and the explorer verification) produces the same bytecode.
+  // 0.8.28 satisfies the contracts' `pragma solidity ^0.8.19` and the OpenZeppelin 4.9 imports (`^0.8.0`/`^0.8.2`).
+  // Its default EVM version is Cancun, which Arbitrum One, Nova and Sepolia all support (ArbOS 20+).
+  solidity: {
+    version: "0.8.28",
+    settings: {
+      // Hardhat would compile for Paris otherwise. Cancun's PUSH0 and MCOPY make the bytecode noticeably smaller.
+      evmVersion: "cancun",
+      // `VendingMachineV2` is a large contract. Without the optimizer its bytecode is well over the
+      // 24KB contract size limit (EIP-170), so neither Hardhat Network nor Arbitrum would accept the deployment.
+      // A low `runs` value tells the optimizer to favour small bytecode over cheaper calls.
+      optimizer: {
+        enabled: true,
+        runs: 1,
+      },
+      // Also emit each contract's storage layout (into the build info in `artifacts/build-info/`), so
+      // `upgrades/storageLayout.js` can check that an upgrade keeps every existing variable in its slot (`vm:upgrade`).
+      outputSelection: {
+        "*": {
+          "*": ["storageLayout"],
+        },
+      },
+    },
+  },
 
   // The `networks` object is where you define the different blockchain networks Hardhat can connect to.
-  // This includes local development networks (like Hardhat Network), testnets (like Sepolia, Goerli), and mainnets.
+  // Pick one with `--network <name>`, e.g. `npx hardhat run scripts/deploy.js --network arbitrum_one`.
   networks: {
-    // Configuration for the Arbitrum Sepolia testnet.
-    // Arbitrum is a Layer 2 scaling solution for Ethereum.
-    // Sepolia is a common Ethereum testnet.
-    arbitrum_sepolia: {
-      // `url`: The RPC (Remote Procedure Call) endpoint for the Arbitrum Sepolia network.
-      // This URL is used by Hardhat to send requests (like deploying contracts or sending transactions) to the network.
-      // You can often find public RPC URLs for various networks from providers like Alchemy, Infura, or the network's official documentation.
-      url: "https://sepolia-rollup.arbitrum.io/rpc",
-      
-      // `accounts`: An array of private keys for the accounts you want to use for deploying contracts or sending transactions on this network.
-      // IMPORTANT: Never commit your actual private keys directly into your codebase, especially if the repository is public.
-      // Instead, use environment variables (e.g., via a `.env` file and a library like `dotenv`) to store private keys securely.
-      // The private key for the account used to deploy contracts on this network.
-      // IMPORTANT: Never hardcode private keys in your configuration files, especially if your project is open source.
-      // Instead, use environment variables to keep them secure.
-      // 1. Create a `.env` file in the root of your project (e.g., `my-arbitrum-dapp/.env`).
-      // 2. Add your private key to the `.env` file like this: `ARBITRUM_SEPOLIA_PRIVATE_KEY=0xyourActualPrivateKey`
-      // 3. Make sure `.env` is listed in your `.gitignore` file to prevent it from being committed to version control.
-      // 4. Install the `dotenv` package: `npm install dotenv` or `yarn add dotenv`
-      // 5. Require and configure `dotenv` at the top of this `hardhat.config.js` file: `require('dotenv').config();`
-      //
-      // `process.env.ARBITRUM_SEPOLIA_PRIVATE_KEY` will then load the private key from your `.env` file.
-      // If the private key is not set, an empty array `[]` is used as a fallback to prevent errors during local development if the key isn't needed.
-      accounts: process.env.ARBITRUM_SEPOLIA_PRIVATE_KEY ? [process.env.ARBITRUM_SEPOLIA_PRIVATE_KEY] : []
-    }
-    // You can add more network configurations here, for example:
-    // hardhat: { // This is the default Hardhat Network, a local Ethereum network designed for development.
-    //   chainId: 31337 // Default chain ID for Hardhat Network
-    // },
-    // mainnet: { // Example for Ethereum Mainnet (use with extreme caution and secure private key management)
-    //   url: "YOUR_MAINNET_RPC_URL",
-    //   accounts: [process.env.MAINNET_PRIVATE_KEY]
-    // }
-  }
-  // You can also configure other Hardhat settings here, such as:
-  // paths: { // To customize project paths (contracts, artifacts, etc.)
-  //   sources: "./contracts",
-  //   tests: "./test",
-  //   cache: "./cache",
-  //   artifacts: "./artifacts"
-  // },
-  // etherscan: { // For verifying contracts on Etherscan or similar block explorers
-  //   apiKey: process.env.ETHERSCAN_API_KEY
-  // }
-};
\ No newline at end of file
+    // The in-process Hardhat Network used by `npx hardhat test` and by default. Forks `FORK_URL` when it's set.
+    hardhat: {
+      forking,
+      chains: {
+        42161: ARBITRUM_HARDFORKS, // Arbitrum One
+        42170: ARBITRUM_HARDFORKS, // Arbitrum Nova
+        421614: ARBITRUM_HARDFORKS, // Arbitrum Sepolia
+      },
+    },
+
+    // A node started with `npx hardhat node` (forked too when `FORK_URL` is set), with its default accounts.
+    localhost: {
+      url: process.env.LOCALHOST_RPC_URL || "http://127.0.0.1:8545",
+    },
+
+    // Arbitrum One, the Arbitrum mainnet (real ETH!).
+    arbitrum_one: liveNetwork("ARBITRUM_ONE", "https://arb1.arbitrum.io/rpc", 42161),
+
+    // Arbitrum Nova, the AnyTrust chain for high-volume, low-fee applications (real ETH!).
+    arbitrum_nova: liveNetwork("ARBITRUM_NOVA", "https://nova.arbitrum.io/rpc", 42170),
+
+    // Arbitrum Sepolia, the Arbitrum testnet (settles on Ethereum's Sepolia testnet). Get test ETH from a faucet.
+    // IMPORTANT: Never hardcode private keys in your configuration files, especially if your project is open source.
+    // Put them in `.env`, which is listed in `.gitignore`.
+    arbitrum_sepolia: liveNetwork("ARBITRUM_SEPOLIA", "https://sepolia-rollup.arbitrum.io/rpc", 421614),
+  },
+
+  // Contract verification on Arbiscan (`npx hardhat verify`, and the end of `scripts/deploy.js`).
+  // Arbitrum One and Sepolia share an arbiscan.io API key; Nova has its own explorer account at nova.arbiscan.io.
+  etherscan: {
+    apiKey: {
+      arbitrumOne: process.env.ARBISCAN_API_KEY || "",
+      arbitrumSepolia: process.env.ARBISCAN_API_KEY || "",
+      arbitrumNova: process.env.ARBISCAN_NOVA_API_KEY || "",
+    },
+    // hardhat-verify doesn't know Nova's explorer.
+    customChains: [
+      {
+        network: "arbitrumNova",
+        chainId: 42170,
+        urls: {
+          apiURL: "https://api-nova.arbiscan.io/api",
+          browserURL: "https://nova.arbiscan.io/",
+        },
+      },
+    ],
+  },
+
+  // Verification goes through Arbiscan only.
+  sourcify: {
+    enabled: false,
+  },
+
+  // Gas usage per function and deployment, printed after the tests when `REPORT_GAS=true` (off by default).
+  gasReporter: {
+    enabled: process.env.REPORT_GAS === "true",
+    currency: "USD",
+  },
+};
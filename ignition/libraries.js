@@ -0,0 +1,24 @@
+// Shared by the Ignition modules that deploy a `VendingMachineV2` implementation. Parts of the contract live in
+// external libraries (contracts/libraries/) to stay under the 24KB contract size limit, and the implementation can
+// only be deployed once their addresses are linked into its bytecode. Like `deployImplementation` in
+// `scripts/deploy.js`, the libraries are read from the artifact's link references, so a new one needs no change here.
+
+/**
+ * Adds a deployment of every library `VendingMachineV2` links against to an Ignition module.
+ * @param {object} m The module builder passed to `buildModule`.
+ * @returns {Object<string, object>} Library name => library future, to pass as `libraries` to `m.contract`.
+ */
+function vendingMachineLibraries(m) {
+  // Required lazily: the Hardhat Runtime Environment is already loaded when Ignition builds a module.
+  const { artifacts } = require("hardhat");
+  const { linkReferences } = artifacts.readArtifactSync("VendingMachineV2");
+  const libraries = {};
+  for (const [sourceName, names] of Object.entries(linkReferences)) {
+    for (const libraryName of Object.keys(names)) {
+      libraries[libraryName] = m.library(`${sourceName}:${libraryName}`, { id: libraryName });
+    }
+  }
+  return libraries;
+}
+
+module.exports = { vendingMachineLibraries };
@@ -0,0 +1,74 @@
+// This file deploys `VendingMachineV2` (contracts/VendingMachine.sol) with Hardhat Ignition.
+// It does the same as `scripts/deploy.js` (implementation + ERC1967 proxy + `initialize`), and then configures
+// the machine: operators, transaction fee, purchase limits and an initial catalog.
+// Because Ignition journals every step, an interrupted deployment can simply be re-run and resumes where it stopped.
+// Official Documentation: https://hardhat.org/ignition
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const { ZeroHash, id, parseEther } = require("ethers");
+
+const { vendingMachineLibraries } = require("../libraries");
+
+// --- Deployment Parameters ---
+// Defaults match the values `initialize` sets, so an empty parameters file leaves the contract as initialized.
+const DEFAULT_TRANSACTION_FEE = 0; // basis points (100 = 1%)
+const DEFAULT_MIN_PURCHASE_AMOUNT = parseEther("0.0001");
+const DEFAULT_MAX_PURCHASE_AMOUNT = parseEther("5");
+
+// The roles `VendingMachineSetup` needs: `DEFAULT_ADMIN_ROLE` (zero) administers `OPERATOR_ROLE`, and `addItem`
+// takes `ADMIN_ROLE` (`keccak256("ADMIN_ROLE")` in the contract).
+const DEFAULT_ADMIN_ROLE = ZeroHash;
+const ADMIN_ROLE = id("ADMIN_ROLE");
+
+// --- Ignition Module Definition ---
+module.exports = buildModule("VendingMachineModule", (m) => {
+  // --- Module Parameters ---
+  // There is no `owner` parameter: Ignition sends every configuration call below from the deploying account, so
+  // the deploying account owns the machine (DEFAULT_ADMIN_ROLE, ADMIN_ROLE and UPGRADER_ROLE) and receives the fees
+  // (`feeRecipient`, set once by `initialize`). To hand the roles to another address (e.g. a multisig), grant them
+  // to it after the deployment and renounce them from the deploying account.
+  const owner = m.getAccount(0);
+  const transactionFee = m.getParameter("transactionFee", DEFAULT_TRANSACTION_FEE);
+  const minPurchaseAmount = m.getParameter("minPurchaseAmount", DEFAULT_MIN_PURCHASE_AMOUNT);
+  const maxPurchaseAmount = m.getParameter("maxPurchaseAmount", DEFAULT_MAX_PURCHASE_AMOUNT);
+  // `operators`: addresses that get OPERATOR_ROLE. `catalog`: `addItem` arguments, e.g.
+  // `{ "name": "Green Tea", "price": "1200000000000000", "supply": 40, "maxSupply": 80, "category": "Beverages",
+  // "imageURI": "ipfs://..." }`, with the price in wei like the purchase limits.
+  const operators = m.getParameter("operators", []);
+  const catalog = m.getParameter("catalog", []);
+
+  // --- Contract Deployment ---
+  // The implementation can't be used directly (its constructor calls `_disableInitializers()`),
+  // so we put an ERC1967 proxy in front of it and initialize it in the proxy's constructor.
+  // Its external libraries are deployed first and linked into it (see `ignition/libraries.js`).
+  const implementation = m.contract("VendingMachineV2", [], {
+    id: "VendingMachineV2Implementation",
+    libraries: vendingMachineLibraries(m),
+  });
+  const initData = m.encodeFunctionCall(implementation, "initialize", [owner]);
+  const proxy = m.contract("ERC1967Proxy", [implementation, initData]);
+
+  // Talk to the proxy through the VendingMachineV2 ABI from here on.
+  const vendingMachine = m.contractAt("VendingMachineV2", proxy, { id: "VendingMachineV2" });
+
+  // --- Configuration ---
+  m.call(vendingMachine, "updateTransactionFee", [transactionFee]);
+  m.call(vendingMachine, "updatePurchaseLimits", [minPurchaseAmount, maxPurchaseAmount]);
+
+  // The lists go through `VendingMachineSetup`, which takes them whole and gives its roles back when it's done:
+  // Ignition can't add one `grantRole`/`addItem` call per entry of a parameter it hasn't read yet.
+  const setup = m.contract("VendingMachineSetup");
+  const setupRoles = [
+    m.call(vendingMachine, "grantRole", [DEFAULT_ADMIN_ROLE, setup], { id: "grantSetupDefaultAdminRole" }),
+    m.call(vendingMachine, "grantRole", [ADMIN_ROLE, setup], { id: "grantSetupAdminRole" }),
+  ];
+  m.call(setup, "configure", [vendingMachine, operators, catalog], { after: setupRoles });
+
+  // `vendingMachine` is the proxy address (the one to use everywhere), `implementation` is the code behind it.
+  return { vendingMachine, proxy, implementation, setup };
+});
+
+// To run this Ignition deployment:
+// npx hardhat ignition deploy ./ignition/modules/VendingMachine.js --network <your_network_name> --parameters ./ignition/parameters/<your_network_name>.json
+// For example, against a local node (`npx hardhat node`), using the committed local setup:
+// npx hardhat ignition deploy ./ignition/modules/VendingMachine.js --network localhost --parameters ./ignition/parameters/hardhat.json
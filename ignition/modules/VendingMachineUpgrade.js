@@ -0,0 +1,43 @@
+// This file upgrades an existing `VendingMachineV2` proxy to a new implementation with Hardhat Ignition.
+// It deploys the implementation compiled from the current `contracts/VendingMachine.sol` and points the
+// proxy at it through `upgradeToAndCall`. The sending account needs UPGRADER_ROLE on the proxy.
+// Ignition doesn't check the storage layout: run `npx hardhat vm:storage:check --contract <proxy>` before the upgrade
+// and `vm:storage:record` after it, or upgrade with `npx hardhat vm:upgrade`, which does both (see `tasks/upgrades.js`).
+// Official Documentation: https://hardhat.org/ignition/docs/guides/upgradeable-proxies
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+const { vendingMachineLibraries } = require("../libraries");
+
+// --- Ignition Module Definition ---
+module.exports = buildModule("VendingMachineUpgradeModule", (m) => {
+  // --- Module Parameters ---
+  // `proxyAddress`: the proxy to upgrade (the address printed as "Proxy address" by `scripts/deploy.js`,
+  // or `VendingMachineModule#ERC1967Proxy` in an Ignition deployment). It has no default on purpose.
+  const proxyAddress = m.getParameter("proxyAddress");
+  // `upgradeCallData`: an optional encoded call (e.g. a reinitializer) executed on the proxy right after the upgrade.
+  // The default `0x` runs no function.
+  const upgradeCallData = m.getParameter("upgradeCallData", "0x");
+
+  const existingVendingMachine = m.contractAt("VendingMachineV2", proxyAddress, { id: "ExistingVendingMachineV2" });
+
+  // --- Contract Deployment ---
+  // A fresh copy of the libraries too: the ones the current implementation links against may be from older source.
+  const newImplementation = m.contract("VendingMachineV2", [], {
+    id: "VendingMachineV2Implementation",
+    libraries: vendingMachineLibraries(m),
+  });
+
+  // --- Upgrade ---
+  // `_authorizeUpgrade` checks UPGRADER_ROLE, then the UUPS logic of the *current* implementation
+  // verifies that the new one is UUPS compatible before switching.
+  m.call(existingVendingMachine, "upgradeToAndCall", [newImplementation, upgradeCallData]);
+
+  // Same address as before: the proxy keeps its storage and balance, only the code behind it changes.
+  return { vendingMachine: existingVendingMachine, implementation: newImplementation };
+});
+
+// To run this upgrade:
+// npx hardhat ignition deploy ./ignition/modules/VendingMachineUpgrade.js --network <your_network_name> --parameters '{"VendingMachineUpgradeModule": {"proxyAddress": "0xYourProxyAddress"}}'
+// Ignition records every step under `ignition/deployments/`, so a failed or interrupted upgrade can be resumed by running the same command again.
+// Because a finished step is never repeated, give each later upgrade its own `--deployment-id` (e.g. `--deployment-id vending-machine-upgrade-2`).
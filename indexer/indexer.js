@@ -0,0 +1,171 @@
+// Event indexer for `VendingMachineV2`. It backfills the contract's events from a start block, then follows new
+// blocks, and keeps them in a store (`indexer/store.js`) for the queries in `indexer/queries.js`.
+//
+// Reorgs are detected by block hash: every sync first checks that the last indexed block still has the hash it
+// had when it was indexed. If not, it walks back through the recorded block hashes to the newest block that is
+// still on the canonical chain, drops every event after it and re-indexes from there.
+//
+// Only needs an ethers provider and the contract ABI, so it runs outside Hardhat too.
+
+const { Interface } = require("ethers");
+
+const INDEXED_EVENTS = [
+  "ItemPurchased",
+  "ItemAdded",
+  "ItemRestocked",
+  "LoyaltyPointsEarned",
+  "UserBlacklisted",
+  "EmergencyWithdrawal",
+  "FeeUpdated",
+];
+
+/**
+ * Converts decoded event arguments to a plain object with JSON-friendly values (BigInt => decimal string).
+ * @param {object} event A parsed log (`Interface.parseLog`).
+ */
+function serializeArgs(event) {
+  const args = {};
+  event.fragment.inputs.forEach((input, i) => {
+    const value = event.args[i];
+    args[input.name] = typeof value === "bigint" ? value.toString() : value;
+  });
+  return args;
+}
+
+/**
+ * Creates an indexer.
+ * @param {object} options
+ * @param {object} options.provider An ethers provider.
+ * @param {string} options.address The VendingMachineV2 proxy address.
+ * @param {object[]|Interface} options.abi The VendingMachineV2 ABI.
+ * @param {object} options.store From `createJsonStore`.
+ * @param {number} [options.startBlock] First block to index, ideally the deployment block. Defaults to 0.
+ * @param {number} [options.batchSize] Blocks per `eth_getLogs` request. Defaults to 2000.
+ * @param {number} [options.reorgDepth] How many recent block hashes to keep for reorg detection. Defaults to 64.
+ */
+function createIndexer({ provider, address, abi, store, startBlock = 0, batchSize = 2000, reorgDepth = 64 }) {
+  const contractInterface = Interface.from(abi);
+  const topics = INDEXED_EVENTS.map((name) => contractInterface.getEvent(name).topicHash);
+
+  // If the last indexed block is no longer canonical, rolls the store back to the newest block that still is.
+  async function handleReorg() {
+    const { state } = store;
+    if (!state.cursor) return null;
+
+    const current = await provider.getBlock(state.cursor.number);
+    if (current && current.hash === state.cursor.hash) return null;
+
+    const recorded = Object.keys(state.checkpoints)
+      .map(Number)
+      .filter((number) => number < state.cursor.number)
+      .sort((a, b) => b - a);
+    let ancestor = null;
+    for (const number of recorded) {
+      const block = await provider.getBlock(number);
+      if (block && block.hash === state.checkpoints[number]) {
+        ancestor = { number, hash: block.hash };
+        break;
+      }
+    }
+
+    // Deeper than the recorded hashes: start over.
+    const rollbackTo = ancestor ? ancestor.number : startBlock - 1;
+    const dropped = state.events.filter((event) => event.blockNumber > rollbackTo).length;
+    state.events = state.events.filter((event) => event.blockNumber <= rollbackTo);
+    for (const number of Object.keys(state.checkpoints)) {
+      if (Number(number) > rollbackTo) delete state.checkpoints[number];
+    }
+    state.cursor = ancestor;
+    store.save();
+
+    return { fromBlock: state.cursor ? state.cursor.number : null, droppedEvents: dropped };
+  }
+
+  /**
+   * Indexes everything up to the current head (in `batchSize` chunks), after handling a reorg if there was one.
+   * @returns {Promise<{ fromBlock: number, toBlock: number, newEvents: number, reorg: object|null }>}
+   */
+  async function sync() {
+    const { state } = store;
+    const reorg = await handleReorg();
+    const head = await provider.getBlockNumber();
+    const fromBlock = state.cursor ? state.cursor.number + 1 : startBlock;
+    let newEvents = 0;
+
+    for (let from = fromBlock; from <= head; from += batchSize) {
+      const to = Math.min(from + batchSize - 1, head);
+      const logs = await provider.getLogs({ address, topics: [topics], fromBlock: from, toBlock: to });
+
+      const timestamps = new Map();
+      for (const log of logs) {
+        if (!timestamps.has(log.blockNumber)) {
+          timestamps.set(log.blockNumber, (await provider.getBlock(log.blockNumber)).timestamp);
+        }
+        const event = contractInterface.parseLog(log);
+        state.events.push({
+          name: event.name,
+          blockNumber: log.blockNumber,
+          blockHash: log.blockHash,
+          transactionHash: log.transactionHash,
+          logIndex: log.index,
+          timestamp: timestamps.get(log.blockNumber),
+          args: serializeArgs(event),
+        });
+        state.checkpoints[log.blockNumber] = log.blockHash;
+        newEvents++;
+      }
+
+      const block = await provider.getBlock(to);
+      state.checkpoints[to] = block.hash;
+      state.cursor = { number: to, hash: block.hash };
+      for (const number of Object.keys(state.checkpoints)) {
+        if (Number(number) < to - reorgDepth) delete state.checkpoints[number];
+      }
+      store.save();
+    }
+
+    return { fromBlock, toBlock: head, newEvents, reorg };
+  }
+
+  /**
+   * Keeps syncing every `pollInterval` milliseconds until `stop()` is called.
+   * @param {object} [options]
+   * @param {number} [options.pollInterval] Defaults to 4000.
+   * @param {(result: object) => void} [options.onSync] Called after every sync.
+   * @param {(error: Error) => void} [options.onError] Called when a sync fails; following continues. Defaults to
+   *   `console.error`.
+   * @returns {{ stop: () => Promise<void> }} `stop` resolves once the sync in progress (if any) is done.
+   */
+  function follow({ pollInterval = 4000, onSync = () => {}, onError = console.error } = {}) {
+    let stopped = false;
+    let timer;
+    let running = Promise.resolve();
+
+    const tick = () => {
+      running = sync()
+        .then(onSync, onError)
+        .then(() => {
+          if (!stopped) timer = setTimeout(tick, pollInterval);
+        });
+    };
+    tick();
+
+    return {
+      async stop() {
+        stopped = true;
+        clearTimeout(timer);
+        await running;
+      },
+    };
+  }
+
+  return {
+    sync,
+    follow,
+    get events() {
+      return store.state.events;
+    },
+  };
+}
+
+module.exports = { INDEXED_EVENTS, createIndexer };
@@ -0,0 +1,110 @@
+// Sales analytics over the events collected by the indexer (`indexer/indexer.js`).
+// Every function takes the indexed events and returns plain objects; amounts are BigInt wei.
+//
+// Revenue is what buyers paid (`ItemPurchased.totalPaid`), fees included. Months are calendar months in UTC,
+// unlike the contract's `monthlyRevenue`, which buckets by `block.timestamp / 30 days`.
+
+function purchasesOf(events) {
+  return events.filter((event) => event.name === "ItemPurchased");
+}
+
+// Item ID => the item's name and category, from `ItemAdded`.
+function catalogOf(events) {
+  const catalog = new Map();
+  for (const event of events) {
+    if (event.name === "ItemAdded") {
+      catalog.set(event.args.itemId, { name: event.args.name, category: event.args.category });
+    }
+  }
+  return catalog;
+}
+
+/**
+ * Addresses that bought at least once, sorted.
+ * @param {object[]} events
+ * @returns {string[]}
+ */
+function uniqueBuyers(events) {
+  return [...new Set(purchasesOf(events).map((event) => event.args.buyer))].sort();
+}
+
+/**
+ * Revenue per calendar month (UTC), oldest first.
+ * @param {object[]} events
+ * @returns {{ month: string, revenue: bigint, purchases: number }[]} `month` is `YYYY-MM`.
+ */
+function monthlyRevenue(events) {
+  const months = new Map();
+  for (const event of purchasesOf(events)) {
+    const month = new Date(event.timestamp * 1000).toISOString().slice(0, 7);
+    const entry = months.get(month) || { month, revenue: 0n, purchases: 0 };
+    entry.revenue += BigInt(event.args.totalPaid);
+    entry.purchases++;
+    months.set(month, entry);
+  }
+  return [...months.values()].sort((a, b) => a.month.localeCompare(b.month));
+}
+
+/**
+ * Units sold and revenue per item, by item ID.
+ * @param {object[]} events
+ * @returns {{ itemId: number, name: string, category: string, quantity: bigint, revenue: bigint }[]}
+ */
+function salesByItem(events) {
+  const catalog = catalogOf(events);
+  const items = new Map();
+  for (const event of purchasesOf(events)) {
+    const { itemId } = event.args;
+    const known = catalog.get(itemId) || { name: event.args.itemName, category: "" };
+    const entry = items.get(itemId) || { itemId: Number(itemId), ...known, quantity: 0n, revenue: 0n };
+    entry.quantity += BigInt(event.args.quantity);
+    entry.revenue += BigInt(event.args.totalPaid);
+    items.set(itemId, entry);
+  }
+  return [...items.values()].sort((a, b) => a.itemId - b.itemId);
+}
+
+/**
+ * Units sold and revenue per category, best-selling (by revenue) first.
+ * @param {object[]} events
+ * @returns {{ category: string, quantity: bigint, revenue: bigint }[]}
+ */
+function salesByCategory(events) {
+  const categories = new Map();
+  for (const item of salesByItem(events)) {
+    const entry = categories.get(item.category) || { category: item.category, quantity: 0n, revenue: 0n };
+    entry.quantity += item.quantity;
+    entry.revenue += item.revenue;
+    categories.set(item.category, entry);
+  }
+  return [...categories.values()].sort((a, b) => (b.revenue > a.revenue ? 1 : b.revenue < a.revenue ? -1 : 0));
+}
+
+/**
+ * The buyers who spent the most.
+ * @param {object[]} events
+ * @param {number} [limit] Defaults to 10.
+ * @returns {{ buyer: string, spent: bigint, quantity: bigint, purchases: number }[]}
+ */
+function topCustomers(events, limit = 10) {
+  const customers = new Map();
+  for (const event of purchasesOf(events)) {
+    const { buyer } = event.args;
+    const entry = customers.get(buyer) || { buyer, spent: 0n, quantity: 0n, purchases: 0 };
+    entry.spent += BigInt(event.args.totalPaid);
+    entry.quantity += BigInt(event.args.quantity);
+    entry.purchases++;
+    customers.set(buyer, entry);
+  }
+  return [...customers.values()]
+    .sort((a, b) => (b.spent > a.spent ? 1 : b.spent < a.spent ? -1 : a.buyer.localeCompare(b.buyer)))
+    .slice(0, limit);
+}
+
+module.exports = {
+  monthlyRevenue,
+  salesByCategory,
+  salesByItem,
+  topCustomers,
+  uniqueBuyers,
+};
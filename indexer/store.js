@@ -0,0 +1,64 @@
+// JSON file store for the event indexer (see `indexer/indexer.js`).
+//
+// The whole state lives in memory and is written back as one JSON document after every sync. The file is written
+// to a temporary path first and then renamed, so a crash mid-write never leaves a truncated store behind.
+// BigInt values (event arguments) are stored as decimal strings.
+
+const fs = require("fs");
+const path = require("path");
+
+const STORE_VERSION = 1;
+
+/**
+ * An empty indexer state.
+ * @param {string} address The indexed contract.
+ */
+function emptyState(address) {
+  return {
+    version: STORE_VERSION,
+    address,
+    // Last indexed block: `{ number, hash }`, or null before the first sync.
+    cursor: null,
+    // Hashes of recently indexed blocks (block number => hash), used to find where a reorg forked off.
+    checkpoints: {},
+    // Indexed events, in chain order.
+    events: [],
+  };
+}
+
+/**
+ * Opens (or creates) a store. Without a file the store only lives in memory, which is what tests use.
+ * @param {string} address The indexed contract. A store file belongs to one contract.
+ * @param {string} [file] Path of the JSON file.
+ * @returns {{ state: object, save: () => void }}
+ */
+function createJsonStore(address, file) {
+  let state = emptyState(address);
+
+  if (file && fs.existsSync(file)) {
+    state = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (state.version !== STORE_VERSION) {
+      throw new Error(`${file} was written by another version of the indexer (${state.version}); delete it to re-index`);
+    }
+    if (state.address.toLowerCase() !== address.toLowerCase()) {
+      throw new Error(`${file} indexes ${state.address}, not ${address}`);
+    }
+  }
+
+  function save() {
+    if (!file) return;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const temporaryFile = `${file}.tmp`;
+    fs.writeFileSync(temporaryFile, JSON.stringify(state, null, 2));
+    fs.renameSync(temporaryFile, file);
+  }
+
+  return {
+    get state() {
+      return state;
+    },
+    save,
+  };
+}
+
+module.exports = { createJsonStore };
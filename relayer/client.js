@@ -0,0 +1,198 @@
+// Client side of `VendingMachineV2`'s signed purchases. Two schemes:
+//
+// - `eth_sign`: the buyer signs `keccak256(abi.encode(itemId, quantity, nonce))` (or the item and quantity arrays
+//   for a bulk purchase) and sends the transaction themselves, through the signed `purchaseItem`/`bulkPurchase`
+//   overloads. The `withSignature` modifier requires the signer to be `msg.sender`.
+// - EIP-712 typed data: the buyer signs a `Purchase`/`BulkPurchase` intent bound to the contract and chain, and
+//   anyone can submit it with `purchaseItemFor`/`bulkPurchaseFor` (usually the relayer in `relayer/server.js`,
+//   which pays the ETH and the gas).
+//
+// Both schemes share `nonces(buyer)`: a signature is accepted once, and only with a nonce above the last one used.
+
+const { AbiCoder, Signature, getBytes, keccak256, verifyTypedData } = require("ethers");
+
+// Must match `_hashTypedData` and the type hashes in the `Signatures` library (contracts/libraries/Signatures.sol).
+const DOMAIN_NAME = "VendingMachineV2";
+const DOMAIN_VERSION = "1";
+
+const PURCHASE_TYPES = {
+  Purchase: [
+    { name: "buyer", type: "address" },
+    { name: "itemId", type: "uint256" },
+    { name: "quantity", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+const BULK_PURCHASE_TYPES = {
+  BulkPurchase: [
+    { name: "buyer", type: "address" },
+    { name: "itemIds", type: "uint256[]" },
+    { name: "quantities", type: "uint256[]" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+// How long a typed-data signature stays valid when no deadline is given.
+const DEFAULT_DEADLINE_SECONDS = 15 * 60;
+
+// --- Nonces ---
+
+/**
+ * The nonce to sign next: the contract accepts any nonce above `nonces(buyer)`, so this is the last one plus one.
+ * @param {object} vendingMachine A `VendingMachineV2` contract (ethers).
+ * @param {string} buyer
+ * @returns {Promise<bigint>}
+ */
+async function nextNonce(vendingMachine, buyer) {
+  return (await vendingMachine.nonces(buyer)) + 1n;
+}
+
+// --- eth_sign scheme ---
+
+/**
+ * The hash the signed `purchaseItem` overload checks: `keccak256(abi.encode(itemId, quantity, nonce))`.
+ * @returns {string}
+ */
+function purchaseHash(itemId, quantity, nonce) {
+  return keccak256(AbiCoder.defaultAbiCoder().encode(["uint256", "uint256", "uint256"], [itemId, quantity, nonce]));
+}
+
+/**
+ * The hash the signed `bulkPurchase` overload checks: `keccak256(abi.encode(itemIds, quantities, nonce))`.
+ * @returns {string}
+ */
+function bulkPurchaseHash(itemIds, quantities, nonce) {
+  return keccak256(
+    AbiCoder.defaultAbiCoder().encode(["uint256[]", "uint256[]", "uint256"], [itemIds, quantities, nonce])
+  );
+}
+
+// `eth_sign` over the 32 bytes of the hash, as `withSignature` expects (not over its hex string).
+async function signHash(signer, hash) {
+  const signature = Signature.from(await signer.signMessage(getBytes(hash)));
+  return { hash, v: signature.v, r: signature.r, s: signature.s };
+}
+
+/**
+ * Signs a purchase for the signed `purchaseItem` overload. The buyer must send it themselves.
+ * @param {object} signer The buyer.
+ * @param {{ itemId: bigint|number, quantity: bigint|number, nonce: bigint|number }} purchase
+ * @returns {Promise<{ hash: string, v: number, r: string, s: string }>}
+ */
+async function signPurchase(signer, { itemId, quantity, nonce }) {
+  return signHash(signer, purchaseHash(itemId, quantity, nonce));
+}
+
+/**
+ * Signs a purchase for the signed `bulkPurchase` overload. The buyer must send it themselves.
+ * @param {object} signer The buyer.
+ * @param {{ itemIds: Array<bigint|number>, quantities: Array<bigint|number>, nonce: bigint|number }} purchase
+ * @returns {Promise<{ hash: string, v: number, r: string, s: string }>}
+ */
+async function signBulkPurchase(signer, { itemIds, quantities, nonce }) {
+  return signHash(signer, bulkPurchaseHash(itemIds, quantities, nonce));
+}
+
+// --- EIP-712 scheme ---
+
+/**
+ * The EIP-712 domain of a `VendingMachineV2` proxy.
+ * @param {bigint|number} chainId
+ * @param {string} verifyingContract The proxy address.
+ * @returns {object}
+ */
+function purchaseDomain(chainId, verifyingContract) {
+  return { name: DOMAIN_NAME, version: DOMAIN_VERSION, chainId, verifyingContract };
+}
+
+function isBulk(intent) {
+  return Array.isArray(intent.itemIds);
+}
+
+/**
+ * The EIP-712 types for an intent: `BulkPurchase` when it has `itemIds`, `Purchase` otherwise.
+ * @param {object} intent
+ * @returns {object}
+ */
+function typesFor(intent) {
+  return isBulk(intent) ? BULK_PURCHASE_TYPES : PURCHASE_TYPES;
+}
+
+// The signed fields only, so an intent read from JSON (with a `signature`, or extra fields) hashes the same.
+function messageOf(intent) {
+  const common = { buyer: intent.buyer, nonce: BigInt(intent.nonce), deadline: BigInt(intent.deadline) };
+  if (isBulk(intent)) {
+    return { ...common, itemIds: intent.itemIds.map(BigInt), quantities: intent.quantities.map(BigInt) };
+  }
+  return { ...common, itemId: BigInt(intent.itemId), quantity: BigInt(intent.quantity) };
+}
+
+/**
+ * Signs a purchase intent with EIP-712 typed data, for `purchaseItemFor` (`{ itemId, quantity }`) or
+ * `bulkPurchaseFor` (`{ itemIds, quantities }`).
+ * @param {object} signer The buyer.
+ * @param {object} domain See `purchaseDomain`.
+ * @param {object} intent `buyer` defaults to the signer, `deadline` (seconds) to `DEFAULT_DEADLINE_SECONDS` after
+ *   the latest block.
+ * @returns {Promise<object>} The intent with all its fields and the `signature`, ready to send to the relayer.
+ */
+async function signTypedPurchase(signer, domain, intent) {
+  const signed = { ...intent, buyer: intent.buyer || (await signer.getAddress()) };
+  if (signed.deadline === undefined) {
+    // The contract compares the deadline with the block timestamp, so start from the chain's clock when there is one.
+    const latest = signer.provider ? await signer.provider.getBlock("latest") : null;
+    const now = latest ? latest.timestamp : Math.floor(Date.now() / 1000);
+    signed.deadline = BigInt(now + DEFAULT_DEADLINE_SECONDS);
+  }
+  signed.signature = await signer.signTypedData(domain, typesFor(signed), messageOf(signed));
+  return signed;
+}
+
+/**
+ * The address that signed a typed-data intent (not necessarily its `buyer`).
+ * @param {object} domain
+ * @param {object} intent With its `signature`.
+ * @returns {string}
+ */
+function recoverTypedPurchaseSigner(domain, intent) {
+  return verifyTypedData(domain, typesFor(intent), messageOf(intent), intent.signature);
+}
+
+/**
+ * Contract method and arguments that submit a signed intent.
+ * @param {object} intent With its `signature`.
+ * @returns {{ method: string, args: any[] }}
+ */
+function typedPurchaseCall(intent) {
+  const { v, r, s } = Signature.from(intent.signature);
+  const message = messageOf(intent);
+  if (isBulk(intent)) {
+    return {
+      method: "bulkPurchaseFor",
+      args: [message.buyer, message.itemIds, message.quantities, message.nonce, message.deadline, v, r, s],
+    };
+  }
+  return {
+    method: "purchaseItemFor",
+    args: [message.buyer, message.itemId, message.quantity, message.nonce, message.deadline, v, r, s],
+  };
+}
+
+module.exports = {
+  BULK_PURCHASE_TYPES,
+  DEFAULT_DEADLINE_SECONDS,
+  PURCHASE_TYPES,
+  bulkPurchaseHash,
+  nextNonce,
+  purchaseDomain,
+  purchaseHash,
+  recoverTypedPurchaseSigner,
+  signBulkPurchase,
+  signPurchase,
+  signTypedPurchase,
+  typedPurchaseCall,
+  typesFor,
+};
@@ -0,0 +1,262 @@
+// Local relayer for EIP-712 signed purchases (see `relayer/client.js`). Buyers POST a signed intent; the relayer
+// checks it and submits it with `purchaseItemFor`/`bulkPurchaseFor` from its own account, paying the ETH and the
+// gas. Built on Node's `http` module, like `api/server.js`.
+//
+//   GET  /domain                the EIP-712 domain, and the types to sign with per kind of purchase:
+//                               { domain, types: { purchase, bulkPurchase } }
+//   GET  /nonces/:address       the buyer's last used nonce, and the next one to sign
+//   POST /purchases             submit a signed intent:
+//                               { buyer, itemId, quantity, nonce, deadline, signature }, or
+//                               { buyer, itemIds, quantities, nonce, deadline, signature } for a bulk purchase
+//
+// Before sending anything, an intent is rejected if its signature isn't the buyer's (401), if its nonce was already
+// used or is being submitted (409), or if it expired, costs more than `maxValue` or the contract would revert (422).
+// Amounts are wei, as decimal strings.
+
+const http = require("http");
+const { isAddress } = require("ethers");
+
+const { quotePurchase, readPromotions, readPurchaseSettings } = require("../api/pricing");
+const { decodeRevertReason } = require("../tasks/utils");
+const {
+  BULK_PURCHASE_TYPES,
+  PURCHASE_TYPES,
+  purchaseDomain,
+  recoverTypedPurchaseSigner,
+  typedPurchaseCall,
+} = require("./client");
+
+// Intents are a few hundred bytes; anything much bigger isn't one.
+const MAX_BODY_BYTES = 64 * 1024;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// BigInt isn't JSON-serializable; send it as a decimal string.
+function toJson(value) {
+  return JSON.stringify(value, (key, field) => (typeof field === "bigint" ? field.toString() : field));
+}
+
+function isRevert(error) {
+  return error.code === "CALL_EXCEPTION" || /revert/i.test(error.message);
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    request.setEncoding("utf8");
+    request.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new HttpError(413, "Request body too large"));
+        request.destroy();
+      }
+    });
+    request.on("end", () => resolve(body));
+    request.on("error", reject);
+  });
+}
+
+function toUint(value, name) {
+  if (!/^\d+$/.test(String(value))) {
+    throw new HttpError(400, `${name} must be a whole number`);
+  }
+  return BigInt(value);
+}
+
+// Checks the shape of a posted intent and converts its numbers to bigints.
+function parseIntent(body) {
+  let intent;
+  try {
+    intent = JSON.parse(body);
+  } catch {
+    throw new HttpError(400, "Body must be JSON");
+  }
+  if (!intent || typeof intent !== "object") {
+    throw new HttpError(400, "Body must be a JSON object");
+  }
+  if (!isAddress(intent.buyer)) {
+    throw new HttpError(400, `buyer is not an address: ${intent.buyer}`);
+  }
+  if (typeof intent.signature !== "string") {
+    throw new HttpError(400, "signature is required");
+  }
+
+  const parsed = {
+    buyer: intent.buyer,
+    nonce: toUint(intent.nonce, "nonce"),
+    deadline: toUint(intent.deadline, "deadline"),
+    signature: intent.signature,
+  };
+  if (intent.itemIds !== undefined) {
+    if (!Array.isArray(intent.itemIds) || !Array.isArray(intent.quantities)) {
+      throw new HttpError(400, "itemIds and quantities must be arrays");
+    }
+    if (intent.itemIds.length !== intent.quantities.length) {
+      throw new HttpError(400, `Got ${intent.itemIds.length} items but ${intent.quantities.length} quantities`);
+    }
+    parsed.itemIds = intent.itemIds.map((id) => toUint(id, "itemIds"));
+    parsed.quantities = intent.quantities.map((quantity) => toUint(quantity, "quantities"));
+  } else {
+    parsed.itemId = toUint(intent.itemId, "itemId");
+    parsed.quantity = toUint(intent.quantity, "quantity");
+  }
+  return parsed;
+}
+
+/**
+ * Creates the relayer server. Call `listen(port)` on the result to start it.
+ * @param {object} options
+ * @param {object} options.vendingMachine A `VendingMachineV2` contract connected to the relayer's account.
+ * @param {bigint} options.maxValue Most ETH (wei) the relayer pays for one intent. Required: anyone who can reach the
+ *   server can sign intents for their own address, and the relayer's account pays for every one of them.
+ * @returns {http.Server}
+ */
+function createRelayer({ vendingMachine, maxValue }) {
+  if (typeof maxValue !== "bigint" || maxValue <= 0n) {
+    throw new Error("maxValue is required: the most wei the relayer pays for one purchase");
+  }
+  const provider = vendingMachine.runner.provider;
+  // Buyers with an intent being submitted, so the same signature can't be sent twice before the first is mined.
+  const inFlight = new Set();
+
+  let domain;
+  async function getDomain() {
+    if (!domain) {
+      const { chainId } = await provider.getNetwork();
+      domain = purchaseDomain(chainId, await vendingMachine.getAddress());
+    }
+    return domain;
+  }
+
+  // What the purchase costs: the API's quote (`quotePurchase` in `api/pricing.js`), with the buyer's loyalty discount
+  // and the running promotions they still have units of. The contract checks it again; this is the `value`.
+  async function quote(intent) {
+    const itemIds = intent.itemIds || [intent.itemId];
+    const quantities = intent.quantities || [intent.quantity];
+    const block = await provider.getBlock("latest");
+    const blockTag = block.number;
+    const items = [];
+    for (const id of itemIds) {
+      let item;
+      try {
+        item = await vendingMachine.items(id, { blockTag });
+      } catch (error) {
+        if (isRevert(error)) throw new HttpError(422, `Item ${id} doesn't exist`);
+        throw error;
+      }
+      items.push({
+        id: Number(id),
+        name: item.name,
+        price: item.price,
+        supply: item.supply,
+        isActive: item.isActive,
+        category: item.category,
+      });
+    }
+    const [profile, tiers, promotions, settings] = await Promise.all([
+      vendingMachine.userProfiles(intent.buyer, { blockTag }),
+      vendingMachine.getLoyaltyTiers({ blockTag }),
+      readPromotions(vendingMachine, intent.buyer, blockTag),
+      readPurchaseSettings(vendingMachine, intent.buyer, BigInt(block.timestamp), blockTag),
+    ]);
+    // Issues are left to the simulation below, which reports the contract's own revert reason
+    return quotePurchase({ items, quantities, profile, tiers, settings, promotions }).total;
+  }
+
+  async function submit(intent) {
+    let signer;
+    try {
+      signer = recoverTypedPurchaseSigner(await getDomain(), intent);
+    } catch {
+      throw new HttpError(401, "Invalid signature");
+    }
+    if (signer.toLowerCase() !== intent.buyer.toLowerCase()) {
+      throw new HttpError(401, "Invalid signature: not signed by the buyer");
+    }
+
+    const lastNonce = await vendingMachine.nonces(intent.buyer);
+    if (intent.nonce <= lastNonce) {
+      throw new HttpError(409, `Nonce ${intent.nonce} already used (last used: ${lastNonce})`);
+    }
+    const { timestamp } = await provider.getBlock("latest");
+    if (intent.deadline < BigInt(timestamp)) {
+      throw new HttpError(422, "Signature expired");
+    }
+
+    const value = await quote(intent);
+    if (value > maxValue) {
+      throw new HttpError(422, `Costs ${value} wei, more than the relayer pays per purchase (${maxValue})`);
+    }
+
+    // Simulate first, so a purchase the contract would reject costs no gas.
+    const { method, args } = typedPurchaseCall(intent);
+    const fn = vendingMachine.getFunction(method);
+    try {
+      await fn.staticCall(...args, { value });
+    } catch (error) {
+      if (isRevert(error)) throw new HttpError(422, decodeRevertReason(vendingMachine, error));
+      throw error;
+    }
+
+    const tx = await fn.send(...args, { value });
+    const receipt = await tx.wait();
+    return { method, transactionHash: receipt.hash, blockNumber: receipt.blockNumber, value };
+  }
+
+  async function postPurchase(request) {
+    const intent = parseIntent(await readBody(request));
+    const key = intent.buyer.toLowerCase();
+    if (inFlight.has(key)) {
+      throw new HttpError(409, `A purchase for ${intent.buyer} is already being submitted`);
+    }
+    inFlight.add(key);
+    try {
+      return await submit(intent);
+    } finally {
+      inFlight.delete(key);
+    }
+  }
+
+  async function route(request) {
+    const { pathname } = new URL(request.url, "http://localhost");
+    if (pathname === "/purchases" && request.method === "POST") {
+      return postPurchase(request);
+    }
+    if (pathname === "/purchases" || request.method !== "GET") {
+      throw new HttpError(405, `${request.method} ${pathname} isn't supported`);
+    }
+    if (pathname === "/domain") {
+      // One type set per kind, like `typesFor`: with both struct types in one set, ethers can't tell which one is signed
+      return { domain: await getDomain(), types: { purchase: PURCHASE_TYPES, bulkPurchase: BULK_PURCHASE_TYPES } };
+    }
+    const match = pathname.match(/^\/nonces\/([^/]+)$/);
+    if (match) {
+      if (!isAddress(match[1])) {
+        throw new HttpError(400, `Not an address: ${match[1]}`);
+      }
+      const nonce = await vendingMachine.nonces(match[1]);
+      return { address: match[1], nonce, next: nonce + 1n };
+    }
+    throw new HttpError(404, `No route for ${pathname}`);
+  }
+
+  return http.createServer(async (request, response) => {
+    response.setHeader("Content-Type", "application/json");
+    try {
+      response.end(toJson(await route(request)));
+    } catch (error) {
+      response.statusCode = error.status || 500;
+      response.end(toJson({ error: error.status ? error.message : "Internal error" }));
+      if (!error.status) {
+        console.error(error);
+      }
+    }
+  });
+}
+
+module.exports = { createRelayer };
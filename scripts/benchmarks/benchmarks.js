@@ -0,0 +1,187 @@
+// Gas and contract-size benchmarks for `VendingMachineV2`.
+//
+// Measures the gas of the calls whose cost grows with their input (bulk purchases, batch catalog updates, and
+// `getAnalytics`, which loops over every item) and the deployed bytecode size of the contract and its libraries,
+// then compares them with the committed baseline (`scripts/benchmarks/baseline.json`). `run.js` is the CLI;
+// `REPORT_GAS=true npx hardhat test` gives the per-function averages of the test suite instead.
+//
+// Every gas scenario starts from the same chain state (a snapshot), so the numbers only change when the code does.
+
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { takeSnapshot } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const { SEEDED_ITEMS, deployVendingMachine } = require("../deploy");
+
+const { ethers } = hre;
+
+const BASELINE_PATH = path.join(__dirname, "baseline.json");
+
+// EIP-170: neither Hardhat Network nor Arbitrum accepts deployed code above this, whatever the baseline says
+const MAX_BYTECODE_SIZE = 24576;
+
+// Contracts this close to the limit fail too, so the last few features can't each creep under the regression
+// threshold until one no longer deploys: past this point, code has to move into a library first
+const BYTECODE_SIZE_MARGIN = 256;
+
+// Regressions up to this many percent pass (`BENCHMARK_THRESHOLD`)
+const DEFAULT_THRESHOLD_PERCENT = 2;
+
+// `bulkPurchase` takes at most 20 lines, `batchRestockItems` 100 and `batchUpdatePrices` 50 items, and the catalog
+// holds at most `MAX_ITEMS` (1000)
+const BULK_SIZES = [1, 5, 20];
+const RESTOCK_BATCH = 100;
+const PRICE_BATCH = 50;
+const ANALYTICS_ITEM_COUNTS = [10, 100, 1000];
+
+const ITEM_PRICE = ethers.parseEther("0.001");
+
+/**
+ * Deployed bytecode size, in bytes, of `VendingMachineV2` and of every library it links. Read from the compiled
+ * artifacts, so compile first (`hardhat run` does).
+ * @returns {Promise<Object<string, number>>}
+ */
+async function measureBytecodeSizes() {
+  const sizeOf = ({ deployedBytecode }) => (deployedBytecode.length - 2) / 2;
+  const artifact = await hre.artifacts.readArtifact("VendingMachineV2");
+  const sizes = { VendingMachineV2: sizeOf(artifact) };
+  for (const [sourceName, names] of Object.entries(artifact.linkReferences)) {
+    for (const libraryName of Object.keys(names).sort()) {
+      sizes[libraryName] = sizeOf(await hre.artifacts.readArtifact(`${sourceName}:${libraryName}`));
+    }
+  }
+  return sizes;
+}
+
+// Adds items until the catalog has `count`, priced `ITEM_PRICE`, with stock to buy and room to restock
+async function addItemsUpTo(vendingMachine, count) {
+  const { totalItems } = await vendingMachine.getAnalytics();
+  for (let itemId = Number(totalItems); itemId < count; itemId++) {
+    await (await vendingMachine.addItem(`Bench Item ${itemId}`, ITEM_PRICE, 50, 1000, "Bench", "")).wait();
+  }
+}
+
+// Gas of a transaction, from its receipt
+async function gasOf(transaction) {
+  return Number((await (await transaction).wait()).gasUsed);
+}
+
+/**
+ * Runs every gas scenario on the Hardhat Network. Takes a while: the 1000-item `getAnalytics` needs a full catalog.
+ * @param {object} [options]
+ * @param {(message: string) => void} [options.log] Progress messages.
+ * @returns {Promise<Object<string, number>>} Gas per scenario, keyed like `bulkPurchase/20`.
+ */
+async function measureGas({ log = () => {} } = {}) {
+  const [owner, operator, buyer] = await ethers.getSigners();
+  const { vendingMachine } = await deployVendingMachine({ owner: owner.address, deployer: owner });
+  await vendingMachine.grantRole(await vendingMachine.OPERATOR_ROLE(), operator.address);
+  const gas = {};
+  const analyticsGas = {};
+
+  // `getAnalytics` is a view: what a transaction calling it would pay
+  const analytics = async (count) => {
+    await addItemsUpTo(vendingMachine, count);
+    analyticsGas[`getAnalytics/${count}`] = Number(await vendingMachine.getAnalytics.estimateGas());
+    log(`getAnalytics with ${count} items`);
+  };
+
+  await analytics(ANALYTICS_ITEM_COUNTS[0]);
+  await addItemsUpTo(vendingMachine, RESTOCK_BATCH);
+  const snapshot = await takeSnapshot();
+  const range = (length, first = 0) => Array.from({ length }, (_, i) => first + i);
+  // Purchases pay the exact price of the added items, so there is no refund
+  const firstAdded = SEEDED_ITEMS.length;
+  const scenarios = [
+    [
+      "purchaseItem",
+      () => vendingMachine.connect(buyer).purchaseItem(firstAdded, 1, ethers.ZeroAddress, { value: ITEM_PRICE }),
+    ],
+    ...BULK_SIZES.map((size) => [
+      `bulkPurchase/${size}`,
+      () =>
+        vendingMachine
+          .connect(buyer)
+          .bulkPurchase(range(size, firstAdded), Array(size).fill(1), { value: ITEM_PRICE * BigInt(size) }),
+    ]),
+    [
+      `batchRestockItems/${RESTOCK_BATCH}`,
+      () => vendingMachine.connect(operator).batchRestockItems(range(RESTOCK_BATCH), Array(RESTOCK_BATCH).fill(1)),
+    ],
+    [
+      `batchUpdatePrices/${PRICE_BATCH}`,
+      () => vendingMachine.batchUpdatePrices(range(PRICE_BATCH), Array(PRICE_BATCH).fill(ITEM_PRICE * 2n)),
+    ],
+  ];
+  for (const [name, send] of scenarios) {
+    gas[name] = await gasOf(send());
+    await snapshot.restore();
+    log(name);
+  }
+
+  for (const count of ANALYTICS_ITEM_COUNTS.slice(1)) {
+    await analytics(count);
+  }
+  return { ...gas, ...analyticsGas };
+}
+
+/**
+ * Compares benchmark results with a baseline of the same shape (`{ gas, bytecodeSize }`).
+ * @param {object} results From `measureGas`/`measureBytecodeSizes`, as `{ gas, bytecodeSize }`.
+ * @param {object} baseline The committed `baseline.json`.
+ * @param {number} [thresholdPercent] How much worse than the baseline a metric may get.
+ * @returns {{ rows: object[], failures: string[] }} A row per metric (`status` is `ok`, `improved`, `regressed`
+ *   or `new`), and why the comparison fails, if it does: regressions beyond the threshold, metrics missing from
+ *   the results, and bytecode above the EIP-170 limit or within `BYTECODE_SIZE_MARGIN` bytes of it.
+ */
+function compareWithBaseline(results, baseline, thresholdPercent = DEFAULT_THRESHOLD_PERCENT) {
+  const rows = [];
+  const failures = [];
+  for (const group of ["gas", "bytecodeSize"]) {
+    const current = results[group] || {};
+    const previous = baseline[group] || {};
+    for (const metric of Object.keys(previous)) {
+      if (!(metric in current)) failures.push(`${group} ${metric} is in the baseline but wasn't measured`);
+    }
+    for (const [metric, value] of Object.entries(current)) {
+      const row = { group, metric, baseline: previous[metric] ?? null, current: value, change: null, status: "new" };
+      if (row.baseline !== null) {
+        row.change = Number((((value - row.baseline) / row.baseline) * 100).toFixed(2));
+        row.status = row.change > thresholdPercent ? "regressed" : row.change < 0 ? "improved" : "ok";
+      }
+      if (row.status === "regressed") {
+        failures.push(`${group} ${metric} went from ${row.baseline} to ${value} (+${row.change}%, threshold ${thresholdPercent}%)`);
+      }
+      if (group === "bytecodeSize" && value > MAX_BYTECODE_SIZE) {
+        failures.push(`${metric} is ${value} bytes, above the ${MAX_BYTECODE_SIZE}-byte contract size limit`);
+      } else if (group === "bytecodeSize" && value > MAX_BYTECODE_SIZE - BYTECODE_SIZE_MARGIN) {
+        failures.push(
+          `${metric} is ${value} bytes, within ${BYTECODE_SIZE_MARGIN} bytes of the ${MAX_BYTECODE_SIZE}-byte contract size limit`
+        );
+      }
+      rows.push(row);
+    }
+  }
+  return { rows, failures };
+}
+
+function readBaseline(file = BASELINE_PATH) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeBaseline(results, file = BASELINE_PATH) {
+  fs.writeFileSync(file, `${JSON.stringify(results, null, 2)}\n`);
+}
+
+module.exports = {
+  BASELINE_PATH,
+  BYTECODE_SIZE_MARGIN,
+  DEFAULT_THRESHOLD_PERCENT,
+  MAX_BYTECODE_SIZE,
+  compareWithBaseline,
+  measureBytecodeSizes,
+  measureGas,
+  readBaseline,
+  writeBaseline,
+};
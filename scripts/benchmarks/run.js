@@ -0,0 +1,62 @@
+// Runs the gas and contract-size benchmarks (`scripts/benchmarks/benchmarks.js`) and compares them with the committed
+// baseline, `scripts/benchmarks/baseline.json`.
+//
+//   npx hardhat run scripts/benchmarks/run.js
+//   BENCHMARK_THRESHOLD=5 npx hardhat run scripts/benchmarks/run.js
+//   BENCHMARK_UPDATE=true npx hardhat run scripts/benchmarks/run.js
+//
+// Settings come from environment variables (`hardhat run` doesn't take script arguments):
+//   BENCHMARK_THRESHOLD  how many percent worse than the baseline a metric may get (default 2)
+//   BENCHMARK_UPDATE     `true` writes the results as the new baseline instead of comparing
+//
+// Exits with 1 when a metric regressed beyond the threshold, a baseline metric is no longer measured, or a contract
+// is above the 24KB size limit. When a change costs more gas on purpose, update the baseline and commit it with the
+// change, so the review shows the new numbers.
+
+const {
+  BASELINE_PATH,
+  DEFAULT_THRESHOLD_PERCENT,
+  compareWithBaseline,
+  measureBytecodeSizes,
+  measureGas,
+  readBaseline,
+  writeBaseline,
+} = require("./benchmarks");
+
+async function main() {
+  const threshold = Number(process.env.BENCHMARK_THRESHOLD || DEFAULT_THRESHOLD_PERCENT);
+  if (!(threshold >= 0)) {
+    throw new Error(`BENCHMARK_THRESHOLD must be a non-negative number of percent, got ${process.env.BENCHMARK_THRESHOLD}`);
+  }
+
+  const bytecodeSize = await measureBytecodeSizes();
+  console.log("Measuring gas...");
+  const gas = await measureGas({ log: (scenario) => console.log(`  ${scenario}`) });
+  const results = { gas, bytecodeSize };
+
+  if (process.env.BENCHMARK_UPDATE === "true") {
+    writeBaseline(results);
+    console.log(`Wrote the baseline to ${BASELINE_PATH}`);
+    console.table(results.gas);
+    console.table(results.bytecodeSize);
+    return;
+  }
+
+  const { rows, failures } = compareWithBaseline(results, readBaseline(), threshold);
+  console.table(rows);
+  if (failures.length > 0) {
+    console.error(`Regressions beyond ${threshold}%:\n${failures.map((failure) => `  - ${failure}`).join("\n")}`);
+    process.exitCode = 1;
+    return;
+  }
+  if (rows.some(({ status }) => status !== "ok")) {
+    console.log("Within the threshold. Some metrics improved or are new: update the baseline with BENCHMARK_UPDATE=true.");
+  } else {
+    console.log(`Within ${threshold}% of the baseline.`);
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
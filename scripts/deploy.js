@@ -1,73 +1,209 @@
-// This script deploys the `VendingMachine` smart contract to the blockchain.
+// This script deploys the `VendingMachineV2` smart contract (contracts/VendingMachine.sol) behind an ERC1967 proxy.
 // It uses Hardhat and ethers.js for deployment.
+//
+// `VendingMachineV2` is a UUPS upgradeable contract. Its constructor calls `_disableInitializers()`, so the
+// implementation contract itself can never be used directly. Instead we:
+//   1. deploy the implementation (the contract code),
+//   2. deploy an `ERC1967Proxy` that points at the implementation and calls `initialize(owner)` in the same transaction,
+//   3. talk to the proxy address from then on (the frontend, scripts and users all use the proxy address).
+// Parts of the implementation live in external libraries (contracts/libraries/) to stay under the 24KB contract size
+// limit; `deployImplementation` deploys them first and links their addresses into the implementation bytecode.
+
+// `ethers` comes from the Hardhat Runtime Environment. Requiring it explicitly (instead of relying on the global)
+// lets tests and other scripts import `deployVendingMachine` from this file.
+const hre = require("hardhat");
+
+const {
+  DEFAULT_LAYOUTS_DIR,
+  layoutHistoryFile,
+  readImplementationAddress,
+  recordLayoutVersion,
+} = require("../upgrades/history");
+const { readStorageLayout } = require("../upgrades/storageLayout");
+
+const { ethers, network } = hre;
+
+// The items `initialize` seeds the catalog with. The deployment is only considered successful if they are all there.
+const SEEDED_ITEMS = ["Premium Coffee", "Energy Drink", "Protein Bar"];
+
+/**
+ * Reads the implementation address a proxy currently points to, straight from its ERC1967 storage slot.
+ * @param {string} proxyAddress The address of the ERC1967 proxy.
+ * @returns {Promise<string>} The checksummed implementation address.
+ */
+async function getImplementationAddress(proxyAddress) {
+  return readImplementationAddress(ethers.provider, proxyAddress);
+}
+
+/**
+ * Deploys the external libraries `VendingMachineV2` links against, then the implementation itself. The libraries are
+ * read from the artifact's link references, so a new library needs no change here. `vm:upgrade` uses this too.
+ * @param {object} [options]
+ * @param {import("ethers").Signer} [options.deployer] Defaults to the first signer.
+ * @returns {Promise<{ implementation: import("ethers").Contract, implementationFactory: import("ethers").ContractFactory, libraries: Object<string, string> }>}
+ *          `libraries` maps each library name to the address it was deployed at.
+ */
+async function deployImplementation({ deployer } = {}) {
+  deployer = deployer || (await ethers.getSigners())[0];
+
+  const { linkReferences } = await hre.artifacts.readArtifact("VendingMachineV2");
+  const libraries = {};
+  for (const [sourceName, names] of Object.entries(linkReferences)) {
+    for (const libraryName of Object.keys(names)) {
+      // Fully qualified, in case two sources ever declare a library with the same name
+      const library = await (await ethers.getContractFactory(`${sourceName}:${libraryName}`, deployer)).deploy();
+      await library.waitForDeployment();
+      libraries[libraryName] = await library.getAddress();
+    }
+  }
+
+  const implementationFactory = await ethers.getContractFactory("VendingMachineV2", { signer: deployer, libraries });
+  const implementation = await implementationFactory.deploy();
+  await implementation.waitForDeployment();
+  return { implementation, implementationFactory, libraries };
+}
+
+/**
+ * Deploys the `VendingMachineV2` implementation (and its libraries) and an initialized ERC1967 proxy in front of it.
+ * @param {object} [options]
+ * @param {string} [options.owner] Address that receives DEFAULT_ADMIN_ROLE, ADMIN_ROLE and UPGRADER_ROLE. Defaults to the deployer.
+ * @param {import("ethers").Signer} [options.deployer] Signer that sends the deployment transactions. Defaults to the first signer.
+ * @returns {Promise<{ vendingMachine: import("ethers").Contract, proxyAddress: string, implementationAddress: string, libraries: Object<string, string>, owner: string }>}
+ *          `vendingMachine` is the `VendingMachineV2` ABI attached to the proxy address; `libraries` as in `deployImplementation`.
+ */
+async function deployVendingMachine({ owner, deployer } = {}) {
+  deployer = deployer || (await ethers.getSigners())[0];
+  owner = owner || deployer.address;
+
+  // --- Step 1: Deploy the implementation ---
+  const { implementation, implementationFactory, libraries } = await deployImplementation({ deployer });
+  const implementationAddress = await implementation.getAddress();
+
+  // --- Step 2: Deploy the proxy and initialize it atomically ---
+  // Passing the encoded `initialize` call as the proxy's constructor data means nobody can front-run the initialization.
+  const initData = implementationFactory.interface.encodeFunctionData("initialize", [owner]);
+  const proxyFactory = await ethers.getContractFactory("ERC1967Proxy", deployer);
+  const proxy = await proxyFactory.deploy(implementationAddress, initData);
+  await proxy.waitForDeployment();
+  const proxyAddress = await proxy.getAddress();
+
+  // From now on we use the VendingMachineV2 ABI against the proxy address.
+  const vendingMachine = implementationFactory.attach(proxyAddress);
+
+  return { vendingMachine, proxyAddress, implementationAddress, libraries, owner };
+}
+
+/**
+ * Checks that a freshly initialized proxy has the expected roles and seeded items.
+ * Throws an error describing the first problem it finds.
+ * @param {import("ethers").Contract} vendingMachine `VendingMachineV2` attached to the proxy address.
+ * @param {string} owner The address passed to `initialize`.
+ */
+async function verifyDeployment(vendingMachine, owner) {
+  const roles = ["DEFAULT_ADMIN_ROLE", "ADMIN_ROLE", "UPGRADER_ROLE"];
+  for (const roleName of roles) {
+    const role = await vendingMachine[roleName]();
+    if (!(await vendingMachine.hasRole(role, owner))) {
+      throw new Error(`Owner ${owner} is missing ${roleName}`);
+    }
+  }
+
+  for (let itemId = 0; itemId < SEEDED_ITEMS.length; itemId++) {
+    const item = await vendingMachine.items(itemId);
+    if (item.name !== SEEDED_ITEMS[itemId] || !item.isActive) {
+      throw new Error(`Seeded item #${itemId} is "${item.name}" (active: ${item.isActive}), expected "${SEEDED_ITEMS[itemId]}"`);
+    }
+  }
+}
 
 // The `main` function is an asynchronous function where the deployment logic resides.
-// Using an async function allows us to use `await` for promises, making the code cleaner.
 async function main() {
-    // --- Step 1: Get the Deployer Account ---
-    // `ethers.getSigners()` returns an array of Hardhat Network accounts (or accounts configured for other networks).
-    // The first account (`deployer`) is typically used to deploy contracts.
-    // `await` pauses execution until the promise from `ethers.getSigners()` resolves.
-    const [deployer] = await ethers.getSigners(); // `ethers` is globally available in Hardhat scripts
-  
-    // Log the address of the account that will be used for deployment.
-    // This is helpful for verifying that the correct account is being used.
-    console.log("Deploying VendingMachine contract with the account:", deployer.address);
-  
-    // --- Step 2: Get the Contract Factory ---
-    // `ethers.getContractFactory("VendingMachine")` returns a factory object for our `VendingMachine` contract.
-    // A ContractFactory in ethers.js is an abstraction used to deploy new smart contracts.
-    // `await` pauses execution until the factory is ready.
-    console.log("Fetching VendingMachine contract factory...");
-    const VendingMachineFactory = await ethers.getContractFactory("VendingMachine");
-    
-    // --- Step 3: Deploy the Contract ---
-    // `VendingMachineFactory.deploy()` creates a deployment transaction and sends it to the network.
-    // If your contract's constructor takes arguments, you would pass them here (e.g., `VendingMachineFactory.deploy(arg1, arg2)`).
-    // Our VendingMachine constructor does not take arguments.
-    // `await` pauses execution until the deployment transaction is sent and a contract object representing the future deployment is returned.
-    console.log("Deploying VendingMachine...");
-    const vendingMachine = await VendingMachineFactory.deploy();
-  
-    // --- Step 4: Wait for Deployment to Complete ---
-    // `vendingMachine.waitForDeployment()` waits for the deployment transaction to be mined and confirmed on the blockchain.
-    // This ensures that the contract is fully deployed before we proceed.
-    // It's important to wait for the deployment to avoid issues where you try to interact with a contract that isn't yet on-chain.
-    console.log("Waiting for VendingMachine deployment to complete...");
-    await vendingMachine.waitForDeployment();
-  
-    // --- Step 5: Log the Deployed Contract Address ---
-    // `vendingMachine.target` (or `vendingMachine.address` in older ethers versions) gives the address where the contract was deployed.
-    // This address is crucial for interacting with the contract later (e.g., from a frontend application or other scripts).
-    console.log("VendingMachine deployed successfully to address:", vendingMachine.target);
-
-    // --- Optional: Further setup (e.g., adding initial items) ---
-    // After deployment, you might want to call functions on your contract to set its initial state.
-    // For example, if VendingMachine had an `addItem` function callable by the owner:
-    // console.log("Adding initial items to VendingMachine...");
-    // const tx1 = await vendingMachine.connect(deployer).addItem("Soda", ethers.parseEther("0.01"), 100);
-    // await tx1.wait(); // Wait for the transaction to be mined
-    // console.log("Added Soda to VendingMachine.");
-    // const tx2 = await vendingMachine.connect(deployer).addItem("Chips", ethers.parseEther("0.005"), 200);
-    // await tx2.wait();
-    // console.log("Added Chips to VendingMachine.");
+  const [deployer] = await ethers.getSigners();
+  // The owner can be set through the `VENDING_MACHINE_OWNER` environment variable (see `.env.example`),
+  // e.g. to hand the admin roles to a multisig. It defaults to the deployer account.
+  const owner = process.env.VENDING_MACHINE_OWNER || deployer.address;
+  if (!ethers.isAddress(owner)) {
+    throw new Error(`VENDING_MACHINE_OWNER is not a valid address: ${owner}`);
+  }
+
+  const { chainId } = await ethers.provider.getNetwork();
+  console.log(`Deploying VendingMachineV2 to ${network.name} (chain ${chainId}) with the account:`, deployer.address);
+  console.log("Owner (admin + upgrader):", owner);
+
+  const { vendingMachine, proxyAddress, implementationAddress, libraries } = await deployVendingMachine({ owner, deployer });
+
+  // Double check that the proxy really points to the implementation we just deployed.
+  if ((await getImplementationAddress(proxyAddress)) !== implementationAddress) {
+    throw new Error("Proxy does not point to the deployed implementation");
+  }
+
+  console.log("Verifying roles and seeded items...");
+  await verifyDeployment(vendingMachine, owner);
+
+  console.log("VendingMachineV2 deployed successfully.");
+  // Use the proxy address for the frontend (`REACT_APP_CONTRACT_ADDRESS`) and every other interaction.
+  console.log("  Proxy address:         ", proxyAddress);
+  // The implementation address is only needed for contract verification and upgrades.
+  console.log("  Implementation address:", implementationAddress);
+  for (const [libraryName, libraryAddress] of Object.entries(libraries)) {
+    console.log(`  ${`${libraryName} library:`.padEnd(24)}`, libraryAddress);
+  }
+
+  // --- Storage layout history ---
+  // Saved for every chain that outlives this script (not the in-process Hardhat Network), so `npx hardhat vm:upgrade`
+  // can check the next implementation against the layout that is deployed now. Commit the file.
+  if (network.name !== "hardhat") {
+    const historyFile = layoutHistoryFile(DEFAULT_LAYOUTS_DIR, network.name, proxyAddress);
+    recordLayoutVersion(historyFile, {
+      network: network.name,
+      chainId,
+      proxy: proxyAddress,
+      contract: "VendingMachineV2",
+      implementation: implementationAddress,
+      layout: await readStorageLayout(hre, "VendingMachineV2"),
+    });
+    console.log("  Storage layout saved to:", historyFile);
   }
-  
-  // --- Script Execution Pattern ---
-  // This pattern is commonly used for Hardhat scripts.
-  // It calls the `main` function and handles its success or failure.
+
+  // --- Explorer verification (live networks only) ---
+  // Required here rather than at the top: `scripts/verify.js` itself requires this file.
+  const { canVerify, verifyVendingMachine } = require("./verify");
+  if (await canVerify()) {
+    try {
+      await verifyVendingMachine({ proxyAddress, implementationAddress, owner });
+      console.log("Proxy and implementation verified on the block explorer.");
+    } catch (error) {
+      // The contracts are deployed and working either way, so a failed verification doesn't fail the deployment.
+      console.warn(error.message);
+      console.warn(
+        `Retry with: PROXY_ADDRESS=${proxyAddress} VENDING_MACHINE_OWNER=${owner} npx hardhat run scripts/verify.js --network ${network.name}`
+      );
+    }
+  }
+}
+
+// Only run the deployment when this file is executed directly (e.g. `npx hardhat run scripts/deploy.js`),
+// not when it is required by tests or other scripts.
+if (require.main === module) {
   main()
     .then(() => process.exit(0)) // If `main` completes successfully, exit the script with status code 0 (success).
     .catch((error) => {
-      // If `main` throws an error, catch it here.
-      console.error("Error deploying VendingMachine contract:", error);
+      console.error("Error deploying VendingMachineV2 contract:", error);
       process.exitCode = 1; // Set the exit code to 1 (failure) to indicate that the script encountered an error.
     });
+}
+
+module.exports = {
+  SEEDED_ITEMS,
+  deployImplementation,
+  deployVendingMachine,
+  getImplementationAddress,
+  verifyDeployment,
+};
 
 // To run this script, use the command:
 // npx hardhat run scripts/deploy.js --network <your_network_name>
-// For example, to deploy to a local Hardhat network:
-// npx hardhat run scripts/deploy.js --network hardhat
-// To deploy to Arbitrum Sepolia (assuming it's configured in hardhat.config.js):
-// npx hardhat run scripts/deploy.js --network arbitrum_sepolia
-  
\ No newline at end of file
+// For example, to deploy to the in-process Hardhat network:
+// npx hardhat run scripts/deploy.js
+// To deploy to Arbitrum Sepolia (or `arbitrum_one`, `arbitrum_nova`; see hardhat.config.js) and verify on Arbiscan:
+// VENDING_MACHINE_OWNER=0xYourOwnerAddress npx hardhat run scripts/deploy.js --network arbitrum_sepolia
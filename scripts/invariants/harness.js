@@ -0,0 +1,483 @@
+// Invariant (property-based) testing harness for `VendingMachineV2`.
+//
+// It generates random sequences of operations (purchases, restocks, price changes, promotions, fee changes, payee
+// changes, withdrawals, time warps, ...) from a seed, runs them against a local proxy deployment from many signers, and checks the
+// accounting invariants below after every step. Reverted operations are fine (random inputs are often invalid);
+// a broken invariant is not. When one breaks, the sequence is shrunk to a minimal reproduction and printed as a
+// script that replays it with `npx hardhat run`.
+//
+// Operations are plain JSON objects (amounts in wei are strings), so a sequence can be printed, saved and replayed.
+
+const { ethers } = require("hardhat");
+const { takeSnapshot, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const { deployVendingMachine } = require("../deploy");
+
+// --- Accounts ---
+// Signer 0 is the owner (admin + fee recipient), signer 1 the operator, the rest are buyers. Any of them may be
+// made a payee.
+const OWNER = 0;
+const OPERATOR = 1;
+const FIRST_BUYER = 2;
+const ACCOUNT_COUNT = 10;
+
+const SEEDED_ITEM_COUNT = 3;
+const CATEGORIES = ["Beverages", "Snacks", "Gifts"];
+const ONE_DAY = 24 * 60 * 60;
+
+/**
+ * Small, fast, seedable PRNG (mulberry32). The same seed always produces the same sequence.
+ * @param {number} seed
+ * @returns {() => number} A function returning floats in [0, 1).
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generates a random operation sequence. Generation doesn't read the chain, so a sequence only depends on the seed;
+ * item IDs are drawn from the items known to exist plus one that may not, to exercise the "VM: Invalid item ID" paths.
+ * @param {number} seed
+ * @param {number} length Number of operations.
+ * @returns {object[]} The operations.
+ */
+function generateSequence(seed, length) {
+  const random = createRandom(seed);
+  const int = (min, max) => min + Math.floor(random() * (max - min + 1));
+  const pick = (values) => values[int(0, values.length - 1)];
+  // Role-restricted operations are usually sent by the right account, sometimes by a random one.
+  const sender = (privileged) => (random() < 0.85 ? privileged : int(0, ACCOUNT_COUNT - 1));
+  const buyer = () => int(FIRST_BUYER, ACCOUNT_COUNT - 1);
+  const price = () => ethers.parseEther((int(1, 200) / 10000).toString()).toString(); // 0.0001 - 0.02 ETH
+
+  let itemCount = SEEDED_ITEM_COUNT;
+  const itemId = () => int(0, itemCount);
+  const itemIds = (max) => Array.from({ length: int(1, max) }, itemId);
+
+  const generators = [
+    [4, () => ({ type: "purchaseItem", from: buyer(), itemId: itemId(), quantity: int(1, 12) })],
+    [2, () => {
+      const ids = itemIds(5);
+      return { type: "bulkPurchase", from: buyer(), itemIds: ids, quantities: ids.map(() => int(1, 6)) };
+    }],
+    [1, () => {
+      itemCount++;
+      const maxSupply = int(1, 150);
+      return {
+        type: "addItem",
+        from: sender(OWNER),
+        name: `Fuzz Item ${itemCount - 1}`,
+        price: price(),
+        supply: int(0, maxSupply),
+        maxSupply,
+        category: pick(CATEGORIES),
+      };
+    }],
+    [1, () => ({ type: "restockItem", from: sender(OPERATOR), itemId: itemId(), quantity: int(0, 60) })],
+    [1, () => {
+      const ids = itemIds(4);
+      return { type: "batchRestockItems", from: sender(OPERATOR), itemIds: ids, quantities: ids.map(() => int(0, 40)) };
+    }],
+    [1, () => {
+      const ids = itemIds(4);
+      return { type: "batchUpdatePrices", from: sender(OWNER), itemIds: ids, prices: ids.map(price) };
+    }],
+    [1, () => {
+      const ids = itemIds(3);
+      return { type: "batchToggleActive", from: sender(OPERATOR), itemIds: ids, statuses: ids.map(() => random() < 0.7) };
+    }],
+    [1, () => {
+      const isFixed = random() < 0.5;
+      return {
+        type: "createPromotion",
+        from: sender(OWNER),
+        // Item or category promotions, running now or starting within the hour
+        itemId: itemId(),
+        category: random() < 0.5 ? pick(CATEGORIES) : null,
+        startIn: int(0, 3600),
+        duration: int(1, 2 * 24 * 3600),
+        isFixed,
+        discount: isFixed ? price() : int(1, 6000),
+        maxPerUser: int(0, 5),
+      };
+    }],
+    [1, () => ({ type: "updateTransactionFee", from: sender(OWNER), fee: int(0, 1100) })],
+    [1, () => ({ type: "emergencyWithdraw", from: sender(OWNER), basisPoints: int(0, 12000) })],
+    [1, () => {
+      // Usually valid: distinct accounts whose shares add up to 100%
+      const accounts = [...new Set(Array.from({ length: int(0, 3) }, () => int(0, ACCOUNT_COUNT - 1)))];
+      const shares = accounts.map(() => int(1, 5000));
+      if (accounts.length > 0 && random() < 0.85) {
+        shares[shares.length - 1] = 10000 - shares.slice(0, -1).reduce((sum, share) => sum + share, 0);
+      }
+      return { type: "setPayees", from: sender(OWNER), payees: accounts.map((account, i) => ({ account, shares: shares[i] })) };
+    }],
+    [1, () => ({ type: "withdrawRevenue", from: int(0, ACCOUNT_COUNT - 1) })],
+    [3, () => ({ type: "warp", seconds: pick([1, 30, 61, 3600, ONE_DAY, 31 * ONE_DAY]) })],
+  ];
+  const totalWeight = generators.reduce((sum, [weight]) => sum + weight, 0);
+
+  const sequence = [];
+  for (let step = 0; step < length; step++) {
+    let roll = random() * totalWeight;
+    const [, generate] = generators.find(([weight]) => (roll -= weight) < 0);
+    sequence.push(generate());
+  }
+  return sequence;
+}
+
+/**
+ * Deploys a fresh machine for a run and snapshots it, so every (re)run starts from the same state.
+ * @returns {Promise<object>} The harness context.
+ */
+async function setupHarness() {
+  const signers = (await ethers.getSigners()).slice(0, ACCOUNT_COUNT);
+  const owner = signers[OWNER];
+  const { vendingMachine } = await deployVendingMachine({ owner: owner.address, deployer: owner });
+  await vendingMachine.grantRole(await vendingMachine.OPERATOR_ROLE(), signers[OPERATOR].address);
+
+  return { vendingMachine, signers, snapshot: await takeSnapshot() };
+}
+
+/**
+ * Bookkeeping the contract doesn't expose but the invariants need.
+ * @returns {{ feesPaid: bigint, ethWithdrawn: bigint }}
+ */
+function createLedger() {
+  return { feesPaid: 0n, ethWithdrawn: 0n };
+}
+
+/**
+ * Executes one operation. Reverts are expected and reported, not thrown.
+ * @param {object} context From `setupHarness`.
+ * @param {object} ledger From `createLedger`, updated for successful operations.
+ * @param {object} op The operation.
+ * @returns {Promise<{ reverted: boolean, reason?: string }>}
+ */
+async function executeOperation(context, ledger, op) {
+  const { vendingMachine, signers } = context;
+  if (op.type === "warp") {
+    await time.increase(op.seconds);
+    return { reverted: false };
+  }
+
+  const machine = vendingMachine.connect(signers[op.from]);
+  try {
+    switch (op.type) {
+      case "purchaseItem": {
+        const value = await listPrice(vendingMachine, [op.itemId], [op.quantity]);
+        const fee = await vendingMachine.transactionFee();
+        const receipt = await (await machine.purchaseItem(op.itemId, op.quantity, ethers.ZeroAddress, { value })).wait();
+        ledger.feesPaid += (paidIn(vendingMachine, receipt) * fee) / 10000n;
+        break;
+      }
+      case "bulkPurchase": {
+        const value = await listPrice(vendingMachine, op.itemIds, op.quantities);
+        const fee = await vendingMachine.transactionFee();
+        const receipt = await (await machine.bulkPurchase(op.itemIds, op.quantities, { value })).wait();
+        // The fee of a bulk purchase is taken once, on the total.
+        ledger.feesPaid += (paidIn(vendingMachine, receipt) * fee) / 10000n;
+        break;
+      }
+      case "addItem":
+        await (await machine.addItem(op.name, op.price, op.supply, op.maxSupply, op.category, "")).wait();
+        break;
+      case "restockItem":
+        await (await machine.restockItem(op.itemId, op.quantity)).wait();
+        break;
+      case "batchRestockItems":
+        await (await machine.batchRestockItems(op.itemIds, op.quantities)).wait();
+        break;
+      case "batchUpdatePrices":
+        await (await machine.batchUpdatePrices(op.itemIds, op.prices)).wait();
+        break;
+      case "batchToggleActive":
+        await (await machine.batchToggleActive(op.itemIds, op.statuses)).wait();
+        break;
+      case "createPromotion": {
+        const startTime = (await time.latest()) + op.startIn;
+        await (
+          await machine.createPromotion({
+            startTime,
+            endTime: startTime + op.duration,
+            itemId: op.itemId,
+            maxPerUser: op.maxPerUser,
+            isFixed: op.isFixed,
+            discount: op.discount,
+            category: op.category === null ? ethers.ZeroHash : ethers.id(op.category),
+          })
+        ).wait();
+        break;
+      }
+      case "updateTransactionFee":
+        await (await machine.updateTransactionFee(op.fee)).wait();
+        break;
+      case "emergencyWithdraw": {
+        const balance = await ethers.provider.getBalance(await vendingMachine.getAddress());
+        const amount = (balance * BigInt(op.basisPoints)) / 10000n;
+        await (await machine.emergencyWithdraw(amount, ethers.ZeroAddress)).wait();
+        ledger.ethWithdrawn += amount;
+        break;
+      }
+      case "setPayees":
+        await (
+          await machine.setPayees(op.payees.map(({ account, shares }) => ({ account: signers[account].address, shares })))
+        ).wait();
+        break;
+      case "withdrawRevenue": {
+        const owed = await vendingMachine.payeeBalance(signers[op.from].address, ethers.ZeroAddress);
+        await (await machine.withdrawRevenue(ethers.ZeroAddress)).wait();
+        ledger.ethWithdrawn += owed;
+        break;
+      }
+      default:
+        throw new Error(`Unknown operation type: ${op.type}`);
+    }
+    return { reverted: false };
+  } catch (error) {
+    // Anything that isn't a contract revert (a bug in the harness, a dead node, ...) must surface.
+    const reason = error.reason || error.shortMessage;
+    if (!/revert/i.test(error.message)) {
+      throw error;
+    }
+    return { reverted: true, reason };
+  }
+}
+
+// Undiscounted price of a purchase; loyalty discounts only lower it and the contract refunds the difference.
+async function listPrice(vendingMachine, itemIds, quantities) {
+  let total = 0n;
+  const itemCount = await itemCountOf(vendingMachine);
+  for (let i = 0; i < itemIds.length; i++) {
+    if (itemIds[i] < itemCount) {
+      total += (await vendingMachine.items(itemIds[i])).price * BigInt(quantities[i]);
+    }
+  }
+  return total;
+}
+
+// Sum of `totalPaid` over the `ItemPurchased` events of a receipt.
+function paidIn(vendingMachine, receipt) {
+  return receipt.logs
+    .map((log) => vendingMachine.interface.parseLog(log))
+    .filter((event) => event && event.name === "ItemPurchased")
+    .reduce((sum, event) => sum + event.args.totalPaid, 0n);
+}
+
+// `items` is a public array without a length getter; `getAnalytics` returns it as `totalItems`.
+async function itemCountOf(vendingMachine) {
+  return Number((await vendingMachine.getAnalytics()).totalItems);
+}
+
+/**
+ * The accounting invariants. Each returns an error message when broken, or `undefined`.
+ * They read the state through the owner account (needed for `getAnalytics` and other users' histories).
+ */
+const INVARIANTS = {
+  async supplyWithinMaxSupply({ items }) {
+    const broken = items.findIndex((item) => item.supply > item.maxSupply);
+    if (broken !== -1) {
+      return `item ${broken} has supply ${items[broken].supply} > maxSupply ${items[broken].maxSupply}`;
+    }
+  },
+
+  async salesCountsMatchTotalItemsSold({ items, totalItemsSold }) {
+    const sum = items.reduce((total, item) => total + item.salesCount, 0n);
+    if (sum !== totalItemsSold) {
+      return `sum of salesCount is ${sum}, totalItemsSold is ${totalItemsSold}`;
+    }
+  },
+
+  async revenuePlusFeesMatchPurchaseHistories({ totalRevenue, totalPaid, ledger }) {
+    if (totalRevenue + ledger.feesPaid !== totalPaid) {
+      return `totalRevenue ${totalRevenue} + fees ${ledger.feesPaid} != sum of amountPaid ${totalPaid}`;
+    }
+  },
+
+  async dailyRevenueSumsToTotal({ vendingMachine, purchaseDays, totalPaid }) {
+    let sum = 0n;
+    for (const day of purchaseDays) {
+      sum += await vendingMachine.dailyRevenue(day);
+    }
+    if (sum !== totalPaid) {
+      return `dailyRevenue buckets sum to ${sum}, purchases paid ${totalPaid}`;
+    }
+  },
+
+  // Fees are credited to the fee recipient and stay in the machine until withdrawn, like the revenue.
+  async balanceCoversWithdrawableRevenue({ balance, totalRevenue, ledger }) {
+    const withdrawable = totalRevenue + ledger.feesPaid - ledger.ethWithdrawn;
+    if (balance < withdrawable) {
+      return `contract balance ${balance} < withdrawable revenue and fees ${withdrawable}`;
+    }
+  },
+
+  async treasuryReconcilesWithRevenue({ treasury, totalRevenue, balance }) {
+    if (treasury.owed + treasury.released > totalRevenue + treasury.fees) {
+      return `treasury owed ${treasury.owed} + released ${treasury.released} > revenue ${totalRevenue} + fees ${treasury.fees}`;
+    }
+    if (balance < treasury.owed) {
+      return `contract balance ${balance} < owed to payees ${treasury.owed}`;
+    }
+  },
+};
+
+// Reads everything the invariants need in one go.
+async function readState(context, ledger) {
+  const vendingMachine = context.vendingMachine.connect(context.signers[OWNER]);
+  const itemCount = await itemCountOf(vendingMachine);
+  const items = [];
+  for (let itemId = 0; itemId < itemCount; itemId++) {
+    items.push(await vendingMachine.items(itemId));
+  }
+
+  let totalPaid = 0n;
+  const purchaseDays = new Set();
+  for (const signer of context.signers) {
+    for (const record of await vendingMachine.getPurchaseHistory(signer.address, 0, 2n ** 64n)) {
+      totalPaid += record.amountPaid;
+      purchaseDays.add(record.timestamp / BigInt(ONE_DAY));
+    }
+  }
+
+  return {
+    vendingMachine,
+    ledger,
+    items,
+    totalPaid,
+    purchaseDays,
+    totalItemsSold: await vendingMachine.totalItemsSold(),
+    totalRevenue: await vendingMachine.totalRevenue(),
+    treasury: await vendingMachine.treasuryTotals(ethers.ZeroAddress),
+    balance: await ethers.provider.getBalance(await vendingMachine.getAddress()),
+  };
+}
+
+/**
+ * Runs a sequence from the snapshot and checks the invariants after every step.
+ * @param {object} context From `setupHarness`.
+ * @param {object[]} sequence The operations.
+ * @param {object} [invariants] Name => check function. Defaults to `INVARIANTS`.
+ * @returns {Promise<{ failure?: { step: number, invariant: string, message: string }, reverts: number }>}
+ */
+async function runSequence(context, sequence, invariants = INVARIANTS) {
+  await context.snapshot.restore();
+  const ledger = createLedger();
+  let reverts = 0;
+
+  for (let step = 0; step < sequence.length; step++) {
+    const { reverted } = await executeOperation(context, ledger, sequence[step]);
+    if (reverted) reverts++;
+
+    const state = await readState(context, ledger);
+    for (const [invariant, check] of Object.entries(invariants)) {
+      const message = await check(state);
+      if (message) {
+        return { failure: { step, invariant, message }, reverts };
+      }
+    }
+  }
+  return { reverts };
+}
+
+/**
+ * Shrinks a failing sequence: cut everything after the failing step, then repeatedly try dropping chunks of
+ * operations (halves, quarters, ... single steps) and keep any smaller sequence that still breaks the same invariant.
+ * @param {object} context From `setupHarness`.
+ * @param {object[]} sequence A sequence for which `runSequence` reports a failure.
+ * @param {object} [invariants] Same as for `runSequence`.
+ * @returns {Promise<{ sequence: object[], failure: object }>} The minimal sequence found and its failure.
+ */
+async function shrinkSequence(context, sequence, invariants = INVARIANTS) {
+  let { failure } = await runSequence(context, sequence, invariants);
+  if (!failure) {
+    throw new Error("Can't shrink a sequence that doesn't fail");
+  }
+  let current = sequence.slice(0, failure.step + 1);
+
+  let chunkSize = Math.ceil(current.length / 2);
+  while (chunkSize >= 1) {
+    let shrunk = false;
+    for (let start = 0; start < current.length; start += chunkSize) {
+      const candidate = [...current.slice(0, start), ...current.slice(start + chunkSize)];
+      if (candidate.length === 0) continue;
+
+      const result = await runSequence(context, candidate, invariants);
+      if (result.failure && result.failure.invariant === failure.invariant) {
+        current = candidate.slice(0, result.failure.step + 1);
+        failure = result.failure;
+        shrunk = true;
+        break;
+      }
+    }
+    if (!shrunk) {
+      chunkSize = Math.floor(chunkSize / 2);
+    }
+  }
+  return { sequence: current, failure };
+}
+
+/**
+ * Formats a sequence as a standalone script. Save it (e.g. as `scripts/invariants/repro.js`) and run it with
+ * `npx hardhat run scripts/invariants/repro.js` to replay the failure step by step.
+ * @param {object[]} sequence
+ * @param {object} failure
+ * @returns {string}
+ */
+function formatReplayScript(sequence, failure) {
+  return [
+    `// Minimal reproduction: invariant "${failure.invariant}" breaks after step ${failure.step}.`,
+    `// ${failure.message}`,
+    `const { replay } = require("./harness");`,
+    ``,
+    `const sequence = ${JSON.stringify(sequence, null, 2)};`,
+    ``,
+    `replay(sequence).catch((error) => {`,
+    `  console.error(error);`,
+    `  process.exitCode = 1;`,
+    `});`,
+    ``,
+  ].join("\n");
+}
+
+/**
+ * Replays a sequence on a fresh deployment, logging every step and the first broken invariant.
+ * @param {object[]} sequence
+ */
+async function replay(sequence) {
+  const context = await setupHarness();
+  const ledger = createLedger();
+
+  for (const [step, op] of sequence.entries()) {
+    const { reverted, reason } = await executeOperation(context, ledger, op);
+    console.log(`#${step} ${JSON.stringify(op)}${reverted ? ` -> reverted (${reason})` : ""}`);
+
+    const state = await readState(context, ledger);
+    for (const [invariant, check] of Object.entries(INVARIANTS)) {
+      const message = await check(state);
+      if (message) {
+        console.log(`Invariant "${invariant}" broken: ${message}`);
+        return;
+      }
+    }
+  }
+  console.log("All invariants hold.");
+}
+
+module.exports = {
+  INVARIANTS,
+  createRandom,
+  formatReplayScript,
+  generateSequence,
+  replay,
+  runSequence,
+  setupHarness,
+  shrinkSequence,
+};
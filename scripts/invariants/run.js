@@ -0,0 +1,54 @@
+// Runs the invariant harness (`scripts/invariants/harness.js`) for many random sequences.
+//
+//   npx hardhat run scripts/invariants/run.js
+//
+// Settings come from environment variables (`hardhat run` doesn't take script arguments):
+//   FUZZ_RUNS   number of sequences (default 50)
+//   FUZZ_STEPS  operations per sequence (default 60)
+//   FUZZ_SEED   seed of the first sequence (default: random); sequence `i` uses `FUZZ_SEED + i`
+//
+// On the first broken invariant the sequence is shrunk and printed as a replayable script, and the process exits with 1.
+// Re-running with the printed seed reproduces the same sequence.
+
+const {
+  formatReplayScript,
+  generateSequence,
+  runSequence,
+  setupHarness,
+  shrinkSequence,
+} = require("./harness");
+
+async function main() {
+  const runs = Number(process.env.FUZZ_RUNS || 50);
+  const steps = Number(process.env.FUZZ_STEPS || 60);
+  const firstSeed = process.env.FUZZ_SEED ? Number(process.env.FUZZ_SEED) : Math.floor(Math.random() * 2 ** 31);
+
+  console.log(`Running ${runs} sequences of ${steps} operations, seeds ${firstSeed}..${firstSeed + runs - 1}`);
+  const context = await setupHarness();
+
+  for (let run = 0; run < runs; run++) {
+    const seed = firstSeed + run;
+    const sequence = generateSequence(seed, steps);
+    const { failure, reverts } = await runSequence(context, sequence);
+
+    if (!failure) {
+      console.log(`Seed ${seed}: ok (${reverts}/${steps} operations reverted)`);
+      continue;
+    }
+
+    console.log(`Seed ${seed}: invariant "${failure.invariant}" broken at step ${failure.step}: ${failure.message}`);
+    console.log("Shrinking...");
+    const shrunk = await shrinkSequence(context, sequence);
+    console.log(`Shrunk to ${shrunk.sequence.length} operations. Replay script:\n`);
+    console.log(formatReplayScript(shrunk.sequence, shrunk.failure));
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log("All invariants hold.");
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
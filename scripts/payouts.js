@@ -0,0 +1,154 @@
+// This script reports what the treasury of a `VendingMachineV2` owes: per payee (and the fee recipient) the ETH and
+// token balances they can withdraw with `withdrawRevenue`, and per token a reconciliation of the treasury against the
+// revenue the purchases booked (`totalRevenue` for ETH, `tokenRevenue` for tokens) and the funds the machine holds.
+//
+//   PROXY_ADDRESS=0xYourProxyAddress npx hardhat run scripts/payouts.js --network arbitrum_one
+//   PROXY_ADDRESS=0x... PAYOUT_TOKENS=0xToken1,0xToken2 PAYOUT_ACCOUNTS=0xFormerPayee npx hardhat run scripts/payouts.js --network arbitrum_one
+//
+// The contract doesn't list the payment tokens or the payees it replaced, so pass the tokens to report on in
+// `PAYOUT_TOKENS` and former payees that may still be owed in `PAYOUT_ACCOUNTS`. Balances owed to accounts that
+// aren't listed show up as `unlisted` in the reconciliation.
+
+const hre = require("hardhat");
+
+const { ethers } = hre;
+
+// What the report reads from a payment token
+const TOKEN_ABI = [
+  "function balanceOf(address account) view returns (uint256)",
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+];
+
+function splitAddresses(value, name) {
+  const addresses = (value || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter((entry) => entry !== "");
+  for (const address of addresses) {
+    if (!ethers.isAddress(address)) {
+      throw new Error(`${name} has an invalid address: ${address}`);
+    }
+  }
+  return addresses;
+}
+
+// Symbol, decimals and the machine's holdings of a token (the zero address is ETH)
+async function describeToken(vendingMachine, token) {
+  const machine = await vendingMachine.getAddress();
+  if (token === ethers.ZeroAddress) {
+    return { symbol: "ETH", decimals: 18, held: await ethers.provider.getBalance(machine) };
+  }
+  const erc20 = new ethers.Contract(token, TOKEN_ABI, ethers.provider);
+  return { symbol: await erc20.symbol(), decimals: Number(await erc20.decimals()), held: await erc20.balanceOf(machine) };
+}
+
+/**
+ * Builds the payout report of a `VendingMachineV2`.
+ * @param {object} vendingMachine An ethers contract attached to the proxy.
+ * @param {object} [options]
+ * @param {string[]} [options.tokens] Payment tokens to report on besides ETH.
+ * @param {string[]} [options.accounts] Accounts to report on besides the payees and the fee recipient.
+ * @returns {Promise<{ payees: object[], accounts: object[], tokens: object[], reconciled: boolean }>}
+ *   `accounts` has the balances owed per account and token; `tokens` the reconciliation per token:
+ *   - `revenue`/`fees`: booked by purchases; `owed`/`released`: credited and still owed / already withdrawn,
+ *   - `unallocated`: revenue booked while there were no payees (or fees without a fee recipient),
+ *   - `held`: what the machine holds, `surplus`: what `emergencyWithdraw` could take,
+ *   - `unlisted`: owed to accounts not in the report, `reconciled`: all of this adds up.
+ */
+async function buildPayoutReport(vendingMachine, { tokens = [], accounts = [] } = {}) {
+  const payees = (await vendingMachine.getPayees()).map(({ account, shares }) => ({
+    account,
+    shares: Number(shares),
+    sharePercent: Number(shares) / 100,
+  }));
+  const feeRecipient = await vendingMachine.feeRecipient();
+
+  // The fee recipient first, then the payees, then any extra accounts, each once
+  const roles = new Map();
+  const addRole = (account, role) => {
+    const key = ethers.getAddress(account);
+    roles.set(key, [...(roles.get(key) || []), role]);
+  };
+  if (feeRecipient !== ethers.ZeroAddress) addRole(feeRecipient, "fee recipient");
+  for (const payee of payees) addRole(payee.account, `payee ${payee.sharePercent}%`);
+  for (const account of accounts) if (!roles.has(ethers.getAddress(account))) addRole(account, "listed");
+
+  const tokenAddresses = [ethers.ZeroAddress, ...tokens];
+  const report = { payees, accounts: [], tokens: [], reconciled: true };
+  for (const token of tokenAddresses) {
+    const { symbol, decimals, held } = await describeToken(vendingMachine, token);
+    const revenue =
+      token === ethers.ZeroAddress ? await vendingMachine.totalRevenue() : await vendingMachine.tokenRevenue(token);
+    const { owed, released, fees } = await vendingMachine.treasuryTotals(token);
+
+    let listed = 0n;
+    for (const [account, accountRoles] of roles) {
+      const balance = await vendingMachine.payeeBalance(account, token);
+      listed += balance;
+      if (balance > 0n || token === ethers.ZeroAddress) {
+        report.accounts.push({
+          account,
+          roles: accountRoles.join(", "),
+          token: symbol,
+          owed: ethers.formatUnits(balance, decimals),
+          owedRaw: balance,
+        });
+      }
+    }
+
+    const booked = revenue + fees;
+    const reconciled = owed + released <= booked && held >= owed && listed <= owed;
+    report.reconciled &&= reconciled;
+    report.tokens.push({
+      token: symbol,
+      address: token,
+      revenue,
+      fees,
+      owed,
+      released,
+      unallocated: owed + released <= booked ? booked - owed - released : 0n,
+      held,
+      surplus: held > owed ? held - owed : 0n,
+      unlisted: owed - listed,
+      reconciled,
+    });
+  }
+  return report;
+}
+
+async function main() {
+  const proxyAddress = process.env.PROXY_ADDRESS;
+  if (!proxyAddress || !ethers.isAddress(proxyAddress)) {
+    throw new Error("Set PROXY_ADDRESS to the VendingMachineV2 proxy address");
+  }
+  const vendingMachine = await ethers.getContractAt("VendingMachineV2", proxyAddress);
+  const report = await buildPayoutReport(vendingMachine, {
+    tokens: splitAddresses(process.env.PAYOUT_TOKENS, "PAYOUT_TOKENS"),
+    accounts: splitAddresses(process.env.PAYOUT_ACCOUNTS, "PAYOUT_ACCOUNTS"),
+  });
+
+  if (report.payees.length === 0) {
+    console.log("No payees: net revenue stays unallocated in the machine");
+  }
+  console.log("Owed (withdraw with withdrawRevenue):");
+  console.table(report.accounts.map(({ owedRaw, ...row }) => row));
+  console.log("Reconciliation (amounts in each token's smallest unit):");
+  console.table(report.tokens);
+  if (!report.reconciled) {
+    throw new Error("The treasury doesn't reconcile: see the rows with reconciled = false");
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error.message);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  buildPayoutReport,
+};
@@ -0,0 +1,143 @@
+// This script verifies a deployed `VendingMachineV2` on Arbiscan: both the implementation (the contract code users
+// read on the explorer) and the ERC1967 proxy in front of it, so Arbiscan links the proxy to the implementation
+// ("Read/Write as Proxy"). `scripts/deploy.js` runs it at the end of every deployment to a live network;
+// run it on its own to retry a verification that failed, or to verify a proxy after an upgrade:
+//
+//   PROXY_ADDRESS=0xYourProxyAddress npx hardhat run scripts/verify.js --network arbitrum_one
+//
+// It uses the API keys from `etherscan.apiKey` in `hardhat.config.js` (`ARBISCAN_API_KEY`/`ARBISCAN_NOVA_API_KEY`).
+
+const hre = require("hardhat");
+
+const { getImplementationAddress } = require("./deploy");
+
+const { ethers, network } = hre;
+
+// Arbiscan needs a few seconds to index freshly deployed bytecode. Until then verification fails with one of these.
+const NOT_INDEXED_YET = /does not have bytecode|Unable to locate|not found/i;
+const VERIFY_ATTEMPTS = 5;
+const VERIFY_RETRY_DELAY_MS = 10000;
+
+// The fully qualified name, because `VendingMachineProxy.sol` only re-exports the OpenZeppelin proxy.
+const PROXY_CONTRACT = "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol:ERC1967Proxy";
+
+/**
+ * Whether the current network has an explorer to verify on. Local networks (Hardhat, `localhost`, forks) don't.
+ * @returns {Promise<boolean>}
+ */
+async function canVerify() {
+  const { chainId } = await ethers.provider.getNetwork();
+  return chainId !== 31337n;
+}
+
+// Runs `hardhat verify` for one contract, retrying while the explorer hasn't indexed it yet.
+async function verifyContract(label, args) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await hre.run("verify:verify", args);
+      return;
+    } catch (error) {
+      // hardhat-verify reports a contract that is already verified as success, so this is a real failure.
+      if (!NOT_INDEXED_YET.test(error.message) || attempt === VERIFY_ATTEMPTS) {
+        throw new Error(`Verifying the ${label} at ${args.address} failed: ${error.message}`);
+      }
+      console.log(`The explorer hasn't indexed the ${label} yet, retrying in ${VERIFY_RETRY_DELAY_MS / 1000}s...`);
+      await new Promise((resolve) => setTimeout(resolve, VERIFY_RETRY_DELAY_MS));
+    }
+  }
+}
+
+/**
+ * Reads the addresses of the libraries an implementation was linked against from its deployed code, at the offsets
+ * the artifact's `deployedLinkReferences` point to.
+ * @param {string} implementationAddress
+ * @returns {Promise<Object<string, string>>} Library name => address.
+ */
+async function readLinkedLibraries(implementationAddress) {
+  const { deployedLinkReferences } = await hre.artifacts.readArtifact("VendingMachineV2");
+  const code = await ethers.provider.getCode(implementationAddress);
+  const libraries = {};
+  for (const [sourceName, names] of Object.entries(deployedLinkReferences)) {
+    for (const [libraryName, [{ start, length }]] of Object.entries(names)) {
+      libraries[`${sourceName}:${libraryName}`] = ethers.getAddress(ethers.dataSlice(code, start, start + length));
+    }
+  }
+  return libraries;
+}
+
+/**
+ * Verifies the implementation and the proxy of a `VendingMachineV2` deployment on the network's explorer.
+ * @param {object} deployment
+ * @param {string} deployment.proxyAddress
+ * @param {string} [deployment.implementationAddress] Defaults to the implementation the proxy points to.
+ * @param {string} deployment.owner The address `initialize` was called with (part of the proxy's constructor arguments).
+ */
+async function verifyVendingMachine({ proxyAddress, implementationAddress, owner }) {
+  implementationAddress = implementationAddress || (await getImplementationAddress(proxyAddress));
+
+  // The libraries first: hardhat-verify finds their addresses in the implementation bytecode, but the explorer
+  // only shows their source once they are verified themselves.
+  for (const [qualifiedName, libraryAddress] of Object.entries(await readLinkedLibraries(implementationAddress))) {
+    console.log(`Verifying the ${qualifiedName.split(":")[1]} library on ${network.name}...`);
+    await verifyContract("library", { address: libraryAddress, contract: qualifiedName, constructorArguments: [] });
+  }
+
+  console.log(`Verifying the VendingMachineV2 implementation on ${network.name}...`);
+  // The implementation's constructor takes no arguments (it only disables initializers).
+  await verifyContract("implementation", { address: implementationAddress, constructorArguments: [] });
+
+  console.log(`Verifying the ERC1967 proxy on ${network.name}...`);
+  // The proxy was deployed with the implementation it first pointed to and the encoded `initialize(owner)` call.
+  // Explorers match the creation code, so these must be the original arguments even after an upgrade.
+  const { abi } = await hre.artifacts.readArtifact("VendingMachineV2");
+  const initData = new ethers.Interface(abi).encodeFunctionData("initialize", [owner]);
+  await verifyContract("proxy", {
+    address: proxyAddress,
+    contract: PROXY_CONTRACT,
+    constructorArguments: [implementationAddress, initData],
+  });
+}
+
+// Verifies the proxy in `PROXY_ADDRESS`, initialized for `VENDING_MACHINE_OWNER` (defaults to the first account).
+// After an upgrade, set `INITIAL_IMPLEMENTATION_ADDRESS` to the implementation the proxy was deployed with: the
+// proxy's constructor arguments include it.
+async function main() {
+  const proxyAddress = process.env.PROXY_ADDRESS;
+  if (!proxyAddress || !ethers.isAddress(proxyAddress)) {
+    throw new Error("Set PROXY_ADDRESS to the VendingMachineV2 proxy address");
+  }
+  if (!(await canVerify())) {
+    throw new Error(`Network "${network.name}" has no block explorer to verify on`);
+  }
+  const owner = process.env.VENDING_MACHINE_OWNER || (await ethers.getSigners())[0]?.address;
+  if (!owner) {
+    throw new Error("Set VENDING_MACHINE_OWNER to the address the proxy was initialized with");
+  }
+
+  // The current implementation is verified too, so a fresh upgrade shows up on the explorer.
+  const currentImplementation = await getImplementationAddress(proxyAddress);
+  const initialImplementation = process.env.INITIAL_IMPLEMENTATION_ADDRESS || currentImplementation;
+  await verifyVendingMachine({ proxyAddress, implementationAddress: initialImplementation, owner });
+  if (currentImplementation !== initialImplementation) {
+    await verifyContract("current implementation", { address: currentImplementation, constructorArguments: [] });
+  }
+  console.log("Verification done.");
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error.message);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  canVerify,
+  readLinkedLibraries,
+  verifyVendingMachine,
+};
+
+// To run this script, use the command:
+// PROXY_ADDRESS=0xYourProxyAddress npx hardhat run scripts/verify.js --network <your_network_name>
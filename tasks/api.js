@@ -0,0 +1,29 @@
+// Hardhat task that runs the read-only storefront API in `api/` (registered by `hardhat.config.js`):
+//
+//   npx hardhat vm:api --contract 0x... --port 8080 --network arbitrum_sepolia
+//
+// Then point the frontend at it, e.g. `REACT_APP_ABI_URL=http://localhost:8080/abi`.
+
+const { task, types } = require("hardhat/config");
+
+const { createApiServer } = require("../api/server");
+
+task("vm:api", "Serves a read-only JSON API (items, profiles, quotes, ABI) for a VendingMachineV2")
+  .addParam("contract", "Address of the VendingMachineV2 proxy")
+  .addOptionalParam("port", "Port to listen on", 8080, types.int)
+  .setAction(async ({ contract, port }, hre) => {
+    if (!hre.ethers.isAddress(contract)) {
+      throw new Error(`--contract is not a valid address: ${contract}`);
+    }
+    const server = createApiServer({
+      provider: hre.ethers.provider,
+      address: contract,
+      abi: (await hre.artifacts.readArtifact("VendingMachineV2")).abi,
+    });
+
+    await new Promise((resolve) => server.listen(port, resolve));
+    console.log(`VendingMachineV2 API for ${contract} on network "${hre.network.name}": http://localhost:${port}`);
+    console.log("Press Ctrl+C to stop");
+    await new Promise((resolve) => process.once("SIGINT", resolve));
+    await new Promise((resolve) => server.close(resolve));
+  });
@@ -0,0 +1,378 @@
+// Declarative catalog sync for `VendingMachineV2`: reads a JSON or CSV manifest of items, diffs it against the
+// on-chain `items` array and computes the smallest set of calls that makes the chain match it.
+// Used by the `vm:catalog:plan` and `vm:catalog:apply` tasks (see `tasks/vendingMachine.js`).
+//
+// Items are matched by name, ignoring case and surrounding spaces like the `vm:items:*` tasks. The contract can't
+// delete items, rename them, lower a supply, or change an item's `maxSupply`, category or image, so those
+// differences are reported as warnings and left alone. Everything else is synced:
+//   - new items                  -> `addItem` (followed by `batchToggleActive` if the manifest marks them inactive)
+//   - changed prices             -> `batchUpdatePrices`, at most 50 items per call
+//   - supply below the manifest  -> `batchRestockItems` up to the manifest's supply, at most 100 items per call
+//   - changed `active` flags     -> `batchToggleActive`
+// Re-running the sync after it has been applied plans nothing.
+
+const fs = require("fs");
+const path = require("path");
+const { formatEther, parseEther } = require("ethers");
+
+const { itemNameKey } = require("./utils");
+
+// Batch limits enforced by the contract (`batchToggleActive` has none, it's chunked like restocks to bound gas).
+const PRICE_BATCH_SIZE = 50;
+const RESTOCK_BATCH_SIZE = 100;
+const STATUS_BATCH_SIZE = 100;
+
+const MAX_UINT128 = 2n ** 128n - 1n;
+
+/**
+ * Parses CSV text (comma-separated, optional double quotes, `""` for a literal quote) into rows of strings.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field.length > 0 || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  // Drop blank lines.
+  return rows.filter((cells) => cells.some((cell) => cell.trim().length > 0));
+}
+
+function parseBoolean(value, line) {
+  if (value === undefined || value === null || value === "") return true;
+  if (typeof value === "boolean") return value;
+  const normalized = String(value).trim().toLowerCase();
+  if (["true", "yes", "1"].includes(normalized)) return true;
+  if (["false", "no", "0"].includes(normalized)) return false;
+  throw new Error(`${line}: invalid active value "${value}" (expected true or false)`);
+}
+
+function parseWholeNumber(value, field, line) {
+  const text = String(value).trim();
+  if (!/^\d+$/.test(text)) {
+    throw new Error(`${line}: invalid ${field} "${value}" (expected a whole number)`);
+  }
+  return BigInt(text);
+}
+
+/**
+ * Normalizes one manifest entry. Prices stay as ETH strings here and are converted during planning,
+ * so a bad price is reported together with the other validation errors.
+ * @param {object} entry Raw entry (from JSON, or a CSV row keyed by header).
+ * @param {string} line Where the entry comes from, for error messages.
+ */
+function normalizeEntry(entry, line) {
+  const name = String(entry.name || "").trim();
+  if (!name) {
+    throw new Error(`${line}: missing name`);
+  }
+  const supply = parseWholeNumber(entry.supply, "supply", line);
+  const hasMaxSupply = entry.maxSupply !== undefined && entry.maxSupply !== "";
+  return {
+    line,
+    name,
+    price: String(entry.price === undefined ? "" : entry.price).trim(),
+    supply,
+    maxSupply: hasMaxSupply ? parseWholeNumber(entry.maxSupply, "maxSupply", line) : supply,
+    category: String(entry.category || "").trim(),
+    imageURI: String(entry.imageURI || "").trim(),
+    active: parseBoolean(entry.active, line),
+  };
+}
+
+/**
+ * Reads a manifest file. JSON manifests are an array of items (or `{ "items": [...] }`); CSV manifests have a
+ * header row with the columns `name, price, supply, maxSupply, category, imageURI, active` (any order, any case).
+ * `maxSupply` defaults to `supply`, `active` to true.
+ * @param {string} file
+ * @returns {object[]} The normalized entries.
+ */
+function readManifest(file) {
+  const text = fs.readFileSync(file, "utf8");
+  const source = path.basename(file);
+
+  if (path.extname(file).toLowerCase() === ".csv") {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) {
+      throw new Error(`${source} is empty`);
+    }
+    const columns = ["name", "price", "supply", "maxSupply", "category", "imageURI", "active"];
+    const keys = header.map((cell) => columns.find((column) => column.toLowerCase() === cell.trim().toLowerCase()));
+    const unknown = header.filter((cell, i) => !keys[i]);
+    if (unknown.length > 0) {
+      throw new Error(`${source}: unknown column(s) ${unknown.join(", ")}; expected ${columns.join(", ")}`);
+    }
+    return rows.map((cells, i) => {
+      const entry = {};
+      keys.forEach((key, column) => (entry[key] = cells[column]));
+      return normalizeEntry(entry, `${source} line ${i + 2}`);
+    });
+  }
+
+  const parsed = JSON.parse(text);
+  const entries = Array.isArray(parsed) ? parsed : parsed.items;
+  if (!Array.isArray(entries)) {
+    throw new Error(`${source} must contain an array of items or { "items": [...] }`);
+  }
+  return entries.map((entry, i) => normalizeEntry(entry, `${source} item ${i}`));
+}
+
+/**
+ * Reads the contract limits the manifest is validated against.
+ * @param {object} vendingMachine
+ * @returns {Promise<{ minPrice: bigint, maxPrice: bigint, maxItems: bigint }>}
+ */
+async function readCatalogLimits(vendingMachine) {
+  return {
+    minPrice: await vendingMachine.MIN_PRICE(),
+    maxPrice: await vendingMachine.MAX_PRICE(),
+    maxItems: await vendingMachine.MAX_ITEMS(),
+  };
+}
+
+/**
+ * Diffs the manifest against the on-chain items. Doesn't touch the chain.
+ * @param {object[]} manifest From `readManifest`.
+ * @param {object[]} items From `loadItems` (`tasks/utils.js`).
+ * @param {{ minPrice: bigint, maxPrice: bigint, maxItems: bigint }} limits From `readCatalogLimits`.
+ * @param {{ prune?: boolean }} [options] `prune` deactivates active on-chain items that aren't in the manifest.
+ * @returns {object} `{ errors, warnings, additions, priceUpdates, restocks, statusChanges }`. The plan may only be
+ *   applied when `errors` is empty.
+ */
+function planCatalogSync(manifest, items, limits, { prune = false } = {}) {
+  const plan = { errors: [], warnings: [], additions: [], priceUpdates: [], restocks: [], statusChanges: [] };
+
+  // Keyed by `itemNameKey`, so the sync and `resolveItemIds` agree on which item a name refers to.
+  const itemsByName = new Map();
+  for (const item of items) {
+    const matches = itemsByName.get(itemNameKey(item.name)) || [];
+    itemsByName.set(itemNameKey(item.name), [...matches, item]);
+  }
+
+  const seen = new Set();
+  for (const entry of manifest) {
+    if (seen.has(itemNameKey(entry.name))) {
+      plan.errors.push(`${entry.line}: "${entry.name}" appears more than once in the manifest`);
+      continue;
+    }
+    seen.add(itemNameKey(entry.name));
+
+    let price;
+    try {
+      price = parseEther(entry.price);
+    } catch (error) {
+      plan.errors.push(`${entry.line}: invalid price "${entry.price}" for "${entry.name}" (expected ETH, e.g. 0.0012)`);
+      continue;
+    }
+    if (price < limits.minPrice || price > limits.maxPrice) {
+      plan.errors.push(
+        `${entry.line}: price ${entry.price} ETH for "${entry.name}" is outside ` +
+          `${formatEther(limits.minPrice)}-${formatEther(limits.maxPrice)} ETH`
+      );
+      continue;
+    }
+
+    const matches = itemsByName.get(itemNameKey(entry.name)) || [];
+    if (matches.length > 1) {
+      const ids = matches.map((item) => item.id).join(", ");
+      plan.errors.push(`${entry.line}: "${entry.name}" matches several on-chain items (IDs ${ids})`);
+      continue;
+    }
+
+    if (matches.length === 0) {
+      if (entry.supply > entry.maxSupply) {
+        plan.errors.push(`${entry.line}: supply ${entry.supply} of "${entry.name}" exceeds its maxSupply ${entry.maxSupply}`);
+      } else if (entry.maxSupply > MAX_UINT128) {
+        plan.errors.push(`${entry.line}: maxSupply of "${entry.name}" doesn't fit in uint128`);
+      } else {
+        plan.additions.push({ ...entry, price });
+      }
+      continue;
+    }
+
+    const [item] = matches;
+    if (entry.name !== item.name) {
+      plan.warnings.push(`"${entry.name}": name can't be changed on-chain (stays "${item.name}")`);
+    }
+    if (price !== item.price) {
+      plan.priceUpdates.push({ item, price });
+    }
+
+    if (entry.maxSupply !== item.maxSupply) {
+      plan.warnings.push(`"${entry.name}": maxSupply can't be changed on-chain (stays ${item.maxSupply}, manifest says ${entry.maxSupply})`);
+    }
+    if (entry.supply > item.maxSupply) {
+      plan.errors.push(`${entry.line}: supply ${entry.supply} of "${entry.name}" exceeds its on-chain maxSupply ${item.maxSupply}`);
+    } else if (entry.supply > item.supply) {
+      plan.restocks.push({ item, quantity: entry.supply - item.supply });
+    } else if (entry.supply < item.supply) {
+      plan.warnings.push(`"${entry.name}": supply can't be lowered on-chain (stays ${item.supply}, manifest says ${entry.supply})`);
+    }
+
+    if (entry.category !== item.category) {
+      plan.warnings.push(`"${entry.name}": category can't be changed on-chain (stays "${item.category}")`);
+    }
+    if (entry.imageURI !== item.imageURI) {
+      plan.warnings.push(`"${entry.name}": imageURI can't be changed on-chain (stays "${item.imageURI}")`);
+    }
+
+    if (entry.active !== item.isActive) {
+      plan.statusChanges.push({ id: item.id, name: item.name, active: entry.active });
+    }
+  }
+
+  if (BigInt(items.length + plan.additions.length) > limits.maxItems) {
+    plan.errors.push(
+      `Adding ${plan.additions.length} item(s) to the ${items.length} on-chain would exceed MAX_ITEMS (${limits.maxItems})`
+    );
+  }
+
+  // New items get the next IDs, in manifest order. `addItem` always creates them active.
+  plan.additions.forEach((entry, i) => {
+    entry.id = items.length + i;
+    if (!entry.active) {
+      plan.statusChanges.push({ id: entry.id, name: entry.name, active: false });
+    }
+  });
+
+  if (prune) {
+    for (const item of items) {
+      if (item.isActive && !seen.has(itemNameKey(item.name))) {
+        plan.statusChanges.push({ id: item.id, name: item.name, active: false });
+      }
+    }
+  }
+
+  return plan;
+}
+
+function chunk(values, size) {
+  const chunks = [];
+  for (let i = 0; i < values.length; i += size) {
+    chunks.push(values.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Turns a plan into the contract calls to send, in order: additions first (so new items exist before their status
+ * is set), then prices, restocks and status changes, each chunked to the contract's batch limits.
+ * @param {object} plan From `planCatalogSync`.
+ * @returns {{ method: string, args: any[], role: string, description: string }[]}
+ */
+function buildCatalogCalls(plan) {
+  const calls = plan.additions.map((entry) => ({
+    method: "addItem",
+    args: [entry.name, entry.price, entry.supply, entry.maxSupply, entry.category, entry.imageURI],
+    role: "ADMIN_ROLE",
+    description: `addItem "${entry.name}"`,
+  }));
+
+  for (const updates of chunk(plan.priceUpdates, PRICE_BATCH_SIZE)) {
+    calls.push({
+      method: "batchUpdatePrices",
+      args: [updates.map(({ item }) => item.id), updates.map(({ price }) => price)],
+      role: "ADMIN_ROLE",
+      description: `batchUpdatePrices (${updates.length} item(s))`,
+    });
+  }
+  for (const restocks of chunk(plan.restocks, RESTOCK_BATCH_SIZE)) {
+    calls.push({
+      method: "batchRestockItems",
+      args: [restocks.map(({ item }) => item.id), restocks.map(({ quantity }) => quantity)],
+      role: "OPERATOR_ROLE",
+      description: `batchRestockItems (${restocks.length} item(s))`,
+    });
+  }
+  for (const changes of chunk(plan.statusChanges, STATUS_BATCH_SIZE)) {
+    calls.push({
+      method: "batchToggleActive",
+      args: [changes.map(({ id }) => id), changes.map(({ active }) => active)],
+      role: "OPERATOR_ROLE",
+      description: `batchToggleActive (${changes.length} item(s))`,
+    });
+  }
+  return calls;
+}
+
+/**
+ * Formats a plan for the console, Terraform style: `+` for additions, `~` for changes, `!` for warnings.
+ * @param {object} plan From `planCatalogSync`.
+ * @param {object[]} calls From `buildCatalogCalls`.
+ * @returns {string}
+ */
+function formatCatalogPlan(plan, calls) {
+  const lines = [];
+  for (const entry of plan.additions) {
+    lines.push(
+      `  + add "${entry.name}" (item ${entry.id}): ${formatEther(entry.price)} ETH, ` +
+        `supply ${entry.supply}/${entry.maxSupply}${entry.category ? `, ${entry.category}` : ""}`
+    );
+  }
+  for (const { item, price } of plan.priceUpdates) {
+    lines.push(`  ~ price "${item.name}" (item ${item.id}): ${formatEther(item.price)} -> ${formatEther(price)} ETH`);
+  }
+  for (const { item, quantity } of plan.restocks) {
+    lines.push(`  ~ restock "${item.name}" (item ${item.id}): ${item.supply} -> ${item.supply + quantity} (+${quantity})`);
+  }
+  for (const { id, name, active } of plan.statusChanges) {
+    lines.push(`  ~ ${active ? "activate" : "deactivate"} "${name}" (item ${id})`);
+  }
+  for (const warning of plan.warnings) {
+    lines.push(`  ! ${warning}`);
+  }
+  for (const error of plan.errors) {
+    lines.push(`  x ${error}`);
+  }
+
+  if (plan.errors.length > 0) {
+    lines.push("", `The manifest has ${plan.errors.length} error(s); fix them before applying.`);
+  } else if (calls.length === 0) {
+    lines.push("", "No changes. The on-chain catalog matches the manifest.");
+  } else {
+    const changes = plan.priceUpdates.length + plan.restocks.length + plan.statusChanges.length;
+    lines.push("", `Plan: ${plan.additions.length} to add, ${changes} to change, in ${calls.length} transaction(s):`);
+    calls.forEach((call, i) => lines.push(`  ${i + 1}. ${call.description}`));
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  buildCatalogCalls,
+  formatCatalogPlan,
+  parseCsv,
+  planCatalogSync,
+  readCatalogLimits,
+  readManifest,
+};
@@ -0,0 +1,85 @@
+// Hardhat tasks for the event indexer in `indexer/` (registered by `hardhat.config.js`):
+//
+//   npx hardhat vm:indexer:sync --contract 0x... --start-block <deployment block> [--follow] --network arbitrum_sepolia
+//   npx hardhat vm:indexer:report --contract 0x... --network arbitrum_sepolia
+//
+// The indexed events are kept in `indexer/data/<network>-<contract>.json` unless `--store` says otherwise.
+// `vm:indexer:report` only reads that file; run `vm:indexer:sync` first to bring it up to date.
+
+const path = require("path");
+const { task, types } = require("hardhat/config");
+
+const { createIndexer } = require("../indexer/indexer");
+const queries = require("../indexer/queries");
+const { createJsonStore } = require("../indexer/store");
+
+function storeFile(hre, contract, store) {
+  return store || path.join(__dirname, "..", "indexer", "data", `${hre.network.name}-${contract.toLowerCase()}.json`);
+}
+
+function checkAddress(hre, contract) {
+  if (!hre.ethers.isAddress(contract)) {
+    throw new Error(`--contract is not a valid address: ${contract}`);
+  }
+}
+
+task("vm:indexer:sync", "Indexes the events of a VendingMachineV2 into a local JSON store")
+  .addParam("contract", "Address of the VendingMachineV2 proxy")
+  .addOptionalParam("store", "Path of the JSON store (defaults to indexer/data/<network>-<contract>.json)")
+  .addOptionalParam("startBlock", "Block to start from on the first run (use the deployment block)", 0, types.int)
+  .addOptionalParam("batchSize", "Blocks per eth_getLogs request", 2000, types.int)
+  .addFlag("follow", "Keep following new blocks until interrupted")
+  .addOptionalParam("pollInterval", "Milliseconds between syncs with --follow", 4000, types.int)
+  .setAction(async (args, hre) => {
+    checkAddress(hre, args.contract);
+    const file = storeFile(hre, args.contract, args.store);
+    const indexer = createIndexer({
+      provider: hre.ethers.provider,
+      address: args.contract,
+      abi: (await hre.artifacts.readArtifact("VendingMachineV2")).abi,
+      store: createJsonStore(args.contract, file),
+      startBlock: args.startBlock,
+      batchSize: args.batchSize,
+    });
+
+    const report = ({ fromBlock, toBlock, newEvents, reorg }) => {
+      if (reorg) {
+        console.log(`Reorg detected: dropped ${reorg.droppedEvents} event(s), re-indexing from block ${fromBlock}`);
+      }
+      if (fromBlock <= toBlock) {
+        console.log(`Indexed blocks ${fromBlock}-${toBlock}: ${newEvents} new event(s), ${indexer.events.length} in total`);
+      }
+    };
+
+    report(await indexer.sync());
+    console.log(`Store: ${file}`);
+    if (!args.follow) {
+      return indexer.events;
+    }
+
+    console.log("Following new blocks, press Ctrl+C to stop");
+    const following = indexer.follow({ pollInterval: args.pollInterval, onSync: report });
+    await new Promise((resolve) => process.once("SIGINT", resolve));
+    await following.stop();
+    return indexer.events;
+  });
+
+task("vm:indexer:report", "Prints sales analytics from the indexed events of a VendingMachineV2")
+  .addParam("contract", "Address of the VendingMachineV2 proxy")
+  .addOptionalParam("store", "Path of the JSON store (defaults to indexer/data/<network>-<contract>.json)")
+  .addOptionalParam("top", "Number of top customers to show", 10, types.int)
+  .setAction(async (args, hre) => {
+    checkAddress(hre, args.contract);
+    const { events } = createJsonStore(args.contract, storeFile(hre, args.contract, args.store)).state;
+    const eth = (wei) => hre.ethers.formatEther(wei);
+
+    console.log(`Unique buyers: ${queries.uniqueBuyers(events).length}\n`);
+    console.log("Revenue per month (UTC):");
+    console.table(queries.monthlyRevenue(events).map((row) => ({ ...row, revenue: eth(row.revenue) })));
+    console.log("Sales per category:");
+    console.table(queries.salesByCategory(events).map((row) => ({ ...row, revenue: eth(row.revenue) })));
+    console.log("Sales per item:");
+    console.table(queries.salesByItem(events).map((row) => ({ ...row, revenue: eth(row.revenue) })));
+    console.log("Top customers:");
+    console.table(queries.topCustomers(events, args.top).map((row) => ({ ...row, spent: eth(row.spent) })));
+  });
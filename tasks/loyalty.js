@@ -0,0 +1,201 @@
+// Hardhat tasks for the loyalty program of a `VendingMachineV2` (registered by `hardhat.config.js`):
+//
+//   npx hardhat vm:loyalty:tiers --contract 0x... --network arbitrum_sepolia
+//   npx hardhat vm:loyalty:tiers:set --contract 0x... --tiers "100:10:1,500:15:2,1000:20:3" --dry-run --network arbitrum_sepolia
+//   npx hardhat vm:loyalty:simulate [--contract 0x...] [--schedule 0,30,30,400] [--item "Premium Coffee"] [--quantity 100]
+//
+// A tier is "threshold:discount:multiplier": the points needed, the discount in percent and the points multiplier.
+// `vm:loyalty:simulate` replays a customer's purchases over months on a local chain, moving the clock forward with
+// `time.increase` between them, and shows how the buyer climbs the tiers and how their points expire. Without
+// --contract it deploys a fresh machine first, so `npx hardhat vm:loyalty:simulate` works out of the box.
+
+const { task, types } = require("hardhat/config");
+
+const { LOYALTY_TIER_NAMES } = require("../api/pricing");
+const { attachVendingMachine, loadItems, requireRole, resolveItemIds, sendOrSimulate, splitList } = require("./utils");
+
+const ONE_DAY = 24 * 60 * 60;
+
+// Eleven monthly purchases of 100 coffees, then one more after a break of more than a year: Bronze after the first
+// purchase, Silver after the sixth, Gold after the ninth, and all points expired at the last.
+const DEFAULT_SCHEDULE = "0,30,30,30,30,30,30,30,30,30,30,400";
+
+// Only chains whose clock can be moved forward.
+const SIMULATION_NETWORKS = ["hardhat", "localhost"];
+
+// `loyaltyTier` is 1-based (0 = no tier); the names are those of the tiers `initialize` seeds.
+function tierName(tier) {
+  return tier === 0 ? "-" : LOYALTY_TIER_NAMES[tier - 1] || `Tier ${tier - 1}`;
+}
+
+/**
+ * Reads the tier table, for display: discounts in percent next to the basis points the contract stores.
+ * @param {object} vendingMachine
+ * @returns {Promise<object[]>}
+ */
+async function readTiers(vendingMachine) {
+  const tiers = await vendingMachine.getLoyaltyTiers();
+  return tiers.map((tier, index) => ({
+    name: tierName(index + 1),
+    threshold: tier.threshold,
+    discount: tier.discount,
+    discountPercent: Number(tier.discount) / 100,
+    pointsMultiplier: tier.pointsMultiplier,
+  }));
+}
+
+/**
+ * Parses `--tiers`: comma-separated "threshold:discount:multiplier" entries, the discount in whole percent (buyers
+ * get whole percentages, so the contract rejects anything else), or "none" to turn tiers off. The contract checks
+ * the order and the bounds.
+ * @param {string} value
+ * @returns {{ threshold: bigint, discount: bigint, pointsMultiplier: bigint }[]}
+ */
+function parseTiers(value) {
+  if (value.trim().toLowerCase() === "none") {
+    return [];
+  }
+  return splitList(value).map((entry) => {
+    const match = entry.match(/^(\d+):(\d+(?:\.\d+)?):(\d+)$/);
+    if (!match) {
+      throw new Error(`Invalid tier "${entry}": expected threshold:discount:multiplier, e.g. 100:10:1`);
+    }
+    if (match[2].includes(".")) {
+      throw new Error(`Invalid tier "${entry}": the discount must be a whole percentage, e.g. 100:10:1`);
+    }
+    return {
+      threshold: BigInt(match[1]),
+      // The contract stores the discount in basis points (1000 = 10%).
+      discount: BigInt(match[2]) * 100n,
+      pointsMultiplier: BigInt(match[3]),
+    };
+  });
+}
+
+/**
+ * Parses `--schedule`: the days to wait before each purchase.
+ * @param {string} value
+ * @returns {number[]}
+ */
+function parseSchedule(value) {
+  const days = splitList(value);
+  if (days.length === 0 || days.some((day) => !/^\d+$/.test(day))) {
+    throw new Error(`Invalid schedule "${value}": expected comma-separated whole days, e.g. 0,30,30,400`);
+  }
+  return days.map(Number);
+}
+
+task("vm:loyalty:tiers", "Lists the loyalty tiers of a VendingMachineV2")
+  .addParam("contract", "Address of the VendingMachineV2 proxy")
+  .setAction(async ({ contract }, hre) => {
+    const { vendingMachine } = await attachVendingMachine(hre, contract);
+    const tiers = await readTiers(vendingMachine);
+    if (tiers.length === 0) {
+      console.log("No loyalty tiers: buyers only collect points");
+    } else {
+      console.table(tiers);
+    }
+    return tiers;
+  });
+
+task("vm:loyalty:tiers:set", "Replaces the loyalty tiers (ADMIN_ROLE)")
+  .addParam("contract", "Address of the VendingMachineV2 proxy")
+  .addParam("tiers", 'Comma-separated "threshold:discount:multiplier" tiers, discount in whole percent, or "none"')
+  .addOptionalParam("from", "Address of the account to send from (defaults to the first configured account)")
+  .addFlag("dryRun", "Simulate the call with staticCall instead of sending it")
+  .setAction(async (args, hre) => {
+    const tiers = parseTiers(args.tiers);
+    const { vendingMachine, signer } = await attachVendingMachine(hre, args.contract, args.from);
+    await requireRole(vendingMachine, signer, "ADMIN_ROLE", args.dryRun);
+
+    const description = tiers
+      .map((tier) => `${tier.threshold} points: ${Number(tier.discount) / 100}% off, ${tier.pointsMultiplier}x points`)
+      .join("; ");
+    return sendOrSimulate(vendingMachine, "setLoyaltyTiers", [tiers], {
+      dryRun: args.dryRun,
+      description: `Set ${tiers.length} loyalty tier(s)${tiers.length > 0 ? `: ${description}` : ""}`,
+    });
+  });
+
+task("vm:loyalty:simulate", "Simulates a customer's loyalty tier journey on a local chain, moving time forward")
+  .addOptionalParam("contract", "Address of the VendingMachineV2 proxy (defaults to a freshly deployed one)")
+  .addOptionalParam("buyer", "Address of the simulated customer (defaults to the second configured account)")
+  .addOptionalParam("item", "Name or ID of the item to buy", "Premium Coffee")
+  .addOptionalParam("quantity", "Units per purchase", 100, types.int)
+  .addOptionalParam("schedule", "Comma-separated days to wait before each purchase", DEFAULT_SCHEDULE)
+  .setAction(async (args, hre) => {
+    if (!SIMULATION_NETWORKS.includes(hre.network.name)) {
+      throw new Error(
+        `vm:loyalty:simulate moves the chain's clock, so it only runs on ${SIMULATION_NETWORKS.join(" or ")}, not "${hre.network.name}"`
+      );
+    }
+    const schedule = parseSchedule(args.schedule);
+    // Required here: both require "hardhat", which a task file can't do while the config loads.
+    const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+    const { deployVendingMachine } = require("../scripts/deploy");
+
+    const { ethers } = hre;
+    const [admin, defaultBuyer] = await ethers.getSigners();
+    let contract = args.contract;
+    if (!contract) {
+      const deployment = await deployVendingMachine({ deployer: admin });
+      contract = deployment.proxyAddress;
+      // Restocking between purchases needs OPERATOR_ROLE.
+      await (await deployment.vendingMachine.grantRole(await deployment.vendingMachine.OPERATOR_ROLE(), admin.address)).wait();
+      console.log(`Deployed a fresh VendingMachineV2 at ${contract}`);
+    }
+    const { vendingMachine } = await attachVendingMachine(hre, contract, admin.address);
+    const buyer = args.buyer ? await ethers.getSigner(args.buyer) : defaultBuyer;
+    const [itemId] = resolveItemIds(await loadItems(vendingMachine), [args.item]);
+
+    console.log(`Simulating ${schedule.length} purchases of ${args.quantity} x item ${itemId} by ${buyer.address}`);
+    const start = await time.latest();
+    const steps = [];
+    for (const [index, days] of schedule.entries()) {
+      if (days > 0) {
+        await time.increase(days * ONE_DAY);
+      }
+      // Purchases closer together than the rate limit would revert
+      const cooldownEnds = (await vendingMachine.lastPurchaseTime(buyer.address)) + (await vendingMachine.purchaseCooldown());
+      if (BigInt(await time.latest()) < cooldownEnds) {
+        await time.increaseTo(cooldownEnds);
+      }
+
+      const item = await vendingMachine.items(itemId);
+      if (item.supply < BigInt(args.quantity)) {
+        await requireRole(vendingMachine, admin, "OPERATOR_ROLE", false);
+        await (await vendingMachine.restockItem(itemId, item.maxSupply - item.supply)).wait();
+      }
+
+      // Paying the list price is always enough: the contract refunds what the discount takes off.
+      const listPrice = item.price * BigInt(args.quantity);
+      const tx = await vendingMachine
+        .connect(buyer)
+        .purchaseItem(itemId, args.quantity, ethers.ZeroAddress, { value: listPrice });
+      const receipt = await tx.wait();
+      const events = Object.fromEntries(
+        receipt.logs
+          .map((log) => vendingMachine.interface.parseLog(log))
+          .filter((event) => event !== null)
+          .map((event) => [event.name, event.args])
+      );
+
+      const profile = await vendingMachine.userProfiles(buyer.address);
+      const paid = events.ItemPurchased.totalPaid;
+      steps.push({
+        purchase: index + 1,
+        day: Math.round(((await time.latest()) - start) / ONE_DAY),
+        paid: ethers.formatEther(paid),
+        discountPercent: Number(((listPrice - paid) * 10000n) / listPrice) / 100,
+        pointsExpired: events.LoyaltyPointsExpired ? Number(events.LoyaltyPointsExpired.points) : 0,
+        pointsEarned: Number(events.ItemPurchased.loyaltyPointsEarned),
+        points: Number(profile.loyaltyPoints),
+        tier: tierName(Number(profile.loyaltyTier)),
+        nextDiscountPercent: Number(profile.discountRate),
+        pointsExpiry: new Date(Number(profile.pointsExpiry) * 1000).toISOString().slice(0, 10),
+      });
+    }
+
+    console.table(steps);
+    return { contract, buyer: buyer.address, itemId, steps };
+  });
@@ -0,0 +1,49 @@
+// Hardhat task that runs the signed-purchase relayer in `relayer/` (registered by `hardhat.config.js`):
+//
+//   npx hardhat vm:relayer --contract 0x... --port 8081 --max-value 0.05 --network arbitrum_sepolia
+//
+// The relayer submits purchases from its account (`--from`, or the first configured account) and pays for them,
+// so fund it with ETH and keep `--max-value` low. Anyone who can reach the port can sign intents for their own
+// address and have the relayer pay: `--max-value` caps each purchase, not the total, so only expose the port to
+// buyers you are willing to pay for, and keep no more ETH on the account than you are willing to spend. Buyers sign
+// intents with `relayer/client.js`.
+
+const { task, types } = require("hardhat/config");
+
+const { createRelayer } = require("../relayer/server");
+const { attachVendingMachine } = require("./utils");
+
+task(
+  "vm:relayer",
+  "Relays EIP-712 signed purchases to a VendingMachineV2, paying for them: whoever can reach the port spends its ETH"
+)
+  .addParam("contract", "Address of the VendingMachineV2 proxy")
+  .addOptionalParam("from", "Address of the relayer account (defaults to the first configured account)")
+  .addOptionalParam("port", "Port to listen on", 8081, types.int)
+  .addParam(
+    "maxValue",
+    "Most ETH the relayer pays for one purchase. Anyone who can reach the port can sign purchases the relayer's " +
+      "account pays for, up to this much each"
+  )
+  .setAction(async ({ contract, from, port, maxValue }, hre) => {
+    let maxValueWei;
+    try {
+      maxValueWei = hre.ethers.parseEther(maxValue);
+    } catch {
+      throw new Error(`--max-value is not an ETH amount: ${maxValue}`);
+    }
+    if (maxValueWei <= 0n) {
+      throw new Error("--max-value must be more than 0");
+    }
+    const { vendingMachine, signer } = await attachVendingMachine(hre, contract, from);
+    const server = createRelayer({ vendingMachine, maxValue: maxValueWei });
+
+    await new Promise((resolve) => server.listen(port, resolve));
+    const balance = await hre.ethers.provider.getBalance(signer.address);
+    console.log(`Relaying purchases to ${contract} on network "${hre.network.name}": http://localhost:${port}`);
+    console.log(`Relayer account ${signer.address} has ${hre.ethers.formatEther(balance)} ETH`);
+    console.log(`Paying at most ${maxValue} ETH per purchase, for anyone who can reach the port`);
+    console.log("Press Ctrl+C to stop");
+    await new Promise((resolve) => process.once("SIGINT", resolve));
+    await new Promise((resolve) => server.close(resolve));
+  });
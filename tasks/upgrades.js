@@ -0,0 +1,184 @@
+// Hardhat tasks for safe upgrades of a `VendingMachineV2` proxy (registered by `hardhat.config.js`):
+//
+//   npx hardhat vm:upgrade --contract 0x... --network arbitrum_sepolia
+//   npx hardhat vm:storage:check --contract 0x... --network arbitrum_sepolia
+//   npx hardhat vm:storage:record --contract 0x... [--layout <build info of the deployed source>] --network arbitrum_sepolia
+//
+// `vm:upgrade` compares the storage layout of the current source with the layout recorded for the implementation
+// the proxy runs (`upgrades/layouts/<network>/<proxy>.json`, see `upgrades/history.js`) and stops before anything is
+// deployed or sent when a variable would end up in another slot. Proxies deployed by `scripts/deploy.js` have a
+// history from the start; for a proxy deployed another way (e.g. with Ignition), record its layout once with
+// `vm:storage:record`, passing the build info of the source it was deployed from if that source has changed since.
+
+const { task, types } = require("hardhat/config");
+
+const {
+  DEFAULT_LAYOUTS_DIR,
+  latestLayoutVersion,
+  layoutHistoryFile,
+  loadLayoutHistory,
+  readImplementationAddress,
+  recordLayoutVersion,
+} = require("../upgrades/history");
+const {
+  compareStorageLayouts,
+  formatLayoutReport,
+  loadStorageLayoutFile,
+  readStorageLayout,
+} = require("../upgrades/storageLayout");
+const { attachVendingMachine, requireRole, sendOrSimulate } = require("./utils");
+
+const CONTRACT_NAME = "VendingMachineV2";
+
+// The layout of the current source, compiled first so it can't be stale.
+async function currentSourceLayout(hre) {
+  await hre.run("compile", { quiet: true });
+  return readStorageLayout(hre, CONTRACT_NAME);
+}
+
+function checkAddress(hre, contract) {
+  if (!hre.ethers.isAddress(contract)) {
+    throw new Error(`--contract is not a valid address: ${contract}`);
+  }
+}
+
+/**
+ * Loads the layout history of a proxy and makes sure its latest version is the implementation the proxy runs,
+ * so a check never passes against a layout that isn't on-chain (e.g. after an upgrade that wasn't recorded).
+ * @returns {Promise<{ file: string, history: object, deployed: object }>} `deployed` is the latest version.
+ */
+async function loadDeployedVersion(hre, contract, layoutsDir) {
+  const file = layoutHistoryFile(layoutsDir, hre.network.name, contract);
+  const history = loadLayoutHistory(file);
+  if (!history) {
+    throw new Error(
+      `No storage layout recorded for ${contract} on network "${hre.network.name}" (${file}); ` +
+        "record the deployed version first with `npx hardhat vm:storage:record`"
+    );
+  }
+
+  const deployed = latestLayoutVersion(history);
+  const implementation = await readImplementationAddress(hre.ethers.provider, contract);
+  if (implementation.toLowerCase() !== deployed.implementation.toLowerCase()) {
+    throw new Error(
+      `${contract} runs implementation ${implementation}, but the latest recorded version (${deployed.version}) is ` +
+        `${deployed.implementation}; record the layout of the running implementation with \`vm:storage:record\``
+    );
+  }
+  return { file, history, deployed };
+}
+
+task("vm:storage:check", "Checks that the current source keeps the storage layout of a deployed VendingMachineV2")
+  .addOptionalParam("contract", "Address of the proxy, to check against its recorded layout history")
+  .addOptionalParam("deployed", "Layout file to check against instead (build info, storage layout or history)")
+  .addOptionalParam("candidate", "Layout file of the new version (defaults to the current source)")
+  .addOptionalParam("layouts", "Directory of the layout histories", DEFAULT_LAYOUTS_DIR)
+  .setAction(async (args, hre) => {
+    let deployedLayout;
+    if (args.deployed) {
+      deployedLayout = loadStorageLayoutFile(args.deployed, CONTRACT_NAME);
+    } else if (args.contract) {
+      checkAddress(hre, args.contract);
+      const { deployed } = await loadDeployedVersion(hre, args.contract, args.layouts);
+      console.log(`Checking against version ${deployed.version} (implementation ${deployed.implementation})`);
+      deployedLayout = deployed.layout;
+    } else {
+      throw new Error("Pass --contract (a proxy with a recorded layout history) or --deployed <layout file>");
+    }
+
+    const candidateLayout = args.candidate
+      ? loadStorageLayoutFile(args.candidate, CONTRACT_NAME)
+      : await currentSourceLayout(hre);
+    const result = compareStorageLayouts(deployedLayout, candidateLayout);
+    console.log(formatLayoutReport(result));
+    if (result.errors.length > 0) {
+      throw new Error(`Storage layout check failed with ${result.errors.length} error(s)`);
+    }
+    return result;
+  });
+
+task("vm:storage:record", "Records the storage layout of the implementation a VendingMachineV2 proxy runs")
+  .addParam("contract", "Address of the VendingMachineV2 proxy")
+  .addOptionalParam("layout", "Layout file of the deployed source (build info or storage layout; defaults to the current source)")
+  .addOptionalParam("layouts", "Directory of the layout histories", DEFAULT_LAYOUTS_DIR)
+  .setAction(async (args, hre) => {
+    checkAddress(hre, args.contract);
+    if ((await hre.ethers.provider.getCode(args.contract)) === "0x") {
+      throw new Error(`No contract deployed at ${args.contract} on network "${hre.network.name}"`);
+    }
+
+    const implementation = await readImplementationAddress(hre.ethers.provider, args.contract);
+    const file = layoutHistoryFile(args.layouts, hre.network.name, args.contract);
+    const history = loadLayoutHistory(file);
+    if (history && latestLayoutVersion(history).implementation.toLowerCase() === implementation.toLowerCase()) {
+      throw new Error(`The layout of implementation ${implementation} is already recorded in ${file}`);
+    }
+
+    const layout = args.layout ? loadStorageLayoutFile(args.layout, CONTRACT_NAME) : await currentSourceLayout(hre);
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const version = recordLayoutVersion(file, {
+      network: hre.network.name,
+      chainId,
+      proxy: args.contract,
+      contract: CONTRACT_NAME,
+      implementation,
+      layout,
+    });
+    console.log(`Recorded version ${version.version} (implementation ${implementation}) in ${file}`);
+    return version;
+  });
+
+task("vm:upgrade", "Upgrades a VendingMachineV2 proxy to the current source, after checking its storage layout (UPGRADER_ROLE)")
+  .addParam("contract", "Address of the VendingMachineV2 proxy")
+  .addOptionalParam("from", "Address of the sending account (defaults to the first configured account)")
+  .addOptionalParam("callData", "Encoded call to run on the proxy right after the upgrade, e.g. a reinitializer", "0x")
+  .addOptionalParam("layouts", "Directory of the layout histories", DEFAULT_LAYOUTS_DIR)
+  .addFlag("dryRun", "Only check the storage layout, deploy and send nothing")
+  .setAction(async (args, hre) => {
+    const { vendingMachine, signer } = await attachVendingMachine(hre, args.contract, args.from);
+    await requireRole(vendingMachine, signer, "UPGRADER_ROLE", args.dryRun);
+
+    // --- Step 1: Check the layout, before anything is deployed or sent ---
+    const { file, deployed } = await loadDeployedVersion(hre, args.contract, args.layouts);
+    console.log(`Proxy ${args.contract} runs version ${deployed.version} (implementation ${deployed.implementation})`);
+    const layout = await currentSourceLayout(hre);
+    const result = compareStorageLayouts(deployed.layout, layout);
+    console.log(formatLayoutReport(result));
+    if (result.errors.length > 0) {
+      throw new Error(
+        `Upgrade aborted, nothing was deployed or sent: the storage layout has ${result.errors.length} incompatible ` +
+          "change(s). Keep existing variables and struct members where they are and append new ones at the end."
+      );
+    }
+    if (args.dryRun) {
+      console.log("[dry run] Storage layout check passed, nothing was deployed or sent");
+      return { result };
+    }
+
+    // --- Step 2: Deploy the new implementation (and the libraries it links against) ---
+    // Required here: `scripts/deploy.js` requires "hardhat", which a task file can't do while the config loads.
+    const { deployImplementation } = require("../scripts/deploy");
+    const { implementation } = await deployImplementation({ deployer: signer });
+    const implementationAddress = await implementation.getAddress();
+    console.log(`New implementation deployed at ${implementationAddress}`);
+
+    // --- Step 3: Point the proxy at it ---
+    // `_authorizeUpgrade` checks UPGRADER_ROLE, then the current implementation checks the new one is UUPS compatible.
+    const receipt = await sendOrSimulate(vendingMachine, "upgradeToAndCall", [implementationAddress, args.callData], {
+      dryRun: false,
+      description: `Upgrade ${args.contract} to ${implementationAddress}`,
+    });
+
+    // --- Step 4: Record the new version, so the next upgrade is checked against it ---
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const version = recordLayoutVersion(file, {
+      network: hre.network.name,
+      chainId,
+      proxy: args.contract,
+      contract: CONTRACT_NAME,
+      implementation: implementationAddress,
+      layout,
+    });
+    console.log(`Recorded version ${version.version} in ${file}; commit it`);
+    return { result, receipt, implementation: implementationAddress, version };
+  });
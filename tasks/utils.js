@@ -0,0 +1,196 @@
+// Helpers shared by the `vm:*` Hardhat tasks (see `tasks/vendingMachine.js`).
+//
+// Task files are loaded by `hardhat.config.js`, before the Hardhat Runtime Environment exists, so nothing here
+// may `require("hardhat")`: every helper takes the `hre` passed to the task action instead.
+
+/**
+ * Attaches the `VendingMachineV2` ABI to a deployed proxy and picks the account to send from.
+ * @param {object} hre The Hardhat Runtime Environment.
+ * @param {string} contractAddress The proxy address (`--contract`).
+ * @param {string} [from] Address of the sending account (`--from`). Defaults to the first configured account.
+ * @returns {Promise<{ vendingMachine: object, signer: object }>}
+ */
+async function attachVendingMachine(hre, contractAddress, from) {
+  const { ethers } = hre;
+  if (!ethers.isAddress(contractAddress)) {
+    throw new Error(`--contract is not a valid address: ${contractAddress}`);
+  }
+  if ((await ethers.provider.getCode(contractAddress)) === "0x") {
+    throw new Error(`No contract deployed at ${contractAddress} on network "${hre.network.name}"`);
+  }
+
+  let signer;
+  if (from) {
+    if (!ethers.isAddress(from)) {
+      throw new Error(`--from is not a valid address: ${from}`);
+    }
+    signer = await ethers.getSigner(from);
+  } else {
+    [signer] = await ethers.getSigners();
+    if (!signer) {
+      throw new Error(`No account configured for network "${hre.network.name}" (check your .env)`);
+    }
+  }
+
+  const vendingMachine = await ethers.getContractAt("VendingMachineV2", contractAddress, signer);
+  return { vendingMachine, signer };
+}
+
+/**
+ * Reads the whole catalog. `items` is a public array without a length getter (and `getAnalytics` is admin-only),
+ * so it reads item after item until the getter reverts.
+ * @param {object} vendingMachine
+ * @returns {Promise<object[]>} The items, each with its `id`.
+ */
+async function loadItems(vendingMachine) {
+  const items = [];
+  for (;;) {
+    let item;
+    try {
+      item = await vendingMachine.items(items.length);
+    } catch (error) {
+      // Index out of bounds. Hardhat Network reports it as a plain "reverted" error, other nodes as CALL_EXCEPTION.
+      if (error.code === "CALL_EXCEPTION" || /revert/i.test(error.message)) break;
+      throw error;
+    }
+    items.push({
+      id: items.length,
+      name: item.name,
+      price: item.price,
+      supply: item.supply,
+      maxSupply: item.maxSupply,
+      salesCount: item.salesCount,
+      isActive: item.isActive,
+      imageURI: item.imageURI,
+      category: item.category,
+    });
+  }
+  return items;
+}
+
+/**
+ * How item names are compared everywhere in the tasks: trimmed and case-insensitive, so "cola" finds "Cola".
+ * @param {string} name
+ * @returns {string}
+ */
+function itemNameKey(name) {
+  return name.trim().toLowerCase();
+}
+
+/**
+ * Resolves item references to IDs. A reference is an item name (case-insensitive) or a numeric ID.
+ * A name wins over an ID, so an item literally called "3" is still found by name.
+ * @param {object[]} items From `loadItems`.
+ * @param {string[]} references
+ * @returns {number[]}
+ */
+function resolveItemIds(items, references) {
+  return references.map((reference) => {
+    const matches = items.filter((item) => itemNameKey(item.name) === itemNameKey(reference));
+    if (matches.length > 1) {
+      const ids = matches.map((item) => item.id).join(", ");
+      throw new Error(`Item name "${reference}" is ambiguous (IDs ${ids}); use the ID instead`);
+    }
+    if (matches.length === 1) {
+      return matches[0].id;
+    }
+    if (/^\d+$/.test(reference) && Number(reference) < items.length) {
+      return Number(reference);
+    }
+    throw new Error(`Unknown item: "${reference}"`);
+  });
+}
+
+/**
+ * Splits a comma-separated task argument (`"Premium Coffee, Energy Drink"`) into trimmed values.
+ * @param {string} value
+ * @returns {string[]}
+ */
+function splitList(value) {
+  return value.split(",").map((entry) => entry.trim()).filter((entry) => entry.length > 0);
+}
+
+/**
+ * Makes sure the signer has `roleName` (e.g. "ADMIN_ROLE") before anything is sent.
+ * In a dry run a missing role is only reported, so the simulation can show what the contract would say.
+ * @param {object} vendingMachine
+ * @param {object} signer
+ * @param {string} roleName Name of the role constant on the contract.
+ * @param {boolean} dryRun
+ */
+async function requireRole(vendingMachine, signer, roleName, dryRun) {
+  const role = await vendingMachine[roleName]();
+  if (await vendingMachine.hasRole(role, signer.address)) {
+    return;
+  }
+  const message = `${signer.address} doesn't have ${roleName}`;
+  if (!dryRun) {
+    throw new Error(`${message}; ask an admin to grant it or use --from with an account that has it`);
+  }
+  console.log(`Warning: ${message}, the call will revert`);
+}
+
+/**
+ * Turns an error from a contract call into a readable revert reason: the `require` message,
+ * a custom error with its arguments, a panic, or the provider's message as a last resort.
+ * @param {object} vendingMachine Used to decode custom errors.
+ * @param {Error} error
+ * @returns {string}
+ */
+function decodeRevertReason(vendingMachine, error) {
+  // ethers attaches the decoded revert for JSON-RPC nodes; Hardhat Network only gives the raw revert data.
+  let revert = error.revert;
+  if (!revert && error.data && error.data !== "0x") {
+    revert = vendingMachine.interface.parseError(error.data);
+  }
+  if (revert) {
+    return revert.name === "Error" ? revert.args[0] : `${revert.name}(${revert.args.join(", ")})`;
+  }
+  return error.reason || error.shortMessage || error.message;
+}
+
+/**
+ * Sends a contract call, or only simulates it with `staticCall` when `dryRun` is set.
+ * Either way a revert is reported with its decoded reason.
+ * @param {object} vendingMachine Connected to the sending account.
+ * @param {string} method Function name (or full signature for overloaded functions).
+ * @param {any[]} args
+ * @param {{ dryRun: boolean, description: string }} options `description` is printed before the call.
+ * @returns {Promise<object|undefined>} The receipt, or `undefined` for a dry run.
+ */
+async function sendOrSimulate(vendingMachine, method, args, { dryRun, description }) {
+  const fn = vendingMachine.getFunction(method);
+  console.log(`${dryRun ? "[dry run] " : ""}${description}`);
+
+  if (dryRun) {
+    try {
+      await fn.staticCall(...args);
+    } catch (error) {
+      throw new Error(`Simulation reverted: ${decodeRevertReason(vendingMachine, error)}`);
+    }
+    console.log("Simulation succeeded, nothing was sent");
+    return undefined;
+  }
+
+  let tx;
+  try {
+    tx = await fn.send(...args);
+  } catch (error) {
+    throw new Error(`${method} reverted: ${decodeRevertReason(vendingMachine, error)}`);
+  }
+  console.log(`Transaction sent: ${tx.hash}`);
+  const receipt = await tx.wait();
+  console.log(`Confirmed in block ${receipt.blockNumber} (gas used: ${receipt.gasUsed})`);
+  return receipt;
+}
+
+module.exports = {
+  attachVendingMachine,
+  decodeRevertReason,
+  itemNameKey,
+  loadItems,
+  requireRole,
+  resolveItemIds,
+  sendOrSimulate,
+  splitList,
+};
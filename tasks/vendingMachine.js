@@ -0,0 +1,331 @@
+// Admin CLI for a deployed `VendingMachineV2`, as Hardhat tasks. Registered by `hardhat.config.js`;
+// run `npx hardhat help` to list them and `npx hardhat help <task>` for their arguments.
+//
+// Every task that sends a transaction takes:
+//   --contract  the proxy address
+//   --from      the account to send from (optional, defaults to the first account configured for the network)
+//   --dry-run   simulate the call with `staticCall` and print the decoded revert reason instead of sending it
+// Items are referred to by name (case-insensitive) or ID, and prices are in ETH.
+//
+// Examples:
+//   npx hardhat vm:items:add --contract 0x... --name "Green Tea" --price 0.0012 --supply 40 --max-supply 80 --category Beverages --network arbitrum_sepolia
+//   npx hardhat vm:prices:set --contract 0x... --items "Premium Coffee,Protein Bar" --prices 0.0011,0.0009 --dry-run --network arbitrum_sepolia
+//
+// The catalog can also be managed declaratively from a JSON or CSV manifest (see `tasks/catalog.js`):
+//   npx hardhat vm:catalog:plan --contract 0x... --manifest catalog.csv --network arbitrum_sepolia
+//   npx hardhat vm:catalog:apply --contract 0x... --manifest catalog.csv --network arbitrum_sepolia
+
+const readline = require("readline/promises");
+const { task, types } = require("hardhat/config");
+
+const {
+  buildCatalogCalls,
+  formatCatalogPlan,
+  planCatalogSync,
+  readCatalogLimits,
+  readManifest,
+} = require("./catalog");
+
+const {
+  attachVendingMachine,
+  loadItems,
+  requireRole,
+  resolveItemIds,
+  sendOrSimulate,
+  splitList,
+} = require("./utils");
+
+// `emergencyState` enum values, for display.
+const EMERGENCY_STATES = ["Operational", "PartialPause", "FullPause"];
+
+// `vm:emergency` actions: contract function and a description of what it does.
+const EMERGENCY_ACTIONS = {
+  pause: { method: "pause", description: "Pause purchases" },
+  unpause: { method: "unpause", description: "Unpause purchases" },
+  "full-stop": { method: "activateFullEmergencyStop", description: "Activate the full emergency stop (also pauses)" },
+  partial: { method: "activatePartialEmergency", description: "Activate the partial emergency (purchases disabled)" },
+  resume: { method: "resumeNormalOperations", description: "Resume normal operations (also unpauses)" },
+};
+
+/**
+ * Declares a task with the arguments shared by every state-changing `vm:*` task.
+ * @param {string} name
+ * @param {string} description
+ */
+function vendingMachineTask(name, description) {
+  return task(name, description)
+    .addParam("contract", "Address of the VendingMachineV2 proxy")
+    .addOptionalParam("from", "Address of the account to send from (defaults to the first configured account)")
+    .addFlag("dryRun", "Simulate the call with staticCall instead of sending it");
+}
+
+/**
+ * Pairs values with items: either one value per item, or a single value for all of them.
+ * @param {number[]} itemIds
+ * @param {string[]} values
+ * @param {string} label Argument name, for the error message.
+ * @returns {string[]}
+ */
+function valuesPerItem(itemIds, values, label) {
+  if (values.length === 1) {
+    return itemIds.map(() => values[0]);
+  }
+  if (values.length !== itemIds.length) {
+    throw new Error(`Got ${itemIds.length} items but ${values.length} ${label}`);
+  }
+  return values;
+}
+
+function parseEtherArgument(hre, value, label) {
+  try {
+    return hre.ethers.parseEther(value);
+  } catch (error) {
+    throw new Error(`Invalid ${label} "${value}": expected an amount in ETH, e.g. 0.0012`);
+  }
+}
+
+function parseQuantity(value) {
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Invalid quantity "${value}": expected a whole number`);
+  }
+  return BigInt(value);
+}
+
+task("vm:items:list", "Lists the catalog of a VendingMachineV2")
+  .addParam("contract", "Address of the VendingMachineV2 proxy")
+  .setAction(async ({ contract }, hre) => {
+    const { vendingMachine } = await attachVendingMachine(hre, contract);
+    const items = await loadItems(vendingMachine);
+
+    console.table(
+      items.map((item) => ({
+        id: item.id,
+        name: item.name,
+        "price (ETH)": hre.ethers.formatEther(item.price),
+        supply: `${item.supply}/${item.maxSupply}`,
+        sold: Number(item.salesCount),
+        category: item.category,
+        active: item.isActive,
+      }))
+    );
+    console.log(`Emergency state: ${EMERGENCY_STATES[Number(await vendingMachine.emergencyState())]}`);
+    console.log(`Paused: ${await vendingMachine.paused()}`);
+    return items;
+  });
+
+vendingMachineTask("vm:items:add", "Adds an item to the catalog (ADMIN_ROLE)")
+  .addParam("name", "Item name")
+  .addParam("price", "Price in ETH, e.g. 0.0012")
+  .addParam("supply", "Initial supply", undefined, types.int)
+  .addOptionalParam("maxSupply", "Maximum supply (defaults to --supply)", undefined, types.int)
+  .addOptionalParam("category", "Category, e.g. Beverages", "")
+  .addOptionalParam("imageUri", "Image URI, e.g. ipfs://...", "")
+  .setAction(async (args, hre) => {
+    const { vendingMachine, signer } = await attachVendingMachine(hre, args.contract, args.from);
+    await requireRole(vendingMachine, signer, "ADMIN_ROLE", args.dryRun);
+
+    const price = parseEtherArgument(hre, args.price, "price");
+    const maxSupply = args.maxSupply === undefined ? args.supply : args.maxSupply;
+    const items = await loadItems(vendingMachine);
+    if (items.some((item) => item.name.toLowerCase() === args.name.toLowerCase())) {
+      console.log(`Warning: an item called "${args.name}" already exists; refer to the new one by ID`);
+    }
+
+    return sendOrSimulate(
+      vendingMachine,
+      "addItem",
+      [args.name, price, args.supply, maxSupply, args.category, args.imageUri],
+      {
+        dryRun: args.dryRun,
+        description: `Add "${args.name}" (item ${items.length}) at ${args.price} ETH, supply ${args.supply}/${maxSupply}`,
+      }
+    );
+  });
+
+vendingMachineTask("vm:items:restock", "Restocks items (OPERATOR_ROLE)")
+  .addParam("items", "Comma-separated item names or IDs")
+  .addParam("quantities", "Comma-separated quantities to add, or one quantity for all items")
+  .setAction(async (args, hre) => {
+    const { vendingMachine, signer } = await attachVendingMachine(hre, args.contract, args.from);
+    await requireRole(vendingMachine, signer, "OPERATOR_ROLE", args.dryRun);
+
+    const items = await loadItems(vendingMachine);
+    const itemIds = resolveItemIds(items, splitList(args.items));
+    const quantities = valuesPerItem(itemIds, splitList(args.quantities), "quantities").map(parseQuantity);
+    const description = itemIds
+      .map((itemId, i) => `${items[itemId].name} +${quantities[i]} (${items[itemId].supply}/${items[itemId].maxSupply})`)
+      .join(", ");
+
+    if (itemIds.length === 1) {
+      return sendOrSimulate(vendingMachine, "restockItem", [itemIds[0], quantities[0]], {
+        dryRun: args.dryRun,
+        description: `Restock ${description}`,
+      });
+    }
+    return sendOrSimulate(vendingMachine, "batchRestockItems", [itemIds, quantities], {
+      dryRun: args.dryRun,
+      description: `Restock ${description}`,
+    });
+  });
+
+vendingMachineTask("vm:items:status", "Activates or deactivates items (OPERATOR_ROLE)")
+  .addParam("items", "Comma-separated item names or IDs")
+  .addParam("status", "active or inactive")
+  .setAction(async (args, hre) => {
+    if (args.status !== "active" && args.status !== "inactive") {
+      throw new Error(`Invalid status "${args.status}": expected active or inactive`);
+    }
+    const { vendingMachine, signer } = await attachVendingMachine(hre, args.contract, args.from);
+    await requireRole(vendingMachine, signer, "OPERATOR_ROLE", args.dryRun);
+
+    const items = await loadItems(vendingMachine);
+    const itemIds = resolveItemIds(items, splitList(args.items));
+    const statuses = itemIds.map(() => args.status === "active");
+
+    return sendOrSimulate(vendingMachine, "batchToggleActive", [itemIds, statuses], {
+      dryRun: args.dryRun,
+      description: `Mark ${itemIds.map((itemId) => items[itemId].name).join(", ")} as ${args.status}`,
+    });
+  });
+
+vendingMachineTask("vm:prices:set", "Updates item prices (ADMIN_ROLE)")
+  .addParam("items", "Comma-separated item names or IDs")
+  .addParam("prices", "Comma-separated prices in ETH, or one price for all items")
+  .setAction(async (args, hre) => {
+    const { vendingMachine, signer } = await attachVendingMachine(hre, args.contract, args.from);
+    await requireRole(vendingMachine, signer, "ADMIN_ROLE", args.dryRun);
+
+    const items = await loadItems(vendingMachine);
+    const itemIds = resolveItemIds(items, splitList(args.items));
+    const prices = valuesPerItem(itemIds, splitList(args.prices), "prices");
+    const description = itemIds
+      .map((itemId, i) => `${items[itemId].name} ${hre.ethers.formatEther(items[itemId].price)} -> ${prices[i]} ETH`)
+      .join(", ");
+
+    return sendOrSimulate(
+      vendingMachine,
+      "batchUpdatePrices",
+      [itemIds, prices.map((price) => parseEtherArgument(hre, price, "price"))],
+      { dryRun: args.dryRun, description: `Set prices: ${description}` }
+    );
+  });
+
+vendingMachineTask("vm:users:blacklist", "Blacklists a user, or lifts the blacklisting with --remove (ADMIN_ROLE)")
+  .addParam("user", "Address of the user")
+  .addFlag("remove", "Remove the user from the blacklist instead")
+  .setAction(async (args, hre) => {
+    if (!hre.ethers.isAddress(args.user)) {
+      throw new Error(`--user is not a valid address: ${args.user}`);
+    }
+    const { vendingMachine, signer } = await attachVendingMachine(hre, args.contract, args.from);
+    await requireRole(vendingMachine, signer, "ADMIN_ROLE", args.dryRun);
+
+    return sendOrSimulate(vendingMachine, "blacklistUser", [args.user, !args.remove], {
+      dryRun: args.dryRun,
+      description: `${args.remove ? "Remove" : "Add"} ${args.user} ${args.remove ? "from" : "to"} the blacklist`,
+    });
+  });
+
+vendingMachineTask("vm:fee:set", "Sets the transaction fee (ADMIN_ROLE)")
+  .addParam("percent", "Fee in percent, e.g. 1.5 (max 10)")
+  .setAction(async (args, hre) => {
+    // The contract stores the fee in basis points (100 = 1%).
+    if (!/^\d+(\.\d{1,2})?$/.test(args.percent)) {
+      throw new Error(`Invalid fee "${args.percent}": expected a percentage with at most 2 decimals, e.g. 1.5`);
+    }
+    const basisPoints = Math.round(Number(args.percent) * 100);
+    const { vendingMachine, signer } = await attachVendingMachine(hre, args.contract, args.from);
+    await requireRole(vendingMachine, signer, "ADMIN_ROLE", args.dryRun);
+
+    const currentFee = Number(await vendingMachine.transactionFee()) / 100;
+    return sendOrSimulate(vendingMachine, "updateTransactionFee", [basisPoints], {
+      dryRun: args.dryRun,
+      description: `Set the transaction fee from ${currentFee}% to ${args.percent}% (${basisPoints} basis points)`,
+    });
+  });
+
+vendingMachineTask("vm:emergency", "Pauses, stops or resumes the machine (ADMIN_ROLE)")
+  .addPositionalParam("action", `One of: ${Object.keys(EMERGENCY_ACTIONS).join(", ")}`)
+  .setAction(async (args, hre) => {
+    const action = EMERGENCY_ACTIONS[args.action];
+    if (!action) {
+      throw new Error(`Unknown action "${args.action}": expected one of ${Object.keys(EMERGENCY_ACTIONS).join(", ")}`);
+    }
+    const { vendingMachine, signer } = await attachVendingMachine(hre, args.contract, args.from);
+    await requireRole(vendingMachine, signer, "ADMIN_ROLE", args.dryRun);
+
+    const state = EMERGENCY_STATES[Number(await vendingMachine.emergencyState())];
+    const paused = await vendingMachine.paused();
+    return sendOrSimulate(vendingMachine, action.method, [], {
+      dryRun: args.dryRun,
+      description: `${action.description} (currently ${state}${paused ? ", paused" : ""})`,
+    });
+  });
+
+/**
+ * Reads the manifest and the on-chain catalog and plans the sync.
+ * @returns {Promise<{ vendingMachine: object, signer: object, plan: object, calls: object[] }>}
+ */
+async function planFromManifest(hre, { contract, from, manifest, prune }) {
+  const entries = readManifest(manifest);
+  const { vendingMachine, signer } = await attachVendingMachine(hre, contract, from);
+  const items = await loadItems(vendingMachine);
+  const plan = planCatalogSync(entries, items, await readCatalogLimits(vendingMachine), { prune });
+  const calls = buildCatalogCalls(plan);
+
+  console.log(`Catalog sync: ${entries.length} manifest entries, ${items.length} on-chain items\n`);
+  console.log(formatCatalogPlan(plan, calls));
+  return { vendingMachine, signer, plan, calls };
+}
+
+task("vm:catalog:plan", "Shows the calls needed to make the on-chain catalog match a JSON/CSV manifest")
+  .addParam("contract", "Address of the VendingMachineV2 proxy")
+  .addParam("manifest", "Path to the manifest (.json or .csv)")
+  .addFlag("prune", "Also deactivate on-chain items that aren't in the manifest")
+  .setAction(async (args, hre) => {
+    const { plan, calls } = await planFromManifest(hre, args);
+    return { plan, calls };
+  });
+
+task("vm:catalog:apply", "Makes the on-chain catalog match a JSON/CSV manifest, after confirmation")
+  .addParam("contract", "Address of the VendingMachineV2 proxy")
+  .addParam("manifest", "Path to the manifest (.json or .csv)")
+  .addOptionalParam("from", "Address of the account to send from (defaults to the first configured account)")
+  .addFlag("prune", "Also deactivate on-chain items that aren't in the manifest")
+  .addFlag("yes", "Apply without asking for confirmation")
+  .setAction(async (args, hre) => {
+    const { vendingMachine, signer, plan, calls } = await planFromManifest(hre, args);
+    if (plan.errors.length > 0) {
+      throw new Error(`The manifest has ${plan.errors.length} error(s), nothing was sent`);
+    }
+    if (calls.length === 0) {
+      return [];
+    }
+
+    // Check every role the plan needs before sending anything, so it isn't left half-applied.
+    for (const role of new Set(calls.map((call) => call.role))) {
+      await requireRole(vendingMachine, signer, role, false);
+    }
+
+    if (!args.yes) {
+      const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+      const answer = await prompt.question(`\nSend ${calls.length} transaction(s) from ${signer.address}? Only "yes" will be accepted: `);
+      prompt.close();
+      if (answer.trim() !== "yes") {
+        console.log("Apply cancelled, nothing was sent");
+        return [];
+      }
+    }
+
+    const receipts = [];
+    for (const [i, call] of calls.entries()) {
+      receipts.push(
+        await sendOrSimulate(vendingMachine, call.method, call.args, {
+          dryRun: false,
+          description: `[${i + 1}/${calls.length}] ${call.description}`,
+        })
+      );
+    }
+    console.log("Apply complete.");
+    return receipts;
+  });
@@ -0,0 +1,1698 @@
+// This file contains automated tests for the `VendingMachineV2` smart contract (contracts/VendingMachine.sol).
+// Tests are written using Mocha and Chai, like `test/Lock.js`. The contract is deployed the same way as in
+// production: implementation + ERC1967 proxy + `initialize`, using `deployVendingMachine` from `scripts/deploy.js`.
+
+// --- Import necessary helpers and assertion tools ---
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+const { quoteTokenAmount } = require("../api/pricing");
+const { SEEDED_ITEMS, deployImplementation, deployVendingMachine } = require("../scripts/deploy");
+const { buildPayoutReport } = require("../scripts/payouts");
+
+// --- Constants mirroring the contract ---
+const COFFEE = 0; // "Premium Coffee", 0.001 ETH, supply 50 / max 100, "Beverages"
+const ENERGY_DRINK = 1; // "Energy Drink", 0.0015 ETH, supply 30 / max 50, "Beverages"
+const PROTEIN_BAR = 2; // "Protein Bar", 0.0008 ETH, supply 75 / max 100, "Snacks"
+const COFFEE_PRICE = ethers.parseEther("0.001");
+const PROTEIN_BAR_PRICE = ethers.parseEther("0.0008");
+const POINT_VALUE = ethers.parseEther("0.001"); // 1 loyalty point per 0.001 ETH spent
+const PURCHASE_COOLDOWN = 60; // `purchaseCooldown` is 1 minute
+const ONE_DAY = 24 * 60 * 60;
+
+// Payment tokens of `deployWithTokenFixture`
+const TOKEN_FEED_PRICE = 50000n; // 0.0005 ETH per token, with the feed's 8 decimals
+const TOKEN18_RATE = ethers.parseEther("0.0004"); // wei per whole token
+const PRICE_MAX_AGE = 60 * 60;
+
+// `EmergencyState` enum values
+const OPERATIONAL = 0;
+const PARTIAL_PAUSE = 1;
+const FULL_PAUSE = 2;
+
+/**
+ * Builds the revert message of OpenZeppelin's `AccessControl` for an account that lacks `role`.
+ * @param {string} account The address that called the function.
+ * @param {string} role The bytes32 role that was required.
+ * @returns {string}
+ */
+function missingRole(account, role) {
+  return `AccessControl: account ${account.toLowerCase()} is missing role ${role}`;
+}
+
+describe("VendingMachineV2 Contract Tests", function () {
+  // --- Fixture Definition ---
+  // Deploys the proxy with `owner` as admin, gives `operator` the OPERATOR_ROLE and returns the accounts used by the tests.
+  async function deployVendingMachineFixture() {
+    const [owner, operator, buyer, otherBuyer, outsider] = await ethers.getSigners();
+
+    const { vendingMachine, implementationAddress } = await deployVendingMachine({ owner: owner.address, deployer: owner });
+
+    const ADMIN_ROLE = await vendingMachine.ADMIN_ROLE();
+    const OPERATOR_ROLE = await vendingMachine.OPERATOR_ROLE();
+    const UPGRADER_ROLE = await vendingMachine.UPGRADER_ROLE();
+    await vendingMachine.grantRole(OPERATOR_ROLE, operator.address);
+
+    return {
+      vendingMachine,
+      implementationAddress,
+      owner,
+      operator,
+      buyer,
+      otherBuyer,
+      outsider,
+      ADMIN_ROLE,
+      OPERATOR_ROLE,
+      UPGRADER_ROLE,
+    };
+  }
+
+  // Same as above plus two accepted payment tokens funded for `buyer`: `token` (6 decimals) priced by an 8-decimal
+  // mock feed at 0.0005 ETH, and `token18` (18 decimals) at a fixed 0.0004 ETH. Feed answers stay usable for an hour.
+  async function deployWithTokenFixture() {
+    const fixture = await deployVendingMachineFixture();
+    const MockERC20Factory = await ethers.getContractFactory("MockERC20");
+    const token = await MockERC20Factory.deploy("Mock USD", "mUSD", 6);
+    const token18 = await MockERC20Factory.deploy("Mock DAI", "mDAI", 18);
+    const feed = await (await ethers.getContractFactory("MockAggregator")).deploy(8, TOKEN_FEED_PRICE);
+    await token.mint(fixture.buyer.address, ethers.parseEther("1"));
+    await token18.mint(fixture.buyer.address, ethers.parseEther("1000"));
+
+    await fixture.vendingMachine.setPaymentToken(await token.getAddress(), await feed.getAddress(), 0, PRICE_MAX_AGE);
+    await fixture.vendingMachine.setPaymentToken(await token18.getAddress(), ethers.ZeroAddress, TOKEN18_RATE, 0);
+    return { ...fixture, token, token18, feed };
+  }
+
+  // Buys `quantity` of `itemId` with ETH, paying exactly the listed price (no loyalty discount yet).
+  async function buy(vendingMachine, signer, itemId, quantity, price) {
+    return vendingMachine.connect(signer).purchaseItem(itemId, quantity, ethers.ZeroAddress, { value: price * BigInt(quantity) });
+  }
+
+  // --- Test Group: Deployment ---
+  describe("Deployment Verification", function () {
+    it("Should grant the owner the admin and upgrader roles", async function () {
+      const { vendingMachine, owner, ADMIN_ROLE, UPGRADER_ROLE } = await loadFixture(deployVendingMachineFixture);
+
+      expect(await vendingMachine.hasRole(await vendingMachine.DEFAULT_ADMIN_ROLE(), owner.address)).to.equal(true);
+      expect(await vendingMachine.hasRole(ADMIN_ROLE, owner.address)).to.equal(true);
+      expect(await vendingMachine.hasRole(UPGRADER_ROLE, owner.address)).to.equal(true);
+      expect(await vendingMachine.feeRecipient()).to.equal(owner.address);
+    });
+
+    it("Should seed the three sample items", async function () {
+      const { vendingMachine } = await loadFixture(deployVendingMachineFixture);
+
+      for (const [itemId, name] of SEEDED_ITEMS.entries()) {
+        expect((await vendingMachine.items(itemId)).name).to.equal(name);
+      }
+      const coffee = await vendingMachine.items(COFFEE);
+      expect(coffee.price).to.equal(COFFEE_PRICE);
+      expect(coffee.supply).to.equal(50);
+      expect(coffee.maxSupply).to.equal(100);
+      expect(coffee.category).to.equal("Beverages");
+      expect(coffee.isActive).to.equal(true);
+    });
+
+    it("Should set the economic defaults in initialize", async function () {
+      const { vendingMachine } = await loadFixture(deployVendingMachineFixture);
+
+      expect(await vendingMachine.minPurchaseAmount()).to.equal(ethers.parseEther("0.0001"));
+      expect(await vendingMachine.maxPurchaseAmount()).to.equal(ethers.parseEther("5"));
+      expect(await vendingMachine.maxDailyWithdrawal()).to.equal(ethers.parseEther("50"));
+      expect(await vendingMachine.purchaseCooldown()).to.equal(PURCHASE_COOLDOWN);
+      expect(await vendingMachine.transactionFee()).to.equal(0);
+      expect(await vendingMachine.emergencyState()).to.equal(OPERATIONAL);
+    });
+
+    it("Should seed the Bronze, Silver and Gold loyalty tiers", async function () {
+      const { vendingMachine } = await loadFixture(deployVendingMachineFixture);
+
+      expect((await vendingMachine.loyaltyTiers(0)).threshold).to.equal(100);
+      expect((await vendingMachine.loyaltyTiers(1)).threshold).to.equal(500);
+      expect((await vendingMachine.loyaltyTiers(2)).threshold).to.equal(1000);
+    });
+
+    it("Should index the seeded items by category", async function () {
+      const { vendingMachine } = await loadFixture(deployVendingMachineFixture);
+
+      const [beverages, snacks, unknown] = await vendingMachine.getBulkCategoryItems(["Beverages", "Snacks", "Toys"]);
+      expect(beverages).to.deep.equal([BigInt(COFFEE), BigInt(ENERGY_DRINK)]);
+      expect(snacks).to.deep.equal([BigInt(PROTEIN_BAR)]);
+      expect(unknown).to.deep.equal([]);
+    });
+
+    it("Should REVERT a second initialize on the proxy and any initialize on the implementation", async function () {
+      const { vendingMachine, implementationAddress, outsider } = await loadFixture(deployVendingMachineFixture);
+      const implementation = await ethers.getContractAt("VendingMachineV2", implementationAddress);
+
+      await expect(vendingMachine.initialize(outsider.address)).to.be.revertedWith(
+        "Initializable: contract is already initialized"
+      );
+      await expect(implementation.initialize(outsider.address)).to.be.revertedWith(
+        "Initializable: contract is already initialized"
+      );
+    });
+  });
+
+  // --- Test Group: purchaseItem ---
+  describe("purchaseItem", function () {
+    describe("Successful Purchases", function () {
+      it("Should update supply, sales counters, revenue and the buyer's profile", async function () {
+        const { vendingMachine, buyer } = await loadFixture(deployVendingMachineFixture);
+
+        await buy(vendingMachine, buyer, COFFEE, 3, COFFEE_PRICE);
+
+        const coffee = await vendingMachine.items(COFFEE);
+        expect(coffee.supply).to.equal(47);
+        expect(coffee.salesCount).to.equal(3);
+        expect(await vendingMachine.totalItemsSold()).to.equal(3);
+        expect(await vendingMachine.totalRevenue()).to.equal(COFFEE_PRICE * 3n);
+        expect(await vendingMachine.categorySales("Beverages")).to.equal(3);
+
+        const profile = await vendingMachine.userProfiles(buyer.address);
+        expect(profile.totalPurchases).to.equal(3);
+        expect(profile.totalSpent).to.equal(COFFEE_PRICE * 3n);
+        expect(profile.loyaltyPoints).to.equal(3);
+        expect(profile.lastPurchase).to.equal(await time.latest());
+      });
+
+      it("Should book the revenue in the daily and 30-day buckets", async function () {
+        const { vendingMachine, buyer } = await loadFixture(deployVendingMachineFixture);
+
+        await buy(vendingMachine, buyer, COFFEE, 2, COFFEE_PRICE);
+        const now = await time.latest();
+
+        expect(await vendingMachine.dailyRevenue(Math.floor(now / ONE_DAY))).to.equal(COFFEE_PRICE * 2n);
+        expect(await vendingMachine.monthlyRevenue(Math.floor(now / (30 * ONE_DAY)))).to.equal(COFFEE_PRICE * 2n);
+      });
+
+      it("Should emit ItemPurchased and LoyaltyPointsEarned", async function () {
+        const { vendingMachine, buyer } = await loadFixture(deployVendingMachineFixture);
+
+        await expect(buy(vendingMachine, buyer, COFFEE, 2, COFFEE_PRICE))
+          .to.emit(vendingMachine, "ItemPurchased")
+          .withArgs(buyer.address, COFFEE, "Premium Coffee", 2, COFFEE_PRICE * 2n, 2)
+          .and.to.emit(vendingMachine, "LoyaltyPointsEarned")
+          .withArgs(buyer.address, 2, 2);
+      });
+
+      it("Should refund ETH sent above the price", async function () {
+        const { vendingMachine, buyer } = await loadFixture(deployVendingMachineFixture);
+
+        await expect(
+          vendingMachine.connect(buyer).purchaseItem(COFFEE, 1, ethers.ZeroAddress, { value: ethers.parseEther("1") })
+        ).to.changeEtherBalances([buyer, vendingMachine], [-COFFEE_PRICE, COFFEE_PRICE]);
+      });
+
+      it("Should refund contract buyers that need more than 2300 gas", async function () {
+        const { vendingMachine, owner } = await loadFixture(deployVendingMachineFixture);
+        const wallet = await (await ethers.getContractFactory("MockPayee")).deploy();
+        const overpayment = ethers.parseEther("0.01");
+        const purchase = vendingMachine.interface.encodeFunctionData("purchaseItem(uint256,uint256,address)", [
+          COFFEE,
+          1,
+          ethers.ZeroAddress,
+        ]);
+
+        await expect(
+          wallet.execute(await vendingMachine.getAddress(), purchase, { value: COFFEE_PRICE + overpayment })
+        ).to.changeEtherBalances(
+          [owner, wallet, vendingMachine],
+          [-(COFFEE_PRICE + overpayment), overpayment, COFFEE_PRICE]
+        );
+        expect(await wallet.received()).to.equal(overpayment);
+      });
+
+      it("Should credit the transaction fee to the fee recipient and book only the net revenue", async function () {
+        const { vendingMachine, owner, buyer } = await loadFixture(deployVendingMachineFixture);
+        await vendingMachine.updateTransactionFee(250); // 2.5%
+        const price = COFFEE_PRICE * 10n;
+        const fee = (price * 250n) / 10000n;
+
+        // Nothing is pushed during the purchase; the fee recipient withdraws it (see "Treasury")
+        await expect(buy(vendingMachine, buyer, COFFEE, 10, COFFEE_PRICE)).to.changeEtherBalances(
+          [buyer, vendingMachine, owner],
+          [-price, price, 0]
+        );
+        expect(await vendingMachine.totalRevenue()).to.equal(price - fee);
+        expect(await vendingMachine.payeeBalance(owner.address, ethers.ZeroAddress)).to.equal(fee);
+      });
+
+      it("Should allow another purchase once the cooldown has passed", async function () {
+        const { vendingMachine, buyer } = await loadFixture(deployVendingMachineFixture);
+
+        await buy(vendingMachine, buyer, COFFEE, 1, COFFEE_PRICE);
+        await time.increase(PURCHASE_COOLDOWN);
+
+        await expect(buy(vendingMachine, buyer, COFFEE, 1, COFFEE_PRICE)).not.to.be.reverted;
+      });
+
+      it("Should not rate limit different buyers against each other", async function () {
+        const { vendingMachine, buyer, otherBuyer } = await loadFixture(deployVendingMachineFixture);
+
+        await buy(vendingMachine, buyer, COFFEE, 1, COFFEE_PRICE);
+        await expect(buy(vendingMachine, otherBuyer, COFFEE, 1, COFFEE_PRICE)).not.to.be.reverted;
+      });
+    });
+
+    describe("Validations", function () {
+      it("Should REVERT for an unknown item", async function () {
+        const { vendingMachine, buyer } = await loadFixture(deployVendingMachineFixture);
+        await expect(buy(vendingMachine, buyer, 99, 1, COFFEE_PRICE)).to.be.revertedWith("VM: Invalid item ID");
+      });
+
+      it("Should REVERT for an inactive item", async function () {
+        const { vendingMachine, operator, buyer } = await loadFixture(deployVendingMachineFixture);
+        await vendingMachine.connect(operator).batchToggleActive([COFFEE], [false]);
+
+        await expect(buy(vendingMachine, buyer, COFFEE, 1, COFFEE_PRICE)).to.be.revertedWith("VM: Item not active");
+      });
+
+      it("Should REVERT for a zero or too large quantity", async function () {
+        const { vendingMachine, buyer } = await loadFixture(deployVendingMachineFixture);
+
+        await expect(buy(vendingMachine, buyer, COFFEE, 0, COFFEE_PRICE)).to.be.revertedWith("VM: Quantity must be positive");
+        await expect(buy(vendingMachine, buyer, COFFEE, 101, COFFEE_PRICE)).to.be.revertedWith("VM: Quantity too large");
+      });
+
+      it("Should REVERT when the supply is too low", async function () {
+        const { vendingMachine, buyer } = await loadFixture(deployVendingMachineFixture);
+        await expect(buy(vendingMachine, buyer, ENERGY_DRINK, 31, ethers.parseEther("0.0015"))).to.be.revertedWith(
+          "VM: Insufficient supply"
+        );
+      });
+
+      it("Should REVERT when not enough ETH is sent", async function () {
+        const { vendingMachine, buyer } = await loadFixture(deployVendingMachineFixture);
+        await expect(
+          vendingMachine.connect(buyer).purchaseItem(COFFEE, 2, ethers.ZeroAddress, { value: COFFEE_PRICE })
+        ).to.be.revertedWith("VM: Insufficient ETH");
+      });
+
+      it("Should REVERT when the total is outside the purchase limits", async function () {
+        const { vendingMachine, buyer } = await loadFixture(deployVendingMachineFixture);
+
+        await vendingMachine.updatePurchaseLimits(ethers.parseEther("0.002"), ethers.parseEther("0.003"));
+        await expect(buy(vendingMachine, buyer, COFFEE, 1, COFFEE_PRICE)).to.be.revertedWith("VM: Amount too small");
+        await expect(buy(vendingMachine, buyer, COFFEE, 4, COFFEE_PRICE)).to.be.revertedWith("VM: Amount too large");
+        await expect(buy(vendingMachine, buyer, COFFEE, 3, COFFEE_PRICE)).not.to.be.reverted;
+      });
+
+      it("Should REVERT a second purchase within the cooldown", async function () {
+        const { vendingMachine, buyer } = await loadFixture(deployVendingMachineFixture);
+
+        await buy(vendingMachine, buyer, COFFEE, 1, COFFEE_PRICE);
+        await expect(buy(vendingMachine, buyer, COFFEE, 1, COFFEE_PRICE)).to.be.revertedWith("VM: Purchase too frequent");
+      });
+
+      it("Should REVERT for a blacklisted buyer", async function () {
+        const { vendingMachine, buyer } = await loadFixture(deployVendingMachineFixture);
+        await vendingMachine.blacklistUser(buyer.address, true);
+
+        await expect(buy(vendingMachine, buyer, COFFEE, 1, COFFEE_PRICE)).to.be.revertedWith("VM: User blacklisted");
+      });
+
+      it("Should REVERT while paused", async function () {
+        const { vendingMachine, buyer } = await loadFixture(deployVendingMachineFixture);
+        await vendingMachine.pause();
+
+        await expect(buy(vendingMachine, buyer, COFFEE, 1, COFFEE_PRICE)).to.be.revertedWith("Pausable: paused");
+      });
+    });
+
+    describe("Loyalty Tiers", function () {
+      // Adds a 0.01 ETH item so a few purchases earn enough points for a tier.
+      async function deployWithPremiumItemFixture() {
+        const fixture = await deployVendingMachineFixture();
+        await fixture.vendingMachine.addItem("Gift Box", ethers.parseEther("0.01"), 300, 300, "Gifts", "ipfs://QmGift");
+        return { ...fixture, giftBox: 3, giftBoxPrice: ethers.parseEther("0.01") };
+      }
+
+      // The price of one gift box with a tier discount in percent.
+      function discounted(price, discountRate) {
+        return (price * BigInt(100 - discountRate)) / 100n;
+      }
+
+      it("Should reach Bronze at 100 points and give its 10% discount on the next purchase", async function () {
+        const { vendingMachine, buyer, giftBox, giftBoxPrice } = await loadFixture(deployWithPremiumItemFixture);
+
+        await expect(buy(vendingMachine, buyer, giftBox, 10, giftBoxPrice)) // 0.1 ETH => 100 points
+          .to.emit(vendingMachine, "LoyaltyTierChanged")
+          .withArgs(buyer.address, 1, 10);
+        const profile = await vendingMachine.userProfiles(buyer.address);
+        expect(profile.loyaltyTier).to.equal(1);
+        expect(profile.discountRate).to.equal(10);
+
+        await time.increase(PURCHASE_COOLDOWN);
+        const price = discounted(giftBoxPrice, 10);
+        await expect(buy(vendingMachine, buyer, giftBox, 1, giftBoxPrice))
+          .to.emit(vendingMachine, "ItemPurchased")
+          .withArgs(buyer.address, giftBox, "Gift Box", 1, price, price / POINT_VALUE);
+      });
+
+      it("Should give Silver buyers 15% off and double points", async function () {
+        const { vendingMachine, buyer, giftBox, giftBoxPrice } = await loadFixture(deployWithPremiumItemFixture);
+
+        await buy(vendingMachine, buyer, giftBox, 50, giftBoxPrice); // 500 points
+        expect((await vendingMachine.userProfiles(buyer.address)).loyaltyTier).to.equal(2);
+
+        await time.increase(PURCHASE_COOLDOWN);
+        const price = discounted(giftBoxPrice, 15); // 0.0085 ETH => 8 points, doubled
+        await expect(buy(vendingMachine, buyer, giftBox, 1, giftBoxPrice))
+          .to.emit(vendingMachine, "ItemPurchased")
+          .withArgs(buyer.address, giftBox, "Gift Box", 1, price, 16);
+        expect((await vendingMachine.userProfiles(buyer.address)).loyaltyPoints).to.equal(516);
+      });
+
+      it("Should give Gold buyers 20% off and triple points", async function () {
+        const { vendingMachine, buyer, giftBox, giftBoxPrice } = await loadFixture(deployWithPremiumItemFixture);
+
+        await expect(buy(vendingMachine, buyer, giftBox, 100, giftBoxPrice)) // 1000 points
+          .to.emit(vendingMachine, "LoyaltyTierChanged")
+          .withArgs(buyer.address, 3, 20);
+
+        await time.increase(PURCHASE_COOLDOWN);
+        await expect(buy(vendingMachine, buyer, giftBox, 1, giftBoxPrice))
+          .to.emit(vendingMachine, "ItemPurchased")
+          .withArgs(buyer.address, giftBox, "Gift Box", 1, discounted(giftBoxPrice, 20), 24);
+      });
+
+      it("Should not discount buyers below the first threshold", async function () {
+        const { vendingMachine, buyer, giftBox, giftBoxPrice } = await loadFixture(deployWithPremiumItemFixture);
+
+        await buy(vendingMachine, buyer, giftBox, 9, giftBoxPrice); // 90 points
+        const profile = await vendingMachine.userProfiles(buyer.address);
+        expect(profile.loyaltyTier).to.equal(0);
+        expect(profile.discountRate).to.equal(0);
+      });
+
+      it("Should move bulk buyers up a tier and discount their next bulk purchase", async function () {
+        const { vendingMachine, buyer, giftBox, giftBoxPrice } = await loadFixture(deployWithPremiumItemFixture);
+
+        await expect(
+          vendingMachine.connect(buyer).bulkPurchase([giftBox, COFFEE], [10, 1], { value: giftBoxPrice * 10n + COFFEE_PRICE })
+        )
+          .to.emit(vendingMachine, "LoyaltyTierChanged")
+          .withArgs(buyer.address, 1, 10);
+        expect((await vendingMachine.userProfiles(buyer.address)).discountRate).to.equal(10);
+
+        await time.increase(PURCHASE_COOLDOWN);
+        const total = discounted(giftBoxPrice, 10) + discounted(COFFEE_PRICE, 10);
+        await expect(
+          vendingMachine.connect(buyer).bulkPurchase([giftBox, COFFEE], [1, 1], { value: giftBoxPrice + COFFEE_PRICE })
+        ).to.changeEtherBalance(buyer, -total);
+      });
+
+      it("Should expire points POINTS_VALIDITY after the last purchase that earned some", async function () {
+        const { vendingMachine, buyer, giftBox, giftBoxPrice } = await loadFixture(deployWithPremiumItemFixture);
+        await buy(vendingMachine, buyer, giftBox, 10, giftBoxPrice);
+        const validity = await vendingMachine.POINTS_VALIDITY();
+        expect((await vendingMachine.userProfiles(buyer.address)).pointsExpiry).to.equal(BigInt(await time.latest()) + validity);
+
+        await time.increase(validity + 1n);
+        await expect(buy(vendingMachine, buyer, giftBox, 1, giftBoxPrice))
+          .to.emit(vendingMachine, "LoyaltyPointsExpired")
+          .withArgs(buyer.address, 100)
+          .and.to.emit(vendingMachine, "LoyaltyTierChanged")
+          .withArgs(buyer.address, 0, 0)
+          .and.to.emit(vendingMachine, "ItemPurchased")
+          .withArgs(buyer.address, giftBox, "Gift Box", 1, giftBoxPrice, 10);
+        expect((await vendingMachine.userProfiles(buyer.address)).loyaltyPoints).to.equal(10);
+      });
+
+      it("Should push the expiry back whenever new points are earned", async function () {
+        const { vendingMachine, buyer, giftBox, giftBoxPrice } = await loadFixture(deployWithPremiumItemFixture);
+        await buy(vendingMachine, buyer, giftBox, 10, giftBoxPrice);
+
+        await time.increase(300 * ONE_DAY);
+        await buy(vendingMachine, buyer, giftBox, 1, giftBoxPrice);
+        const validity = await vendingMachine.POINTS_VALIDITY();
+        expect((await vendingMachine.userProfiles(buyer.address)).pointsExpiry).to.equal(BigInt(await time.latest()) + validity);
+
+        // Past the first expiry, but not the new one
+        await time.increase(100 * ONE_DAY);
+        await expect(buy(vendingMachine, buyer, giftBox, 1, giftBoxPrice)).not.to.emit(vendingMachine, "LoyaltyPointsExpired");
+        expect((await vendingMachine.userProfiles(buyer.address)).loyaltyTier).to.equal(1);
+      });
+
+      it("Should let buyers pay part of a purchase with points", async function () {
+        const { vendingMachine, buyer, giftBox, giftBoxPrice } = await loadFixture(deployWithPremiumItemFixture);
+        await buy(vendingMachine, buyer, giftBox, 10, giftBoxPrice); // 100 points, Bronze
+        await time.increase(PURCHASE_COOLDOWN);
+
+        const pointValue = await vendingMachine.POINT_REDEMPTION_VALUE();
+        // 0.009 - 0.004 ETH: 10% off plus 40% paid with points, MAX_DISCOUNT together
+        const amountDue = discounted(giftBoxPrice, 10) - 40n * pointValue;
+        await expect(vendingMachine.connect(buyer).purchaseItemWithPoints(giftBox, 1, 40, { value: giftBoxPrice }))
+          .to.emit(vendingMachine, "LoyaltyPointsRedeemed")
+          .withArgs(buyer.address, 40, 40n * pointValue)
+          .and.to.emit(vendingMachine, "ItemPurchased")
+          .withArgs(buyer.address, giftBox, "Gift Box", 1, amountDue, amountDue / POINT_VALUE);
+
+        // 100 - 40 + 5: below Bronze again
+        const profile = await vendingMachine.userProfiles(buyer.address);
+        expect(profile.loyaltyPoints).to.equal(65);
+        expect(profile.loyaltyTier).to.equal(0);
+        expect(profile.totalSpent).to.equal(giftBoxPrice * 10n + amountDue);
+      });
+
+      it("Should charge only the ETH part of a purchase paid with points", async function () {
+        const { vendingMachine, buyer, giftBox, giftBoxPrice } = await loadFixture(deployWithPremiumItemFixture);
+        await buy(vendingMachine, buyer, giftBox, 10, giftBoxPrice);
+        await time.increase(PURCHASE_COOLDOWN);
+
+        const amountDue = discounted(giftBoxPrice, 10) - 40n * (await vendingMachine.POINT_REDEMPTION_VALUE());
+        await expect(
+          vendingMachine.connect(buyer).purchaseItemWithPoints(giftBox, 1, 40, { value: giftBoxPrice })
+        ).to.changeEtherBalances([buyer, vendingMachine], [-amountDue, amountDue]);
+      });
+
+      it("Should REVERT redemptions beyond the points balance or the discount cap", async function () {
+        const { vendingMachine, buyer, giftBox, giftBoxPrice } = await loadFixture(deployWithPremiumItemFixture);
+        await buy(vendingMachine, buyer, giftBox, 10, giftBoxPrice); // 100 points
+        await time.increase(PURCHASE_COOLDOWN);
+
+        await expect(
+          vendingMachine.connect(buyer).purchaseItemWithPoints(giftBox, 1, 101, { value: giftBoxPrice })
+        ).to.be.revertedWith("VM: Not enough points");
+        // Not charged modulo 2^32 either
+        await expect(
+          vendingMachine.connect(buyer).purchaseItemWithPoints(giftBox, 1, 2n ** 32n + 40n, { value: giftBoxPrice })
+        ).to.be.revertedWith("VM: Not enough points");
+        // 100 points are worth 0.01 ETH, more than a discounted coffee
+        await expect(
+          vendingMachine.connect(buyer).purchaseItemWithPoints(COFFEE, 1, 100, { value: COFFEE_PRICE })
+        ).to.be.revertedWith("VM: Redemption exceeds discount cap");
+        // 41 points and the 10% Bronze discount would take 51% off a gift box
+        await expect(
+          vendingMachine.connect(buyer).purchaseItemWithPoints(giftBox, 1, 41, { value: giftBoxPrice })
+        ).to.be.revertedWith("VM: Redemption exceeds discount cap");
+      });
+
+      it("Should cap the tier discount, a promotion and redeemed points at MAX_DISCOUNT together", async function () {
+        const { vendingMachine, buyer, giftBox, giftBoxPrice } = await loadFixture(deployWithPremiumItemFixture);
+        // 20% off from the first point, and a 20% promotion on gift boxes
+        await vendingMachine.setLoyaltyTiers([{ threshold: 1, discount: 2000, pointsMultiplier: 3 }]);
+        await buy(vendingMachine, buyer, giftBox, 10, giftBoxPrice); // 300 points
+        const startTime = (await time.latest()) + PURCHASE_COOLDOWN;
+        await vendingMachine.createPromotion({
+          startTime,
+          endTime: startTime + ONE_DAY,
+          itemId: giftBox,
+          maxPerUser: 0,
+          isFixed: false,
+          discount: 2000,
+          category: ethers.ZeroHash,
+        });
+        await time.increaseTo(startTime);
+
+        // 40% off leaves room for 10% in points (0.001 ETH), not one point more
+        const pointValue = await vendingMachine.POINT_REDEMPTION_VALUE();
+        const maxDiscount = await vendingMachine.MAX_DISCOUNT();
+        const points = (giftBoxPrice * 10n) / 100n / pointValue;
+        await expect(
+          vendingMachine.connect(buyer).purchaseItemWithPoints(giftBox, 1, points + 1n, { value: giftBoxPrice })
+        ).to.be.revertedWith("VM: Redemption exceeds discount cap");
+        const amountDue = giftBoxPrice - (giftBoxPrice * maxDiscount) / 100n;
+        await expect(vendingMachine.connect(buyer).purchaseItemWithPoints(giftBox, 1, points, { value: giftBoxPrice }))
+          .to.emit(vendingMachine, "ItemPurchased")
+          .withArgs(buyer.address, giftBox, "Gift Box", 1, amountDue, (amountDue / POINT_VALUE) * 3n);
+      });
+
+      it("Should let admins replace the tier table and move buyers on their next purchase", async function () {
+        const { vendingMachine, owner, buyer, giftBox, giftBoxPrice } = await loadFixture(deployWithPremiumItemFixture);
+        await buy(vendingMachine, buyer, giftBox, 10, giftBoxPrice); // Bronze
+        await time.increase(PURCHASE_COOLDOWN);
+
+        const tiers = [
+          { threshold: 200, discount: 500, pointsMultiplier: 1 },
+          { threshold: 2000, discount: 5000, pointsMultiplier: 3 },
+        ];
+        await expect(vendingMachine.connect(owner).setLoyaltyTiers(tiers))
+          .to.emit(vendingMachine, "LoyaltyTiersUpdated")
+          .withArgs(2);
+        const stored = await vendingMachine.getLoyaltyTiers();
+        expect(stored.map((tier) => tier.toObject())).to.deep.equal(
+          tiers.map(({ threshold, discount, pointsMultiplier }) => ({
+            threshold: BigInt(threshold),
+            discount: BigInt(discount),
+            pointsMultiplier: BigInt(pointsMultiplier),
+          }))
+        );
+
+        // 100 points no longer reach a tier
+        await expect(buy(vendingMachine, buyer, giftBox, 1, giftBoxPrice))
+          .to.emit(vendingMachine, "LoyaltyTierChanged")
+          .withArgs(buyer.address, 0, 0)
+          .and.to.emit(vendingMachine, "ItemPurchased")
+          .withArgs(buyer.address, giftBox, "Gift Box", 1, giftBoxPrice, 10);
+      });
+
+      it("Should REVERT invalid tier tables", async function () {
+        const { vendingMachine } = await loadFixture(deployVendingMachineFixture);
+        const tier = (threshold, discount = 500, pointsMultiplier = 1) => ({ threshold, discount, pointsMultiplier });
+
+        const tooMany = Array.from({ length: 11 }, (_, index) => tier(index + 1));
+        await expect(vendingMachine.setLoyaltyTiers(tooMany)).to.be.revertedWith("VM: Too many tiers");
+        await expect(vendingMachine.setLoyaltyTiers([tier(100), tier(100)])).to.be.revertedWith("VM: Thresholds not ascending");
+        await expect(vendingMachine.setLoyaltyTiers([tier(100, 5001)])).to.be.revertedWith("VM: Discount too high");
+        // Buyers get whole percentages, so 10.5% would quietly be 10%
+        await expect(vendingMachine.setLoyaltyTiers([tier(100, 1050)])).to.be.revertedWith("VM: Discount not whole percent");
+        await expect(vendingMachine.setLoyaltyTiers([tier(100, 500, 0)])).to.be.revertedWith("VM: Invalid multiplier");
+        // Three times the points would give back 30%, four times 40%
+        await expect(vendingMachine.setLoyaltyTiers([tier(100, 500, 4)])).to.be.revertedWith("VM: Invalid multiplier");
+
+        // An empty table turns tiers off
+        await vendingMachine.setLoyaltyTiers([]);
+        expect(await vendingMachine.getLoyaltyTiers()).to.deep.equal([]);
+      });
+    });
+
+    describe("ERC20 Payments", function () {
+      it("Should charge a 6-decimal token at its feed price", async function () {
+        const { vendingMachine, token, buyer } = await loadFixture(deployWithTokenFixture);
+        const price = COFFEE_PRICE * 2n;
+        // 0.002 ETH at 0.0005 ETH per token
+        const amount = 4n * 10n ** 6n;
+        await token.connect(buyer).approve(await vendingMachine.getAddress(), amount);
+
+        await expect(vendingMachine.connect(buyer).purchaseItem(COFFEE, 2, await token.getAddress()))
+          .to.emit(vendingMachine, "ItemPurchased")
+          .withArgs(buyer.address, COFFEE, "Premium Coffee", 2, price, 2)
+          .and.to.emit(vendingMachine, "TokenPayment")
+          .withArgs(buyer.address, await token.getAddress(), amount, price);
+
+        expect(await token.balanceOf(await vendingMachine.getAddress())).to.equal(amount);
+        expect(await vendingMachine.tokenRevenue(await token.getAddress())).to.equal(amount);
+        // ETH revenue only, and so are the revenue buckets
+        expect(await vendingMachine.totalRevenue()).to.equal(0);
+        expect(await vendingMachine.dailyRevenue(BigInt(await time.latest()) / BigInt(ONE_DAY))).to.equal(0);
+      });
+
+      it("Should keep the revenue buckets in ETH, adding up to totalRevenue plus the ETH fees", async function () {
+        const { vendingMachine, token18, buyer, otherBuyer } = await loadFixture(deployWithTokenFixture);
+        await vendingMachine.updateTransactionFee(250); // 2.5%
+        await token18.connect(buyer).approve(await vendingMachine.getAddress(), ethers.parseEther("5"));
+        await vendingMachine.connect(buyer).purchaseItem(COFFEE, 2, await token18.getAddress());
+        await buy(vendingMachine, otherBuyer, PROTEIN_BAR, 2, PROTEIN_BAR_PRICE);
+
+        const now = BigInt(await time.latest());
+        const ethPaid = PROTEIN_BAR_PRICE * 2n;
+        const ethFees = (await vendingMachine.treasuryTotals(ethers.ZeroAddress)).fees;
+        expect(await vendingMachine.dailyRevenue(now / BigInt(ONE_DAY))).to.equal(ethPaid);
+        expect(await vendingMachine.monthlyRevenue(now / BigInt(30 * ONE_DAY))).to.equal(ethPaid);
+        expect((await vendingMachine.totalRevenue()) + ethFees).to.equal(ethPaid);
+      });
+
+      it("Should charge an 18-decimal token at its fixed rate", async function () {
+        const { vendingMachine, token18, buyer } = await loadFixture(deployWithTokenFixture);
+        // 0.002 ETH at 0.0004 ETH per token
+        const amount = ethers.parseEther("5");
+        await token18.connect(buyer).approve(await vendingMachine.getAddress(), amount);
+
+        await expect(
+          vendingMachine.connect(buyer).purchaseItem(COFFEE, 2, await token18.getAddress())
+        ).to.changeTokenBalances(token18, [buyer, vendingMachine], [-amount, amount]);
+        expect(await vendingMachine.tokenRevenue(await token18.getAddress())).to.equal(amount);
+      });
+
+      it("Should round the token amount up, like the JS quote", async function () {
+        const { vendingMachine, token, feed, buyer } = await loadFixture(deployWithTokenFixture);
+        // 0.0008 ETH at 0.0003 ETH per token is 2.666... tokens
+        await feed.updateAnswer(30000);
+        const config = await vendingMachine.paymentTokens(await token.getAddress());
+        const amount = quoteTokenAmount(PROTEIN_BAR_PRICE, { ...config.toObject(), price: 30000n });
+        expect(amount).to.equal(2666667n);
+        await token.connect(buyer).approve(await vendingMachine.getAddress(), amount);
+
+        await expect(
+          vendingMachine.connect(buyer).purchaseItem(PROTEIN_BAR, 1, await token.getAddress())
+        ).to.changeTokenBalance(token, buyer, -amount);
+      });
+
+      it("Should take the transaction fee in the token", async function () {
+        const { vendingMachine, token18, owner, buyer } = await loadFixture(deployWithTokenFixture);
+        await vendingMachine.updateTransactionFee(250); // 2.5%
+        const amount = ethers.parseEther("5");
+        const fee = (amount * 250n) / 10000n;
+        await token18.connect(buyer).approve(await vendingMachine.getAddress(), amount);
+
+        await expect(
+          vendingMachine.connect(buyer).purchaseItem(COFFEE, 2, await token18.getAddress())
+        ).to.changeTokenBalances(token18, [buyer, vendingMachine], [-amount, amount]);
+        expect(await vendingMachine.tokenRevenue(await token18.getAddress())).to.equal(amount - fee);
+        expect(await vendingMachine.payeeBalance(owner.address, await token18.getAddress())).to.equal(fee);
+      });
+
+      it("Should REVERT without a sufficient allowance or with ETH attached", async function () {
+        const { vendingMachine, token, buyer } = await loadFixture(deployWithTokenFixture);
+        await token.connect(buyer).approve(await vendingMachine.getAddress(), 2n * 10n ** 6n);
+
+        await expect(
+          vendingMachine.connect(buyer).purchaseItem(COFFEE, 2, await token.getAddress())
+        ).to.be.revertedWith("VM: Insufficient allowance");
+        await expect(
+          vendingMachine.connect(buyer).purchaseItem(COFFEE, 1, await token.getAddress(), { value: COFFEE_PRICE })
+        ).to.be.revertedWith("VM: ETH sent with token payment");
+      });
+
+      it("Should REVERT for tokens that aren't accepted", async function () {
+        const { vendingMachine, token, buyer } = await loadFixture(deployWithTokenFixture);
+        const other = await (await ethers.getContractFactory("MockERC20")).deploy("Other", "OTH", 18);
+        await other.mint(buyer.address, ethers.parseEther("1"));
+        await other.connect(buyer).approve(await vendingMachine.getAddress(), ethers.parseEther("1"));
+
+        await expect(
+          vendingMachine.connect(buyer).purchaseItem(COFFEE, 1, await other.getAddress())
+        ).to.be.revertedWith("VM: Token not accepted");
+
+        await expect(vendingMachine.removePaymentToken(await token.getAddress()))
+          .to.emit(vendingMachine, "PaymentTokenRemoved")
+          .withArgs(await token.getAddress());
+        await token.connect(buyer).approve(await vendingMachine.getAddress(), 10n ** 6n * 10n);
+        await expect(
+          vendingMachine.connect(buyer).purchaseItem(COFFEE, 1, await token.getAddress())
+        ).to.be.revertedWith("VM: Token not accepted");
+        await expect(vendingMachine.removePaymentToken(await token.getAddress())).to.be.revertedWith("VM: Token not accepted");
+      });
+
+      it("Should REVERT for stale or invalid feed prices", async function () {
+        const { vendingMachine, token, feed, buyer } = await loadFixture(deployWithTokenFixture);
+        await token.connect(buyer).approve(await vendingMachine.getAddress(), 10n ** 6n * 10n);
+
+        await time.increase(PRICE_MAX_AGE + 1);
+        await expect(
+          vendingMachine.connect(buyer).purchaseItem(COFFEE, 1, await token.getAddress())
+        ).to.be.revertedWith("VM: Stale price");
+
+        await feed.updateAnswer(0);
+        await expect(
+          vendingMachine.connect(buyer).purchaseItem(COFFEE, 1, await token.getAddress())
+        ).to.be.revertedWith("VM: Invalid price");
+
+        await feed.updateAnswer(TOKEN_FEED_PRICE);
+        await expect(vendingMachine.connect(buyer).purchaseItem(COFFEE, 1, await token.getAddress())).not.to.be.reverted;
+      });
+
+      it("Should validate payment token configs", async function () {
+        const { vendingMachine, token, token18, feed, outsider, ADMIN_ROLE } = await loadFixture(deployWithTokenFixture);
+        const tokenAddress = await token.getAddress();
+        const feedAddress = await feed.getAddress();
+
+        await expect(vendingMachine.setPaymentToken(outsider.address, ethers.ZeroAddress, 1, 0)).to.be.revertedWith(
+          "VM: Invalid token"
+        );
+        await expect(vendingMachine.setPaymentToken(tokenAddress, ethers.ZeroAddress, 0, 0)).to.be.revertedWith(
+          "VM: Invalid price source"
+        );
+        await expect(vendingMachine.setPaymentToken(tokenAddress, feedAddress, 1, PRICE_MAX_AGE)).to.be.revertedWith(
+          "VM: Invalid price source"
+        );
+        await expect(vendingMachine.setPaymentToken(tokenAddress, feedAddress, 0, 0)).to.be.revertedWith(
+          "VM: Invalid price age"
+        );
+        await feed.updateAnswer(-1);
+        await expect(vendingMachine.setPaymentToken(tokenAddress, feedAddress, 0, PRICE_MAX_AGE)).to.be.revertedWith(
+          "VM: Invalid price"
+        );
+        await expect(
+          vendingMachine.connect(outsider).setPaymentToken(tokenAddress, ethers.ZeroAddress, 1, 0)
+        ).to.be.revertedWith(missingRole(outsider.address, ADMIN_ROLE));
+
+        // Switching a token from its feed to a fixed rate
+        await expect(vendingMachine.setPaymentToken(tokenAddress, ethers.ZeroAddress, TOKEN18_RATE, PRICE_MAX_AGE))
+          .to.emit(vendingMachine, "PaymentTokenConfigured")
+          .withArgs(tokenAddress, ethers.ZeroAddress, TOKEN18_RATE, 0);
+        const config = await vendingMachine.paymentTokens(tokenAddress);
+        expect(config.accepted).to.equal(true);
+        expect(config.decimals).to.equal(6);
+        expect(config.feedDecimals).to.equal(18);
+        expect(config.priceFeed).to.equal(ethers.ZeroAddress);
+        expect((await vendingMachine.paymentTokens(await token18.getAddress())).decimals).to.equal(18);
+      });
+
+      it("Should charge the signed bulkPurchase in ETH after a token purchase", async function () {
+        const { vendingMachine, token, buyer } = await loadFixture(deployWithTokenFixture);
+        // Twice what one coffee costs in the token
+        await token.connect(buyer).approve(await vendingMachine.getAddress(), 4n * 10n ** 6n);
+        await vendingMachine.connect(buyer).purchaseItem(COFFEE, 1, await token.getAddress());
+        await time.increase(PURCHASE_COOLDOWN);
+
+        const hash = ethers.keccak256(
+          ethers.AbiCoder.defaultAbiCoder().encode(["uint256[]", "uint256[]", "uint256"], [[COFFEE], [1], 1])
+        );
+        const { v, r, s } = ethers.Signature.from(await buyer.signMessage(ethers.getBytes(hash)));
+        const signedBulkPurchase = vendingMachine.connect(buyer)[
+          "bulkPurchase(uint256[],uint256[],uint256,bytes32,uint8,bytes32,bytes32)"
+        ];
+
+        // The token allowance left over is not touched
+        await expect(
+          signedBulkPurchase([COFFEE], [1], 1, hash, v, r, s, { value: COFFEE_PRICE })
+        ).to.changeEtherBalance(buyer, -COFFEE_PRICE);
+        expect(await token.allowance(buyer.address, await vendingMachine.getAddress())).to.equal(2n * 10n ** 6n);
+        // The `paymentToken` getter stays in the ABI, but token purchases no longer record anything in it
+        expect(await vendingMachine.paymentToken(buyer.address)).to.equal(ethers.ZeroAddress);
+      });
+    });
+
+    describe("Signed Purchases", function () {
+      // Signs `keccak256(abi.encode(itemId, quantity, nonce))` with `eth_sign`, as the `withSignature` modifier expects.
+      async function signPurchase(signer, itemId, quantity, nonce) {
+        const hash = ethers.keccak256(
+          ethers.AbiCoder.defaultAbiCoder().encode(["uint256", "uint256", "uint256"], [itemId, quantity, nonce])
+        );
+        const signature = ethers.Signature.from(await signer.signMessage(ethers.getBytes(hash)));
+        return { hash, v: signature.v, r: signature.r, s: signature.s };
+      }
+
+      const SIGNED_PURCHASE = "purchaseItem(uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)";
+
+      it("Should accept a purchase signed by the buyer and consume the nonce", async function () {
+        const { vendingMachine, buyer } = await loadFixture(deployVendingMachineFixture);
+        const { hash, v, r, s } = await signPurchase(buyer, COFFEE, 1, 1);
+
+        await expect(
+          vendingMachine.connect(buyer)[SIGNED_PURCHASE](COFFEE, 1, 1, hash, v, r, s, { value: COFFEE_PRICE })
+        )
+          .to.emit(vendingMachine, "NonceUsed")
+          .withArgs(buyer.address, 1)
+          .and.to.emit(vendingMachine, "ItemPurchased");
+        expect(await vendingMachine.nonces(buyer.address)).to.equal(1);
+      });
+
+      it("Should REVERT a replayed nonce, a foreign signature and a mismatching hash", async function () {
+        const { vendingMachine, buyer, otherBuyer } = await loadFixture(deployVendingMachineFixture);
+        const signed = await signPurchase(buyer, COFFEE, 1, 1);
+        await vendingMachine.connect(buyer)[SIGNED_PURCHASE](COFFEE, 1, 1, signed.hash, signed.v, signed.r, signed.s, {
+          value: COFFEE_PRICE,
+        });
+        await time.increase(PURCHASE_COOLDOWN);
+
+        await expect(
+          vendingMachine.connect(buyer)[SIGNED_PURCHASE](COFFEE, 1, 1, signed.hash, signed.v, signed.r, signed.s, {
+            value: COFFEE_PRICE,
+          })
+        ).to.be.revertedWith("VM: Replayed transaction");
+
+        const foreign = await signPurchase(otherBuyer, COFFEE, 1, 2);
+        await expect(
+          vendingMachine.connect(buyer)[SIGNED_PURCHASE](COFFEE, 1, 2, foreign.hash, foreign.v, foreign.r, foreign.s, {
+            value: COFFEE_PRICE,
+          })
+        ).to.be.revertedWith("VM: Invalid signature");
+
+        const tampered = await signPurchase(buyer, COFFEE, 1, 2);
+        await expect(
+          vendingMachine.connect(buyer)[SIGNED_PURCHASE](COFFEE, 2, 2, tampered.hash, tampered.v, tampered.r, tampered.s, {
+            value: COFFEE_PRICE * 2n,
+          })
+        ).to.be.revertedWith("VM: Hash mismatch");
+      });
+    });
+  });
+
+  // --- Test Group: bulkPurchase ---
+  describe("bulkPurchase", function () {
+    it("Should buy several items in one transaction", async function () {
+      const { vendingMachine, buyer } = await loadFixture(deployVendingMachineFixture);
+      const total = COFFEE_PRICE * 2n + PROTEIN_BAR_PRICE * 3n;
+
+      await expect(vendingMachine.connect(buyer).bulkPurchase([COFFEE, PROTEIN_BAR], [2, 3], { value: total }))
+        .to.emit(vendingMachine, "ItemPurchased")
+        .withArgs(buyer.address, COFFEE, "Premium Coffee", 2, COFFEE_PRICE * 2n, 2)
+        .and.to.emit(vendingMachine, "ItemPurchased")
+        .withArgs(buyer.address, PROTEIN_BAR, "Protein Bar", 3, PROTEIN_BAR_PRICE * 3n, 2)
+        .and.to.emit(vendingMachine, "LoyaltyPointsEarned")
+        .withArgs(buyer.address, 4, 4);
+
+      expect((await vendingMachine.items(COFFEE)).supply).to.equal(48);
+      expect((await vendingMachine.items(PROTEIN_BAR)).supply).to.equal(72);
+      expect(await vendingMachine.totalItemsSold()).to.equal(5);
+      expect(await vendingMachine.totalRevenue()).to.equal(total);
+      expect(await vendingMachine.categorySales("Snacks")).to.equal(3);
+      expect((await vendingMachine.connect(buyer).getPurchaseHistory(buyer.address, 0, 10)).length).to.equal(2);
+    });
+
+    it("Should refund ETH sent above the total", async function () {
+      const { vendingMachine, buyer } = await loadFixture(deployVendingMachineFixture);
+
+      await expect(
+        vendingMachine.connect(buyer).bulkPurchase([COFFEE], [1], { value: ethers.parseEther("1") })
+      ).to.changeEtherBalances([buyer, vendingMachine], [-COFFEE_PRICE, COFFEE_PRICE]);
+    });
+
+    it("Should REVERT for mismatching or invalid array lengths", async function () {
+      const { vendingMachine, buyer } = await loadFixture(deployVendingMachineFixture);
+
+      await expect(vendingMachine.connect(buyer).bulkPurchase([COFFEE], [1, 2])).to.be.revertedWith(
+        "VM: Array length mismatch"
+      );
+      await expect(vendingMachine.connect(buyer).bulkPurchase([], [])).to.be.revertedWith("VM: Invalid array length");
+      await expect(
+        vendingMachine.connect(buyer).bulkPurchase(Array(21).fill(COFFEE), Array(21).fill(1))
+      ).to.be.revertedWith("VM: Invalid array length");
+    });
+
+    it("Should REVERT for invalid items, quantities and supply", async function () {
+      const { vendingMachine, operator, buyer } = await loadFixture(deployVendingMachineFixture);
+      const value = ethers.parseEther("1");
+
+      await expect(vendingMachine.connect(buyer).bulkPurchase([99], [1], { value })).to.be.revertedWith("VM: Invalid item ID");
+      await expect(vendingMachine.connect(buyer).bulkPurchase([COFFEE], [0], { value })).to.be.revertedWith("VM: Invalid quantity");
+      await expect(vendingMachine.connect(buyer).bulkPurchase([COFFEE], [101], { value })).to.be.revertedWith("VM: Invalid quantity");
+      await expect(vendingMachine.connect(buyer).bulkPurchase([ENERGY_DRINK], [31], { value })).to.be.revertedWith(
+        "VM: Insufficient supply"
+      );
+
+      await vendingMachine.connect(operator).batchToggleActive([PROTEIN_BAR], [false]);
+      await expect(vendingMachine.connect(buyer).bulkPurchase([COFFEE, PROTEIN_BAR], [1, 1], { value })).to.be.revertedWith(
+        "VM: Item not active"
+      );
+    });
+
+    it("Should REVERT when the total is out of range or underpaid", async function () {
+      const { vendingMachine, buyer } = await loadFixture(deployVendingMachineFixture);
+
+      await vendingMachine.updatePurchaseLimits(ethers.parseEther("0.002"), ethers.parseEther("0.003"));
+      await expect(vendingMachine.connect(buyer).bulkPurchase([COFFEE], [1], { value: COFFEE_PRICE })).to.be.revertedWith(
+        "VM: Amount out of range"
+      );
+      await expect(vendingMachine.connect(buyer).bulkPurchase([COFFEE], [2], { value: COFFEE_PRICE })).to.be.revertedWith(
+        "VM: Insufficient payment"
+      );
+    });
+
+    it("Should REVERT for blacklisted buyers and within the cooldown", async function () {
+      const { vendingMachine, buyer, otherBuyer } = await loadFixture(deployVendingMachineFixture);
+
+      await vendingMachine.blacklistUser(otherBuyer.address, true);
+      await expect(
+        vendingMachine.connect(otherBuyer).bulkPurchase([COFFEE], [1], { value: COFFEE_PRICE })
+      ).to.be.revertedWith("VM: User blacklisted");
+
+      await buy(vendingMachine, buyer, COFFEE, 1, COFFEE_PRICE);
+      await expect(vendingMachine.connect(buyer).bulkPurchase([COFFEE], [1], { value: COFFEE_PRICE })).to.be.revertedWith(
+        "VM: Purchase too frequent"
+      );
+    });
+  });
+
+  // --- Test Group: Catalog Management ---
+  describe("Catalog Management", function () {
+    describe("addItem", function () {
+      it("Should add an item, emit ItemAdded and index its category", async function () {
+        const { vendingMachine } = await loadFixture(deployVendingMachineFixture);
+        const price = ethers.parseEther("0.002");
+
+        await expect(vendingMachine.addItem("Green Tea", price, 10, 20, "Beverages", "ipfs://QmTea"))
+          .to.emit(vendingMachine, "ItemAdded")
+          .withArgs(3, "Green Tea", price, 10, "Beverages");
+
+        const [beverages] = await vendingMachine.getBulkCategoryItems(["Beverages"]);
+        expect(beverages).to.deep.equal([0n, 1n, 3n]);
+      });
+
+      it("Should REVERT for an empty name, an out of range price or a supply above maxSupply", async function () {
+        const { vendingMachine } = await loadFixture(deployVendingMachineFixture);
+
+        await expect(vendingMachine.addItem("", COFFEE_PRICE, 1, 1, "", "")).to.be.revertedWith("VM: Empty name");
+        await expect(vendingMachine.addItem("Gum", ethers.parseEther("0.00001"), 1, 1, "", "")).to.be.revertedWith(
+          "VM: Price out of range"
+        );
+        await expect(vendingMachine.addItem("Gold Bar", ethers.parseEther("11"), 1, 1, "", "")).to.be.revertedWith(
+          "VM: Price out of range"
+        );
+        await expect(vendingMachine.addItem("Gum", COFFEE_PRICE, 2, 1, "", "")).to.be.revertedWith("VM: Supply exceeds max");
+      });
+
+      it("Should REVERT once MAX_ITEMS items exist", async function () {
+        this.timeout(300000); // adds almost a thousand items
+        const { vendingMachine } = await loadFixture(deployVendingMachineFixture);
+        const maxItems = await vendingMachine.MAX_ITEMS();
+
+        for (let itemId = SEEDED_ITEMS.length; itemId < maxItems; itemId++) {
+          await vendingMachine.addItem(`Item ${itemId}`, COFFEE_PRICE, 1, 1, "Bulk", "");
+        }
+
+        await expect(vendingMachine.addItem("One Too Many", COFFEE_PRICE, 1, 1, "Bulk", "")).to.be.revertedWith(
+          "VM: Max items reached"
+        );
+      });
+
+      it("Should REVERT when called without ADMIN_ROLE", async function () {
+        const { vendingMachine, operator, ADMIN_ROLE } = await loadFixture(deployVendingMachineFixture);
+
+        await expect(
+          vendingMachine.connect(operator).addItem("Gum", COFFEE_PRICE, 1, 1, "", "")
+        ).to.be.revertedWith(missingRole(operator.address, ADMIN_ROLE));
+      });
+    });
+
+    describe("restockItem and batchRestockItems", function () {
+      it("Should restock up to maxSupply and emit ItemRestocked", async function () {
+        const { vendingMachine, operator } = await loadFixture(deployVendingMachineFixture);
+
+        await expect(vendingMachine.connect(operator).restockItem(COFFEE, 50))
+          .to.emit(vendingMachine, "ItemRestocked")
+          .withArgs(COFFEE, 50, 100);
+        expect((await vendingMachine.items(COFFEE)).lastRestocked).to.equal(await time.latest());
+      });
+
+      it("Should REVERT a restock above maxSupply or for an unknown item", async function () {
+        const { vendingMachine, operator } = await loadFixture(deployVendingMachineFixture);
+
+        await expect(vendingMachine.connect(operator).restockItem(COFFEE, 51)).to.be.revertedWith("VM: Exceeds max supply");
+        await expect(vendingMachine.connect(operator).restockItem(99, 1)).to.be.revertedWith("VM: Invalid item ID");
+      });
+
+      it("Should batch restock several items", async function () {
+        const { vendingMachine, operator } = await loadFixture(deployVendingMachineFixture);
+
+        await expect(vendingMachine.connect(operator).batchRestockItems([COFFEE, ENERGY_DRINK], [10, 20]))
+          .to.emit(vendingMachine, "ItemRestocked")
+          .withArgs(COFFEE, 10, 60)
+          .and.to.emit(vendingMachine, "ItemRestocked")
+          .withArgs(ENERGY_DRINK, 20, 50);
+      });
+
+      it("Should REVERT invalid batch restocks", async function () {
+        const { vendingMachine, operator } = await loadFixture(deployVendingMachineFixture);
+
+        await expect(vendingMachine.connect(operator).batchRestockItems([COFFEE], [1, 2])).to.be.revertedWith(
+          "VM: Array length mismatch"
+        );
+        await expect(
+          vendingMachine.connect(operator).batchRestockItems(Array(101).fill(COFFEE), Array(101).fill(0))
+        ).to.be.revertedWith("VM: Batch too large");
+        await expect(vendingMachine.connect(operator).batchRestockItems([ENERGY_DRINK], [21])).to.be.revertedWith(
+          "VM: Exceeds max supply"
+        );
+        await expect(vendingMachine.connect(operator).batchRestockItems([99], [1])).to.be.revertedWith("VM: Invalid item ID");
+      });
+
+      it("Should REVERT restocks without OPERATOR_ROLE", async function () {
+        const { vendingMachine, owner, OPERATOR_ROLE } = await loadFixture(deployVendingMachineFixture);
+
+        await expect(vendingMachine.restockItem(COFFEE, 1)).to.be.revertedWith(missingRole(owner.address, OPERATOR_ROLE));
+        await expect(vendingMachine.batchRestockItems([COFFEE], [1])).to.be.revertedWith(
+          missingRole(owner.address, OPERATOR_ROLE)
+        );
+      });
+    });
+
+    describe("batchUpdatePrices", function () {
+      it("Should update several prices", async function () {
+        const { vendingMachine } = await loadFixture(deployVendingMachineFixture);
+
+        await vendingMachine.batchUpdatePrices([COFFEE, PROTEIN_BAR], [ethers.parseEther("0.002"), ethers.parseEther("0.001")]);
+        expect((await vendingMachine.items(COFFEE)).price).to.equal(ethers.parseEther("0.002"));
+        expect((await vendingMachine.items(PROTEIN_BAR)).price).to.equal(ethers.parseEther("0.001"));
+      });
+
+      it("Should REVERT invalid price updates", async function () {
+        const { vendingMachine, operator, ADMIN_ROLE } = await loadFixture(deployVendingMachineFixture);
+
+        await expect(vendingMachine.batchUpdatePrices([COFFEE], [])).to.be.revertedWith("VM: Array length mismatch");
+        await expect(
+          vendingMachine.batchUpdatePrices(Array(51).fill(COFFEE), Array(51).fill(COFFEE_PRICE))
+        ).to.be.revertedWith("VM: Batch too large");
+        await expect(vendingMachine.batchUpdatePrices([99], [COFFEE_PRICE])).to.be.revertedWith("VM: Invalid item ID");
+        await expect(vendingMachine.batchUpdatePrices([COFFEE], [ethers.parseEther("10.1")])).to.be.revertedWith(
+          "VM: Price out of range"
+        );
+        await expect(vendingMachine.connect(operator).batchUpdatePrices([COFFEE], [COFFEE_PRICE])).to.be.revertedWith(
+          missingRole(operator.address, ADMIN_ROLE)
+        );
+      });
+    });
+
+    describe("batchToggleActive", function () {
+      it("Should activate and deactivate items", async function () {
+        const { vendingMachine, operator } = await loadFixture(deployVendingMachineFixture);
+
+        await vendingMachine.connect(operator).batchToggleActive([COFFEE, ENERGY_DRINK], [false, false]);
+        expect((await vendingMachine.items(COFFEE)).isActive).to.equal(false);
+        await vendingMachine.connect(operator).batchToggleActive([COFFEE], [true]);
+        expect((await vendingMachine.items(COFFEE)).isActive).to.equal(true);
+      });
+
+      it("Should REVERT invalid toggles", async function () {
+        const { vendingMachine, operator, outsider, OPERATOR_ROLE } = await loadFixture(deployVendingMachineFixture);
+
+        await expect(vendingMachine.connect(operator).batchToggleActive([COFFEE], [])).to.be.revertedWith(
+          "VM: Array length mismatch"
+        );
+        await expect(vendingMachine.connect(operator).batchToggleActive([99], [true])).to.be.revertedWith("VM: Invalid item ID");
+        await expect(vendingMachine.connect(outsider).batchToggleActive([COFFEE], [false])).to.be.revertedWith(
+          missingRole(outsider.address, OPERATOR_ROLE)
+        );
+      });
+    });
+  });
+
+  // --- Test Group: Administration ---
+  describe("Administration", function () {
+    it("Should blacklist and un-blacklist users", async function () {
+      const { vendingMachine, buyer } = await loadFixture(deployVendingMachineFixture);
+
+      await expect(vendingMachine.blacklistUser(buyer.address, true))
+        .to.emit(vendingMachine, "UserBlacklisted")
+        .withArgs(buyer.address, true);
+      expect((await vendingMachine.userProfiles(buyer.address)).isBlacklisted).to.equal(true);
+
+      await vendingMachine.blacklistUser(buyer.address, false);
+      await expect(buy(vendingMachine, buyer, COFFEE, 1, COFFEE_PRICE)).not.to.be.reverted;
+    });
+
+    it("Should update the transaction fee up to 10%", async function () {
+      const { vendingMachine } = await loadFixture(deployVendingMachineFixture);
+
+      await expect(vendingMachine.updateTransactionFee(1000)).to.emit(vendingMachine, "FeeUpdated").withArgs(1000);
+      await expect(vendingMachine.updateTransactionFee(1001)).to.be.revertedWith("VM: Fee too high");
+    });
+
+    it("Should update the purchase limits when min < max", async function () {
+      const { vendingMachine } = await loadFixture(deployVendingMachineFixture);
+      const min = ethers.parseEther("0.001");
+      const max = ethers.parseEther("1");
+
+      await expect(vendingMachine.updatePurchaseLimits(min, max))
+        .to.emit(vendingMachine, "PurchaseLimitUpdated")
+        .withArgs(min, max);
+      await expect(vendingMachine.updatePurchaseLimits(max, max)).to.be.revertedWith("VM: Invalid limits");
+    });
+
+    it("Should pause and unpause", async function () {
+      const { vendingMachine, buyer } = await loadFixture(deployVendingMachineFixture);
+
+      await vendingMachine.pause();
+      await expect(
+        vendingMachine.connect(buyer).bulkPurchase([COFFEE], [1], { value: COFFEE_PRICE })
+      ).to.be.revertedWith("Pausable: paused");
+      await vendingMachine.unpause();
+      await expect(buy(vendingMachine, buyer, COFFEE, 1, COFFEE_PRICE)).not.to.be.reverted;
+    });
+
+    it("Should REVERT admin functions called without ADMIN_ROLE", async function () {
+      const { vendingMachine, outsider, ADMIN_ROLE } = await loadFixture(deployVendingMachineFixture);
+      const expected = missingRole(outsider.address, ADMIN_ROLE);
+      const asOutsider = vendingMachine.connect(outsider);
+
+      await expect(asOutsider.blacklistUser(outsider.address, false)).to.be.revertedWith(expected);
+      await expect(asOutsider.updateTransactionFee(0)).to.be.revertedWith(expected);
+      await expect(asOutsider.updatePurchaseLimits(0, 1)).to.be.revertedWith(expected);
+      await expect(asOutsider.setLoyaltyTiers([])).to.be.revertedWith(expected);
+      await expect(asOutsider.removePaymentToken(outsider.address)).to.be.revertedWith(expected);
+      await expect(asOutsider.setPayees([])).to.be.revertedWith(expected);
+      await expect(asOutsider.createPromotion([0, 1, COFFEE, 0, false, 1, ethers.ZeroHash])).to.be.revertedWith(expected);
+      await expect(asOutsider.endPromotion(0)).to.be.revertedWith(expected);
+      await expect(asOutsider.pause()).to.be.revertedWith(expected);
+      await expect(asOutsider.unpause()).to.be.revertedWith(expected);
+      await expect(asOutsider.emergencyWithdraw(0, ethers.ZeroAddress)).to.be.revertedWith(expected);
+      await expect(asOutsider.activateFullEmergencyStop()).to.be.revertedWith(expected);
+      await expect(asOutsider.activatePartialEmergency()).to.be.revertedWith(expected);
+      await expect(asOutsider.resumeNormalOperations()).to.be.revertedWith(expected);
+      await expect(asOutsider.getAnalytics()).to.be.revertedWith(expected);
+    });
+
+    it("Should only let UPGRADER_ROLE upgrade the proxy", async function () {
+      const { vendingMachine, owner, outsider, UPGRADER_ROLE } = await loadFixture(deployVendingMachineFixture);
+      const { implementation: newImplementation } = await deployImplementation();
+
+      await expect(vendingMachine.connect(outsider).upgradeTo(await newImplementation.getAddress())).to.be.revertedWith(
+        missingRole(outsider.address, UPGRADER_ROLE)
+      );
+      await expect(vendingMachine.connect(owner).upgradeTo(await newImplementation.getAddress()))
+        .to.emit(vendingMachine, "Upgraded")
+        .withArgs(await newImplementation.getAddress());
+    });
+  });
+
+  // --- Test Group: Promotions ---
+  describe("Promotions", function () {
+    const HOUR = 60 * 60;
+
+    // A 20% promotion on coffee from one hour from now, for a day, unless overridden
+    async function promotion(overrides = {}) {
+      const startTime = (await time.latest()) + HOUR;
+      return {
+        startTime,
+        endTime: startTime + ONE_DAY,
+        itemId: COFFEE,
+        maxPerUser: 0,
+        isFixed: false,
+        discount: 2000,
+        category: ethers.ZeroHash,
+        ...overrides,
+      };
+    }
+
+    // `percent` off `price`, like `_calculatePrice` rounds it
+    function percentOff(price, percent) {
+      return price - (price * BigInt(percent)) / 100n;
+    }
+
+    it("Should schedule a promotion and list it as live", async function () {
+      const { vendingMachine } = await loadFixture(deployVendingMachineFixture);
+      const promo = await promotion({ maxPerUser: 3 });
+
+      await expect(vendingMachine.createPromotion(promo))
+        .to.emit(vendingMachine, "PromotionCreated")
+        .withArgs(0, COFFEE, ethers.ZeroHash, promo.startTime, promo.endTime, false, 2000, 3);
+      expect(await vendingMachine.promotions(0)).to.deep.equal([
+        BigInt(promo.startTime),
+        BigInt(promo.endTime),
+        BigInt(COFFEE),
+        3n,
+        false,
+        2000n,
+        ethers.ZeroHash,
+      ]);
+      expect(await vendingMachine.getLivePromotions()).to.deep.equal([0n]);
+    });
+
+    it("Should apply from startTime up to, but not including, endTime", async function () {
+      const { vendingMachine, buyer, otherBuyer } = await loadFixture(deployVendingMachineFixture);
+      const promo = await promotion();
+      await vendingMachine.createPromotion(promo);
+      const promoPrice = percentOff(COFFEE_PRICE, 20);
+
+      await time.setNextBlockTimestamp(promo.startTime - 1);
+      await expect(buy(vendingMachine, buyer, COFFEE, 1, COFFEE_PRICE))
+        .to.emit(vendingMachine, "ItemPurchased")
+        .withArgs(buyer.address, COFFEE, "Premium Coffee", 1, COFFEE_PRICE, 1);
+      await time.setNextBlockTimestamp(promo.startTime);
+      await expect(buy(vendingMachine, otherBuyer, COFFEE, 1, COFFEE_PRICE))
+        .to.emit(vendingMachine, "ItemPurchased")
+        .withArgs(otherBuyer.address, COFFEE, "Premium Coffee", 1, promoPrice, 0)
+        .and.to.emit(vendingMachine, "PromotionApplied")
+        .withArgs(0, otherBuyer.address, COFFEE, 1, COFFEE_PRICE - promoPrice);
+
+      await time.setNextBlockTimestamp(promo.endTime - 1);
+      await expect(buy(vendingMachine, buyer, COFFEE, 1, COFFEE_PRICE))
+        .to.emit(vendingMachine, "ItemPurchased")
+        .withArgs(buyer.address, COFFEE, "Premium Coffee", 1, promoPrice, 0);
+      await time.setNextBlockTimestamp(promo.endTime);
+      await expect(buy(vendingMachine, otherBuyer, COFFEE, 1, COFFEE_PRICE))
+        .to.emit(vendingMachine, "ItemPurchased")
+        .withArgs(otherBuyer.address, COFFEE, "Premium Coffee", 1, COFFEE_PRICE, 1)
+        .and.not.to.emit(vendingMachine, "PromotionApplied");
+    });
+
+    it("Should apply category promotions to every item of the category", async function () {
+      const { vendingMachine, buyer } = await loadFixture(deployVendingMachineFixture);
+      const energyDrinkPrice = ethers.parseEther("0.0015");
+      const promo = await promotion({ category: ethers.id("Beverages"), discount: 1000 });
+      await vendingMachine.createPromotion(promo);
+      await time.increaseTo(promo.startTime);
+
+      const total = percentOff(COFFEE_PRICE, 10) + percentOff(energyDrinkPrice, 10) + PROTEIN_BAR_PRICE;
+      await expect(
+        vendingMachine.connect(buyer).bulkPurchase([COFFEE, ENERGY_DRINK, PROTEIN_BAR], [1, 1, 1], { value: total })
+      ).to.changeEtherBalance(buyer, -total);
+    });
+
+    it("Should apply the best of overlapping promotions, not both", async function () {
+      const { vendingMachine, buyer } = await loadFixture(deployVendingMachineFixture);
+      // 10% off coffee, and 0.0003 ETH off every beverage (30% of a coffee, 20% of an energy drink)
+      const itemPromo = await promotion({ discount: 1000 });
+      await vendingMachine.createPromotion(itemPromo);
+      await vendingMachine.createPromotion({
+        ...itemPromo,
+        category: ethers.id("Beverages"),
+        isFixed: true,
+        discount: ethers.parseEther("0.0003"),
+      });
+      await time.increaseTo(itemPromo.startTime);
+
+      await expect(buy(vendingMachine, buyer, COFFEE, 2, COFFEE_PRICE))
+        .to.emit(vendingMachine, "PromotionApplied")
+        .withArgs(1, buyer.address, COFFEE, 2, ethers.parseEther("0.0006"))
+        .and.to.emit(vendingMachine, "ItemPurchased")
+        .withArgs(buyer.address, COFFEE, "Premium Coffee", 2, ethers.parseEther("0.0014"), 1);
+      expect(await vendingMachine.promotionRedemptions(0, buyer.address)).to.equal(0);
+      expect(await vendingMachine.promotionRedemptions(1, buyer.address)).to.equal(2);
+    });
+
+    it("Should stack with the loyalty discount up to MAX_DISCOUNT", async function () {
+      const { vendingMachine, buyer } = await loadFixture(deployVendingMachineFixture);
+      // One tier from the first point: 20% off
+      await vendingMachine.setLoyaltyTiers([{ threshold: 1, discount: 2000, pointsMultiplier: 1 }]);
+      await buy(vendingMachine, buyer, COFFEE, 1, COFFEE_PRICE);
+      const coffeePromo = await promotion({ discount: 2500 });
+      await vendingMachine.createPromotion(coffeePromo);
+      await vendingMachine.createPromotion({ ...coffeePromo, itemId: PROTEIN_BAR, discount: 4000 });
+      await time.increaseTo(coffeePromo.startTime);
+
+      // 20% + 25%
+      await expect(buy(vendingMachine, buyer, COFFEE, 1, COFFEE_PRICE))
+        .to.emit(vendingMachine, "ItemPurchased")
+        .withArgs(buyer.address, COFFEE, "Premium Coffee", 1, percentOff(COFFEE_PRICE, 45), 0);
+      // 20% + 40%, capped at 50%
+      await time.increase(PURCHASE_COOLDOWN);
+      await expect(buy(vendingMachine, buyer, PROTEIN_BAR, 1, PROTEIN_BAR_PRICE))
+        .to.emit(vendingMachine, "ItemPurchased")
+        .withArgs(buyer.address, PROTEIN_BAR, "Protein Bar", 1, percentOff(PROTEIN_BAR_PRICE, 50), 0);
+    });
+
+    it("Should only use up the promotional units whose discount fits under MAX_DISCOUNT", async function () {
+      const { vendingMachine, buyer, otherBuyer } = await loadFixture(deployVendingMachineFixture);
+      // 20% off from the first point, and a 50% promotion for 4 units per buyer
+      await vendingMachine.setLoyaltyTiers([{ threshold: 1, discount: 2000, pointsMultiplier: 1 }]);
+      await buy(vendingMachine, buyer, COFFEE, 1, COFFEE_PRICE);
+      const promo = await promotion({ maxPerUser: 4, discount: 5000 });
+      await vendingMachine.createPromotion(promo);
+      await time.increaseTo(promo.startTime);
+
+      // The cap leaves 30 of the promotion's 50 points: 1.2 of the 4 units' discount, so 3 units are counted
+      const leftOver = (COFFEE_PRICE * 4n * 30n) / 100n;
+      await expect(buy(vendingMachine, buyer, COFFEE, 4, COFFEE_PRICE))
+        .to.emit(vendingMachine, "PromotionApplied")
+        .withArgs(0, buyer.address, COFFEE, 3, leftOver)
+        .and.to.emit(vendingMachine, "ItemPurchased")
+        .withArgs(buyer.address, COFFEE, "Premium Coffee", 4, percentOff(COFFEE_PRICE * 4n, 50), 2);
+      expect(await vendingMachine.promotionRedemptions(0, buyer.address)).to.equal(3);
+
+      // A loyalty discount at the cap leaves nothing of the promotion, and uses up none of it
+      await vendingMachine.setLoyaltyTiers([{ threshold: 1, discount: 5000, pointsMultiplier: 1 }]);
+      await buy(vendingMachine, otherBuyer, PROTEIN_BAR, 2, PROTEIN_BAR_PRICE);
+      await time.increase(PURCHASE_COOLDOWN);
+      await expect(buy(vendingMachine, otherBuyer, COFFEE, 2, COFFEE_PRICE)).not.to.emit(vendingMachine, "PromotionApplied");
+      expect(await vendingMachine.promotionRedemptions(0, otherBuyer.address)).to.equal(0);
+    });
+
+    it("Should cap the promotional units per buyer, across lines and purchases", async function () {
+      const { vendingMachine, buyer, otherBuyer } = await loadFixture(deployVendingMachineFixture);
+      const promo = await promotion({ maxPerUser: 2, discount: 5000 });
+      await vendingMachine.createPromotion(promo);
+      await time.increaseTo(promo.startTime);
+      const half = COFFEE_PRICE / 2n;
+
+      // One line covered, then one of the next line's two units
+      const total = half + half + COFFEE_PRICE;
+      await expect(
+        vendingMachine.connect(buyer).bulkPurchase([COFFEE, COFFEE], [1, 2], { value: total })
+      ).to.changeEtherBalance(buyer, -total);
+      expect(await vendingMachine.promotionRedemptions(0, buyer.address)).to.equal(2);
+
+      await time.increase(PURCHASE_COOLDOWN);
+      await expect(buy(vendingMachine, buyer, COFFEE, 1, COFFEE_PRICE))
+        .to.emit(vendingMachine, "ItemPurchased")
+        .withArgs(buyer.address, COFFEE, "Premium Coffee", 1, COFFEE_PRICE, 1);
+      // Other buyers have their own cap
+      await expect(buy(vendingMachine, otherBuyer, COFFEE, 3, COFFEE_PRICE))
+        .to.emit(vendingMachine, "ItemPurchased")
+        .withArgs(otherBuyer.address, COFFEE, "Premium Coffee", 3, half * 2n + COFFEE_PRICE, 2);
+    });
+
+    it("Should end running promotions and cancel scheduled ones", async function () {
+      const { vendingMachine, buyer } = await loadFixture(deployVendingMachineFixture);
+      const running = await promotion();
+      await vendingMachine.createPromotion(running);
+      await vendingMachine.createPromotion({ ...running, startTime: running.startTime + HOUR });
+      await time.increaseTo(running.startTime);
+
+      await expect(vendingMachine.endPromotion(0)).to.emit(vendingMachine, "PromotionEnded").withArgs(0);
+      await vendingMachine.endPromotion(1);
+      await time.increase(2 * HOUR);
+      await expect(buy(vendingMachine, buyer, COFFEE, 1, COFFEE_PRICE))
+        .to.emit(vendingMachine, "ItemPurchased")
+        .withArgs(buyer.address, COFFEE, "Premium Coffee", 1, COFFEE_PRICE, 1);
+
+      await expect(vendingMachine.endPromotion(0)).to.be.revertedWith("VM: Promotion ended");
+      await expect(vendingMachine.endPromotion(2)).to.be.revertedWith("VM: Invalid promotion");
+    });
+
+    it("Should REVERT invalid promotions", async function () {
+      const { vendingMachine } = await loadFixture(deployVendingMachineFixture);
+      const now = await time.latest();
+
+      await expect(vendingMachine.createPromotion(await promotion({ itemId: 99 }))).to.be.revertedWith("VM: Invalid item ID");
+      await expect(vendingMachine.createPromotion(await promotion({ category: ethers.id("Toys") }))).to.be.revertedWith(
+        "VM: Unknown category"
+      );
+      await expect(vendingMachine.createPromotion(await promotion({ endTime: now + HOUR }))).to.be.revertedWith(
+        "VM: Invalid schedule"
+      );
+      await expect(vendingMachine.createPromotion(await promotion({ startTime: now - HOUR, endTime: now }))).to.be.revertedWith(
+        "VM: Invalid schedule"
+      );
+      await expect(vendingMachine.createPromotion(await promotion({ discount: 0 }))).to.be.revertedWith("VM: Invalid discount");
+      await expect(vendingMachine.createPromotion(await promotion({ discount: 5001 }))).to.be.revertedWith(
+        "VM: Invalid discount"
+      );
+    });
+
+    it("Should keep at most MAX_LIVE_PROMOTIONS, dropping the ended ones", async function () {
+      const { vendingMachine } = await loadFixture(deployVendingMachineFixture);
+      const promo = await promotion();
+      for (let i = 0; i < 20; i++) {
+        await vendingMachine.createPromotion(promo);
+      }
+      await expect(vendingMachine.createPromotion(promo)).to.be.revertedWith("VM: Too many promotions");
+
+      await vendingMachine.endPromotion(3);
+      await vendingMachine.createPromotion(promo);
+      const live = await vendingMachine.getLivePromotions();
+      expect(live.length).to.equal(20);
+      expect(live).not.to.include(3n);
+      expect(live).to.include(20n);
+    });
+  });
+
+  // --- Test Group: Treasury ---
+  describe("Treasury", function () {
+    // 70% to `operator`, 30% to `otherBuyer`, and a 2.5% fee for the owner (the fee recipient)
+    async function deployWithPayeesFixture() {
+      const fixture = await deployVendingMachineFixture();
+      const { vendingMachine, operator, otherBuyer } = fixture;
+      await vendingMachine.setPayees([
+        { account: operator.address, shares: 7000 },
+        { account: otherBuyer.address, shares: 3000 },
+      ]);
+      await vendingMachine.updateTransactionFee(250);
+      return fixture;
+    }
+
+    it("Should credit the fee and split the net revenue between the payees", async function () {
+      const { vendingMachine, owner, operator, otherBuyer, buyer } = await loadFixture(deployWithPayeesFixture);
+      const price = COFFEE_PRICE * 10n;
+      const fee = (price * 250n) / 10000n;
+      const net = price - fee;
+
+      await buy(vendingMachine, buyer, COFFEE, 10, COFFEE_PRICE);
+
+      expect(await vendingMachine.payeeBalance(owner.address, ethers.ZeroAddress)).to.equal(fee);
+      expect(await vendingMachine.payeeBalance(operator.address, ethers.ZeroAddress)).to.equal((net * 7000n) / 10000n);
+      expect(await vendingMachine.payeeBalance(otherBuyer.address, ethers.ZeroAddress)).to.equal((net * 3000n) / 10000n);
+      expect(await vendingMachine.treasuryTotals(ethers.ZeroAddress)).to.deep.equal([price, 0n, fee]);
+      expect(await vendingMachine.totalRevenue()).to.equal(net);
+      expect(await vendingMachine.getPayees()).to.deep.equal([
+        [operator.address, 7000n],
+        [otherBuyer.address, 3000n],
+      ]);
+    });
+
+    it("Should let payees withdraw their ETH balance, even while paused", async function () {
+      const { vendingMachine, operator, buyer } = await loadFixture(deployWithPayeesFixture);
+      await buy(vendingMachine, buyer, COFFEE, 10, COFFEE_PRICE);
+      const owed = await vendingMachine.payeeBalance(operator.address, ethers.ZeroAddress);
+      await vendingMachine.pause();
+
+      await expect(vendingMachine.connect(operator).withdrawRevenue(ethers.ZeroAddress)).to.changeEtherBalances(
+        [operator, vendingMachine],
+        [owed, -owed]
+      );
+      expect(await vendingMachine.payeeBalance(operator.address, ethers.ZeroAddress)).to.equal(0);
+      expect((await vendingMachine.treasuryTotals(ethers.ZeroAddress)).released).to.equal(owed);
+      await expect(vendingMachine.connect(operator).withdrawRevenue(ethers.ZeroAddress)).to.be.revertedWith(
+        "VM: Nothing to withdraw"
+      );
+    });
+
+    it("Should pay contract payees that need more than 2300 gas", async function () {
+      const { vendingMachine, buyer } = await loadFixture(deployVendingMachineFixture);
+      const payee = await (await ethers.getContractFactory("MockPayee")).deploy();
+      await vendingMachine.setPayees([{ account: await payee.getAddress(), shares: 10000 }]);
+      await buy(vendingMachine, buyer, COFFEE, 1, COFFEE_PRICE);
+
+      await expect(payee.withdrawFrom(await vendingMachine.getAddress(), ethers.ZeroAddress))
+        .to.emit(vendingMachine, "RevenueWithdrawn")
+        .withArgs(await payee.getAddress(), ethers.ZeroAddress, COFFEE_PRICE);
+      expect(await payee.received()).to.equal(COFFEE_PRICE);
+    });
+
+    it("Should split token revenue too, giving the rounding dust to the last payee", async function () {
+      const { vendingMachine, token, feed, operator, otherBuyer, outsider, buyer } = await loadFixture(deployWithTokenFixture);
+      await vendingMachine.setPayees([
+        { account: operator.address, shares: 3333 },
+        { account: otherBuyer.address, shares: 3333 },
+        { account: outsider.address, shares: 3334 },
+      ]);
+      // 0.0008 ETH at 0.0003 ETH per token: 2666667 units, which 33.33% doesn't divide
+      await feed.updateAnswer(30000);
+      const amount = 2666667n;
+      await token.connect(buyer).approve(await vendingMachine.getAddress(), amount);
+      await vendingMachine.connect(buyer).purchaseItem(PROTEIN_BAR, 1, await token.getAddress());
+
+      const share = (amount * 3333n) / 10000n;
+      expect(await vendingMachine.payeeBalance(operator.address, await token.getAddress())).to.equal(share);
+      expect(await vendingMachine.payeeBalance(otherBuyer.address, await token.getAddress())).to.equal(share);
+      expect(await vendingMachine.payeeBalance(outsider.address, await token.getAddress())).to.equal(amount - 2n * share);
+
+      await expect(
+        vendingMachine.connect(outsider).withdrawRevenue(await token.getAddress())
+      ).to.changeTokenBalances(token, [outsider, vendingMachine], [amount - 2n * share, -(amount - 2n * share)]);
+    });
+
+    it("Should REVERT withdrawals when the machine holds less than it owes", async function () {
+      const { vendingMachine, token18, operator, otherBuyer, buyer } = await loadFixture(deployWithTokenFixture);
+      await vendingMachine.setPayees([
+        { account: operator.address, shares: 5000 },
+        { account: otherBuyer.address, shares: 5000 },
+      ]);
+      const amount = (COFFEE_PRICE * 10n ** 18n) / TOKEN18_RATE;
+      await token18.connect(buyer).approve(await vendingMachine.getAddress(), amount);
+      await vendingMachine.connect(buyer).purchaseItem(COFFEE, 1, await token18.getAddress());
+
+      // One token unit lost, like a rebase: the first payee out would take part of the other's share
+      await token18.burn(await vendingMachine.getAddress(), 1);
+      await expect(vendingMachine.connect(operator).withdrawRevenue(await token18.getAddress())).to.be.revertedWith(
+        "VM: Revenue mismatch"
+      );
+
+      await token18.mint(await vendingMachine.getAddress(), 1);
+      await expect(
+        vendingMachine.connect(operator).withdrawRevenue(await token18.getAddress())
+      ).to.changeTokenBalance(token18, operator, amount / 2n);
+    });
+
+    it("Should keep balances credited to payees that were replaced", async function () {
+      const { vendingMachine, operator, otherBuyer, buyer } = await loadFixture(deployWithPayeesFixture);
+      await buy(vendingMachine, buyer, COFFEE, 10, COFFEE_PRICE);
+      const owed = await vendingMachine.payeeBalance(otherBuyer.address, ethers.ZeroAddress);
+
+      await expect(vendingMachine.setPayees([{ account: operator.address, shares: 10000 }]))
+        .to.emit(vendingMachine, "PayeesUpdated")
+        .withArgs(1);
+      await time.increase(PURCHASE_COOLDOWN);
+      await buy(vendingMachine, buyer, COFFEE, 1, COFFEE_PRICE);
+
+      expect(await vendingMachine.payeeBalance(otherBuyer.address, ethers.ZeroAddress)).to.equal(owed);
+      await expect(vendingMachine.connect(otherBuyer).withdrawRevenue(ethers.ZeroAddress)).to.changeEtherBalance(
+        otherBuyer,
+        owed
+      );
+    });
+
+    it("Should REVERT invalid payee lists", async function () {
+      const { vendingMachine, operator, otherBuyer } = await loadFixture(deployVendingMachineFixture);
+      const payee = (account, shares) => ({ account, shares });
+
+      const tooMany = (await ethers.getSigners()).slice(0, 11).map((signer) => payee(signer.address, 909));
+      await expect(vendingMachine.setPayees(tooMany)).to.be.revertedWith("VM: Too many payees");
+      await expect(vendingMachine.setPayees([payee(ethers.ZeroAddress, 10000)])).to.be.revertedWith("VM: Invalid payee");
+      await expect(
+        vendingMachine.setPayees([payee(operator.address, 0), payee(otherBuyer.address, 10000)])
+      ).to.be.revertedWith("VM: Invalid shares");
+      await expect(
+        vendingMachine.setPayees([payee(operator.address, 5000), payee(operator.address, 5000)])
+      ).to.be.revertedWith("VM: Duplicate payee");
+      await expect(
+        vendingMachine.setPayees([payee(operator.address, 5000), payee(otherBuyer.address, 4000)])
+      ).to.be.revertedWith("VM: Shares must total 100%");
+    });
+
+    it("Should leave revenue unallocated without payees and keep emergencyWithdraw off what is owed", async function () {
+      const { vendingMachine, owner, buyer } = await loadFixture(deployVendingMachineFixture);
+      await vendingMachine.updateTransactionFee(250);
+      const price = COFFEE_PRICE * 10n;
+      const fee = (price * 250n) / 10000n;
+      await buy(vendingMachine, buyer, COFFEE, 10, COFFEE_PRICE);
+
+      // Only the fee is owed (to the fee recipient); the net revenue is unallocated
+      expect((await vendingMachine.treasuryTotals(ethers.ZeroAddress)).owed).to.equal(fee);
+      await expect(vendingMachine.emergencyWithdraw(price, ethers.ZeroAddress)).to.be.revertedWith(
+        "VM: Funds owed to payees"
+      );
+      await expect(vendingMachine.emergencyWithdraw(price - fee, ethers.ZeroAddress)).to.changeEtherBalance(
+        owner,
+        price - fee
+      );
+      await expect(vendingMachine.withdrawRevenue(ethers.ZeroAddress)).to.changeEtherBalance(owner, fee);
+    });
+
+    it("Should report what each payee is owed and reconcile it (scripts/payouts.js)", async function () {
+      const { vendingMachine, owner, operator, otherBuyer, buyer } = await loadFixture(deployWithPayeesFixture);
+      const price = COFFEE_PRICE * 10n;
+      const fee = (price * 250n) / 10000n;
+      await buy(vendingMachine, buyer, COFFEE, 10, COFFEE_PRICE);
+      await vendingMachine.connect(operator).withdrawRevenue(ethers.ZeroAddress);
+      // `otherBuyer` stops being a payee but is still owed
+      await vendingMachine.setPayees([{ account: operator.address, shares: 10000 }]);
+
+      const report = await buildPayoutReport(vendingMachine);
+      expect(report.reconciled).to.equal(true);
+      expect(report.accounts.map(({ account, roles }) => [account, roles])).to.deep.equal([
+        [owner.address, "fee recipient"],
+        [operator.address, "payee 100%"],
+      ]);
+      const [eth] = report.tokens;
+      expect(eth).to.include({ token: "ETH", revenue: price - fee, fees: fee, unallocated: 0n, surplus: 0n });
+      expect(eth.unlisted).to.equal(await vendingMachine.payeeBalance(otherBuyer.address, ethers.ZeroAddress));
+
+      const withFormerPayee = await buildPayoutReport(vendingMachine, { accounts: [otherBuyer.address] });
+      expect(withFormerPayee.tokens[0].unlisted).to.equal(0n);
+      expect(withFormerPayee.accounts[2]).to.include({ account: otherBuyer.address, roles: "listed" });
+    });
+  });
+
+  // --- Test Group: Emergency Controls ---
+  describe("Emergency Controls", function () {
+    describe("emergencyWithdraw", function () {
+      it("Should withdraw ETH to the admin and emit EmergencyWithdrawal", async function () {
+        const { vendingMachine, owner, buyer } = await loadFixture(deployVendingMachineFixture);
+        await buy(vendingMachine, buyer, COFFEE, 5, COFFEE_PRICE);
+        const amount = COFFEE_PRICE * 5n;
+
+        await expect(vendingMachine.emergencyWithdraw(amount, ethers.ZeroAddress))
+          .to.emit(vendingMachine, "EmergencyWithdrawal")
+          .withArgs(owner.address, amount);
+        await time.increase(ONE_DAY);
+        await buy(vendingMachine, buyer, COFFEE, 1, COFFEE_PRICE);
+        await expect(vendingMachine.emergencyWithdraw(COFFEE_PRICE, ethers.ZeroAddress)).to.changeEtherBalances(
+          [owner, vendingMachine],
+          [COFFEE_PRICE, -COFFEE_PRICE]
+        );
+      });
+
+      it("Should cap ETH withdrawals per day and reset the cap the next day", async function () {
+        const { vendingMachine, owner } = await loadFixture(deployVendingMachineFixture);
+        // Direct deposits are accepted by `receive()`.
+        await owner.sendTransaction({ to: await vendingMachine.getAddress(), value: ethers.parseEther("60") });
+
+        await vendingMachine.emergencyWithdraw(ethers.parseEther("50"), ethers.ZeroAddress);
+        await expect(vendingMachine.emergencyWithdraw(1, ethers.ZeroAddress)).to.be.revertedWith("VM: Daily limit exceeded");
+
+        await time.increase(ONE_DAY);
+        await expect(vendingMachine.emergencyWithdraw(ethers.parseEther("10"), ethers.ZeroAddress)).not.to.be.reverted;
+      });
+
+      it("Should withdraw tokens without the daily ETH cap", async function () {
+        const { vendingMachine, token, owner, buyer } = await loadFixture(deployWithTokenFixture);
+        await token.connect(buyer).transfer(await vendingMachine.getAddress(), ethers.parseEther("1"));
+
+        await expect(vendingMachine.emergencyWithdraw(ethers.parseEther("1"), await token.getAddress()))
+          .to.emit(vendingMachine, "EmergencyWithdrawal")
+          .withArgs(owner.address, ethers.parseEther("1"));
+        expect(await token.balanceOf(owner.address)).to.equal(ethers.parseEther("1"));
+      });
+    });
+
+    describe("EmergencyState transitions", function () {
+      it("Should block purchases during a partial emergency without pausing", async function () {
+        const { vendingMachine, owner, buyer } = await loadFixture(deployVendingMachineFixture);
+
+        await expect(vendingMachine.activatePartialEmergency())
+          .to.emit(vendingMachine, "EmergencyStopActivated")
+          .withArgs(owner.address, PARTIAL_PAUSE);
+        expect(await vendingMachine.emergencyState()).to.equal(PARTIAL_PAUSE);
+        expect(await vendingMachine.paused()).to.equal(false);
+
+        await expect(buy(vendingMachine, buyer, COFFEE, 1, COFFEE_PRICE)).to.be.revertedWith("VM: Emergency stop active");
+        await expect(
+          vendingMachine.connect(buyer).bulkPurchase([COFFEE], [1], { value: COFFEE_PRICE })
+        ).to.be.revertedWith("VM: Emergency stop active");
+      });
+
+      it("Should resume normal operations after a partial emergency", async function () {
+        const { vendingMachine, owner, buyer } = await loadFixture(deployVendingMachineFixture);
+        await vendingMachine.activatePartialEmergency();
+
+        await expect(vendingMachine.resumeNormalOperations())
+          .to.emit(vendingMachine, "EmergencyStopActivated")
+          .withArgs(owner.address, OPERATIONAL);
+        await expect(buy(vendingMachine, buyer, COFFEE, 1, COFFEE_PRICE)).not.to.be.reverted;
+      });
+
+      it("Should pause everything on a full emergency stop and unpause on resume", async function () {
+        const { vendingMachine, owner, buyer } = await loadFixture(deployVendingMachineFixture);
+
+        await expect(vendingMachine.activateFullEmergencyStop())
+          .to.emit(vendingMachine, "EmergencyStopActivated")
+          .withArgs(owner.address, FULL_PAUSE);
+        expect(await vendingMachine.paused()).to.equal(true);
+        await expect(buy(vendingMachine, buyer, COFFEE, 1, COFFEE_PRICE)).to.be.revertedWith("Pausable: paused");
+
+        await vendingMachine.resumeNormalOperations();
+        expect(await vendingMachine.emergencyState()).to.equal(OPERATIONAL);
+        expect(await vendingMachine.paused()).to.equal(false);
+      });
+    });
+  });
+
+  // --- Test Group: Views ---
+  describe("Views", function () {
+    // Three purchases by `buyer`, each after the cooldown.
+    async function deployWithHistoryFixture() {
+      const fixture = await deployVendingMachineFixture();
+      const { vendingMachine, buyer } = fixture;
+      for (const [itemId, quantity] of [[COFFEE, 1], [PROTEIN_BAR, 2], [COFFEE, 3]]) {
+        await buy(vendingMachine, buyer, itemId, quantity, itemId === COFFEE ? COFFEE_PRICE : PROTEIN_BAR_PRICE);
+        await time.increase(PURCHASE_COOLDOWN);
+      }
+      return fixture;
+    }
+
+    describe("getPurchaseHistory", function () {
+      it("Should page through the history", async function () {
+        const { vendingMachine, buyer } = await loadFixture(deployWithHistoryFixture);
+        const asBuyer = vendingMachine.connect(buyer);
+
+        const firstPage = await asBuyer.getPurchaseHistory(buyer.address, 0, 2);
+        expect(firstPage.map((record) => [record.itemId, record.quantity])).to.deep.equal([
+          [BigInt(COFFEE), 1n],
+          [BigInt(PROTEIN_BAR), 2n],
+        ]);
+        expect(firstPage[1].amountPaid).to.equal(PROTEIN_BAR_PRICE * 2n);
+
+        const lastPage = await asBuyer.getPurchaseHistory(buyer.address, 2, 5);
+        expect(lastPage.length).to.equal(1);
+        expect(lastPage[0].quantity).to.equal(3);
+
+        expect(await asBuyer.getPurchaseHistory(buyer.address, 3, 5)).to.deep.equal([]);
+      });
+
+      it("Should only show a history to its owner and admins", async function () {
+        const { vendingMachine, buyer, outsider } = await loadFixture(deployWithHistoryFixture);
+
+        await expect(vendingMachine.connect(outsider).getPurchaseHistory(buyer.address, 0, 10)).to.be.revertedWith(
+          "VM: Not authorized"
+        );
+        expect((await vendingMachine.getPurchaseHistory(buyer.address, 0, 10)).length).to.equal(3);
+      });
+    });
+
+    describe("getAnalytics", function () {
+      it("Should summarize items, sales and balance", async function () {
+        const { vendingMachine, operator } = await loadFixture(deployWithHistoryFixture);
+        await vendingMachine.connect(operator).batchToggleActive([ENERGY_DRINK], [false]);
+        const revenue = COFFEE_PRICE * 4n + PROTEIN_BAR_PRICE * 2n;
+
+        const analytics = await vendingMachine.getAnalytics();
+        expect(analytics.totalItems).to.equal(3);
+        expect(analytics.activeItems).to.equal(2);
+        expect(analytics.totalSold).to.equal(6);
+        expect(analytics.totalRev).to.equal(revenue);
+        expect(analytics.contractBalance).to.equal(revenue);
+      });
+    });
+  });
+});
+
+// To run only this test file:
+// npx hardhat test ./test/VendingMachine.js
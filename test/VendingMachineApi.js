@@ -0,0 +1,397 @@
+// This file tests the read-only JSON API in `api/` against the local Hardhat node. The server listens on a random
+// port and is queried with `fetch`, like the storefront would.
+
+const { loadFixture, mine, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+const { createApiServer } = require("../api/server");
+const { calculatePrice } = require("../api/pricing");
+const { deployVendingMachine } = require("../scripts/deploy");
+
+const COFFEE = 0; // "Premium Coffee", 0.001 ETH, supply 50, "Beverages"
+const ENERGY_DRINK = 1; // "Energy Drink", 0.0015 ETH, supply 30, "Beverages"
+const PROTEIN_BAR = 2; // "Protein Bar", 0.0008 ETH, supply 75, "Snacks"
+const COFFEE_PRICE = ethers.parseEther("0.001");
+const PROTEIN_BAR_PRICE = ethers.parseEther("0.0008");
+const PURCHASE_COOLDOWN = 60;
+
+describe("VendingMachineV2 JSON API", function () {
+  let server;
+  let baseUrl;
+
+  afterEach(async function () {
+    if (server) {
+      await new Promise((resolve) => server.close(resolve));
+      server = undefined;
+    }
+  });
+
+  // --- Fixture Definition ---
+  async function deployVendingMachineFixture() {
+    const [owner, buyer, otherBuyer] = await ethers.getSigners();
+    const { vendingMachine, proxyAddress } = await deployVendingMachine({ owner: owner.address, deployer: owner });
+    return { vendingMachine, proxyAddress, owner, buyer, otherBuyer };
+  }
+
+  async function startServer(vendingMachine, proxyAddress, provider = ethers.provider) {
+    server = createApiServer({
+      provider,
+      address: proxyAddress,
+      abi: JSON.parse(vendingMachine.interface.formatJson()),
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  }
+
+  async function get(path) {
+    const response = await fetch(`${baseUrl}${path}`);
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  }
+
+  // `loadFixture` restores the chain; the server is started for every test (and closed in `afterEach`).
+  async function loadApi() {
+    const fixture = await loadFixture(deployVendingMachineFixture);
+    await startServer(fixture.vendingMachine, fixture.proxyAddress);
+    return fixture;
+  }
+
+  describe("GET /abi", function () {
+    it("Should serve the ABI in the shape of a Hardhat artifact", async function () {
+      await loadApi();
+
+      const { status, body } = await get("/abi");
+
+      expect(status).to.equal(200);
+      expect(body.contractName).to.equal("VendingMachineV2");
+      expect(body.abi.map((fragment) => fragment.name)).to.include("purchaseItem");
+    });
+  });
+
+  describe("GET /items", function () {
+    it("Should list every item with amounts as wei strings", async function () {
+      await loadApi();
+
+      const { status, headers, body } = await get("/items");
+
+      expect(status).to.equal(200);
+      expect(Number(headers.get("x-block-number"))).to.equal(await ethers.provider.getBlockNumber());
+      expect(body.map((item) => item.name)).to.deep.equal(["Premium Coffee", "Energy Drink", "Protein Bar"]);
+      expect(body[COFFEE]).to.include({
+        id: COFFEE,
+        price: COFFEE_PRICE.toString(),
+        supply: "50",
+        maxSupply: "100",
+        isActive: true,
+        category: "Beverages",
+        imageURI: "ipfs://QmCoffee",
+      });
+    });
+
+    it("Should find the item count past a power of two", async function () {
+      const { vendingMachine } = await loadApi();
+      for (let i = 0; i < 6; i++) {
+        await vendingMachine.addItem(`Extra ${i}`, COFFEE_PRICE, 1, 1, "Extras", "");
+      }
+
+      const { body } = await get("/items");
+
+      expect(body).to.have.length(9);
+      expect(body[8].name).to.equal("Extra 5");
+    });
+
+    it("Should filter by category", async function () {
+      await loadApi();
+
+      const { body: snacks } = await get("/items?category=Snacks");
+      const { body: both } = await get("/items?category=Snacks,Beverages");
+      const { body: none } = await get("/items?category=Toys");
+
+      expect(snacks.map((item) => item.id)).to.deep.equal([PROTEIN_BAR]);
+      expect(both.map((item) => item.id)).to.deep.equal([COFFEE, ENERGY_DRINK, PROTEIN_BAR]);
+      expect(none).to.deep.equal([]);
+    });
+
+    it("Should return one item, or 404", async function () {
+      await loadApi();
+
+      const { status, body } = await get(`/items/${PROTEIN_BAR}`);
+      const missing = await get("/items/42");
+
+      expect(status).to.equal(200);
+      expect(body.name).to.equal("Protein Bar");
+      expect(missing.status).to.equal(404);
+      expect(missing.body.error).to.equal("Item 42 doesn't exist");
+    });
+
+    it("Should cache responses until the next block", async function () {
+      const { vendingMachine } = await loadApi();
+      await ethers.provider.send("evm_setAutomine", [false]);
+      try {
+        const before = await get(`/items/${COFFEE}`);
+        // Sent but not mined yet: the block (and the cached response) stay the same.
+        await vendingMachine.batchUpdatePrices([COFFEE], [ethers.parseEther("0.002")]);
+        const sameBlock = await get(`/items/${COFFEE}`);
+        await mine(1);
+        const nextBlock = await get(`/items/${COFFEE}`);
+
+        expect(sameBlock.body).to.deep.equal(before.body);
+        expect(nextBlock.body.price).to.equal(ethers.parseEther("0.002").toString());
+        expect(Number(nextBlock.headers.get("x-block-number"))).to.equal(Number(before.headers.get("x-block-number")) + 1);
+      } finally {
+        await ethers.provider.send("evm_setAutomine", [true]);
+      }
+    });
+  });
+
+  describe("GET /users/:address/profile", function () {
+    it("Should decode the profile, with the loyalty tier and discount", async function () {
+      const { vendingMachine, buyer } = await loadApi();
+      // 50 coffees earn 50 points, 75 protein bars 60 more: 110 points reach the Bronze tier and its 10% discount.
+      await vendingMachine.connect(buyer).purchaseItem(COFFEE, 50, ethers.ZeroAddress, { value: COFFEE_PRICE * 50n });
+      await time.increase(PURCHASE_COOLDOWN);
+      await vendingMachine.connect(buyer).purchaseItem(PROTEIN_BAR, 75, ethers.ZeroAddress, { value: PROTEIN_BAR_PRICE * 75n });
+
+      const { status, body } = await get(`/users/${buyer.address}/profile`);
+
+      expect(status).to.equal(200);
+      expect(body).to.include({ address: buyer.address, totalPurchases: "125", loyaltyPoints: "110", discountRate: "10" });
+      expect(body.loyaltyTier).to.deep.equal({
+        index: 0,
+        name: "Bronze",
+        threshold: "100",
+        discount: "1000",
+        pointsMultiplier: "1",
+      });
+      expect(body.isBlacklisted).to.equal(false);
+    });
+
+    it("Should read the loyalty tiers once per block, with getLoyaltyTiers", async function () {
+      const { vendingMachine, proxyAddress, buyer } = await loadFixture(deployVendingMachineFixture);
+      // Records the selector of every contract call the server makes
+      const selectors = [];
+      const provider = new Proxy(ethers.provider, {
+        get(target, property) {
+          if (property === "call") {
+            return (transaction) => {
+              selectors.push(transaction.data.slice(0, 10));
+              return target.call(transaction);
+            };
+          }
+          const value = target[property];
+          return typeof value === "function" ? value.bind(target) : value;
+        },
+      });
+      await startServer(vendingMachine, proxyAddress, provider);
+
+      await get(`/users/${buyer.address}/profile`);
+      await get(`/quote?items=${COFFEE}&buyer=${buyer.address}`);
+
+      const count = (name) => selectors.filter((selector) => selector === vendingMachine.interface.getFunction(name).selector).length;
+      expect(count("getLoyaltyTiers")).to.equal(1);
+      expect(count("loyaltyTiers")).to.equal(0);
+    });
+
+    it("Should drop the tier and discount once the points expired", async function () {
+      const { vendingMachine, buyer } = await loadApi();
+      await vendingMachine.connect(buyer).purchaseItem(COFFEE, 50, ethers.ZeroAddress, { value: COFFEE_PRICE * 50n });
+      await time.increase(PURCHASE_COOLDOWN);
+      await vendingMachine.connect(buyer).purchaseItem(PROTEIN_BAR, 75, ethers.ZeroAddress, { value: PROTEIN_BAR_PRICE * 75n });
+      await time.increase((await vendingMachine.POINTS_VALIDITY()) + 1n);
+      await ethers.provider.send("evm_mine", []);
+
+      const { body } = await get(`/users/${buyer.address}/profile`);
+
+      // The contract still stores 110 points; the next purchase expires them
+      expect((await vendingMachine.userProfiles(buyer.address)).loyaltyPoints).to.equal(110);
+      expect(body).to.include({ loyaltyPoints: "0", pointsExpired: true, discountRate: "0" });
+      expect(body.loyaltyTier).to.equal(null);
+    });
+
+    it("Should have no tier below the first threshold", async function () {
+      const { otherBuyer } = await loadApi();
+
+      const { body } = await get(`/users/${otherBuyer.address}/profile`);
+
+      expect(body.loyaltyTier).to.equal(null);
+      expect(body.discountRate).to.equal("0");
+    });
+
+    it("Should reject invalid addresses", async function () {
+      await loadApi();
+
+      const { status, body } = await get("/users/0x123/profile");
+
+      expect(status).to.equal(400);
+      expect(body.error).to.equal("Not an address: 0x123");
+    });
+  });
+
+  describe("GET /quote", function () {
+    it("Should quote a single item like purchaseItem charges it", async function () {
+      const { vendingMachine, buyer } = await loadApi();
+      await vendingMachine.updateTransactionFee(250);
+
+      const { body } = await get(`/quote?items=${COFFEE}&qty=3&buyer=${buyer.address}`);
+
+      expect(body).to.include({
+        method: "purchaseItem",
+        subtotal: (COFFEE_PRICE * 3n).toString(),
+        discount: "0",
+        total: (COFFEE_PRICE * 3n).toString(),
+        fee: ((COFFEE_PRICE * 3n * 250n) / 10000n).toString(),
+        purchasable: true,
+      });
+
+      // The quote is exactly what the purchase costs.
+      await expect(
+        vendingMachine.connect(buyer).purchaseItem(COFFEE, 3, ethers.ZeroAddress, { value: body.total })
+      ).to.changeEtherBalance(buyer, -BigInt(body.total));
+    });
+
+    it("Should apply the buyer's discount per line, like bulkPurchase", async function () {
+      const { vendingMachine, buyer } = await loadApi();
+      // 50 + 50 points: Bronze, 10% off
+      await vendingMachine.connect(buyer).purchaseItem(COFFEE, 50, ethers.ZeroAddress, { value: COFFEE_PRICE * 50n });
+      await time.increase(PURCHASE_COOLDOWN);
+      await vendingMachine.connect(buyer).purchaseItem(PROTEIN_BAR, 63, ethers.ZeroAddress, { value: PROTEIN_BAR_PRICE * 63n });
+      await time.increase(PURCHASE_COOLDOWN);
+
+      const { body } = await get(`/quote?items=${PROTEIN_BAR},${ENERGY_DRINK}&qty=3,1&buyer=${buyer.address}`);
+
+      const proteinBars = calculatePrice(PROTEIN_BAR_PRICE, 3n, 10n);
+      expect(body.method).to.equal("bulkPurchase");
+      expect(body.discountRate).to.equal("10");
+      expect(body.loyaltyTier.name).to.equal("Bronze");
+      expect(body.lines[0]).to.include({ itemId: PROTEIN_BAR, cost: proteinBars.cost.toString() });
+      expect(body.purchasable).to.equal(true);
+
+      await expect(
+        vendingMachine.connect(buyer).bulkPurchase([PROTEIN_BAR, ENERGY_DRINK], [3, 1], { value: body.total })
+      ).to.changeEtherBalance(buyer, -BigInt(body.total));
+    });
+
+    it("Should apply running promotions and their caps, like bulkPurchase", async function () {
+      const { vendingMachine, buyer } = await loadApi();
+      // 20% off beverages, for 2 units per buyer
+      const startTime = (await time.latest()) + 60;
+      await vendingMachine.createPromotion({
+        startTime,
+        endTime: startTime + 3600,
+        itemId: 0,
+        maxPerUser: 2,
+        isFixed: false,
+        discount: 2000,
+        category: ethers.id("Beverages"),
+      });
+
+      const { body: before } = await get(`/quote?items=${COFFEE}&buyer=${buyer.address}`);
+      expect(before.lines[0].promotion).to.equal(null);
+
+      await time.increaseTo(startTime);
+      const { body } = await get(`/quote?items=${COFFEE},${ENERGY_DRINK}&qty=1,2&buyer=${buyer.address}`);
+      // The coffee uses one unit of the cap, one of the energy drinks the other
+      const coffeeDiscount = (COFFEE_PRICE / 5n).toString();
+      expect(body.lines[0]).to.deep.include({ discount: coffeeDiscount, promotion: { id: 0, units: "1", discount: coffeeDiscount } });
+      expect(body.lines[1].promotion).to.include({ id: 0, units: "1" });
+
+      await expect(
+        vendingMachine.connect(buyer).bulkPurchase([COFFEE, ENERGY_DRINK], [1, 2], { value: body.total })
+      ).to.changeEtherBalance(buyer, -BigInt(body.total));
+      expect(await vendingMachine.promotionRedemptions(0, buyer.address)).to.equal(2);
+    });
+
+    it("Should only count the promotional units whose discount fits under MAX_DISCOUNT, like the contract", async function () {
+      const { vendingMachine, buyer } = await loadApi();
+      // 20% off from the first point, and a 50% promotion for 4 units per buyer
+      await vendingMachine.setLoyaltyTiers([{ threshold: 1, discount: 2000, pointsMultiplier: 1 }]);
+      await vendingMachine.connect(buyer).purchaseItem(COFFEE, 1, ethers.ZeroAddress, { value: COFFEE_PRICE });
+      const startTime = (await time.latest()) + 60;
+      await vendingMachine.createPromotion({
+        startTime,
+        endTime: startTime + 3600,
+        itemId: COFFEE,
+        maxPerUser: 4,
+        isFixed: false,
+        discount: 5000,
+        category: ethers.ZeroHash,
+      });
+      await time.increaseTo(startTime);
+
+      const { body } = await get(`/quote?items=${COFFEE}&qty=4&buyer=${buyer.address}`);
+      // The cap leaves 30 of the promotion's 50 points: 1.2 units' worth, so 3 units
+      const leftOver = ((COFFEE_PRICE * 4n * 30n) / 100n).toString();
+      expect(body.lines[0].promotion).to.deep.equal({ id: 0, units: "3", discount: leftOver });
+
+      await vendingMachine.connect(buyer).purchaseItem(COFFEE, 4, ethers.ZeroAddress, { value: body.total });
+      expect(await vendingMachine.promotionRedemptions(0, buyer.address)).to.equal(3);
+    });
+
+    it("Should report why the contract would reject a purchase", async function () {
+      const { vendingMachine, buyer } = await loadApi();
+      await vendingMachine.connect(buyer).purchaseItem(COFFEE, 1, ethers.ZeroAddress, { value: COFFEE_PRICE });
+
+      const { body } = await get(`/quote?items=${COFFEE}&qty=51&buyer=${buyer.address}`);
+
+      expect(body.purchasable).to.equal(false);
+      expect(body.issues).to.deep.equal(["VM: Insufficient supply (item 0)", "VM: Purchase too frequent"]);
+    });
+
+    it("Should quote token payments across decimals, like purchaseItem charges them", async function () {
+      const { vendingMachine, owner, buyer } = await loadApi();
+      const MockERC20Factory = await ethers.getContractFactory("MockERC20");
+      const usd = await MockERC20Factory.deploy("Mock USD", "mUSD", 6);
+      const dai = await MockERC20Factory.deploy("Mock DAI", "mDAI", 18);
+      // 0.0003 ETH per mUSD from an 8-decimal feed, a fixed 0.0004 ETH per mDAI
+      const feed = await (await ethers.getContractFactory("MockAggregator")).deploy(8, 30000);
+      await vendingMachine.setPaymentToken(await usd.getAddress(), await feed.getAddress(), 0, 3600);
+      await vendingMachine.setPaymentToken(await dai.getAddress(), ethers.ZeroAddress, ethers.parseEther("0.0004"), 0);
+      await vendingMachine.updateTransactionFee(250);
+
+      const { body: usdQuote } = await get(`/quote?items=${PROTEIN_BAR}&buyer=${buyer.address}&token=${await usd.getAddress()}`);
+      // 0.0008 ETH / 0.0003 ETH, rounded up to the token's 6 decimals
+      expect(usdQuote.token).to.include({ amount: "2666667", fee: "66666", price: "30000" });
+      const { body: daiQuote } = await get(`/quote?items=${COFFEE}&qty=2&buyer=${buyer.address}&token=${await dai.getAddress()}`);
+      expect(daiQuote.token.amount).to.equal(ethers.parseEther("5").toString());
+
+      // The quote is exactly what the purchase costs.
+      await usd.mint(buyer.address, usdQuote.token.amount);
+      await usd.connect(buyer).approve(await vendingMachine.getAddress(), usdQuote.token.amount);
+      await expect(
+        vendingMachine.connect(buyer).purchaseItem(PROTEIN_BAR, 1, await usd.getAddress())
+      ).to.changeTokenBalance(usd, buyer, -BigInt(usdQuote.token.amount));
+      expect(await vendingMachine.payeeBalance(owner.address, await usd.getAddress())).to.equal(BigInt(usdQuote.token.fee));
+
+      // Stale feed answers and tokens that aren't accepted are reported like the contract's reverts
+      await time.increase(3601);
+      const { body: stale } = await get(`/quote?items=${COFFEE}&token=${await usd.getAddress()}`);
+      expect(stale.purchasable).to.equal(false);
+      expect(stale.issues).to.deep.equal(["VM: Stale price"]);
+      expect(stale.token.amount).to.equal(null);
+      const { body: unknown } = await get(`/quote?items=${COFFEE}&token=${buyer.address}`);
+      expect(unknown.issues).to.deep.equal(["VM: Token not accepted"]);
+    });
+
+    it("Should validate the query", async function () {
+      await loadApi();
+
+      expect((await get("/quote")).status).to.equal(400);
+      expect((await get("/quote?items=0,1&qty=1")).body.error).to.equal("Got 2 items but 1 quantities");
+      expect((await get("/quote?items=abc")).status).to.equal(400);
+      expect((await get("/quote?items=7")).status).to.equal(404);
+      expect((await get("/quote?items=0&token=abc")).status).to.equal(400);
+      expect((await get(`/quote?items=0,1&token=${ethers.ZeroAddress}`)).status).to.equal(400);
+    });
+  });
+
+  describe("Routing", function () {
+    it("Should answer unknown routes and methods with errors", async function () {
+      await loadApi();
+
+      expect((await get("/nope")).status).to.equal(404);
+      expect((await fetch(`${baseUrl}/items`, { method: "POST" })).status).to.equal(405);
+    });
+  });
+});
+
+// To run only this test file:
+// npx hardhat test ./test/VendingMachineApi.js
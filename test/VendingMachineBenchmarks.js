@@ -0,0 +1,106 @@
+// This file tests the gas and contract-size benchmarks (`scripts/benchmarks/benchmarks.js`): the comparison with the
+// baseline on made-up numbers, then a full run against the committed `scripts/benchmarks/baseline.json`.
+
+const { expect } = require("chai");
+
+const {
+  BYTECODE_SIZE_MARGIN,
+  DEFAULT_THRESHOLD_PERCENT,
+  MAX_BYTECODE_SIZE,
+  compareWithBaseline,
+  measureBytecodeSizes,
+  measureGas,
+  readBaseline,
+} = require("../scripts/benchmarks/benchmarks");
+
+describe("VendingMachine Benchmarks", function () {
+  const baseline = {
+    gas: { purchaseItem: 100000, "bulkPurchase/20": 1000000 },
+    bytecodeSize: { VendingMachineV2: 24000 },
+  };
+
+  function statusOf(rows, metric) {
+    return rows.find((row) => row.metric === metric).status;
+  }
+
+  describe("compareWithBaseline", function () {
+    it("Should pass results within the threshold", async function () {
+      const results = {
+        gas: { purchaseItem: 101500, "bulkPurchase/20": 1000000 },
+        bytecodeSize: { VendingMachineV2: 24000 },
+      };
+      const { rows, failures } = compareWithBaseline(results, baseline, 2);
+
+      expect(failures).to.be.empty;
+      expect(rows.map(({ status }) => status)).to.deep.equal(["ok", "ok", "ok"]);
+      expect(rows[0].change).to.equal(1.5);
+    });
+
+    it("Should fail a regression beyond the threshold", async function () {
+      const results = { ...baseline, gas: { ...baseline.gas, "bulkPurchase/20": 1030000 } };
+
+      const { rows, failures } = compareWithBaseline(results, baseline, 2);
+      expect(statusOf(rows, "bulkPurchase/20")).to.equal("regressed");
+      expect(failures).to.have.lengthOf(1);
+      expect(failures[0]).to.include("bulkPurchase/20 went from 1000000 to 1030000 (+3%");
+
+      // The same change passes a looser threshold
+      expect(compareWithBaseline(results, baseline, 5).failures).to.be.empty;
+    });
+
+    it("Should report improvements and new metrics without failing", async function () {
+      const results = {
+        gas: { ...baseline.gas, purchaseItem: 90000, "getAnalytics/10": 60000 },
+        bytecodeSize: baseline.bytecodeSize,
+      };
+      const { rows, failures } = compareWithBaseline(results, baseline);
+
+      expect(failures).to.be.empty;
+      expect(statusOf(rows, "purchaseItem")).to.equal("improved");
+      expect(statusOf(rows, "getAnalytics/10")).to.equal("new");
+    });
+
+    it("Should fail when a baseline metric isn't measured", async function () {
+      const results = { gas: { purchaseItem: 100000 }, bytecodeSize: baseline.bytecodeSize };
+
+      const { failures } = compareWithBaseline(results, baseline);
+      expect(failures).to.deep.equal(["gas bulkPurchase/20 is in the baseline but wasn't measured"]);
+    });
+
+    it("Should fail contracts above the size limit, whatever the baseline", async function () {
+      const tooLarge = MAX_BYTECODE_SIZE + 1;
+      const results = { gas: baseline.gas, bytecodeSize: { VendingMachineV2: tooLarge } };
+
+      const { failures } = compareWithBaseline(results, { ...baseline, bytecodeSize: { VendingMachineV2: tooLarge } });
+      expect(failures).to.deep.equal([
+        `VendingMachineV2 is ${tooLarge} bytes, above the ${MAX_BYTECODE_SIZE}-byte contract size limit`,
+      ]);
+    });
+
+    it("Should fail contracts within the margin of the size limit, even without growing", async function () {
+      const limit = MAX_BYTECODE_SIZE - BYTECODE_SIZE_MARGIN;
+      const atLimit = { gas: baseline.gas, bytecodeSize: { VendingMachineV2: limit } };
+      const closer = { gas: baseline.gas, bytecodeSize: { VendingMachineV2: limit + 1 } };
+
+      expect(compareWithBaseline(atLimit, atLimit).failures).to.be.empty;
+      expect(compareWithBaseline(closer, closer).failures).to.deep.equal([
+        `VendingMachineV2 is ${limit + 1} bytes, within ${BYTECODE_SIZE_MARGIN} bytes of the ${MAX_BYTECODE_SIZE}-byte contract size limit`,
+      ]);
+    });
+  });
+
+  describe("Committed baseline", function () {
+    it("Should stay within the threshold of the committed baseline", async function () {
+      // Fills the catalog up to 1000 items for `getAnalytics`
+      this.timeout(300000);
+      const results = { gas: await measureGas(), bytecodeSize: await measureBytecodeSizes() };
+      const threshold = Number(process.env.BENCHMARK_THRESHOLD || DEFAULT_THRESHOLD_PERCENT);
+
+      const { failures } = compareWithBaseline(results, readBaseline(), threshold);
+      expect(failures, "update the baseline with BENCHMARK_UPDATE=true if the change is intended").to.be.empty;
+    });
+  });
+});
+
+// To run only this test file:
+// npx hardhat test test/VendingMachineBenchmarks.js
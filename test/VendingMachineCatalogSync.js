@@ -0,0 +1,280 @@
+// This file tests the declarative catalog sync: the planner in `tasks/catalog.js` and the
+// `vm:catalog:plan` / `vm:catalog:apply` tasks that run it against a deployed machine.
+// Manifests are written to a temporary directory for each test.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+const { deployVendingMachine } = require("../scripts/deploy");
+const { buildCatalogCalls, parseCsv, planCatalogSync } = require("../tasks/catalog");
+
+// The seeded catalog, as a CSV manifest that matches the chain exactly.
+const SEEDED_CSV = [
+  "name,price,supply,maxSupply,category,imageURI,active",
+  "Premium Coffee,0.001,50,100,Beverages,ipfs://QmCoffee,true",
+  "Energy Drink,0.0015,30,50,Beverages,ipfs://QmEnergy,true",
+  "Protein Bar,0.0008,75,100,Snacks,ipfs://QmProtein,true",
+];
+
+const LIMITS = { minPrice: ethers.parseEther("0.0001"), maxPrice: ethers.parseEther("10"), maxItems: 1000n };
+
+describe("VendingMachineV2 Catalog Sync", function () {
+  const { log } = console;
+  let manifestDir;
+  beforeEach(function () {
+    console.log = () => {};
+    manifestDir = fs.mkdtempSync(path.join(os.tmpdir(), "vm-catalog-"));
+  });
+  afterEach(function () {
+    console.log = log;
+    fs.rmSync(manifestDir, { recursive: true, force: true });
+  });
+
+  function writeManifest(name, contents) {
+    const file = path.join(manifestDir, name);
+    fs.writeFileSync(file, typeof contents === "string" ? contents : JSON.stringify(contents, null, 2));
+    return file;
+  }
+
+  // --- Fixture Definition ---
+  // The owner gets OPERATOR_ROLE as well, so it can send every call a sync needs.
+  async function deployVendingMachineFixture() {
+    const [owner, otherAccount] = await ethers.getSigners();
+    const { vendingMachine, proxyAddress } = await deployVendingMachine({ owner: owner.address, deployer: owner });
+    await vendingMachine.grantRole(await vendingMachine.OPERATOR_ROLE(), owner.address);
+    return { vendingMachine, contract: proxyAddress, owner, otherAccount };
+  }
+
+  describe("Manifests", function () {
+    it("Should parse quoted CSV fields", function () {
+      const rows = parseCsv('name,category\r\n"Tea, green","Say ""hi"""\r\n\r\nCola,\n');
+
+      expect(rows).to.deep.equal([["name", "category"], ["Tea, green", 'Say "hi"'], ["Cola", ""]]);
+    });
+
+    it("Should plan nothing when the manifest matches the chain", async function () {
+      const { contract } = await loadFixture(deployVendingMachineFixture);
+      const manifest = writeManifest("catalog.csv", SEEDED_CSV.join("\n"));
+
+      const { plan, calls } = await hre.run("vm:catalog:plan", { contract, manifest });
+
+      expect(plan.errors).to.deep.equal([]);
+      expect(plan.warnings).to.deep.equal([]);
+      expect(calls).to.deep.equal([]);
+    });
+
+    it("Should read JSON manifests with defaults for maxSupply and active", async function () {
+      const { contract } = await loadFixture(deployVendingMachineFixture);
+      const manifest = writeManifest("catalog.json", {
+        items: [{ name: "Green Tea", price: "0.0012", supply: 40, category: "Beverages" }],
+      });
+
+      const { plan } = await hre.run("vm:catalog:plan", { contract, manifest });
+
+      expect(plan.additions).to.have.length(1);
+      expect(plan.additions[0]).to.include({ name: "Green Tea", id: 3, supply: 40n, maxSupply: 40n, active: true });
+      expect(plan.additions[0].price).to.equal(ethers.parseEther("0.0012"));
+    });
+  });
+
+  describe("Planning", function () {
+    it("Should compute the minimal set of calls", async function () {
+      const { vendingMachine, contract } = await loadFixture(deployVendingMachineFixture);
+      const manifest = writeManifest(
+        "catalog.csv",
+        [
+          SEEDED_CSV[0],
+          "Premium Coffee,0.0011,50,100,Beverages,ipfs://QmCoffee,true", // new price
+          "Energy Drink,0.0015,45,50,Beverages,ipfs://QmEnergy,true", // restock 30 -> 45
+          "Protein Bar,0.0008,75,100,Snacks,ipfs://QmProtein,false", // deactivate
+          "Green Tea,0.0012,40,80,Beverages,ipfs://QmGreenTea,true", // new item
+        ].join("\n")
+      );
+
+      const { plan, calls } = await hre.run("vm:catalog:plan", { contract, manifest });
+
+      expect(plan.errors).to.deep.equal([]);
+      expect(calls.map((call) => call.method)).to.deep.equal([
+        "addItem",
+        "batchUpdatePrices",
+        "batchRestockItems",
+        "batchToggleActive",
+      ]);
+      expect(calls[1].args).to.deep.equal([[0], [ethers.parseEther("0.0011")]]);
+      expect(calls[2].args).to.deep.equal([[1], [15n]]);
+      expect(calls[3].args).to.deep.equal([[2], [false]]);
+      // Planning doesn't send anything.
+      expect((await vendingMachine.items(0)).price).to.equal(ethers.parseEther("0.001"));
+    });
+
+    it("Should warn about changes the contract can't make", async function () {
+      const { contract } = await loadFixture(deployVendingMachineFixture);
+      const manifest = writeManifest(
+        "catalog.csv",
+        [SEEDED_CSV[0], "Premium Coffee,0.001,20,120,Hot Drinks,ipfs://QmCoffee2,true"].join("\n")
+      );
+
+      const { plan, calls } = await hre.run("vm:catalog:plan", { contract, manifest });
+
+      expect(calls).to.deep.equal([]);
+      expect(plan.warnings).to.have.length(4);
+      expect(plan.warnings.join("\n")).to.contain("supply can't be lowered");
+      expect(plan.warnings.join("\n")).to.contain("maxSupply can't be changed");
+    });
+
+    it("Should deactivate items missing from the manifest with --prune", async function () {
+      const { contract } = await loadFixture(deployVendingMachineFixture);
+      const manifest = writeManifest("catalog.csv", SEEDED_CSV.slice(0, 2).join("\n"));
+
+      const { calls: withoutPrune } = await hre.run("vm:catalog:plan", { contract, manifest });
+      const { calls: withPrune } = await hre.run("vm:catalog:plan", { contract, manifest, prune: true });
+
+      expect(withoutPrune).to.deep.equal([]);
+      expect(withPrune.map((call) => call.args)).to.deep.equal([[[1, 2], [false, false]]]);
+    });
+
+    it("Should match names the way vm:items:* tasks do, ignoring case", async function () {
+      const { contract } = await loadFixture(deployVendingMachineFixture);
+      const manifest = writeManifest(
+        "catalog.csv",
+        [SEEDED_CSV[0], "premium coffee,0.001,50,100,Beverages,ipfs://QmCoffee,true", ...SEEDED_CSV.slice(2)].join("\n")
+      );
+
+      const { plan, calls } = await hre.run("vm:catalog:plan", { contract, manifest, prune: true });
+
+      expect(plan.errors).to.deep.equal([]);
+      expect(plan.additions).to.deep.equal([]);
+      expect(calls).to.deep.equal([]);
+      expect(plan.warnings).to.deep.equal([`"premium coffee": name can't be changed on-chain (stays "Premium Coffee")`]);
+    });
+
+    it("Should report names that only differ by case as duplicates", function () {
+      const entry = { price: "0.001", supply: 1n, maxSupply: 1n, category: "", imageURI: "", active: true };
+      const manifest = [
+        { ...entry, line: "line 2", name: "Cola" },
+        { ...entry, line: "line 3", name: "cola" },
+      ];
+
+      const plan = planCatalogSync(manifest, [], LIMITS);
+
+      expect(plan.errors).to.deep.equal(['line 3: "cola" appears more than once in the manifest']);
+    });
+
+    it("Should chunk price updates by 50 and restocks by 100", function () {
+      const items = Array.from({ length: 120 }, (_, id) => ({
+        id,
+        name: `Item ${id}`,
+        price: ethers.parseEther("0.001"),
+        supply: 0n,
+        maxSupply: 10n,
+        category: "",
+        imageURI: "",
+        isActive: true,
+      }));
+      const manifest = items.map((item) => ({
+        line: item.name,
+        name: item.name,
+        price: "0.002",
+        supply: 10n,
+        maxSupply: 10n,
+        category: "",
+        imageURI: "",
+        active: true,
+      }));
+
+      const calls = buildCatalogCalls(planCatalogSync(manifest, items, LIMITS));
+
+      expect(calls.map((call) => [call.method, call.args[0].length])).to.deep.equal([
+        ["batchUpdatePrices", 50],
+        ["batchUpdatePrices", 50],
+        ["batchUpdatePrices", 20],
+        ["batchRestockItems", 100],
+        ["batchRestockItems", 20],
+      ]);
+    });
+
+    it("Should validate prices, supplies, duplicates and MAX_ITEMS", function () {
+      const entry = { line: "", price: "0.001", supply: 1n, maxSupply: 1n, category: "", imageURI: "", active: true };
+      const manifest = [
+        { ...entry, line: "line 2", name: "Too Cheap", price: "0.00001" },
+        { ...entry, line: "line 3", name: "Too Expensive", price: "11" },
+        { ...entry, line: "line 4", name: "Overstocked", supply: 5n },
+        { ...entry, line: "line 5", name: "Twice" },
+        { ...entry, line: "line 6", name: "Twice" },
+        { ...entry, line: "line 7", name: "One Too Many" },
+      ];
+
+      const plan = planCatalogSync(manifest, [], { ...LIMITS, maxItems: 1n });
+
+      expect(plan.errors).to.have.length(5);
+      expect(plan.errors[0]).to.contain("line 2: price 0.00001 ETH");
+      expect(plan.errors[1]).to.contain("line 3: price 11 ETH");
+      expect(plan.errors[2]).to.contain("line 4: supply 5");
+      expect(plan.errors[3]).to.contain("line 6: \"Twice\" appears more than once");
+      expect(plan.errors[4]).to.contain("would exceed MAX_ITEMS (1)");
+    });
+  });
+
+  describe("Applying", function () {
+    it("Should apply the plan and be idempotent", async function () {
+      const { vendingMachine, contract } = await loadFixture(deployVendingMachineFixture);
+      const manifest = writeManifest(
+        "catalog.csv",
+        [
+          SEEDED_CSV[0],
+          "Premium Coffee,0.0011,50,100,Beverages,ipfs://QmCoffee,true",
+          "Energy Drink,0.0015,45,50,Beverages,ipfs://QmEnergy,true",
+          "Protein Bar,0.0008,75,100,Snacks,ipfs://QmProtein,true",
+          '"Tea, Green",0.0012,40,80,Beverages,ipfs://QmGreenTea,false',
+        ].join("\n")
+      );
+
+      const receipts = await hre.run("vm:catalog:apply", { contract, manifest, yes: true });
+
+      expect(receipts).to.have.length(4);
+      expect((await vendingMachine.items(0)).price).to.equal(ethers.parseEther("0.0011"));
+      expect((await vendingMachine.items(1)).supply).to.equal(45n);
+      const greenTea = await vendingMachine.items(3);
+      expect(greenTea.name).to.equal("Tea, Green");
+      expect(greenTea.isActive).to.equal(false);
+
+      const { calls } = await hre.run("vm:catalog:plan", { contract, manifest });
+      expect(calls).to.deep.equal([]);
+      expect(await hre.run("vm:catalog:apply", { contract, manifest, yes: true })).to.deep.equal([]);
+    });
+
+    it("Should not send anything when the manifest has errors", async function () {
+      const { vendingMachine, contract } = await loadFixture(deployVendingMachineFixture);
+      const manifest = writeManifest(
+        "catalog.csv",
+        [SEEDED_CSV[0], "Premium Coffee,0.0011,50,100,Beverages,ipfs://QmCoffee,true", "Gold Bar,20,1,1,,,"].join("\n")
+      );
+
+      await expect(hre.run("vm:catalog:apply", { contract, manifest, yes: true })).to.be.rejectedWith(
+        "The manifest has 1 error(s), nothing was sent"
+      );
+      expect((await vendingMachine.items(0)).price).to.equal(ethers.parseEther("0.001"));
+    });
+
+    it("Should check every role the plan needs before sending anything", async function () {
+      const { vendingMachine, contract, otherAccount } = await loadFixture(deployVendingMachineFixture);
+      await vendingMachine.grantRole(await vendingMachine.ADMIN_ROLE(), otherAccount.address);
+      const manifest = writeManifest(
+        "catalog.csv",
+        [SEEDED_CSV[0], "Premium Coffee,0.0011,60,100,Beverages,ipfs://QmCoffee,true"].join("\n")
+      );
+
+      // `otherAccount` may update prices (ADMIN_ROLE) but not restock (OPERATOR_ROLE).
+      await expect(
+        hre.run("vm:catalog:apply", { contract, manifest, from: otherAccount.address, yes: true })
+      ).to.be.rejectedWith("doesn't have OPERATOR_ROLE");
+      expect((await vendingMachine.items(0)).price).to.equal(ethers.parseEther("0.001"));
+    });
+  });
+});
+
+// To run only this test file:
+// npx hardhat test ./test/VendingMachineCatalogSync.js
@@ -0,0 +1,124 @@
+// This file tests the Hardhat Ignition modules for `VendingMachineV2`:
+// `ignition/modules/VendingMachine.js` (deploy + configure) and `ignition/modules/VendingMachineUpgrade.js` (upgrade).
+// `ignition.deploy(...)` runs a module against the in-process Hardhat Network, exactly like `npx hardhat ignition deploy`.
+
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+const VendingMachineModule = require("../ignition/modules/VendingMachine");
+const VendingMachineUpgradeModule = require("../ignition/modules/VendingMachineUpgrade");
+const { SEEDED_ITEMS, getImplementationAddress } = require("../scripts/deploy");
+const localParameters = require("../ignition/parameters/hardhat.json").VendingMachineModule;
+
+describe("VendingMachineV2 Ignition Modules", function () {
+  // --- Fixture Definition ---
+  // Deploys the machine with the committed local parameters (`ignition/parameters/hardhat.json`).
+  async function deployWithIgnitionFixture() {
+    const [owner, otherAccount] = await ethers.getSigners();
+    const { vendingMachine, implementation, setup } = await ignition.deploy(VendingMachineModule, {
+      parameters: { VendingMachineModule: localParameters },
+    });
+    return { vendingMachine, implementation, setup, owner, otherAccount };
+  }
+
+  describe("VendingMachineModule", function () {
+    it("Should initialize the proxy with the deploying account as owner", async function () {
+      const { vendingMachine, implementation, owner } = await loadFixture(deployWithIgnitionFixture);
+
+      expect(await getImplementationAddress(await vendingMachine.getAddress())).to.equal(await implementation.getAddress());
+      expect(await vendingMachine.hasRole(await vendingMachine.DEFAULT_ADMIN_ROLE(), owner.address)).to.equal(true);
+      expect(await vendingMachine.hasRole(await vendingMachine.ADMIN_ROLE(), owner.address)).to.equal(true);
+      expect(await vendingMachine.hasRole(await vendingMachine.UPGRADER_ROLE(), owner.address)).to.equal(true);
+      expect(await vendingMachine.feeRecipient()).to.equal(owner.address);
+    });
+
+    it("Should grant OPERATOR_ROLE to every configured operator", async function () {
+      const { vendingMachine } = await loadFixture(deployWithIgnitionFixture);
+      const operatorRole = await vendingMachine.OPERATOR_ROLE();
+
+      for (const operator of localParameters.operators) {
+        expect(await vendingMachine.hasRole(operatorRole, operator)).to.equal(true);
+      }
+    });
+
+    it("Should apply the transaction fee and purchase limits", async function () {
+      const { vendingMachine } = await loadFixture(deployWithIgnitionFixture);
+
+      expect(await vendingMachine.transactionFee()).to.equal(BigInt(localParameters.transactionFee));
+      expect(await vendingMachine.minPurchaseAmount()).to.equal(ethers.parseEther("0.0001"));
+      expect(await vendingMachine.maxPurchaseAmount()).to.equal(ethers.parseEther("2"));
+    });
+
+    it("Should add the catalog after the seeded items", async function () {
+      const { vendingMachine } = await loadFixture(deployWithIgnitionFixture);
+
+      for (const [index, entry] of localParameters.catalog.entries()) {
+        const item = await vendingMachine.items(SEEDED_ITEMS.length + index);
+        expect(item.name).to.equal(entry.name);
+        expect(item.price).to.equal(BigInt(entry.price));
+        expect(item.supply).to.equal(BigInt(entry.supply));
+        expect(item.maxSupply).to.equal(BigInt(entry.maxSupply));
+        expect(item.category).to.equal(entry.category);
+      }
+    });
+
+    it("Should leave VendingMachineSetup without roles, and only let its deployer use it", async function () {
+      const { vendingMachine, setup, otherAccount } = await loadFixture(deployWithIgnitionFixture);
+      const setupAddress = await setup.getAddress();
+
+      expect(await vendingMachine.hasRole(await vendingMachine.DEFAULT_ADMIN_ROLE(), setupAddress)).to.equal(false);
+      expect(await vendingMachine.hasRole(await vendingMachine.ADMIN_ROLE(), setupAddress)).to.equal(false);
+      await expect(
+        setup.connect(otherAccount).configure(await vendingMachine.getAddress(), [otherAccount.address], [])
+      ).to.be.revertedWith("VM: Not the setup deployer");
+    });
+
+    it("Should deploy without operators or catalog", async function () {
+      const { vendingMachine } = await ignition.deploy(VendingMachineModule, {
+        parameters: { VendingMachineModule: { transactionFee: 50 } },
+      });
+
+      expect((await vendingMachine.getAnalytics()).totalItems).to.equal(BigInt(SEEDED_ITEMS.length));
+      expect(await vendingMachine.transactionFee()).to.equal(50n);
+    });
+  });
+
+  describe("VendingMachineUpgradeModule", function () {
+    it("Should point the proxy at a new implementation and keep its state", async function () {
+      const { vendingMachine, implementation } = await loadFixture(deployWithIgnitionFixture);
+      const proxyAddress = await vendingMachine.getAddress();
+
+      const upgraded = await ignition.deploy(VendingMachineUpgradeModule, {
+        parameters: { VendingMachineUpgradeModule: { proxyAddress } },
+      });
+
+      const newImplementationAddress = await upgraded.implementation.getAddress();
+      expect(newImplementationAddress).to.not.equal(await implementation.getAddress());
+      expect(await getImplementationAddress(proxyAddress)).to.equal(newImplementationAddress);
+      expect(await upgraded.vendingMachine.getAddress()).to.equal(proxyAddress);
+      expect((await vendingMachine.items(0)).name).to.equal(SEEDED_ITEMS[0]);
+      expect(await vendingMachine.transactionFee()).to.equal(BigInt(localParameters.transactionFee));
+    });
+
+    it("Should fail when the sender doesn't have UPGRADER_ROLE", async function () {
+      const { vendingMachine, otherAccount } = await loadFixture(deployWithIgnitionFixture);
+      const proxyAddress = await vendingMachine.getAddress();
+
+      let failure;
+      try {
+        await ignition.deploy(VendingMachineUpgradeModule, {
+          parameters: { VendingMachineUpgradeModule: { proxyAddress } },
+          defaultSender: otherAccount.address,
+        });
+      } catch (error) {
+        failure = error;
+      }
+
+      expect(failure, "the upgrade should have been rejected").to.not.equal(undefined);
+      expect(failure.message).to.contain("upgradeToAndCall");
+    });
+  });
+});
+
+// To run only this test file:
+// npx hardhat test ./test/VendingMachineIgnition.js
@@ -0,0 +1,293 @@
+// This file tests the event indexer in `indexer/` against the local Hardhat node: backfilling, incremental syncs,
+// reorg handling, the JSON store, following new blocks, and the analytics queries.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadFixture, mine, takeSnapshot, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+const { createIndexer } = require("../indexer/indexer");
+const queries = require("../indexer/queries");
+const { createJsonStore } = require("../indexer/store");
+const { deployVendingMachine } = require("../scripts/deploy");
+
+const COFFEE = 0; // "Premium Coffee", 0.001 ETH, "Beverages"
+const ENERGY_DRINK = 1; // "Energy Drink", 0.0015 ETH, "Beverages"
+const PROTEIN_BAR = 2; // "Protein Bar", 0.0008 ETH, "Snacks"
+const COFFEE_PRICE = ethers.parseEther("0.001");
+const ENERGY_DRINK_PRICE = ethers.parseEther("0.0015");
+const PROTEIN_BAR_PRICE = ethers.parseEther("0.0008");
+
+// Unix timestamp of a UTC date and time.
+function utc(year, month, day, hour = 12) {
+  return Date.UTC(year, month - 1, day, hour) / 1000;
+}
+
+describe("VendingMachineV2 Event Indexer", function () {
+  // --- Fixture Definition ---
+  async function deployVendingMachineFixture() {
+    const [owner, buyer, otherBuyer] = await ethers.getSigners();
+    const { vendingMachine, proxyAddress } = await deployVendingMachine({ owner: owner.address, deployer: owner });
+    await vendingMachine.grantRole(await vendingMachine.OPERATOR_ROLE(), owner.address);
+    return { vendingMachine, proxyAddress, owner, buyer, otherBuyer };
+  }
+
+  // An indexer with an in-memory store, unless a store is given.
+  function indexerFor(vendingMachine, proxyAddress, options = {}) {
+    return createIndexer({
+      provider: ethers.provider,
+      address: proxyAddress,
+      abi: vendingMachine.interface,
+      store: createJsonStore(proxyAddress),
+      ...options,
+    });
+  }
+
+  function buy(vendingMachine, signer, itemId, quantity, price) {
+    return vendingMachine
+      .connect(signer)
+      .purchaseItem(itemId, quantity, ethers.ZeroAddress, { value: price * BigInt(quantity) });
+  }
+
+  function eventNames(indexer) {
+    return indexer.events.map((event) => event.name);
+  }
+
+  describe("Syncing", function () {
+    it("Should backfill every indexed event type", async function () {
+      const { vendingMachine, proxyAddress, owner, buyer } = await loadFixture(deployVendingMachineFixture);
+      await buy(vendingMachine, buyer, COFFEE, 2, COFFEE_PRICE);
+      await vendingMachine.restockItem(COFFEE, 2);
+      await vendingMachine.blacklistUser(owner.address, true);
+      await vendingMachine.updateTransactionFee(100);
+      await vendingMachine.emergencyWithdraw(ethers.parseEther("0.001"), ethers.ZeroAddress);
+
+      const indexer = indexerFor(vendingMachine, proxyAddress);
+      const { newEvents, reorg } = await indexer.sync();
+
+      expect(reorg).to.equal(null);
+      expect(newEvents).to.equal(9);
+      expect(eventNames(indexer)).to.deep.equal([
+        "ItemAdded", // the seeded items, emitted by `initialize`
+        "ItemAdded",
+        "ItemAdded",
+        "ItemPurchased",
+        "LoyaltyPointsEarned",
+        "ItemRestocked",
+        "UserBlacklisted",
+        "FeeUpdated",
+        "EmergencyWithdrawal",
+      ]);
+      const purchase = indexer.events[3];
+      expect(purchase.args).to.deep.equal({
+        buyer: buyer.address,
+        itemId: "0",
+        itemName: "Premium Coffee",
+        quantity: "2",
+        totalPaid: (COFFEE_PRICE * 2n).toString(),
+        loyaltyPointsEarned: "2",
+      });
+      expect(purchase.timestamp).to.be.a("number");
+    });
+
+    it("Should only add new events on the next sync", async function () {
+      const { vendingMachine, proxyAddress, buyer } = await loadFixture(deployVendingMachineFixture);
+      const indexer = indexerFor(vendingMachine, proxyAddress);
+      await indexer.sync();
+
+      expect((await indexer.sync()).newEvents).to.equal(0);
+
+      await buy(vendingMachine, buyer, COFFEE, 1, COFFEE_PRICE);
+      const { newEvents } = await indexer.sync();
+
+      expect(newEvents).to.equal(2);
+      expect(eventNames(indexer).filter((name) => name === "ItemPurchased")).to.have.length(1);
+    });
+
+    it("Should index in batches of blocks", async function () {
+      const { vendingMachine, proxyAddress, buyer } = await loadFixture(deployVendingMachineFixture);
+      await mine(10);
+      await buy(vendingMachine, buyer, COFFEE, 1, COFFEE_PRICE);
+
+      const batched = indexerFor(vendingMachine, proxyAddress, { batchSize: 3 });
+      const whole = indexerFor(vendingMachine, proxyAddress);
+      await batched.sync();
+      await whole.sync();
+
+      expect(batched.events).to.deep.equal(whole.events);
+    });
+
+    it("Should ignore other contracts", async function () {
+      const { vendingMachine, proxyAddress, owner } = await loadFixture(deployVendingMachineFixture);
+      const { vendingMachine: otherMachine } = await deployVendingMachine({ owner: owner.address, deployer: owner });
+      await otherMachine.updateTransactionFee(100);
+
+      const indexer = indexerFor(vendingMachine, proxyAddress);
+      await indexer.sync();
+
+      expect(eventNames(indexer)).to.not.include("FeeUpdated");
+    });
+  });
+
+  describe("Reorgs", function () {
+    it("Should drop events from blocks that are no longer canonical", async function () {
+      const { vendingMachine, proxyAddress, buyer, otherBuyer } = await loadFixture(deployVendingMachineFixture);
+      const indexer = indexerFor(vendingMachine, proxyAddress);
+      await indexer.sync();
+      const beforeFork = await takeSnapshot();
+
+      // This purchase gets indexed, then disappears in a reorg.
+      await buy(vendingMachine, buyer, COFFEE, 1, COFFEE_PRICE);
+      await mine(2);
+      await indexer.sync();
+      expect(queries.uniqueBuyers(indexer.events)).to.deep.equal([buyer.address]);
+
+      // The other branch: a different purchase and a longer chain.
+      await beforeFork.restore();
+      await buy(vendingMachine, otherBuyer, PROTEIN_BAR, 3, PROTEIN_BAR_PRICE);
+      await mine(5);
+      const { reorg, newEvents } = await indexer.sync();
+
+      expect(reorg.droppedEvents).to.equal(2);
+      expect(newEvents).to.equal(2);
+      expect(queries.uniqueBuyers(indexer.events)).to.deep.equal([otherBuyer.address]);
+      for (const event of indexer.events) {
+        expect((await ethers.provider.getBlock(event.blockNumber)).hash).to.equal(event.blockHash);
+      }
+    });
+
+    it("Should handle a reorg to a shorter chain", async function () {
+      const { vendingMachine, proxyAddress, buyer } = await loadFixture(deployVendingMachineFixture);
+      const indexer = indexerFor(vendingMachine, proxyAddress);
+      await indexer.sync();
+      const beforeFork = await takeSnapshot();
+
+      await buy(vendingMachine, buyer, COFFEE, 1, COFFEE_PRICE);
+      await mine(10);
+      await indexer.sync();
+
+      await beforeFork.restore();
+      const { reorg } = await indexer.sync();
+
+      expect(reorg.droppedEvents).to.equal(2);
+      expect(eventNames(indexer)).to.not.include("ItemPurchased");
+    });
+  });
+
+  describe("Store", function () {
+    let storeDir;
+    beforeEach(function () {
+      storeDir = fs.mkdtempSync(path.join(os.tmpdir(), "vm-indexer-"));
+    });
+    afterEach(function () {
+      fs.rmSync(storeDir, { recursive: true, force: true });
+    });
+
+    it("Should persist the events and resume from the last indexed block", async function () {
+      const { vendingMachine, proxyAddress, buyer } = await loadFixture(deployVendingMachineFixture);
+      const file = path.join(storeDir, "store.json");
+      await buy(vendingMachine, buyer, COFFEE, 1, COFFEE_PRICE);
+      await indexerFor(vendingMachine, proxyAddress, { store: createJsonStore(proxyAddress, file) }).sync();
+
+      const reopened = indexerFor(vendingMachine, proxyAddress, { store: createJsonStore(proxyAddress, file) });
+      expect(reopened.events).to.have.length(5);
+      expect((await reopened.sync()).newEvents).to.equal(0);
+    });
+
+    it("Should refuse a store that belongs to another contract", async function () {
+      const { proxyAddress, buyer } = await loadFixture(deployVendingMachineFixture);
+      const file = path.join(storeDir, "store.json");
+      createJsonStore(proxyAddress, file).save();
+
+      expect(() => createJsonStore(buyer.address, file)).to.throw(`indexes ${proxyAddress}`);
+    });
+  });
+
+  describe("Following", function () {
+    it("Should pick up new events until stopped", async function () {
+      const { vendingMachine, proxyAddress, buyer } = await loadFixture(deployVendingMachineFixture);
+      const indexer = indexerFor(vendingMachine, proxyAddress);
+      let syncs = 0;
+      const following = indexer.follow({ pollInterval: 20, onSync: () => syncs++ });
+
+      await buy(vendingMachine, buyer, COFFEE, 1, COFFEE_PRICE);
+      while (!eventNames(indexer).includes("ItemPurchased")) {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+      }
+      await following.stop();
+      const syncsWhenStopped = syncs;
+      await new Promise((resolve) => setTimeout(resolve, 100));
+
+      expect(syncs).to.equal(syncsWhenStopped);
+    });
+  });
+
+  describe("Queries", function () {
+    // Purchases across a month boundary that `block.timestamp / 30 days` would not split the same way.
+    async function salesFixture() {
+      const fixture = await deployVendingMachineFixture();
+      const { vendingMachine, buyer, otherBuyer } = fixture;
+
+      await time.increaseTo(utc(2030, 1, 31, 10));
+      await buy(vendingMachine, buyer, COFFEE, 2, COFFEE_PRICE);
+      await buy(vendingMachine, otherBuyer, PROTEIN_BAR, 5, PROTEIN_BAR_PRICE);
+      await time.increaseTo(utc(2030, 2, 1, 10));
+      await buy(vendingMachine, buyer, ENERGY_DRINK, 4, ENERGY_DRINK_PRICE);
+      await vendingMachine.addItem("Green Tea", ethers.parseEther("0.0012"), 40, 80, "Tea", "");
+      await time.increaseTo(utc(2030, 3, 15));
+      await buy(vendingMachine, otherBuyer, 3, 1, ethers.parseEther("0.0012"));
+
+      const indexer = indexerFor(vendingMachine, fixture.proxyAddress);
+      await indexer.sync();
+      return { ...fixture, events: indexer.events };
+    }
+
+    it("Should count unique buyers", async function () {
+      const { events, buyer, otherBuyer } = await loadFixture(salesFixture);
+
+      expect(queries.uniqueBuyers(events)).to.deep.equal([buyer.address, otherBuyer.address].sort());
+    });
+
+    it("Should bucket revenue by calendar month", async function () {
+      const { events } = await loadFixture(salesFixture);
+
+      expect(queries.monthlyRevenue(events)).to.deep.equal([
+        { month: "2030-01", revenue: COFFEE_PRICE * 2n + PROTEIN_BAR_PRICE * 5n, purchases: 2 },
+        { month: "2030-02", revenue: ENERGY_DRINK_PRICE * 4n, purchases: 1 },
+        { month: "2030-03", revenue: ethers.parseEther("0.0012"), purchases: 1 },
+      ]);
+    });
+
+    it("Should report sales per item and per category", async function () {
+      const { events } = await loadFixture(salesFixture);
+
+      expect(queries.salesByItem(events).map(({ itemId, name, quantity }) => [itemId, name, quantity])).to.deep.equal([
+        [COFFEE, "Premium Coffee", 2n],
+        [ENERGY_DRINK, "Energy Drink", 4n],
+        [PROTEIN_BAR, "Protein Bar", 5n],
+        [3, "Green Tea", 1n],
+      ]);
+      expect(queries.salesByCategory(events)).to.deep.equal([
+        { category: "Beverages", quantity: 6n, revenue: COFFEE_PRICE * 2n + ENERGY_DRINK_PRICE * 4n },
+        { category: "Snacks", quantity: 5n, revenue: PROTEIN_BAR_PRICE * 5n },
+        { category: "Tea", quantity: 1n, revenue: ethers.parseEther("0.0012") },
+      ]);
+    });
+
+    it("Should rank the top customers by amount spent", async function () {
+      const { events, buyer, otherBuyer } = await loadFixture(salesFixture);
+
+      const top = queries.topCustomers(events);
+      expect(top.map(({ buyer: address, purchases }) => [address, purchases])).to.deep.equal([
+        [buyer.address, 2],
+        [otherBuyer.address, 2],
+      ]);
+      expect(top[0].spent).to.equal(COFFEE_PRICE * 2n + ENERGY_DRINK_PRICE * 4n);
+      expect(queries.topCustomers(events, 1)).to.have.length(1);
+    });
+  });
+});
+
+// To run only this test file:
+// npx hardhat test ./test/VendingMachineIndexer.js
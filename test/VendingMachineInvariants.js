@@ -0,0 +1,69 @@
+// This file runs the invariant harness from `scripts/invariants/harness.js` as part of `npm test`.
+// It checks a few fixed seeds (so a failure here is always reproducible) and that the shrinker reduces a failing
+// sequence to a minimal, replayable one. For longer random campaigns use `npx hardhat run scripts/invariants/run.js`.
+
+const { expect } = require("chai");
+
+const {
+  formatReplayScript,
+  generateSequence,
+  runSequence,
+  setupHarness,
+  shrinkSequence,
+} = require("../scripts/invariants/harness");
+
+const SEEDS = [1, 2, 3, 4];
+const STEPS = 40;
+
+describe("VendingMachineV2 Invariants", function () {
+  // Every step is a transaction plus a full state read; give the sequences room.
+  this.timeout(300000);
+
+  let context;
+  before(async function () {
+    context = await setupHarness();
+  });
+
+  it("Should generate the same sequence for the same seed", function () {
+    expect(generateSequence(7, STEPS)).to.deep.equal(generateSequence(7, STEPS));
+    expect(generateSequence(7, STEPS)).to.not.deep.equal(generateSequence(8, STEPS));
+  });
+
+  for (const seed of SEEDS) {
+    it(`Should keep the accounting invariants for seed ${seed}`, async function () {
+      const sequence = generateSequence(seed, STEPS);
+      const { failure, reverts } = await runSequence(context, sequence);
+
+      expect(failure, failure && failure.message).to.equal(undefined);
+      // A sequence where everything reverts wouldn't test much.
+      expect(reverts).to.be.lessThan(STEPS);
+    });
+  }
+
+  it("Should shrink a failing sequence to a minimal reproduction", async function () {
+    // A deliberately wrong invariant: it breaks as soon as a third item has been sold.
+    const invariants = {
+      async fewerThanThreeItemsSold({ totalItemsSold }) {
+        if (totalItemsSold >= 3n) return `totalItemsSold is ${totalItemsSold}`;
+      },
+    };
+    const sequence = [
+      { type: "warp", seconds: 3600 },
+      { type: "purchaseItem", from: 2, itemId: 0, quantity: 1 },
+      { type: "updateTransactionFee", from: 0, fee: 100 },
+      { type: "purchaseItem", from: 3, itemId: 1, quantity: 1 },
+      { type: "purchaseItem", from: 4, itemId: 2, quantity: 5 },
+      { type: "warp", seconds: 61 },
+      { type: "purchaseItem", from: 2, itemId: 0, quantity: 1 },
+    ];
+
+    const { sequence: shrunk, failure } = await shrinkSequence(context, sequence, invariants);
+
+    expect(shrunk).to.deep.equal([{ type: "purchaseItem", from: 4, itemId: 2, quantity: 5 }]);
+    expect(failure.invariant).to.equal("fewerThanThreeItemsSold");
+    expect(formatReplayScript(shrunk, failure)).to.contain('"type": "purchaseItem"');
+  });
+});
+
+// To run only this test file:
+// npx hardhat test ./test/VendingMachineInvariants.js
@@ -0,0 +1,405 @@
+// This file tests signed purchases: the client helpers in `relayer/client.js` against both signed schemes
+// (`eth_sign` and EIP-712), and the relayer in `relayer/server.js`, queried with `fetch` like a wallet would.
+
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+const {
+  nextNonce,
+  purchaseDomain,
+  purchaseHash,
+  signBulkPurchase,
+  signPurchase,
+  signTypedPurchase,
+  typedPurchaseCall,
+} = require("../relayer/client");
+const { createRelayer } = require("../relayer/server");
+const { deployVendingMachine } = require("../scripts/deploy");
+
+const COFFEE = 0; // "Premium Coffee", 0.001 ETH, supply 50
+const ENERGY_DRINK = 1; // "Energy Drink", 0.0015 ETH, supply 30
+const PROTEIN_BAR = 2; // "Protein Bar", 0.0008 ETH, supply 75
+const COFFEE_PRICE = ethers.parseEther("0.001");
+const ENERGY_DRINK_PRICE = ethers.parseEther("0.0015");
+const PROTEIN_BAR_PRICE = ethers.parseEther("0.0008");
+const SIGNED_PURCHASE = "purchaseItem(uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)";
+const SIGNED_BULK_PURCHASE = "bulkPurchase(uint256[],uint256[],uint256,bytes32,uint8,bytes32,bytes32)";
+
+describe("VendingMachineV2 signed purchases", function () {
+  // --- Fixture Definition ---
+  async function deployVendingMachineFixture() {
+    const [owner, buyer, relayer, otherBuyer] = await ethers.getSigners();
+    const { vendingMachine, proxyAddress } = await deployVendingMachine({ owner: owner.address, deployer: owner });
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = purchaseDomain(chainId, proxyAddress);
+    return { vendingMachine, proxyAddress, domain, owner, buyer, relayer, otherBuyer };
+  }
+
+  // Submits a signed intent the way the relayer does, from `sender`.
+  async function submitTyped(vendingMachine, sender, intent, value) {
+    const { method, args } = typedPurchaseCall(intent);
+    return vendingMachine.connect(sender).getFunction(method)(...args, { value });
+  }
+
+  describe("eth_sign client", function () {
+    it("Should sign a purchase the signed purchaseItem accepts, with the next nonce", async function () {
+      const { vendingMachine, buyer } = await loadFixture(deployVendingMachineFixture);
+      const nonce = await nextNonce(vendingMachine, buyer.address);
+      const signed = await signPurchase(buyer, { itemId: COFFEE, quantity: 2, nonce });
+
+      expect(nonce).to.equal(1n);
+      expect(signed.hash).to.equal(
+        ethers.keccak256(
+          ethers.AbiCoder.defaultAbiCoder().encode(["uint256", "uint256", "uint256"], [COFFEE, 2, nonce])
+        )
+      );
+      await expect(
+        vendingMachine
+          .connect(buyer)
+          [SIGNED_PURCHASE](COFFEE, 2, nonce, signed.hash, signed.v, signed.r, signed.s, { value: COFFEE_PRICE * 2n })
+      )
+        .to.emit(vendingMachine, "NonceUsed")
+        .withArgs(buyer.address, nonce);
+      expect(await nextNonce(vendingMachine, buyer.address)).to.equal(2n);
+    });
+
+    it("Should sign a bulk purchase the signed bulkPurchase accepts", async function () {
+      const { vendingMachine, buyer } = await loadFixture(deployVendingMachineFixture);
+      const purchase = { itemIds: [COFFEE, ENERGY_DRINK], quantities: [1, 2], nonce: 1n };
+      const { hash, v, r, s } = await signBulkPurchase(buyer, purchase);
+
+      await vendingMachine
+        .connect(buyer)
+        [SIGNED_BULK_PURCHASE](purchase.itemIds, purchase.quantities, purchase.nonce, hash, v, r, s, {
+          value: COFFEE_PRICE + ENERGY_DRINK_PRICE * 2n,
+        });
+
+      expect((await vendingMachine.userProfiles(buyer.address)).totalPurchases).to.equal(3);
+    });
+
+    it("Should hash differently when the payload changes", async function () {
+      expect(purchaseHash(COFFEE, 1, 1)).to.not.equal(purchaseHash(COFFEE, 2, 1));
+      expect(purchaseHash(COFFEE, 1, 1)).to.not.equal(purchaseHash(COFFEE, 1, 2));
+    });
+  });
+
+  describe("EIP-712 purchaseItemFor / bulkPurchaseFor", function () {
+    it("Should buy for the signer while the sender pays", async function () {
+      const { vendingMachine, domain, buyer, relayer } = await loadFixture(deployVendingMachineFixture);
+      const intent = await signTypedPurchase(buyer, domain, { itemId: COFFEE, quantity: 3, nonce: 1n });
+
+      const tx = submitTyped(vendingMachine, relayer, intent, COFFEE_PRICE * 3n);
+
+      await expect(tx)
+        .to.emit(vendingMachine, "ItemPurchased")
+        .withArgs(buyer.address, COFFEE, "Premium Coffee", 3, COFFEE_PRICE * 3n, 3);
+      await expect(tx).to.changeEtherBalances([relayer, buyer], [-COFFEE_PRICE * 3n, 0]);
+      expect((await vendingMachine.userProfiles(buyer.address)).totalPurchases).to.equal(3);
+      expect((await vendingMachine.userProfiles(relayer.address)).totalPurchases).to.equal(0);
+      expect(await vendingMachine.nonces(buyer.address)).to.equal(1);
+      // The rate limit applies to the buyer, not to the relayer.
+      expect(await vendingMachine.lastPurchaseTime(buyer.address)).to.be.greaterThan(0);
+      expect(await vendingMachine.lastPurchaseTime(relayer.address)).to.equal(0);
+    });
+
+    it("Should relay a bulk purchase", async function () {
+      const { vendingMachine, domain, buyer, relayer } = await loadFixture(deployVendingMachineFixture);
+      const intent = await signTypedPurchase(buyer, domain, {
+        itemIds: [COFFEE, ENERGY_DRINK],
+        quantities: [2, 1],
+        nonce: 1n,
+      });
+
+      await submitTyped(vendingMachine, relayer, intent, COFFEE_PRICE * 2n + ENERGY_DRINK_PRICE);
+
+      expect((await vendingMachine.userProfiles(buyer.address)).totalPurchases).to.equal(3);
+      expect(await vendingMachine.nonces(buyer.address)).to.equal(1);
+    });
+
+    it("Should REVERT a replayed intent", async function () {
+      const { vendingMachine, domain, buyer, relayer } = await loadFixture(deployVendingMachineFixture);
+      const intent = await signTypedPurchase(buyer, domain, { itemId: COFFEE, quantity: 1, nonce: 1n });
+      await submitTyped(vendingMachine, relayer, intent, COFFEE_PRICE);
+      await time.increase(60);
+
+      await expect(submitTyped(vendingMachine, relayer, intent, COFFEE_PRICE)).to.be.revertedWith(
+        "VM: Replayed transaction"
+      );
+    });
+
+    it("Should REVERT tampered intents", async function () {
+      const { vendingMachine, domain, buyer, relayer, otherBuyer } = await loadFixture(deployVendingMachineFixture);
+      const intent = await signTypedPurchase(buyer, domain, { itemId: COFFEE, quantity: 1, nonce: 1n });
+
+      for (const tampered of [
+        { ...intent, quantity: 2 },
+        { ...intent, itemId: ENERGY_DRINK },
+        { ...intent, deadline: intent.deadline + 1n },
+        { ...intent, buyer: otherBuyer.address },
+      ]) {
+        await expect(submitTyped(vendingMachine, relayer, tampered, ENERGY_DRINK_PRICE * 2n)).to.be.revertedWith(
+          "VM: Invalid signature"
+        );
+      }
+
+      // Signed for another chain, or another contract.
+      const purchase = { itemId: COFFEE, quantity: 1, nonce: 1n };
+      const otherChain = await signTypedPurchase(buyer, { ...domain, chainId: 42161n }, purchase);
+      const otherContract = await signTypedPurchase(buyer, purchaseDomain(domain.chainId, relayer.address), purchase);
+      for (const foreign of [otherChain, otherContract]) {
+        await expect(submitTyped(vendingMachine, relayer, foreign, COFFEE_PRICE)).to.be.revertedWith(
+          "VM: Invalid signature"
+        );
+      }
+    });
+
+    it("Should REVERT an expired intent, and one for a blacklisted buyer", async function () {
+      const { vendingMachine, domain, buyer, relayer } = await loadFixture(deployVendingMachineFixture);
+      const deadline = BigInt(await time.latest()) + 10n;
+      const expiring = await signTypedPurchase(buyer, domain, { itemId: COFFEE, quantity: 1, nonce: 1n, deadline });
+      await time.increase(20);
+
+      await expect(submitTyped(vendingMachine, relayer, expiring, COFFEE_PRICE)).to.be.revertedWith(
+        "VM: Signature expired"
+      );
+
+      await vendingMachine.blacklistUser(buyer.address, true);
+      const intent = await signTypedPurchase(buyer, domain, { itemId: COFFEE, quantity: 1, nonce: 1n });
+      await expect(submitTyped(vendingMachine, relayer, intent, COFFEE_PRICE)).to.be.revertedWith(
+        "VM: User blacklisted"
+      );
+    });
+  });
+
+  describe("Relayer", function () {
+    let server;
+    let baseUrl;
+
+    afterEach(async function () {
+      if (server) {
+        await new Promise((resolve) => server.close(resolve));
+        server = undefined;
+      }
+    });
+
+    // `loadFixture` restores the chain; the relayer is started for every test (and closed in `afterEach`).
+    // It pays at most 1 ETH per purchase unless a test sets `maxValue`.
+    async function loadRelayer(options = {}) {
+      const fixture = await loadFixture(deployVendingMachineFixture);
+      server = createRelayer({
+        vendingMachine: fixture.vendingMachine.connect(fixture.relayer),
+        maxValue: ethers.parseEther("1"),
+        ...options,
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      return fixture;
+    }
+
+    // Intents go over the wire as JSON, with bigints as decimal strings.
+    async function post(intent) {
+      const body =
+        typeof intent === "string"
+          ? intent
+          : JSON.stringify(intent, (key, value) => (typeof value === "bigint" ? value.toString() : value));
+      const response = await fetch(`${baseUrl}/purchases`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body,
+      });
+      return { status: response.status, body: await response.json() };
+    }
+
+    async function get(path) {
+      const response = await fetch(`${baseUrl}${path}`);
+      return { status: response.status, body: await response.json() };
+    }
+
+    it("Should serve the domain and the next nonce", async function () {
+      const { domain, buyer } = await loadRelayer();
+
+      const { body: served } = await get("/domain");
+      const { body: nonce } = await get(`/nonces/${buyer.address}`);
+
+      expect(served.domain).to.deep.equal({ ...domain, chainId: domain.chainId.toString() });
+      expect(Object.keys(served.types)).to.deep.equal(["purchase", "bulkPurchase"]);
+      expect(nonce).to.deep.equal({ address: buyer.address, nonce: "0", next: "1" });
+      expect((await get("/nonces/0x123")).status).to.equal(400);
+    });
+
+    it("Should serve types a client can sign with as they are", async function () {
+      const { buyer } = await loadRelayer();
+      const { body: served } = await get("/domain");
+      const deadline = (await time.latest()) + 600;
+
+      const message = { buyer: buyer.address, itemIds: [COFFEE], quantities: [2], nonce: 1, deadline };
+      const signature = await buyer.signTypedData(served.domain, served.types.bulkPurchase, message);
+      const { status } = await post({ ...message, signature });
+
+      expect(status).to.equal(200);
+    });
+
+    it("Should submit a signed intent and pay for it", async function () {
+      const { vendingMachine, domain, buyer, relayer } = await loadRelayer();
+      const intent = await signTypedPurchase(buyer, domain, { itemId: COFFEE, quantity: 2, nonce: 1n });
+      const relayerBalance = await ethers.provider.getBalance(relayer.address);
+
+      const { status, body } = await post(intent);
+
+      expect(status).to.equal(200);
+      expect(body).to.include({ method: "purchaseItemFor", value: (COFFEE_PRICE * 2n).toString() });
+      const receipt = await ethers.provider.getTransactionReceipt(body.transactionHash);
+      expect(receipt.from).to.equal(relayer.address);
+      expect(await ethers.provider.getBalance(relayer.address)).to.equal(
+        relayerBalance - COFFEE_PRICE * 2n - receipt.gasUsed * receipt.gasPrice
+      );
+      expect((await vendingMachine.userProfiles(buyer.address)).totalPurchases).to.equal(2);
+    });
+
+    it("Should submit a bulk intent with the buyer's discount", async function () {
+      const { vendingMachine, domain, buyer } = await loadRelayer();
+      // 50 coffees and 63 protein bars earn 100 points: Bronze, 10% off.
+      await vendingMachine.connect(buyer).purchaseItem(COFFEE, 50, ethers.ZeroAddress, { value: COFFEE_PRICE * 50n });
+      await time.increase(60);
+      await vendingMachine.connect(buyer).purchaseItem(PROTEIN_BAR, 63, ethers.ZeroAddress, { value: PROTEIN_BAR_PRICE * 63n });
+      await time.increase(60);
+      const intent = await signTypedPurchase(buyer, domain, { itemIds: [ENERGY_DRINK], quantities: [2], nonce: 1n });
+
+      const { status, body } = await post(intent);
+
+      expect(status).to.equal(200);
+      expect(body).to.include({
+        method: "bulkPurchaseFor",
+        value: ((ENERGY_DRINK_PRICE * 2n * 90n) / 100n).toString(),
+      });
+    });
+
+    it("Should pay the promotional price, so maxValue counts the running promotion", async function () {
+      // 25% off coffee for one unit per buyer: two coffees cost 1.75 coffees, which is all the relayer pays
+      const value = COFFEE_PRICE * 2n - COFFEE_PRICE / 4n;
+      const { vendingMachine, domain, buyer } = await loadRelayer({ maxValue: value });
+      const startTime = await time.latest();
+      await vendingMachine.createPromotion({
+        startTime,
+        endTime: startTime + 3600,
+        itemId: COFFEE,
+        maxPerUser: 1,
+        isFixed: false,
+        discount: 2500,
+        category: ethers.ZeroHash,
+      });
+      const intent = await signTypedPurchase(buyer, domain, { itemId: COFFEE, quantity: 2, nonce: 1n });
+
+      const { status, body } = await post(intent);
+
+      expect(status).to.equal(200);
+      expect(body).to.include({ method: "purchaseItemFor", value: value.toString() });
+      const receipt = await ethers.provider.getTransactionReceipt(body.transactionHash);
+      const [purchased] = receipt.logs
+        .map((log) => vendingMachine.interface.parseLog(log))
+        .filter((event) => event && event.name === "ItemPurchased");
+      expect(purchased.args.totalPaid).to.equal(value);
+      expect(await vendingMachine.promotionRedemptions(0, buyer.address)).to.equal(1);
+    });
+
+    it("Should reject a replayed intent without sending it", async function () {
+      const { domain, buyer, relayer } = await loadRelayer();
+      const intent = await signTypedPurchase(buyer, domain, { itemId: COFFEE, quantity: 1, nonce: 1n });
+      await post(intent);
+      await time.increase(60);
+      const sent = await ethers.provider.getTransactionCount(relayer.address);
+
+      const { status, body } = await post(intent);
+
+      expect(status).to.equal(409);
+      expect(body.error).to.equal("Nonce 1 already used (last used: 1)");
+      expect(await ethers.provider.getTransactionCount(relayer.address)).to.equal(sent);
+    });
+
+    it("Should reject tampered payloads and foreign signatures without sending them", async function () {
+      const { domain, buyer, relayer, otherBuyer } = await loadRelayer();
+      const intent = await signTypedPurchase(buyer, domain, { itemId: COFFEE, quantity: 1, nonce: 1n });
+      // Signed by someone else, on the buyer's behalf.
+      const foreign = await signTypedPurchase(otherBuyer, domain, {
+        buyer: buyer.address,
+        itemId: COFFEE,
+        quantity: 1,
+        nonce: 1n,
+      });
+      const sent = await ethers.provider.getTransactionCount(relayer.address);
+
+      for (const tampered of [
+        { ...intent, quantity: 20 },
+        { ...intent, itemId: ENERGY_DRINK },
+        { ...intent, nonce: 2n },
+        { ...intent, buyer: otherBuyer.address },
+        foreign,
+      ]) {
+        const { status, body } = await post(tampered);
+        expect(status).to.equal(401);
+        expect(body.error).to.equal("Invalid signature: not signed by the buyer");
+      }
+      expect((await post({ ...intent, signature: "0x1234" })).status).to.equal(401);
+      expect(await ethers.provider.getTransactionCount(relayer.address)).to.equal(sent);
+    });
+
+    it("Should reject expired, too expensive and reverting intents", async function () {
+      const { vendingMachine, domain, buyer, relayer } = await loadRelayer({ maxValue: COFFEE_PRICE * 5n });
+      const expired = await signTypedPurchase(buyer, domain, {
+        itemId: COFFEE,
+        quantity: 1,
+        nonce: 1n,
+        deadline: BigInt(await time.latest()) - 1n,
+      });
+      const expensive = await signTypedPurchase(buyer, domain, { itemId: COFFEE, quantity: 6, nonce: 1n });
+      const noQuantity = await signTypedPurchase(buyer, domain, { itemId: COFFEE, quantity: 0, nonce: 1n });
+      const sent = await ethers.provider.getTransactionCount(relayer.address);
+
+      expect(await post(expired)).to.deep.equal({ status: 422, body: { error: "Signature expired" } });
+      expect((await post(expensive)).body.error).to.equal(
+        `Costs ${COFFEE_PRICE * 6n} wei, more than the relayer pays per purchase (${COFFEE_PRICE * 5n})`
+      );
+      expect(await post(noQuantity)).to.deep.equal({ status: 422, body: { error: "VM: Quantity must be positive" } });
+
+      await vendingMachine.blacklistUser(buyer.address, true);
+      const intent = await signTypedPurchase(buyer, domain, { itemId: COFFEE, quantity: 1, nonce: 1n });
+      expect(await post(intent)).to.deep.equal({ status: 422, body: { error: "VM: User blacklisted" } });
+      expect(await ethers.provider.getTransactionCount(relayer.address)).to.equal(sent);
+    });
+
+    it("Should refuse to start without a maxValue", async function () {
+      const { vendingMachine, relayer } = await loadFixture(deployVendingMachineFixture);
+
+      for (const maxValue of [undefined, 0n, "1"]) {
+        expect(() => createRelayer({ vendingMachine: vendingMachine.connect(relayer), maxValue })).to.throw(
+          "maxValue is required"
+        );
+      }
+    });
+
+    it("Should make vm:relayer take a positive --max-value", async function () {
+      const { proxyAddress: contract } = await loadFixture(deployVendingMachineFixture);
+
+      await expect(hre.run("vm:relayer", { contract })).to.be.rejectedWith("maxValue");
+      await expect(hre.run("vm:relayer", { contract, maxValue: "lots" })).to.be.rejectedWith(
+        "--max-value is not an ETH amount: lots"
+      );
+      await expect(hre.run("vm:relayer", { contract, maxValue: "0" })).to.be.rejectedWith("--max-value must be more than 0");
+    });
+
+    it("Should validate the request", async function () {
+      const { buyer } = await loadRelayer();
+
+      expect(await post("not json")).to.deep.equal({ status: 400, body: { error: "Body must be JSON" } });
+      expect((await post({ buyer: "0x123" })).status).to.equal(400);
+      expect((await post({ buyer: buyer.address, signature: "0x", nonce: "-1", deadline: "1" })).body.error).to.equal(
+        "nonce must be a whole number"
+      );
+      expect((await get("/nope")).status).to.equal(404);
+      expect((await fetch(`${baseUrl}/purchases`)).status).to.equal(405);
+    });
+  });
+});
+
+// To run only this test file:
+// npx hardhat test ./test/VendingMachineRelayer.js
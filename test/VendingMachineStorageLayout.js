@@ -0,0 +1,326 @@
+// This file tests the storage layout checks used before upgrades (`upgrades/storageLayout.js`) and the upgrade tasks
+// built on them (`tasks/upgrades.js`). The layout comparisons start from the real layout of `VendingMachineV2` and
+// change one thing at a time, the way an edit of the contract would.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+const { deployVendingMachine, getImplementationAddress } = require("../scripts/deploy");
+const { layoutHistoryFile, loadLayoutHistory, recordLayoutVersion } = require("../upgrades/history");
+const { compareStorageLayouts, normalizeStorageLayout, readStorageLayout } = require("../upgrades/storageLayout");
+
+// Deep copy, so every test mutates its own layout.
+function copy(layout) {
+  return JSON.parse(JSON.stringify(layout));
+}
+
+function variable(layout, label) {
+  return layout.storage.find((entry) => entry.label === label);
+}
+
+function member(structType, label) {
+  return structType.members.find((entry) => entry.label === label);
+}
+
+// `UserProfile` as it was before `pointsExpiry` was declared between `loyaltyPoints` and `discountRate`.
+function withoutPointsExpiry(layout) {
+  const deployed = copy(layout);
+  const profile = variable(deployed, "userProfiles").type.value;
+  profile.members = profile.members.filter((entry) => entry.label !== "pointsExpiry");
+  for (const label of ["discountRate", "loyaltyTier", "isBlacklisted"]) {
+    member(profile, label).offset -= 4;
+  }
+  return deployed;
+}
+
+const UINT256 = { label: "uint256", encoding: "inplace", numberOfBytes: 32 };
+
+describe("VendingMachineV2 Storage Layout", function () {
+  let layout;
+  before(async function () {
+    layout = await readStorageLayout(hre, "VendingMachineV2");
+  });
+
+  describe("readStorageLayout", function () {
+    it("Should describe every type inline, without AST IDs or contract names", async function () {
+      const json = JSON.stringify(layout);
+
+      expect(json).not.to.match(/t_(struct|mapping|array|uint)/);
+      expect(json).not.to.include("VendingMachineV2.");
+      expect(variable(layout, "userProfiles").type.value.label).to.equal("struct UserProfile");
+      expect(variable(layout, "nonces").type.label).to.equal("mapping(address => uint256)");
+    });
+
+    it("Should leave a normalized layout as it is", async function () {
+      expect(normalizeStorageLayout(layout)).to.equal(layout);
+    });
+  });
+
+  describe("compareStorageLayouts", function () {
+    it("Should accept an unchanged layout", async function () {
+      expect(compareStorageLayouts(layout, copy(layout))).to.deep.equal({ errors: [], warnings: [] });
+    });
+
+    it("Should accept variables appended after the last one", async function () {
+      const candidate = copy(layout);
+      const last = candidate.storage[candidate.storage.length - 1];
+      // The first slot after the last variable, which may be a struct spanning several slots
+      const nextSlot = last.slot + Math.ceil(Number(last.type.numberOfBytes) / 32);
+      candidate.storage.push({ label: "promotionCount", slot: nextSlot, offset: 0, type: UINT256 });
+
+      expect(compareStorageLayouts(layout, candidate).errors).to.deep.equal([]);
+    });
+
+    it("Should report reordered variables", async function () {
+      const candidate = copy(layout);
+      const revenue = variable(candidate, "totalRevenue");
+      const sold = variable(candidate, "totalItemsSold");
+      [revenue.slot, sold.slot] = [sold.slot, revenue.slot];
+
+      const { errors } = compareStorageLayouts(layout, candidate);
+
+      expect(errors.map(({ kind, path }) => [kind, path])).to.deep.equal([
+        ["reordered", "totalRevenue"],
+        ["reordered", "totalItemsSold"],
+      ]);
+      expect(errors[0].message).to.equal(`moved from slot ${sold.slot}, offset 0 to slot ${revenue.slot}, offset 0`);
+    });
+
+    it("Should report retyped variables", async function () {
+      const candidate = copy(layout);
+      variable(candidate, "totalRevenue").type = { label: "uint128", encoding: "inplace", numberOfBytes: 16 };
+
+      const { errors } = compareStorageLayouts(layout, candidate);
+
+      expect(errors).to.deep.equal([
+        { kind: "retyped", path: "totalRevenue", message: "changed from uint256 to uint128" },
+      ]);
+    });
+
+    it("Should report removed variables", async function () {
+      const candidate = copy(layout);
+      candidate.storage = candidate.storage.filter((entry) => entry.label !== "nonces");
+
+      const { errors } = compareStorageLayouts(layout, candidate);
+
+      expect(errors).to.have.length(1);
+      expect(errors[0]).to.include({ kind: "removed", path: "nonces" });
+    });
+
+    it("Should report a variable inserted between existing ones, and the ones it pushes down", async function () {
+      // `uint256 promotionCount;` declared right before `nonces`.
+      const candidate = copy(layout);
+      const nonces = variable(candidate, "nonces");
+      const promotionCount = { label: "promotionCount", slot: nonces.slot, offset: 0, type: UINT256 };
+      candidate.storage.splice(candidate.storage.indexOf(nonces), 0, promotionCount);
+      nonces.slot += 1;
+
+      const { errors } = compareStorageLayouts(layout, candidate);
+
+      expect(errors.map(({ kind, path }) => [kind, path])).to.deep.equal([
+        ["reordered", "nonces"],
+        ["inserted", "promotionCount"],
+      ]);
+      expect(errors[1].message).to.match(/^uint256 inserted at slot \d+, offset 0, where nonces was$/);
+    });
+
+    it("Should report the struct member inserted into UserProfile (pointsExpiry)", async function () {
+      const { errors } = compareStorageLayouts(withoutPointsExpiry(layout), layout);
+
+      expect(errors.map(({ kind, path }) => [kind, path])).to.deep.equal([
+        ["reordered", "userProfiles[address].discountRate"],
+        ["reordered", "userProfiles[address].loyaltyTier"],
+        ["reordered", "userProfiles[address].isBlacklisted"],
+        ["inserted", "userProfiles[address].pointsExpiry"],
+      ]);
+      expect(errors[3].message).to.equal(
+        "uint32 inserted at slot 1, offset 12, where userProfiles[address].discountRate was"
+      );
+    });
+
+    it("Should accept members appended to a struct stored in a mapping", async function () {
+      const candidate = copy(layout);
+      const profile = variable(candidate, "userProfiles").type.value;
+      profile.members.push({ label: "referrals", slot: 2, offset: 0, type: UINT256 });
+      profile.numberOfBytes = 96;
+
+      expect(compareStorageLayouts(layout, candidate).errors).to.deep.equal([]);
+    });
+
+    it("Should report members appended to a struct stored in an array", async function () {
+      // `Item`s are stored one after the other in `items`, so a bigger `Item` shifts all but the first.
+      const candidate = copy(layout);
+      const item = variable(candidate, "items").type.base;
+      const lastSlot = Math.max(...item.members.map((entry) => entry.slot));
+      item.members.push({ label: "discount", slot: lastSlot + 1, offset: 0, type: UINT256 });
+      item.numberOfBytes += 32;
+
+      const { errors } = compareStorageLayouts(layout, candidate);
+
+      expect(errors).to.have.length(1);
+      expect(errors[0]).to.include({ kind: "retyped", path: "items[]" });
+      expect(errors[0].message).to.include("changed size");
+    });
+
+    it("Should report a changed mapping value", async function () {
+      const candidate = copy(layout);
+      const paymentToken = variable(candidate, "paymentToken").type;
+      paymentToken.label = "mapping(address => uint256)";
+      paymentToken.value = UINT256;
+
+      const { errors } = compareStorageLayouts(layout, candidate);
+
+      expect(errors).to.deep.equal([
+        { kind: "retyped", path: "paymentToken[address]", message: "changed from address to uint256" },
+      ]);
+    });
+
+    it("Should report a changed mapping key", async function () {
+      const candidate = copy(layout);
+      variable(candidate, "dailyRevenue").type.key = { label: "uint64", encoding: "inplace", numberOfBytes: 8 };
+
+      const { errors } = compareStorageLayouts(layout, candidate);
+
+      expect(errors).to.have.length(1);
+      expect(errors[0]).to.include({ kind: "retyped", path: "dailyRevenue" });
+    });
+
+    it("Should accept a storage gap shrunk to make room for a new variable", async function () {
+      // The last `__gap` of the OpenZeppelin bases gives up its first slot to `newBaseVariable`.
+      const candidate = copy(layout);
+      const gaps = candidate.storage.filter((entry) => entry.label === "__gap");
+      const gap = gaps[gaps.length - 1];
+      const newBaseVariable = { label: "newBaseVariable", slot: gap.slot, offset: 0, type: UINT256 };
+      candidate.storage.splice(candidate.storage.indexOf(gap), 0, newBaseVariable);
+      gap.slot += 1;
+      gap.type = { ...gap.type, numberOfBytes: gap.type.numberOfBytes - 32 };
+
+      expect(compareStorageLayouts(layout, candidate).errors).to.deep.equal([]);
+    });
+
+    it("Should only warn about a renamed variable", async function () {
+      const candidate = copy(layout);
+      variable(candidate, "totalItemsSold").label = "itemsSold";
+
+      const { slot } = variable(layout, "totalItemsSold");
+      expect(compareStorageLayouts(layout, candidate)).to.deep.equal({
+        errors: [],
+        warnings: [{ kind: "renamed", path: "totalItemsSold", message: `renamed to itemsSold (slot ${slot}, offset 0)` }],
+      });
+    });
+  });
+
+  describe("Upgrade tasks", function () {
+    const { log } = console;
+    let layoutsDir;
+    beforeEach(function () {
+      console.log = () => {};
+      layoutsDir = fs.mkdtempSync(path.join(os.tmpdir(), "vm-layouts-"));
+    });
+    afterEach(function () {
+      console.log = log;
+      fs.rmSync(layoutsDir, { recursive: true, force: true });
+    });
+
+    async function deployVendingMachineFixture() {
+      const [owner, otherAccount] = await ethers.getSigners();
+      const deployment = await deployVendingMachine({ owner: owner.address, deployer: owner });
+      return { ...deployment, contract: deployment.proxyAddress, owner, otherAccount };
+    }
+
+    // Records the deployed version the way `scripts/deploy.js` does on live networks.
+    async function recordDeployedLayout({ contract, implementationAddress }, deployedLayout) {
+      const file = layoutHistoryFile(layoutsDir, network.name, contract);
+      recordLayoutVersion(file, {
+        network: network.name,
+        chainId: 31337,
+        proxy: contract,
+        contract: "VendingMachineV2",
+        implementation: implementationAddress,
+        layout: deployedLayout,
+      });
+      return file;
+    }
+
+    it("Should upgrade, keep the state and record the new version", async function () {
+      const deployment = await loadFixture(deployVendingMachineFixture);
+      const { vendingMachine, contract, implementationAddress } = deployment;
+      const file = await recordDeployedLayout(deployment, layout);
+
+      const { implementation } = await hre.run("vm:upgrade", { contract, layouts: layoutsDir });
+
+      expect(implementation).not.to.equal(implementationAddress);
+      expect(await getImplementationAddress(contract)).to.equal(implementation);
+      expect((await vendingMachine.items(0)).name).to.equal("Premium Coffee");
+      const history = loadLayoutHistory(file);
+      expect(history.versions.map(({ version, implementation: address }) => [version, address])).to.deep.equal([
+        [1, implementationAddress],
+        [2, implementation],
+      ]);
+      expect(history.versions[1].layout).to.deep.equal(layout);
+    });
+
+    it("Should fail before deploying or sending anything when the layout is incompatible", async function () {
+      const deployment = await loadFixture(deployVendingMachineFixture);
+      const { contract, implementationAddress, owner } = deployment;
+      // The proxy runs a version without `UserProfile.pointsExpiry`; the current source inserted it in place.
+      const file = await recordDeployedLayout(deployment, withoutPointsExpiry(layout));
+      const transactionsBefore = await ethers.provider.getTransactionCount(owner.address);
+
+      await expect(hre.run("vm:upgrade", { contract, layouts: layoutsDir })).to.be.rejectedWith(
+        "Upgrade aborted, nothing was deployed or sent"
+      );
+
+      expect(await getImplementationAddress(contract)).to.equal(implementationAddress);
+      expect(await ethers.provider.getTransactionCount(owner.address)).to.equal(transactionsBefore);
+      expect(loadLayoutHistory(file).versions).to.have.length(1);
+    });
+
+    it("Should refuse to upgrade a proxy without a recorded layout", async function () {
+      const { contract } = await loadFixture(deployVendingMachineFixture);
+
+      await expect(hre.run("vm:upgrade", { contract, layouts: layoutsDir })).to.be.rejectedWith(
+        "No storage layout recorded"
+      );
+    });
+
+    it("Should refuse to upgrade when the history doesn't match the implementation on-chain", async function () {
+      const deployment = await loadFixture(deployVendingMachineFixture);
+      const { contract, otherAccount } = deployment;
+      await recordDeployedLayout({ ...deployment, implementationAddress: otherAccount.address }, layout);
+
+      await expect(hre.run("vm:upgrade", { contract, layouts: layoutsDir })).to.be.rejectedWith(
+        "but the latest recorded version (1) is"
+      );
+    });
+
+    it("Should refuse to send from an account without UPGRADER_ROLE", async function () {
+      const deployment = await loadFixture(deployVendingMachineFixture);
+      const { contract, otherAccount } = deployment;
+      await recordDeployedLayout(deployment, layout);
+
+      await expect(
+        hre.run("vm:upgrade", { contract, from: otherAccount.address, layouts: layoutsDir })
+      ).to.be.rejectedWith("doesn't have UPGRADER_ROLE");
+    });
+
+    it("Should record the running implementation with vm:storage:record and check against it", async function () {
+      const { contract, implementationAddress } = await loadFixture(deployVendingMachineFixture);
+
+      const version = await hre.run("vm:storage:record", { contract, layouts: layoutsDir });
+      const result = await hre.run("vm:storage:check", { contract, layouts: layoutsDir });
+
+      expect(version).to.include({ version: 1, implementation: implementationAddress });
+      expect(result.errors).to.deep.equal([]);
+      await expect(hre.run("vm:storage:record", { contract, layouts: layoutsDir })).to.be.rejectedWith(
+        "is already recorded"
+      );
+    });
+  });
+});
+
+// To run only this test file:
+// npx hardhat test test/VendingMachineStorageLayout.js
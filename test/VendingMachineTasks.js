@@ -0,0 +1,280 @@
+// This file tests the admin CLI tasks from `tasks/vendingMachine.js` (`vm:items:add`, `vm:prices:set`, ...).
+// Tasks are run in-process with `hre.run(...)`, exactly as `npx hardhat <task>` would run them.
+
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+const { deployVendingMachine } = require("../scripts/deploy");
+
+const FULL_PAUSE = 2;
+
+describe("VendingMachineV2 Admin Tasks", function () {
+  // The tasks report what they do on the console; keep the test output readable.
+  const { log, table } = console;
+  beforeEach(function () {
+    console.log = () => {};
+    console.table = () => {};
+  });
+  afterEach(function () {
+    console.log = log;
+    console.table = table;
+  });
+
+  // --- Fixture Definition ---
+  async function deployVendingMachineFixture() {
+    const [owner, operator, outsider] = await ethers.getSigners();
+    const { vendingMachine, proxyAddress } = await deployVendingMachine({ owner: owner.address, deployer: owner });
+    await vendingMachine.grantRole(await vendingMachine.OPERATOR_ROLE(), operator.address);
+    return { vendingMachine, contract: proxyAddress, owner, operator, outsider };
+  }
+
+  describe("vm:items:list", function () {
+    it("Should return the catalog", async function () {
+      const { contract } = await loadFixture(deployVendingMachineFixture);
+
+      const items = await hre.run("vm:items:list", { contract });
+
+      expect(items.map((item) => item.name)).to.deep.equal(["Premium Coffee", "Energy Drink", "Protein Bar"]);
+    });
+  });
+
+  describe("vm:items:add", function () {
+    it("Should add an item with an ETH price", async function () {
+      const { vendingMachine, contract } = await loadFixture(deployVendingMachineFixture);
+
+      await hre.run("vm:items:add", {
+        contract,
+        name: "Green Tea",
+        price: "0.0012",
+        supply: 40,
+        maxSupply: 80,
+        category: "Beverages",
+      });
+
+      const item = await vendingMachine.items(3);
+      expect(item.name).to.equal("Green Tea");
+      expect(item.price).to.equal(ethers.parseEther("0.0012"));
+      expect(item.supply).to.equal(40n);
+      expect(item.maxSupply).to.equal(80n);
+    });
+
+    it("Should refuse to send from an account without ADMIN_ROLE", async function () {
+      const { contract, operator } = await loadFixture(deployVendingMachineFixture);
+
+      await expect(
+        hre.run("vm:items:add", { contract, from: operator.address, name: "Green Tea", price: "0.0012", supply: 40 })
+      ).to.be.rejectedWith("doesn't have ADMIN_ROLE");
+    });
+  });
+
+  describe("vm:items:restock", function () {
+    it("Should restock items by name", async function () {
+      const { vendingMachine, contract, operator } = await loadFixture(deployVendingMachineFixture);
+
+      await hre.run("vm:items:restock", {
+        contract,
+        from: operator.address,
+        items: "premium coffee, Protein Bar",
+        quantities: "10,5",
+      });
+
+      expect((await vendingMachine.items(0)).supply).to.equal(60n);
+      expect((await vendingMachine.items(2)).supply).to.equal(80n);
+    });
+
+    it("Should accept item IDs and one quantity for all items", async function () {
+      const { vendingMachine, contract, operator } = await loadFixture(deployVendingMachineFixture);
+
+      await hre.run("vm:items:restock", { contract, from: operator.address, items: "0,1", quantities: "3" });
+
+      expect((await vendingMachine.items(0)).supply).to.equal(53n);
+      expect((await vendingMachine.items(1)).supply).to.equal(33n);
+    });
+
+    it("Should reject unknown items", async function () {
+      const { contract, operator } = await loadFixture(deployVendingMachineFixture);
+
+      await expect(
+        hre.run("vm:items:restock", { contract, from: operator.address, items: "Green Tea", quantities: "1" })
+      ).to.be.rejectedWith('Unknown item: "Green Tea"');
+    });
+  });
+
+  describe("vm:items:status", function () {
+    it("Should deactivate items", async function () {
+      const { vendingMachine, contract, operator } = await loadFixture(deployVendingMachineFixture);
+
+      await hre.run("vm:items:status", { contract, from: operator.address, items: "Energy Drink", status: "inactive" });
+
+      expect((await vendingMachine.items(1)).isActive).to.equal(false);
+    });
+  });
+
+  describe("vm:prices:set", function () {
+    it("Should update prices given in ETH", async function () {
+      const { vendingMachine, contract } = await loadFixture(deployVendingMachineFixture);
+
+      await hre.run("vm:prices:set", { contract, items: "Premium Coffee,Energy Drink", prices: "0.002,0.0025" });
+
+      expect((await vendingMachine.items(0)).price).to.equal(ethers.parseEther("0.002"));
+      expect((await vendingMachine.items(1)).price).to.equal(ethers.parseEther("0.0025"));
+    });
+
+    it("Should not send anything in a dry run", async function () {
+      const { vendingMachine, contract } = await loadFixture(deployVendingMachineFixture);
+
+      const receipt = await hre.run("vm:prices:set", { contract, items: "Premium Coffee", prices: "0.002", dryRun: true });
+
+      expect(receipt).to.equal(undefined);
+      expect((await vendingMachine.items(0)).price).to.equal(ethers.parseEther("0.001"));
+    });
+
+    it("Should print the decoded revert reason in a dry run", async function () {
+      const { contract } = await loadFixture(deployVendingMachineFixture);
+
+      await expect(
+        hre.run("vm:prices:set", { contract, items: "Premium Coffee", prices: "11", dryRun: true })
+      ).to.be.rejectedWith("Simulation reverted: VM: Price out of range");
+    });
+
+    it("Should simulate a call from an account without the role", async function () {
+      const { contract, outsider } = await loadFixture(deployVendingMachineFixture);
+
+      await expect(
+        hre.run("vm:prices:set", { contract, from: outsider.address, items: "0", prices: "0.002", dryRun: true })
+      ).to.be.rejectedWith(`Simulation reverted: AccessControl: account ${outsider.address.toLowerCase()} is missing role`);
+    });
+  });
+
+  describe("vm:users:blacklist", function () {
+    it("Should blacklist and un-blacklist a user", async function () {
+      const { vendingMachine, contract, outsider } = await loadFixture(deployVendingMachineFixture);
+
+      await hre.run("vm:users:blacklist", { contract, user: outsider.address });
+      expect((await vendingMachine.userProfiles(outsider.address)).isBlacklisted).to.equal(true);
+
+      await hre.run("vm:users:blacklist", { contract, user: outsider.address, remove: true });
+      expect((await vendingMachine.userProfiles(outsider.address)).isBlacklisted).to.equal(false);
+    });
+  });
+
+  describe("vm:fee:set", function () {
+    it("Should convert the percentage to basis points", async function () {
+      const { vendingMachine, contract } = await loadFixture(deployVendingMachineFixture);
+
+      await hre.run("vm:fee:set", { contract, percent: "1.5" });
+
+      expect(await vendingMachine.transactionFee()).to.equal(150n);
+    });
+
+    it("Should surface the contract's revert reason", async function () {
+      const { contract } = await loadFixture(deployVendingMachineFixture);
+
+      await expect(hre.run("vm:fee:set", { contract, percent: "12" })).to.be.rejectedWith("VM: Fee too high");
+    });
+  });
+
+  describe("vm:emergency", function () {
+    it("Should activate the full emergency stop and resume", async function () {
+      const { vendingMachine, contract } = await loadFixture(deployVendingMachineFixture);
+
+      await hre.run("vm:emergency", { contract, action: "full-stop" });
+      expect(await vendingMachine.emergencyState()).to.equal(FULL_PAUSE);
+      expect(await vendingMachine.paused()).to.equal(true);
+
+      await hre.run("vm:emergency", { contract, action: "resume" });
+      expect(await vendingMachine.paused()).to.equal(false);
+    });
+
+    it("Should reject unknown actions", async function () {
+      const { contract } = await loadFixture(deployVendingMachineFixture);
+
+      await expect(hre.run("vm:emergency", { contract, action: "explode" })).to.be.rejectedWith('Unknown action "explode"');
+    });
+  });
+
+  describe("vm:loyalty:tiers", function () {
+    it("Should list the seeded tiers with their discount in percent", async function () {
+      const { contract } = await loadFixture(deployVendingMachineFixture);
+
+      const tiers = await hre.run("vm:loyalty:tiers", { contract });
+
+      expect(tiers.map((tier) => [tier.name, tier.threshold, tier.discountPercent, tier.pointsMultiplier])).to.deep.equal([
+        ["Bronze", 100n, 10, 1n],
+        ["Silver", 500n, 15, 2n],
+        ["Gold", 1000n, 20, 3n],
+      ]);
+    });
+  });
+
+  describe("vm:loyalty:tiers:set", function () {
+    it("Should replace the tiers, converting the discount to basis points", async function () {
+      const { vendingMachine, contract } = await loadFixture(deployVendingMachineFixture);
+
+      await hre.run("vm:loyalty:tiers:set", { contract, tiers: "50:3:1, 250:12:3" });
+
+      const tiers = await vendingMachine.getLoyaltyTiers();
+      expect(tiers.map((tier) => tier.toArray())).to.deep.equal([
+        [50n, 300n, 1n],
+        [250n, 1200n, 3n],
+      ]);
+    });
+
+    it("Should reject malformed tiers and surface the contract's revert reason", async function () {
+      const { contract } = await loadFixture(deployVendingMachineFixture);
+
+      await expect(hre.run("vm:loyalty:tiers:set", { contract, tiers: "100:10" })).to.be.rejectedWith('Invalid tier "100:10"');
+      // Buyers get whole percentages, so 10.5% would quietly be 10%
+      await expect(hre.run("vm:loyalty:tiers:set", { contract, tiers: "100:10.5:1" })).to.be.rejectedWith(
+        'Invalid tier "100:10.5:1": the discount must be a whole percentage'
+      );
+      await expect(hre.run("vm:loyalty:tiers:set", { contract, tiers: "500:10:1,100:5:1" })).to.be.rejectedWith(
+        "VM: Thresholds not ascending"
+      );
+    });
+
+    it("Should turn tiers off with none", async function () {
+      const { vendingMachine, contract } = await loadFixture(deployVendingMachineFixture);
+
+      await hre.run("vm:loyalty:tiers:set", { contract, tiers: "none" });
+
+      expect(await vendingMachine.getLoyaltyTiers()).to.deep.equal([]);
+    });
+  });
+
+  describe("vm:loyalty:simulate", function () {
+    it("Should climb the tiers over time and lose the points after a long break", async function () {
+      const { vendingMachine, contract, owner } = await loadFixture(deployVendingMachineFixture);
+      // The simulation restocks between purchases
+      await vendingMachine.grantRole(await vendingMachine.OPERATOR_ROLE(), owner.address);
+
+      const { steps } = await hre.run("vm:loyalty:simulate", { contract });
+
+      expect(steps.map((step) => step.tier)).to.deep.equal([
+        ...Array(5).fill("Bronze"),
+        ...Array(3).fill("Silver"),
+        ...Array(3).fill("Gold"),
+        "Bronze",
+      ]);
+      // Silver pays 15% less and earns double points on the 85% it pays
+      expect(steps[6]).to.include({ discountPercent: 15, pointsEarned: 170 });
+      expect(steps[11]).to.include({ day: 700, discountPercent: 0, pointsExpired: 1540, points: 100 });
+    });
+
+    it("Should deploy a fresh machine without --contract", async function () {
+      const { contract } = await loadFixture(deployVendingMachineFixture);
+
+      const result = await hre.run("vm:loyalty:simulate", { schedule: "0,1", quantity: 10 });
+
+      expect(result.contract).not.to.equal(contract);
+      expect(result.steps.map((step) => step.points)).to.deep.equal([10, 20]);
+    });
+
+    it("Should reject malformed schedules", async function () {
+      await expect(hre.run("vm:loyalty:simulate", { schedule: "0,-30" })).to.be.rejectedWith('Invalid schedule "0,-30"');
+    });
+  });
+});
+
+// To run only this test file:
+// npx hardhat test ./test/VendingMachineTasks.js
@@ -0,0 +1,118 @@
+// Storage layout history of deployed `VendingMachineV2` proxies, one JSON file per proxy and network:
+//
+//   upgrades/layouts/<network>/<proxy address>.json
+//
+// Every implementation a proxy has run gets a version with its address and normalized storage layout (see
+// `upgrades/storageLayout.js`). `scripts/deploy.js` records version 1 and `npx hardhat vm:upgrade` records each
+// upgrade, so the next upgrade is checked against the layout that is really on-chain, not against whatever the
+// source looked like at some commit. Commit these files. Like the indexer store, a file is written to a temporary
+// path first and then renamed, so a crash mid-write never leaves a truncated history behind.
+
+const fs = require("fs");
+const path = require("path");
+const { dataSlice, getAddress } = require("ethers");
+
+const HISTORY_FORMAT = 1;
+
+// ERC1967 storage slot holding the implementation address: `bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)`.
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+// Where `scripts/deploy.js` and the `vm:upgrade`/`vm:storage:*` tasks keep the histories by default.
+const DEFAULT_LAYOUTS_DIR = path.join(__dirname, "layouts");
+
+/**
+ * Reads the implementation address a proxy currently points to, straight from its ERC1967 storage slot.
+ * @param {object} provider An ethers provider.
+ * @param {string} proxyAddress The address of the ERC1967 proxy.
+ * @returns {Promise<string>} The checksummed implementation address.
+ */
+async function readImplementationAddress(provider, proxyAddress) {
+  const slotValue = await provider.getStorage(proxyAddress, IMPLEMENTATION_SLOT);
+  return getAddress(dataSlice(slotValue, 12));
+}
+
+/**
+ * Path of the layout history of a proxy.
+ * @param {string} layoutsDir Usually `DEFAULT_LAYOUTS_DIR`.
+ * @param {string} networkName The Hardhat network name (`arbitrum_one`, ...).
+ * @param {string} proxyAddress
+ * @returns {string}
+ */
+function layoutHistoryFile(layoutsDir, networkName, proxyAddress) {
+  return path.join(layoutsDir, networkName, `${proxyAddress.toLowerCase()}.json`);
+}
+
+/**
+ * Reads the layout history of a proxy.
+ * @param {string} file From `layoutHistoryFile`.
+ * @returns {object|null} `{ format, network, chainId, proxy, contract, versions }`, or null if nothing was recorded.
+ */
+function loadLayoutHistory(file) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  const history = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (history.format !== HISTORY_FORMAT) {
+    throw new Error(`${file} was written by another version of the layout history (${history.format})`);
+  }
+  return history;
+}
+
+/**
+ * The version of a history the proxy runs now (the last one recorded).
+ * @param {object} history
+ * @returns {{ version: number, implementation: string, recordedAt: string, layout: object }}
+ */
+function latestLayoutVersion(history) {
+  return history.versions[history.versions.length - 1];
+}
+
+/**
+ * Appends a version to the layout history of a proxy, creating the file on the first deployment.
+ * @param {string} file From `layoutHistoryFile`.
+ * @param {object} deployment
+ * @param {string} deployment.network
+ * @param {bigint|number} deployment.chainId
+ * @param {string} deployment.proxy
+ * @param {string} deployment.contract Contract name of the implementation, e.g. "VendingMachineV2".
+ * @param {string} deployment.implementation Address of the implementation the proxy now points to.
+ * @param {object} deployment.layout Normalized storage layout of the implementation.
+ * @returns {object} The recorded version.
+ */
+function recordLayoutVersion(file, { network, chainId, proxy, contract, implementation, layout }) {
+  const history = loadLayoutHistory(file) || {
+    format: HISTORY_FORMAT,
+    network,
+    chainId: Number(chainId),
+    proxy,
+    contract,
+    versions: [],
+  };
+  if (history.chainId !== Number(chainId)) {
+    throw new Error(`${file} belongs to chain ${history.chainId}, not ${chainId}`);
+  }
+
+  const version = {
+    version: history.versions.length + 1,
+    contract,
+    implementation,
+    recordedAt: new Date().toISOString(),
+    layout,
+  };
+  history.versions.push(version);
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const temporaryFile = `${file}.tmp`;
+  fs.writeFileSync(temporaryFile, `${JSON.stringify(history, null, 2)}\n`);
+  fs.renameSync(temporaryFile, file);
+  return version;
+}
+
+module.exports = {
+  DEFAULT_LAYOUTS_DIR,
+  latestLayoutVersion,
+  layoutHistoryFile,
+  loadLayoutHistory,
+  readImplementationAddress,
+  recordLayoutVersion,
+};
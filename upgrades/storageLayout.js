@@ -0,0 +1,336 @@
+// Storage layout safety checks for upgrades of `VendingMachineV2`.
+//
+// A UUPS proxy keeps its state and only swaps the code behind it, so the new implementation must read every
+// existing variable from the slot the old one wrote it to. Solidity assigns slots in declaration order (parents
+// first), which makes a few innocent-looking edits dangerous: declaring a variable between two others, moving one,
+// changing its type, deleting it, or adding a member in the middle of a struct that is already in storage.
+//
+// The compiler describes where everything lives in its `storageLayout` output (enabled in `hardhat.config.js`).
+// This module turns that output into a stable, self-contained form (`normalizeStorageLayout`), and compares the
+// layout of the deployed implementation with a candidate (`compareStorageLayouts`). It doesn't depend on Hardhat,
+// except `readStorageLayout`, which takes the Hardhat Runtime Environment as an argument.
+
+const fs = require("fs");
+
+/**
+ * Reads the compiler's storage layout of a compiled contract from its build info (`artifacts/build-info/`).
+ * @param {object} hre The Hardhat Runtime Environment.
+ * @param {string} [contractName] Defaults to "VendingMachineV2".
+ * @returns {Promise<object>} The normalized layout (see `normalizeStorageLayout`).
+ */
+async function readStorageLayout(hre, contractName = "VendingMachineV2") {
+  const { sourceName } = await hre.artifacts.readArtifact(contractName);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${sourceName}:${contractName}`);
+  return layoutFromBuildInfo(buildInfo, contractName);
+}
+
+function layoutFromBuildInfo(buildInfo, contractName) {
+  for (const contracts of Object.values(buildInfo.output.contracts)) {
+    if (contracts[contractName]) {
+      const { storageLayout } = contracts[contractName];
+      if (!storageLayout) {
+        throw new Error(
+          `The build of ${contractName} has no storage layout; add "storageLayout" to the compiler's outputSelection ` +
+            "(see hardhat.config.js) and recompile"
+        );
+      }
+      return normalizeStorageLayout(storageLayout);
+    }
+  }
+  throw new Error(`${contractName} is not part of this build info`);
+}
+
+/**
+ * Reads a storage layout from a JSON file: a Hardhat build info, the compiler's `storageLayout` output, a
+ * normalized layout, or a layout history (see `upgrades/history.js`), whose latest version is used.
+ * @param {string} file
+ * @param {string} [contractName] Used to find the contract in a build info. Defaults to "VendingMachineV2".
+ * @returns {object} The normalized layout.
+ */
+function loadStorageLayoutFile(file, contractName = "VendingMachineV2") {
+  const json = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (json.output && json.output.contracts) {
+    return layoutFromBuildInfo(json, contractName);
+  }
+  if (Array.isArray(json.versions) && json.versions.length > 0) {
+    return json.versions[json.versions.length - 1].layout;
+  }
+  if (Array.isArray(json.storage)) {
+    return normalizeStorageLayout(json);
+  }
+  throw new Error(`${file} is not a build info, a storage layout or a layout history`);
+}
+
+// --- Normalization ---
+
+// Type names without the contract they are declared in: `struct VendingMachineV2.Item` and `struct VendingMachineV3.Item`
+// are the same storage type, and renaming the contract is a normal part of an upgrade.
+function canonicalLabel(label) {
+  return label.replace(/\b(struct|enum|contract) (?:\w+\.)+/g, "$1 ");
+}
+
+// The compiler refers to types by IDs that include AST node IDs (`t_struct(Item)4790_storage`), which change with
+// every unrelated edit of the source. Types are inlined instead, so two layouts compare without a shared type table.
+function normalizeType(types, typeId, enclosingStructs) {
+  const type = types[typeId];
+  const normalized = {
+    label: canonicalLabel(type.label),
+    encoding: type.encoding,
+    numberOfBytes: Number(type.numberOfBytes),
+  };
+  if (type.members) {
+    // A struct can contain itself through a mapping or a dynamic array; its members are described once.
+    if (enclosingStructs.includes(typeId)) {
+      return { ...normalized, recursive: true };
+    }
+    normalized.members = normalizeVariables(types, type.members, [...enclosingStructs, typeId]);
+  }
+  if (type.key) {
+    normalized.key = normalizeType(types, type.key, enclosingStructs);
+    normalized.value = normalizeType(types, type.value, enclosingStructs);
+  }
+  if (type.base) {
+    normalized.base = normalizeType(types, type.base, enclosingStructs);
+  }
+  return normalized;
+}
+
+function normalizeVariables(types, variables, enclosingStructs) {
+  return variables.map((variable) => ({
+    label: variable.label,
+    slot: Number(variable.slot),
+    offset: variable.offset,
+    type: normalizeType(types, variable.type, enclosingStructs),
+  }));
+}
+
+/**
+ * Turns the compiler's `storageLayout` output (`{ storage, types }`) into `{ storage }`, where every variable
+ * carries its full type description, free of AST IDs and contract names. Normalized layouts are what the layout
+ * history stores. A layout that is already normalized is returned as is.
+ * @param {object} storageLayout
+ * @returns {{ storage: object[] }}
+ */
+function normalizeStorageLayout(storageLayout) {
+  if (!storageLayout.types) {
+    return storageLayout;
+  }
+  return { storage: normalizeVariables(storageLayout.types, storageLayout.storage, []) };
+}
+
+// --- Comparison ---
+
+// Storage gaps (`uint256[50] private __gap`) reserve slots in the OpenZeppelin base contracts. A new version may
+// shrink a gap to make room for new variables, as long as the gap still ends where it used to.
+function isGap(variable) {
+  return variable.label.startsWith("__gap");
+}
+
+function position(variable) {
+  return `slot ${variable.slot}, offset ${variable.offset}`;
+}
+
+// First byte after the variable, counting from the start of the container.
+function endByte(variable) {
+  return variable.slot * 32 + variable.offset + variable.type.numberOfBytes;
+}
+
+// Variables are matched by name. Names can repeat (every OpenZeppelin base has its own `__gap`), so the n-th
+// variable of a name is matched with the n-th variable of that name.
+function keyed(variables) {
+  const counts = new Map();
+  return variables.map((variable) => {
+    const count = counts.get(variable.label) || 0;
+    counts.set(variable.label, count + 1);
+    return { key: `${variable.label}#${count}`, variable };
+  });
+}
+
+// Value types that are stored the same way even though the source spells them differently.
+function storedAs(type) {
+  if (/^contract /.test(type.label)) return "address";
+  // Enum members aren't part of the layout; an enum stays compatible as long as it fits in the same bytes.
+  if (/^enum /.test(type.label)) return `enum (${type.numberOfBytes} bytes)`;
+  return type.label;
+}
+
+/**
+ * Compares the types of a variable in two versions. `inMapping` is set for the values of a mapping: every value
+ * gets its own region of storage there, so a struct stored in a mapping may grow (members appended at its end).
+ */
+function compareTypes(deployed, candidate, path, inMapping, report) {
+  if (deployed.encoding !== candidate.encoding) {
+    report.error("retyped", path, `changed from ${deployed.label} to ${candidate.label}`);
+    return;
+  }
+
+  if (deployed.encoding === "mapping") {
+    if (storedAs(deployed.key) !== storedAs(candidate.key)) {
+      report.error("retyped", path, `mapping key changed from ${deployed.key.label} to ${candidate.key.label}`);
+      return;
+    }
+    compareTypes(deployed.value, candidate.value, `${path}[${deployed.key.label}]`, true, report);
+    return;
+  }
+
+  if (deployed.base) {
+    // Fixed-size arrays take `length * element size` bytes in place, so their length is part of the layout.
+    if (deployed.encoding === "inplace" && deployed.numberOfBytes !== candidate.numberOfBytes) {
+      report.error("retyped", path, `changed from ${deployed.label} to ${candidate.label}`);
+      return;
+    }
+    // Array elements are packed one after the other, so their size must not change either.
+    compareTypes(deployed.base, candidate.base, `${path}[]`, false, report);
+    return;
+  }
+
+  if (deployed.recursive || candidate.recursive) {
+    return;
+  }
+
+  if (deployed.members || candidate.members) {
+    if (!deployed.members || !candidate.members) {
+      report.error("retyped", path, `changed from ${deployed.label} to ${candidate.label}`);
+      return;
+    }
+    compareVariables(deployed.members, candidate.members, `${path}.`, report);
+    if (deployed.numberOfBytes !== candidate.numberOfBytes && !inMapping) {
+      report.error(
+        "retyped",
+        path,
+        `${candidate.label} changed size from ${deployed.numberOfBytes} to ${candidate.numberOfBytes} bytes; ` +
+          "only structs stored as mapping values may grow"
+      );
+    }
+    return;
+  }
+
+  if (storedAs(deployed) !== storedAs(candidate) || deployed.numberOfBytes !== candidate.numberOfBytes) {
+    report.error("retyped", path, `changed from ${deployed.label} to ${candidate.label}`);
+  }
+}
+
+// Compares the state variables of two versions, or the members of a struct. `prefix` is prepended to the names.
+function compareVariables(deployedVariables, candidateVariables, prefix, report) {
+  const deployed = keyed(deployedVariables);
+  const candidate = keyed(candidateVariables);
+  const deployedKeys = new Set(deployed.map(({ key }) => key));
+  const candidateByKey = new Map(candidate.map(({ key, variable }) => [key, variable]));
+  const renamed = new Set();
+
+  const deployedEnd = Math.max(0, ...deployedVariables.map(endByte));
+  // Slots (in bytes) of gaps that the candidate shrank: new variables may live there.
+  const freedGapRanges = [];
+
+  for (const { key, variable: old } of deployed) {
+    const path = `${prefix}${old.label}`;
+    const current = candidateByKey.get(key);
+
+    if (!current) {
+      // A variable that only changed its name is still read from the same place.
+      const occupant = candidate.find(
+        ({ key: otherKey, variable }) =>
+          !deployedKeys.has(otherKey) && variable.slot === old.slot && variable.offset === old.offset
+      );
+      if (occupant && !hasTypeErrors(old.type, occupant.variable.type)) {
+        renamed.add(occupant.key);
+        report.warning("renamed", path, `renamed to ${prefix}${occupant.variable.label} (${position(old)})`);
+      } else {
+        report.error("removed", path, `${old.type.label} at ${position(old)} was removed`);
+      }
+      continue;
+    }
+
+    if (isGap(old) && endByte(current) === endByte(old) && current.slot >= old.slot) {
+      freedGapRanges.push([old.slot * 32 + old.offset, current.slot * 32 + current.offset]);
+      continue;
+    }
+
+    if (current.slot !== old.slot || current.offset !== old.offset) {
+      report.error("reordered", path, `moved from ${position(old)} to ${position(current)}`);
+      continue;
+    }
+
+    compareTypes(old.type, current.type, path, false, report);
+  }
+
+  for (const { key, variable } of candidate) {
+    if (deployedKeys.has(key) || renamed.has(key)) continue;
+
+    const start = variable.slot * 32 + variable.offset;
+    const inFreedGap = freedGapRanges.some(([from, to]) => start >= from && endByte(variable) <= to);
+    if (start >= deployedEnd || inFreedGap) continue;
+
+    const displaced = deployedVariables.find((old) => old.slot === variable.slot && old.offset === variable.offset);
+    report.error(
+      "inserted",
+      `${prefix}${variable.label}`,
+      `${variable.type.label} inserted at ${position(variable)}` +
+        (displaced ? `, where ${prefix}${displaced.label} was` : "")
+    );
+  }
+}
+
+function hasTypeErrors(deployed, candidate) {
+  const report = createReport();
+  compareTypes(deployed, candidate, "", false, report);
+  return report.errors.length > 0;
+}
+
+function createReport() {
+  const errors = [];
+  const warnings = [];
+  return {
+    errors,
+    warnings,
+    error: (kind, path, message) => errors.push({ kind, path, message }),
+    warning: (kind, path, message) => warnings.push({ kind, path, message }),
+  };
+}
+
+/**
+ * Compares the storage layout of the deployed implementation with a candidate implementation.
+ *
+ * Errors (the upgrade would corrupt storage):
+ * - `removed`: a variable (or struct member) of the deployed version is gone,
+ * - `inserted`: a new variable occupies a slot the deployed version already uses (new variables must be appended
+ *   after the last one; new struct members after the last member, and only for structs stored in mappings),
+ * - `reordered`: a variable moved to another slot or offset,
+ * - `retyped`: a variable, a mapping key or value, an array element or a struct changed its type or size.
+ *
+ * Warnings (harmless): `renamed`, a variable with a new name but the same type and place.
+ * @param {object} deployed Layout of the deployed implementation (compiler output or normalized).
+ * @param {object} candidate Layout of the new implementation (compiler output or normalized).
+ * @returns {{ errors: Array<{ kind: string, path: string, message: string }>, warnings: Array<{ kind: string, path: string, message: string }> }}
+ */
+function compareStorageLayouts(deployed, candidate) {
+  const report = createReport();
+  compareVariables(normalizeStorageLayout(deployed).storage, normalizeStorageLayout(candidate).storage, "", report);
+  return { errors: report.errors, warnings: report.warnings };
+}
+
+/**
+ * Formats the result of `compareStorageLayouts` for the console, one line per finding.
+ * @param {{ errors: object[], warnings: object[] }} result
+ * @returns {string}
+ */
+function formatLayoutReport({ errors, warnings }) {
+  const lines = [
+    ...errors.map(({ kind, path, message }) => `  error    ${kind.padEnd(9)} ${path}: ${message}`),
+    ...warnings.map(({ kind, path, message }) => `  warning  ${kind.padEnd(9)} ${path}: ${message}`),
+  ];
+  if (errors.length === 0) {
+    lines.unshift("Storage layout is compatible with the deployed version.");
+  } else {
+    lines.unshift(`Storage layout is NOT compatible with the deployed version (${errors.length} error(s)):`);
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  compareStorageLayouts,
+  formatLayoutReport,
+  loadStorageLayoutFile,
+  normalizeStorageLayout,
+  readStorageLayout,
+};